@@ -0,0 +1,44 @@
+/**
+ * Private Agent Events for Molt Wars
+ *
+ * Fleet arrivals, battle reports, finished builds and the like are private to
+ * the agents involved. Each one is buffered in agent_events for SSE replay,
+ * pushed to the agent's open event streams and queued for its webhooks.
+ */
+
+import { dbRun } from './db.js';
+import { pushEvent, eventStreamConfig } from './eventStream.js';
+import { enqueueWebhooks } from './webhooks.js';
+
+/**
+ * Record a private event for an agent
+ * NPCs have no wallet to subscribe with, so their events are dropped without
+ * touching the database.
+ *
+ * @param {{ id: string, isNPC?: boolean }} agent - Recipient
+ * @param {string} event - One of the webhook event names
+ * @param {Object} payload - Event details
+ */
+export async function recordAgentEvent(agent, event, payload) {
+  if (!agent?.id || agent.isNPC) return;
+  const timestamp = Date.now();
+  try {
+    const { lastID } = await dbRun(
+      `INSERT INTO agent_events (agent_id, event, payload, created_at) VALUES (?, ?, ?, ?)`,
+      [agent.id, event, JSON.stringify(payload), timestamp]
+    );
+    pushEvent(agent.id, { id: lastID, event, data: { event, agentId: agent.id, payload, timestamp } });
+  } catch (err) {
+    console.error("emitAgentEvent error:", err.message);
+  }
+  await enqueueWebhooks(agent.id, event, payload)
+    .catch(err => console.error("Failed to queue webhooks:", err.message));
+}
+
+/**
+ * Drop buffered events too old to replay
+ */
+export function pruneAgentEvents() {
+  dbRun(`DELETE FROM agent_events WHERE created_at < ?`, [Date.now() - eventStreamConfig.retentionMs])
+    .catch(err => console.error("Failed to prune agent events:", err));
+}
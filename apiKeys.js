@@ -0,0 +1,187 @@
+/**
+ * API Keys for Molt Wars
+ *
+ * Bots can create API keys with a wallet-signed request and then send
+ * `X-Api-Key: <key>` instead of signing every call. A key acts as the wallet
+ * that created it, limited by its scopes: every key can read, and each other
+ * scope unlocks one group of actions (see policy.js). Keys expire, can be
+ * revoked, and may carry lower rate limits than the wallet's own. Only a hash
+ * of each key is stored; the key itself is shown once, on creation.
+ */
+
+import crypto from 'crypto';
+import { dbRun, dbGet, dbAll } from './db.js';
+import { rateLimitConfig } from './rateLimit.js';
+
+// Configuration
+const config = {
+  prefix: 'mwk_',
+  maxKeysPerAgent: 10,                    // Active (unrevoked, unexpired) keys
+  defaultTtlDays: 90,
+  maxTtlDays: 365,
+  touchIntervalMs: 60 * 1000,             // How often lastUsedAt is written for a busy key
+};
+
+/** Scopes a key can hold; "read" is always included */
+export const API_KEY_SCOPES = ['read', 'economy', 'fleet', 'market', 'chat'];
+
+/**
+ * Stored form of a key
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether a header value looks like one of our keys
+ */
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(config.prefix) && value.length > config.prefix.length + 16;
+}
+
+/**
+ * Validate the body of a key creation request
+ * @param {Object} body - { name?, scopes, expiresInDays?, rateLimit?: { read?, write? } }
+ * @returns {{ valid: true, options: Object } | { valid: false, error: string, details?: Object }}
+ */
+export function parseKeyOptions(body = {}) {
+  const { name = null, scopes, expiresInDays = config.defaultTtlDays, rateLimit = {} } = body;
+
+  if (name !== null && (typeof name !== 'string' || name.length > 50)) {
+    return { valid: false, error: "name must be a string of at most 50 characters" };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { valid: false, error: "scopes must be a non-empty array", details: { validScopes: API_KEY_SCOPES } };
+  }
+  const invalidScopes = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+  if (invalidScopes.length > 0) {
+    return { valid: false, error: "Invalid scopes", details: { invalidScopes, validScopes: API_KEY_SCOPES } };
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > config.maxTtlDays) {
+    return { valid: false, error: `expiresInDays must be between 1 and ${config.maxTtlDays}` };
+  }
+  if (typeof rateLimit !== 'object' || rateLimit === null || Array.isArray(rateLimit)) {
+    return { valid: false, error: "rateLimit must be an object like { read, write }" };
+  }
+
+  // Per-key limits may only be lower than the wallet's own
+  const limits = {};
+  for (const type of ['read', 'write']) {
+    const value = rateLimit[type];
+    if (value === undefined) continue;
+    const max = rateLimitConfig[type].rate;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      return { valid: false, error: `rateLimit.${type} must be between 1 and ${max} requests per second` };
+    }
+    limits[type] = value;
+  }
+
+  return {
+    valid: true,
+    options: {
+      name,
+      scopes: [...new Set(['read', ...scopes])].sort((a, b) => API_KEY_SCOPES.indexOf(a) - API_KEY_SCOPES.indexOf(b)),
+      expiresInDays,
+      rateLimit: limits,
+    },
+  };
+}
+
+/**
+ * Key as shown to its owner (never includes the key or its hash)
+ */
+export function formatApiKey(row, now = Date.now()) {
+  const status = row.revoked_at ? 'revoked' : row.expires_at <= now ? 'expired' : 'active';
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: JSON.parse(row.rate_limit || '{}'),
+    status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * Number of keys an agent can still use
+ */
+export async function countActiveKeys(agentId) {
+  const row = await dbGet(
+    `SELECT COUNT(*) AS count FROM api_keys WHERE agent_id = ? AND revoked_at IS NULL AND expires_at > ?`,
+    [agentId, Date.now()]
+  );
+  return row.count;
+}
+
+/**
+ * Create a key
+ * @param {string} agentId - Wallet the key acts as
+ * @param {Object} options - From parseKeyOptions()
+ * @returns {Promise<Object>} The formatted key plus the secret `key`, returned only here
+ */
+export async function createApiKey(agentId, { name, scopes, expiresInDays, rateLimit }) {
+  const now = Date.now();
+  const key = config.prefix + crypto.randomBytes(24).toString('base64url');
+  const row = {
+    id: `apikey_${now}_${crypto.randomBytes(8).toString('hex')}`,
+    agent_id: agentId,
+    name,
+    prefix: key.slice(0, config.prefix.length + 6),
+    scopes: JSON.stringify(scopes),
+    rate_limit: JSON.stringify(rateLimit),
+    created_at: now,
+    expires_at: now + expiresInDays * 24 * 60 * 60 * 1000,
+    last_used_at: null,
+    revoked_at: null,
+  };
+  await dbRun(
+    `INSERT INTO api_keys (id, agent_id, name, key_hash, prefix, scopes, rate_limit, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [row.id, agentId, name, hashApiKey(key), row.prefix, row.scopes, row.rate_limit, row.created_at, row.expires_at]
+  );
+  return { ...formatApiKey(row, now), key };
+}
+
+/**
+ * All of an agent's keys, newest first
+ */
+export async function listApiKeys(agentId) {
+  const rows = await dbAll(`SELECT * FROM api_keys WHERE agent_id = ? ORDER BY created_at DESC`, [agentId]);
+  return rows.map(row => formatApiKey(row));
+}
+
+/**
+ * Revoke one of an agent's keys
+ * @returns {Promise<Object|null>} The revoked key, or null if the agent has no such key
+ */
+export async function revokeApiKey(agentId, id) {
+  const row = await dbGet(`SELECT * FROM api_keys WHERE id = ? AND agent_id = ?`, [id, agentId]);
+  if (!row) return null;
+  if (!row.revoked_at) {
+    row.revoked_at = Date.now();
+    await dbRun(`UPDATE api_keys SET revoked_at = ? WHERE id = ?`, [row.revoked_at, id]);
+  }
+  return formatApiKey(row);
+}
+
+/**
+ * Resolve a presented key
+ * @param {string} key - Value of the X-Api-Key header
+ * @returns {Promise<{ id, agentId, scopes, rateLimit }|null>} null if unknown, revoked or expired
+ */
+export async function verifyApiKey(key) {
+  if (!isApiKey(key)) return null;
+  const row = await dbGet(`SELECT * FROM api_keys WHERE key_hash = ?`, [hashApiKey(key)]);
+  const now = Date.now();
+  if (!row || row.revoked_at || row.expires_at <= now) return null;
+
+  if (!row.last_used_at || now - row.last_used_at > config.touchIntervalMs) {
+    dbRun(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [now, row.id]).catch(() => {});
+  }
+  return { id: row.id, agentId: row.agent_id, scopes: JSON.parse(row.scopes), rateLimit: JSON.parse(row.rate_limit || '{}') };
+}
+
+export { config as apiKeyConfig };
@@ -2,42 +2,43 @@
  * Solana Wallet Authentication Middleware for Molt Wars
  *
  * Authentication flow:
- * 1. Client signs message "molt-of-empires:<timestamp>" with wallet
- * 2. Sends header: X-Solana-Auth: <wallet_pubkey>:<signature>:<timestamp>
- * 3. Server verifies signature and checks $MOLTIUM token balance
+ * 1. Client gets a nonce from GET /api/auth/challenge
+ * 2. Signs "molt-of-empires:<nonce>:<METHOD>:<path>:<sha256(body)>" with its wallet
+ * 3. Sends header: X-Solana-Auth: <wallet_pubkey>:<signature>:<nonce>
+ * 4. Server verifies the signature, uses up the nonce (see nonces.js) and
+ *    checks $MOLTIUM token balance
+ *
+ * Legacy session headers (signing "molt-of-empires:<timestamp>") can be
+ * replayed until they expire. They are deprecated: by default they are only
+ * accepted for reads, for AUTH_SESSION_MAX_AGE minutes (60) after signing;
+ * AUTH_LEGACY_SESSIONS=all accepts them everywhere and =off nowhere.
+ *
+ * Bots may instead send X-Api-Key: <key> with a key created by a signed
+ * request (see apiKeys.js). The balance was checked when the key was created.
  */
 
-import { Connection, PublicKey } from "@solana/web3.js";
-import { getAssociatedTokenAddress, getAccount } from "@solana/spl-token";
+import { PublicKey } from "@solana/web3.js";
 import nacl from "tweetnacl";
 import bs58 from "bs58";
 import crypto from "crypto";
-import { logAdminAccess } from "./securityLogger.js";
+import { logAdminAccess, logAuthFailure, logReplayAttempt } from "./securityLogger.js";
+import { verifyApiKey } from "./apiKeys.js";
+import { isNonce, consumeNonce, hashBody, challengeMessage } from "./nonces.js";
+import { getBalance, getBalanceProvider } from "./balances.js";
 
 // Configuration from environment
 const config = {
-  rpcUrl: process.env.SOLANA_RPC_URL || "https://api.mainnet-beta.solana.com",
-  moltiumMint: process.env.MOLTIUM_MINT_ADDRESS || "",
   minBalance: parseInt(process.env.MOLTIUM_MIN_BALANCE || "0", 10), // 0 = no balance requirement
-  cacheTtl: parseInt(process.env.BALANCE_CACHE_TTL || "60", 10) * 1000, // Convert to ms
   authEnabled: process.env.AUTH_ENABLED !== "false",
   skipTokenCheck: process.env.SKIP_TOKEN_CHECK === "true",
   adminSecret: process.env.ADMIN_SECRET || "",
   nodeEnv: process.env.NODE_ENV || "development",
+  legacySessions: process.env.AUTH_LEGACY_SESSIONS || "read", // "all", "read" (GET only) or "off"
+  sessionMaxAge: parseInt(process.env.AUTH_SESSION_MAX_AGE || "60", 10) * 60 * 1000, // Legacy session signatures
 };
 
-// Balance cache: wallet -> { balance, timestamp }
-const balanceCache = new Map();
-
-// Solana connection (lazy-initialized)
-let connection = null;
-
-function getConnection() {
-  if (!connection) {
-    connection = new Connection(config.rpcUrl, "confirmed");
-  }
-  return connection;
-}
+const CHALLENGE_FORMAT = "X-Solana-Auth: <wallet_pubkey>:<signature>:<nonce>";
+const CHALLENGE_HINT = "Get a nonce from GET /api/auth/challenge and sign molt-of-empires:<nonce>:<METHOD>:<path>:<sha256(body) hex>";
 
 /**
  * Check if a string is a valid Solana public key
@@ -68,58 +69,21 @@ function verifySignature(message, signature, publicKey) {
 
 /**
  * Get $MOLTIUM token balance for a wallet
- * Uses caching to reduce RPC calls
+ * Uses the configured balance provider and its cache (see balances.js)
  */
 async function getMoltiumBalance(walletAddress) {
-  // Check cache first
-  const cached = balanceCache.get(walletAddress);
-  if (cached && Date.now() - cached.timestamp < config.cacheTtl) {
-    return cached.balance;
-  }
-
-  // Skip actual balance check if no mint configured or skipTokenCheck is true
-  if (config.skipTokenCheck || !config.moltiumMint) {
-    const balance = config.minBalance + 1; // Return balance above threshold
-    balanceCache.set(walletAddress, { balance, timestamp: Date.now() });
-    return balance;
-  }
-
-  try {
-    const conn = getConnection();
-    const walletPubkey = new PublicKey(walletAddress);
-    const mintPubkey = new PublicKey(config.moltiumMint);
-
-    // Get the associated token account
-    const tokenAccount = await getAssociatedTokenAddress(mintPubkey, walletPubkey);
-
-    try {
-      const account = await getAccount(conn, tokenAccount);
-      // SPL tokens have decimals, assume 6 decimals (common for SPL tokens)
-      // Adjust divisor based on actual token decimals when deployed
-      const balance = Number(account.amount) / 1_000_000;
-      balanceCache.set(walletAddress, { balance, timestamp: Date.now() });
-      return balance;
-    } catch (err) {
-      // Account doesn't exist = 0 balance
-      if (err.name === "TokenAccountNotFoundError") {
-        balanceCache.set(walletAddress, { balance: 0, timestamp: Date.now() });
-        return 0;
-      }
-      throw err;
-    }
-  } catch (err) {
-    console.error("Balance check error:", err.message);
-    // On error, check cache even if stale
-    if (cached) {
-      return cached.balance;
-    }
-    throw err;
+  // Skip actual balance check if no token is configured or skipTokenCheck is true
+  if (config.skipTokenCheck || !getBalanceProvider().configured) {
+    return config.minBalance + 1; // Return balance above threshold
   }
+  return getBalance(walletAddress);
 }
 
 /**
  * Parse the X-Solana-Auth header
- * Format: <wallet_pubkey>:<signature>:<timestamp>
+ * Format: <wallet_pubkey>:<signature>:<nonce>, or <wallet_pubkey>:<signature>:<timestamp>
+ * for a legacy session signature
+ * @returns {{ wallet, signature, nonce } | { wallet, signature, timestamp } | null}
  */
 function parseAuthHeader(header) {
   if (!header) return null;
@@ -127,18 +91,58 @@ function parseAuthHeader(header) {
   const parts = header.split(":");
   if (parts.length !== 3) return null;
 
-  const [wallet, signature, timestampStr] = parts;
-  const timestamp = parseInt(timestampStr, 10);
+  const [wallet, signature, proof] = parts;
+  if (!wallet || !signature) return null;
+  if (isNonce(proof)) return { wallet, signature, nonce: proof };
 
-  if (!wallet || !signature || isNaN(timestamp)) return null;
+  const timestamp = parseInt(proof, 10);
+  if (isNaN(timestamp)) return null;
 
   return { wallet, signature, timestamp };
 }
 
+/**
+ * Whether a legacy session signature may be used for this request method
+ * ("WS" for WebSocket auth, which also lets a client chat)
+ */
+function legacySessionAllowed(method) {
+  if (config.legacySessions === "all") return true;
+  if (config.legacySessions === "off") return false;
+  return method === "GET" || method === "HEAD";
+}
+
+/**
+ * Check a challenge signature and use up its nonce
+ * @param {Object} auth - From parseAuthHeader()
+ * @param {Object} request - { method, path, bodyHash } that was signed
+ * @param {Object} [source] - { endpoint, ip } for the security log
+ * @returns {string|null} Why it failed: "invalid_signature", "replayed", "expired", or null
+ */
+function verifyChallenge({ wallet, signature, nonce }, request, source = {}) {
+  if (!verifySignature(challengeMessage({ nonce, ...request }), signature, wallet)) {
+    return "invalid_signature";
+  }
+  const status = consumeNonce(nonce);
+  if (status === "used") {
+    logReplayAttempt(wallet, source.endpoint, source.ip);
+    return "replayed";
+  }
+  return status === "ok" ? null : "expired";
+}
+
+/**
+ * Respond 401 and record the failure (the wallet named in the header is unverified)
+ */
+function reject(req, res, body) {
+  const wallet = req.headers["x-solana-auth"]?.split(":")[0] || null;
+  logAuthFailure(body.error, wallet, req.originalUrl || req.url, req.ip || req.connection?.remoteAddress);
+  return res.status(401).json(body);
+}
+
 /**
  * Main authentication middleware
- * Validates wallet signature and $MOLTIUM balance
- * Sets req.walletAddress on success
+ * Validates wallet signature and $MOLTIUM balance, or an API key
+ * Sets req.walletAddress on success (and req.apiKey for API keys)
  */
 export async function requireAuth(req, res, next) {
   // Skip auth if disabled
@@ -146,53 +150,103 @@ export async function requireAuth(req, res, next) {
     return next();
   }
 
+  const apiKeyHeader = req.headers["x-api-key"];
+  if (apiKeyHeader) {
+    let apiKey;
+    try {
+      apiKey = await verifyApiKey(apiKeyHeader);
+    } catch (err) {
+      console.error("API key check failed:", err.message);
+      return res.status(500).json({ error: "API key check failed" });
+    }
+    if (!apiKey) {
+      return reject(req, res, {
+        error: "Invalid API key",
+        message: "The key is unknown, expired or revoked",
+      });
+    }
+    req.apiKey = apiKey;
+    return authenticateAs(req, res, next, apiKey.agentId);
+  }
+
   const authHeader = req.headers["x-solana-auth"];
 
   if (!authHeader) {
-    return res.status(401).json({
+    return reject(req, res, {
       error: "Authentication required",
-      message: "Missing X-Solana-Auth header",
-      format: "X-Solana-Auth: <wallet_pubkey>:<signature>:<timestamp>",
+      message: "Missing X-Solana-Auth or X-Api-Key header",
+      format: CHALLENGE_FORMAT,
+      hint: CHALLENGE_HINT,
     });
   }
 
   const auth = parseAuthHeader(authHeader);
   if (!auth) {
-    return res.status(401).json({
+    return reject(req, res, {
       error: "Invalid auth header format",
-      format: "X-Solana-Auth: <wallet_pubkey>:<signature>:<timestamp>",
+      format: CHALLENGE_FORMAT,
     });
   }
 
-  const { wallet, signature, timestamp } = auth;
+  const { wallet } = auth;
 
   // Validate wallet is a valid public key
   if (!isValidPublicKey(wallet)) {
-    return res.status(401).json({
+    return reject(req, res, {
       error: "Invalid wallet address",
       wallet,
     });
   }
 
-  // Check timestamp is within 24 hours (session-based auth)
-  const now = Date.now();
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  if (Math.abs(now - timestamp) > maxAge) {
-    return res.status(401).json({
-      error: "Timestamp expired or invalid",
-      message: "Timestamp must be within 24 hours of server time - please reconnect wallet",
-      serverTime: now,
-      providedTime: timestamp,
-    });
-  }
+  if (auth.nonce) {
+    const endpoint = req.originalUrl || req.url;
+    const failure = verifyChallenge(
+      auth,
+      { method: req.method, path: endpoint, bodyHash: hashBody(req.rawBody) },
+      { endpoint, ip: req.ip || req.connection?.remoteAddress }
+    );
+    if (failure === "invalid_signature") {
+      return reject(req, res, {
+        error: "Invalid signature",
+        message: "The signature must cover the nonce, method, path and body of this request",
+        hint: CHALLENGE_HINT,
+      });
+    }
+    if (failure) {
+      return reject(req, res, {
+        error: failure === "replayed" ? "Challenge already used" : "Challenge expired or unknown",
+        message: "Each challenge can be used for one request. " + CHALLENGE_HINT,
+      });
+    }
+  } else {
+    if (!legacySessionAllowed(req.method)) {
+      return reject(req, res, {
+        error: "Signed challenge required",
+        message: "Session signatures can only be used for reads. " + CHALLENGE_HINT,
+        format: CHALLENGE_FORMAT,
+      });
+    }
 
-  // Verify signature
-  const message = `molt-of-empires:${timestamp}`;
-  if (!verifySignature(message, signature, wallet)) {
-    return res.status(401).json({
-      error: "Invalid signature",
-      message: "Signature verification failed",
-    });
+    // Check the session signature is recent enough
+    const { signature, timestamp } = auth;
+    const now = Date.now();
+    if (Math.abs(now - timestamp) > config.sessionMaxAge) {
+      return reject(req, res, {
+        error: "Timestamp expired or invalid",
+        message: `Session signatures expire after ${config.sessionMaxAge / 60000} minutes - sign a new one or use a challenge`,
+        serverTime: now,
+        providedTime: timestamp,
+      });
+    }
+
+    // Verify signature
+    const message = `molt-of-empires:${timestamp}`;
+    if (!verifySignature(message, signature, wallet)) {
+      return reject(req, res, {
+        error: "Invalid signature",
+        message: "Signature verification failed",
+      });
+    }
   }
 
   // Check $MOLTIUM balance (only if minBalance > 0)
@@ -216,7 +270,13 @@ export async function requireAuth(req, res, next) {
     }
   }
 
-  // Auth successful - set wallet address and validate/override agentId in body
+  return authenticateAs(req, res, next, wallet);
+}
+
+/**
+ * Auth successful - set wallet address and validate/override agentId in body
+ */
+function authenticateAs(req, res, next, wallet) {
   req.walletAddress = wallet;
 
   // Validate and override agentId in request body with wallet address
@@ -309,4 +369,4 @@ export { config as authConfig };
 /**
  * Export helper functions for wsAuth.js
  */
-export { parseAuthHeader, verifySignature, isValidPublicKey, getMoltiumBalance };
+export { parseAuthHeader, legacySessionAllowed, verifyChallenge, verifySignature, isValidPublicKey, getMoltiumBalance };
@@ -0,0 +1,209 @@
+/**
+ * $MOLTIUM Balance Providers for Molt Wars
+ *
+ * requireAuth checks wallet balances through one provider, chosen with
+ * BALANCE_PROVIDER:
+ *
+ *   rpc   - the wallet's token account on SOLANA_RPC_URL (mainnet by default)
+ *   local - the same lookup against a solana-test-validator (SOLANA_LOCAL_RPC_URL)
+ *   mock  - in-process balances seeded from BALANCE_MOCK_FILE, no network
+ *
+ * A provider is an object { name, configured, getBalance(wallet) }, where
+ * configured is false until there is a token to check (no mint set yet).
+ *
+ * Balances are cached for BALANCE_CACHE_TTL seconds. For BALANCE_STALE_TTL
+ * seconds after that the cached balance is still served while it is refreshed
+ * in the background, and when the provider fails the last known balance is
+ * used, so an RPC outage doesn't lock out every player.
+ */
+
+import fs from 'fs';
+import { Connection, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddress, getAccount } from '@solana/spl-token';
+
+// Configuration from environment
+const config = {
+  provider: process.env.BALANCE_PROVIDER || 'rpc',
+  rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  localRpcUrl: process.env.SOLANA_LOCAL_RPC_URL || 'http://127.0.0.1:8899',
+  mint: process.env.MOLTIUM_MINT_ADDRESS || '',
+  decimals: parseInt(process.env.MOLTIUM_DECIMALS || '6', 10),
+  mockFile: process.env.BALANCE_MOCK_FILE || '',
+  cacheTtl: parseInt(process.env.BALANCE_CACHE_TTL || '60', 10) * 1000,      // Convert to ms
+  staleTtl: parseInt(process.env.BALANCE_STALE_TTL || '3600', 10) * 1000,    // Served while refreshing
+};
+
+/**
+ * Provider reading the SPL token account of a wallet over RPC
+ * @param {Object} options
+ * @param {string} options.name - "rpc" or "local"
+ * @param {string} options.rpcUrl
+ * @param {string} options.mint - $MOLTIUM mint address; unset before the token exists
+ * @param {number} options.decimals
+ */
+export function createRpcProvider({ name, rpcUrl, mint, decimals }) {
+  let connection = null; // Lazy-initialized
+
+  return {
+    name,
+    configured: Boolean(mint),
+    async getBalance(wallet) {
+      if (!connection) connection = new Connection(rpcUrl, 'confirmed');
+      const tokenAccount = await getAssociatedTokenAddress(new PublicKey(mint), new PublicKey(wallet));
+      try {
+        const account = await getAccount(connection, tokenAccount);
+        return Number(account.amount) / 10 ** decimals;
+      } catch (err) {
+        // Account doesn't exist = 0 balance
+        if (err.name === 'TokenAccountNotFoundError') return 0;
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * In-process provider for tests and offline development
+ * @param {Object} [seed]
+ * @param {Object<string, number>} [seed.balances] - wallet -> balance
+ * @param {number} [seed.defaultBalance] - Balance of wallets not listed
+ */
+export function createMockProvider({ balances = {}, defaultBalance = 0 } = {}) {
+  const known = new Map(Object.entries(balances));
+
+  return {
+    name: 'mock',
+    configured: true,
+    async getBalance(wallet) {
+      return known.get(wallet) ?? defaultBalance;
+    },
+    setBalance(wallet, balance) {
+      known.set(wallet, balance);
+    },
+  };
+}
+
+/**
+ * Read a mock seed file: { "defaultBalance": 0, "balances": { "<wallet>": 1500 } }
+ */
+export function loadMockBalances(file) {
+  const seed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { balances = {}, defaultBalance = 0 } = seed;
+  for (const [wallet, balance] of Object.entries(balances)) {
+    if (typeof balance !== 'number' || balance < 0) {
+      throw new Error(`Invalid mock balance for ${wallet} in ${file}`);
+    }
+  }
+  return { balances, defaultBalance };
+}
+
+function createConfiguredProvider() {
+  const { mint, decimals } = config;
+  switch (config.provider) {
+    case 'rpc':
+      return createRpcProvider({ name: 'rpc', rpcUrl: config.rpcUrl, mint, decimals });
+    case 'local':
+      return createRpcProvider({ name: 'local', rpcUrl: config.localRpcUrl, mint, decimals });
+    case 'mock':
+      return createMockProvider(config.mockFile ? loadMockBalances(config.mockFile) : {});
+    default:
+      throw new Error(`Unknown BALANCE_PROVIDER "${config.provider}" (expected rpc, local or mock)`);
+  }
+}
+
+let provider = null;
+
+// Balance cache: wallet -> { balance, fetchedAt }
+const cache = new Map();
+// Lookups in flight: wallet -> Promise<number>
+const pending = new Map();
+
+const stats = {
+  hits: 0,
+  staleHits: 0,
+  misses: 0,
+  errors: 0,
+  fallbacks: 0,
+};
+
+/**
+ * The configured provider (created on first use; throws on bad config)
+ */
+export function getBalanceProvider() {
+  if (!provider) provider = createConfiguredProvider();
+  return provider;
+}
+
+/**
+ * Replace the provider (e.g. with a mock in tests). Clears the cache.
+ */
+export function setBalanceProvider(next) {
+  provider = next;
+  cache.clear();
+  pending.clear();
+}
+
+// Fetch a balance, sharing the lookup with concurrent callers
+function refresh(wallet) {
+  if (pending.has(wallet)) return pending.get(wallet);
+  const lookup = getBalanceProvider().getBalance(wallet)
+    .then(balance => {
+      cache.set(wallet, { balance, fetchedAt: Date.now() });
+      return balance;
+    })
+    .finally(() => pending.delete(wallet));
+  pending.set(wallet, lookup);
+  return lookup;
+}
+
+/**
+ * $MOLTIUM balance of a wallet, from the cache when possible
+ * @param {string} wallet
+ * @returns {Promise<number>}
+ * @throws If the provider fails and the wallet has never been looked up
+ */
+export async function getBalance(wallet, now = Date.now()) {
+  const cached = cache.get(wallet);
+  const age = cached ? now - cached.fetchedAt : Infinity;
+
+  if (age < config.cacheTtl) {
+    stats.hits++;
+    return cached.balance;
+  }
+
+  if (age < config.cacheTtl + config.staleTtl) {
+    stats.staleHits++;
+    refresh(wallet).catch(err => {
+      stats.errors++;
+      console.error("Balance refresh error:", err.message);
+    });
+    return cached.balance;
+  }
+
+  stats.misses++;
+  try {
+    return await refresh(wallet);
+  } catch (err) {
+    stats.errors++;
+    console.error("Balance check error:", err.message);
+    // On error, use the cache even if it is older than the stale window
+    if (cached) {
+      stats.fallbacks++;
+      return cached.balance;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Provider name and cache counters, for diagnostics
+ */
+export function getBalanceStats() {
+  return {
+    provider: provider?.name ?? config.provider,
+    cached: cache.size,
+    ...stats,
+  };
+}
+
+export { config as balanceConfig };
@@ -0,0 +1,165 @@
+/**
+ * Temporary IP Bans for Molt Wars
+ *
+ * A banned address gets 403 on every API request and cannot open a WebSocket
+ * until its ban expires. Admins can ban and unban addresses by hand, and
+ * evaluateAutoBans() bans addresses whose stored security events (see
+ * securityLogger.js) pass a per-type threshold within the last window. Bans
+ * are persisted so they survive restarts.
+ *
+ * Addresses come from req.ip. Behind a reverse proxy that Express does not
+ * trust, every client shares the proxy's address, so loopback addresses are
+ * never banned.
+ */
+
+import { dbRun, dbAll } from './db.js';
+import { SecurityEventType, logSecurityEvent, countEventsByIp } from './securityLogger.js';
+
+// Configuration
+const config = {
+  autoBan: process.env.SECURITY_AUTO_BAN !== 'false',
+  windowMs: 10 * 60 * 1000,                                               // Events counted over the last 10 minutes
+  durationMs: parseInt(process.env.SECURITY_BAN_MINUTES || '60', 10) * 60 * 1000,
+  maxDurationMs: 30 * 24 * 60 * 60 * 1000,
+  // Events from one address within the window that trigger a ban
+  thresholds: {
+    [SecurityEventType.AUTH_FAILURE]: 50,
+    [SecurityEventType.ADMIN_AUTH_FAILED]: 10,
+    [SecurityEventType.WS_AUTH_FAILURE]: 50,
+    [SecurityEventType.REPLAY_ATTEMPT]: 10,
+    [SecurityEventType.RATE_LIMIT_EXCEEDED]: 300,
+  },
+  exemptIps: [
+    '127.0.0.1', '::1', '::ffff:127.0.0.1',
+    ...(process.env.SECURITY_BAN_EXEMPT_IPS?.split(',').map(ip => ip.trim()).filter(Boolean) || []),
+  ],
+};
+
+// Active bans: ip -> { ip, reason, source, createdAt, expiresAt }
+const bans = new Map();
+
+function formatBan(row) {
+  return {
+    ip: row.ip,
+    reason: row.reason,
+    source: row.source,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Load unexpired bans from the database (call once at startup)
+ * @returns {Promise<number>} Number of active bans
+ */
+export async function loadBans(now = Date.now()) {
+  const rows = await dbAll(`SELECT * FROM ip_bans WHERE expires_at > ?`, [now]);
+  bans.clear();
+  for (const row of rows) bans.set(row.ip, formatBan(row));
+  return bans.size;
+}
+
+/**
+ * Whether an address may never be banned
+ */
+export function isExempt(ip) {
+  return config.exemptIps.includes(ip);
+}
+
+/**
+ * The active ban on an address, if any
+ * @returns {Object|null}
+ */
+export function isBanned(ip, now = Date.now()) {
+  const ban = bans.get(ip);
+  if (!ban) return null;
+  if (ban.expiresAt <= now) {
+    bans.delete(ip);
+    return null;
+  }
+  return ban;
+}
+
+/**
+ * Ban an address (replacing any existing ban on it)
+ * @param {string} ip
+ * @param {Object} options
+ * @param {string} options.reason
+ * @param {number} [options.durationMs]
+ * @param {'admin'|'auto'} [options.source]
+ * @returns {Promise<Object>} The ban
+ */
+export async function banIp(ip, { reason, durationMs = config.durationMs, source = 'admin' }, now = Date.now()) {
+  const ban = { ip, reason, source, createdAt: now, expiresAt: now + Math.min(durationMs, config.maxDurationMs) };
+  bans.set(ip, ban); // Effective right away, even if the write below fails
+  await dbRun(
+    `INSERT OR REPLACE INTO ip_bans (ip, reason, source, created_at, expires_at) VALUES (?, ?, ?, ?, ?)`,
+    [ip, reason, source, ban.createdAt, ban.expiresAt]
+  );
+  logSecurityEvent(SecurityEventType.IP_BANNED, { ip, reason, source, expiresAt: ban.expiresAt });
+  return ban;
+}
+
+/**
+ * Lift a ban
+ * @returns {Promise<Object|null>} The lifted ban, or null if the address was not banned
+ */
+export async function unbanIp(ip) {
+  const ban = isBanned(ip);
+  bans.delete(ip);
+  await dbRun(`DELETE FROM ip_bans WHERE ip = ?`, [ip]);
+  return ban;
+}
+
+/**
+ * Active bans, soonest to expire first
+ */
+export function listBans(now = Date.now()) {
+  return [...bans.keys()]
+    .map(ip => isBanned(ip, now))
+    .filter(Boolean)
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+/**
+ * Ban addresses whose recent security events pass a threshold. Reads the
+ * database, so flush buffered events first.
+ * @returns {Promise<Object[]>} Bans created
+ */
+export async function evaluateAutoBans(now = Date.now()) {
+  if (!config.autoBan) return [];
+
+  const rows = await countEventsByIp(now - config.windowMs, Object.keys(config.thresholds));
+  const created = [];
+  for (const { ip, event, count } of rows) {
+    if (count < config.thresholds[event] || isExempt(ip) || isBanned(ip, now)) continue;
+    const reason = `${count} ${event} events in ${config.windowMs / 60000} minutes`;
+    created.push(await banIp(ip, { reason, source: 'auto' }, now));
+  }
+  return created;
+}
+
+/**
+ * Drop expired bans from the database
+ */
+export function pruneBans() {
+  dbRun(`DELETE FROM ip_bans WHERE expires_at <= ?`, [Date.now()])
+    .catch(err => console.error('Failed to prune IP bans:', err));
+}
+
+/**
+ * Reject requests from banned addresses
+ */
+export function rejectBannedIps(req, res, next) {
+  const ban = isBanned(req.ip);
+  if (!ban) return next();
+
+  res.set('Retry-After', Math.ceil((ban.expiresAt - Date.now()) / 1000));
+  return res.status(403).json({
+    error: "Address temporarily banned",
+    reason: ban.reason,
+    expiresAt: ban.expiresAt,
+  });
+}
+
+export { config as banConfig };
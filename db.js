@@ -209,6 +209,12 @@ export async function initTables() {
         data TEXT NOT NULL
       )`
       );
+      database.run(
+        `CREATE TABLE IF NOT EXISTS acs_groups (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )`
+      );
       database.run(`CREATE TABLE IF NOT EXISTS score_history (
         agent_id TEXT NOT NULL,
         score INTEGER NOT NULL,
@@ -226,6 +232,69 @@ export async function initTables() {
         failures INTEGER DEFAULT 0
       )`);
       database.run(`CREATE INDEX IF NOT EXISTS idx_webhooks_agent ON webhooks(agent_id)`);
+      database.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_status_code INTEGER,
+        last_latency_ms INTEGER,
+        last_error TEXT,
+        attempt_log TEXT,
+        redelivery_of TEXT,
+        created_at INTEGER NOT NULL,
+        completed_at INTEGER
+      )`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, created_at)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`);
+      // API keys for bots (only a hash of each key is stored)
+      database.run(`CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        name TEXT,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        rate_limit TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      )`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_api_keys_agent ON api_keys(agent_id)`);
+      // Security event log (pruned by age) and temporary IP bans
+      database.run(`CREATE TABLE IF NOT EXISTS security_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        wallet TEXT,
+        ip TEXT,
+        endpoint TEXT,
+        details TEXT,
+        created_at INTEGER NOT NULL
+      )`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_security_events_time ON security_events(created_at)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_security_events_ip ON security_events(ip, created_at)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_security_events_wallet ON security_events(wallet, created_at)`);
+      database.run(`CREATE TABLE IF NOT EXISTS ip_bans (
+        ip TEXT PRIMARY KEY,
+        reason TEXT NOT NULL,
+        source TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )`);
+      // Short replay buffer for the SSE event stream (pruned by age)
+      database.run(`CREATE TABLE IF NOT EXISTS agent_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_agent_events_agent ON agent_events(agent_id, id)`);
       database.run(`CREATE TABLE IF NOT EXISTS alliances (
         id TEXT PRIMARY KEY,
         name TEXT NOT NULL UNIQUE,
@@ -0,0 +1,122 @@
+/**
+ * Server-Sent Events for Molt Wars
+ *
+ * Streams an agent's private events over a plain HTTP response for bots that
+ * can't hold a WebSocket. Every event is numbered by its row in the persisted
+ * event buffer, so a client that reconnects with Last-Event-ID replays what it
+ * missed before live events resume.
+ */
+
+// Configuration
+const config = {
+  maxStreamsPerAgent: 5,
+  heartbeatMs: 25000,        // Comment line keeps proxies from closing idle streams
+  retryMs: 5000,             // Reconnect delay suggested to clients
+  retentionMs: 60 * 60 * 1000, // Events kept for replay (1 hour)
+  maxReplay: 500,            // Most events replayed on one reconnect
+};
+
+const streams = new Map(); // agentId -> Set of streams
+
+/**
+ * Format one SSE frame
+ *
+ * @param {{ id?: number, event?: string, data?: Object, comment?: string }} frame
+ * @returns {string}
+ */
+export function formatEvent({ id, event, data, comment }) {
+  let frame = '';
+  if (comment !== undefined) frame += `: ${comment}\n`;
+  if (id !== undefined) frame += `id: ${id}\n`;
+  if (event !== undefined) frame += `event: ${event}\n`;
+  if (data !== undefined) frame += `data: ${JSON.stringify(data)}\n`;
+  return frame + '\n';
+}
+
+/**
+ * Parse a Last-Event-ID header or query value
+ *
+ * @param {string|undefined} value
+ * @returns {number|null} Event id, or null if absent or invalid
+ */
+export function parseLastEventId(value) {
+  if (typeof value !== 'string' || !/^\d{1,15}$/.test(value)) return null;
+  return Number(value);
+}
+
+/**
+ * Register a new stream for an agent
+ * Live events are held back until markReady() so they can't overtake the replay.
+ *
+ * @param {string} agentId
+ * @param {Object} res - Express response, already sent SSE headers
+ * @returns {Object|null} The stream, or null if the agent has too many open
+ */
+export function openStream(agentId, res) {
+  const agentStreams = streams.get(agentId) || new Set();
+  if (agentStreams.size >= config.maxStreamsPerAgent) return null;
+
+  const stream = { res, ready: false, pending: [], lastId: 0 };
+  stream.heartbeat = setInterval(() => res.write(formatEvent({ comment: 'ping' })), config.heartbeatMs);
+  agentStreams.add(stream);
+  streams.set(agentId, agentStreams);
+  return stream;
+}
+
+/**
+ * Remove a stream when its connection closes
+ */
+export function closeStream(agentId, stream) {
+  clearInterval(stream.heartbeat);
+  const agentStreams = streams.get(agentId);
+  if (!agentStreams) return;
+  agentStreams.delete(stream);
+  if (agentStreams.size === 0) streams.delete(agentId);
+}
+
+// Write an event unless the stream already sent it (replay and live can overlap)
+function writeEntry(stream, entry) {
+  if (entry.id <= stream.lastId) return;
+  stream.res.write(formatEvent({ id: entry.id, event: entry.event, data: entry.data }));
+  stream.lastId = entry.id;
+}
+
+/**
+ * Send replayed events, then anything that arrived meanwhile, and go live
+ *
+ * @param {Object} stream - From openStream()
+ * @param {Array<{ id: number, event: string, data: Object }>} replay - Buffered events, oldest first
+ */
+export function markReady(stream, replay) {
+  for (const entry of replay) writeEntry(stream, entry);
+  for (const entry of stream.pending) writeEntry(stream, entry);
+  stream.pending = [];
+  stream.ready = true;
+}
+
+/**
+ * Push a live event to every open stream of an agent
+ *
+ * @param {string} agentId
+ * @param {{ id: number, event: string, data: Object }} entry
+ */
+export function pushEvent(agentId, entry) {
+  for (const stream of streams.get(agentId) || []) {
+    if (stream.ready) writeEntry(stream, entry);
+    else stream.pending.push(entry);
+  }
+}
+
+/**
+ * End every open stream (on shutdown, so the HTTP server can close)
+ */
+export function closeAllStreams() {
+  for (const [agentId, agentStreams] of streams) {
+    for (const stream of agentStreams) {
+      closeStream(agentId, stream);
+      stream.res.end();
+    }
+  }
+}
+
+export { config as eventStreamConfig };
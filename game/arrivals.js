@@ -0,0 +1,31 @@
+/**
+ * Fleet Arrival Timing for Molt Wars
+ *
+ * A fleet event resolves at the fleet's own arrival time, not at the moment
+ * the server gets to it. After downtime the scheduler catches up on every
+ * overdue arrival; planets are settled to the arrival time and the next leg
+ * of the flight starts from it, so an outage doesn't delay fleets or change
+ * what they find when they land.
+ */
+
+/**
+ * Send a fleet home
+ * @param {Object} fleet
+ * @param {number} returnSeconds - Flight time back to the origin
+ * @param {number} at - When the fleet turned back, in ms (its arrival time)
+ */
+export function startReturnLeg(fleet, returnSeconds, at) {
+  fleet.returning = true;
+  fleet.arrivesAt = at + returnSeconds * 1000;
+}
+
+/**
+ * Park a fleet at an ally's planet for its hold duration
+ * @param {Object} fleet - Fleet with holdDuration in ms
+ * @param {number} at - When the fleet arrived, in ms
+ */
+export function startHold(fleet, at) {
+  fleet.holding = true;
+  fleet.holdUntil = at + fleet.holdDuration;
+  fleet.arrivesAt = fleet.holdUntil;
+}
@@ -6,6 +6,7 @@
  */
 
 import { SHIPS, DEFENSES } from "./constants.js";
+import { getModifiers } from "./modifiers.js";
 
 /**
  * Get combat stats with technology bonuses applied
@@ -18,16 +19,14 @@ export function getCombatStats(unitType, isDefense, agent) {
   const baseUnit = isDefense ? DEFENSES[unitType] : SHIPS[unitType];
   if (!baseUnit) return null;
 
-  const weaponsTech = agent?.tech?.weaponsTech || 0;
-  const shieldingTech = agent?.tech?.shieldingTech || 0;
-  const armourTech = agent?.tech?.armourTech || 0;
+  const { weapons, shielding, armour } = getModifiers(agent);
 
   return {
     type: unitType,
     isDefense,
-    attack: Math.floor(baseUnit.attack * (1 + weaponsTech * 0.1)),
-    shield: Math.floor(baseUnit.shield * (1 + shieldingTech * 0.1)),
-    hull: Math.floor((baseUnit.hull / 10) * (1 + armourTech * 0.1)),
+    attack: Math.floor(baseUnit.attack * weapons),
+    shield: Math.floor(baseUnit.shield * shielding),
+    hull: Math.floor((baseUnit.hull / 10) * armour),
     rapidfire: baseUnit.rapidfire || {},
     cargo: baseUnit.cargo || 0
   };
@@ -39,9 +38,10 @@ export function getCombatStats(unitType, isDefense, agent) {
  * @param {Object} defense - Defense counts by type
  * @param {Object} agent - Agent object with tech levels
  * @param {string} side - 'attacker' or 'defender'
+ * @param {number} participant - Index of the owning fleet within its side (combined battles)
  * @returns {Array} Array of combat unit instances
  */
-export function createCombatUnits(ships, defense, agent, side) {
+export function createCombatUnits(ships, defense, agent, side, participant = 0) {
   const units = [];
 
   // Add ships
@@ -51,7 +51,9 @@ export function createCombatUnits(ships, defense, agent, side) {
 
     for (let i = 0; i < count; i++) {
       units.push({
-        id: `${side}_${shipType}_${i}`,
+        id: `${side}_${participant}_${shipType}_${i}`,
+        side,
+        participant,
         ...stats,
         currentShield: stats.shield,
         currentHull: stats.hull,
@@ -64,11 +66,14 @@ export function createCombatUnits(ships, defense, agent, side) {
   // Add defenses
   for (const [defType, count] of Object.entries(defense || {})) {
     const stats = getCombatStats(defType, true, agent);
-    if (!stats || count <= 0) continue;
+    // Missiles sit in the silo and never join fleet combat
+    if (!stats || count <= 0 || DEFENSES[defType]?.missile) continue;
 
     for (let i = 0; i < count; i++) {
       units.push({
-        id: `${side}_${defType}_${i}`,
+        id: `${side}_${participant}_${defType}_${i}`,
+        side,
+        participant,
         ...stats,
         currentShield: stats.shield,
         currentHull: stats.hull,
@@ -81,19 +86,58 @@ export function createCombatUnits(ships, defense, agent, side) {
   return units;
 }
 
+/**
+ * Empty per-round shot statistics for both sides
+ * @returns {Object} Round log accumulator used by fireAtEnemy
+ */
+export function createRoundLog() {
+  const sideStats = () => ({ shots: 0, bounced: 0, shieldAbsorbed: 0, hullDamage: 0, kills: 0, rapidfireShots: 0, longestRapidfireChain: 0 });
+  return { attacker: sideStats(), defender: sideStats(), fire: {} };
+}
+
+/**
+ * Record one shot in the round log, per side and per shooter/target type pair
+ * @param {Object} roundLog - Accumulator from createRoundLog (ignored when missing)
+ * @param {Object} shooter - Firing unit
+ * @param {Object} target - Unit that was hit
+ * @param {Object} shot - { bounced, absorbed, hullDamage, destroyed, chain }
+ */
+function recordShot(roundLog, shooter, target, shot) {
+  if (!roundLog?.fire) return;
+  const stats = roundLog[shooter.side];
+  stats.shots++;
+  if (shot.bounced) stats.bounced++;
+  stats.shieldAbsorbed += shot.absorbed || 0;
+  stats.hullDamage += shot.hullDamage || 0;
+  if (shot.destroyed) stats.kills++;
+  if (shot.chain > 0) stats.rapidfireShots++;
+  stats.longestRapidfireChain = Math.max(stats.longestRapidfireChain, shot.chain);
+
+  const key = `${shooter.side}|${shooter.type}|${target.type}`;
+  const pair = roundLog.fire[key] || (roundLog.fire[key] = {
+    side: shooter.side, shooter: shooter.type, target: target.type, shots: 0, absorbed: 0, hullDamage: 0, kills: 0
+  });
+  pair.shots++;
+  pair.absorbed += shot.absorbed || 0;
+  pair.hullDamage += shot.hullDamage || 0;
+  if (shot.destroyed) pair.kills++;
+}
+
 /**
  * Single unit fires at enemy units
  * Handles damage application, shield mechanics, destruction, and rapidfire
  * @param {Object} attacker - Attacking unit
  * @param {Array} enemies - Array of enemy units
- * @param {Array} battleLog - Log array for battle events
+ * @param {Object} roundLog - Round statistics accumulator (see createRoundLog)
+ * @param {Function} rng - Random source returning [0, 1)
+ * @param {number} chain - Rapidfire shots already fired in this chain
  */
-export function fireAtEnemy(attacker, enemies, battleLog) {
+export function fireAtEnemy(attacker, enemies, roundLog, rng = Math.random, chain = 0) {
   const aliveEnemies = enemies.filter(e => !e.destroyed);
   if (aliveEnemies.length === 0) return;
 
   // Select random target
-  const target = aliveEnemies[Math.floor(Math.random() * aliveEnemies.length)];
+  const target = aliveEnemies[Math.floor(rng() * aliveEnemies.length)];
 
   // Calculate damage
   const damage = attacker.attack;
@@ -101,14 +145,18 @@ export function fireAtEnemy(attacker, enemies, battleLog) {
   // Check if shot bounces (damage < 1% of shield)
   if (damage < target.currentShield * 0.01) {
     // Shot bounces, no damage
+    recordShot(roundLog, attacker, target, { bounced: true, chain });
     return;
   }
 
   // Apply damage to shield first, then hull
+  let absorbed = damage;
+  let hullDamage = 0;
   if (damage <= target.currentShield) {
     target.currentShield -= damage;
   } else {
-    const hullDamage = damage - target.currentShield;
+    absorbed = target.currentShield;
+    hullDamage = damage - target.currentShield;
     target.currentShield = 0;
     target.currentHull -= hullDamage;
   }
@@ -122,20 +170,22 @@ export function fireAtEnemy(attacker, enemies, battleLog) {
     const hullPercent = target.currentHull / target.initialHull;
     if (hullPercent < 0.7) {
       const explosionChance = 1 - hullPercent;
-      if (Math.random() < explosionChance) {
+      if (rng() < explosionChance) {
         target.destroyed = true;
         target.currentHull = 0;
       }
     }
   }
 
+  recordShot(roundLog, attacker, target, { absorbed, hullDamage, destroyed: target.destroyed, chain });
+
   // Check rapidfire - chance to fire again
   const rapidfireValue = attacker.rapidfire[target.type];
   if (rapidfireValue && rapidfireValue > 1) {
     const rapidfireChance = (rapidfireValue - 1) / rapidfireValue;
-    if (Math.random() < rapidfireChance) {
+    if (rng() < rapidfireChance) {
       // Fire again at a (possibly different) target
-      fireAtEnemy(attacker, enemies, battleLog);
+      fireAtEnemy(attacker, enemies, roundLog, rng, chain + 1);
     }
   }
 }
@@ -147,9 +197,10 @@ export function fireAtEnemy(attacker, enemies, battleLog) {
  * @param {Array} defenders - Defender units
  * @param {number} roundNum - Current round number
  * @param {Array} battleLog - Log array for battle events
+ * @param {Function} rng - Random source returning [0, 1)
  * @returns {Object} Survivor counts
  */
-export function runCombatRound(attackers, defenders, roundNum, battleLog) {
+export function runCombatRound(attackers, defenders, roundNum, battleLog, rng = Math.random) {
   // Regenerate shields at start of round
   for (const unit of [...attackers, ...defenders]) {
     if (!unit.destroyed) {
@@ -160,17 +211,18 @@ export function runCombatRound(attackers, defenders, roundNum, battleLog) {
   // Each attacker fires
   const aliveAttackers = attackers.filter(a => !a.destroyed);
   const aliveDefenders = defenders.filter(d => !d.destroyed);
+  const roundLog = createRoundLog();
 
   for (const attacker of aliveAttackers) {
     if (!attacker.destroyed) {
-      fireAtEnemy(attacker, defenders, battleLog);
+      fireAtEnemy(attacker, defenders, roundLog, rng);
     }
   }
 
   // Each defender fires
   for (const defender of aliveDefenders) {
     if (!defender.destroyed) {
-      fireAtEnemy(defender, attackers, battleLog);
+      fireAtEnemy(defender, attackers, roundLog, rng);
     }
   }
 
@@ -181,28 +233,73 @@ export function runCombatRound(attackers, defenders, roundNum, battleLog) {
   battleLog.push({
     round: roundNum,
     attackersRemaining: attackersSurvived,
-    defendersRemaining: defendersSurvived
+    defendersRemaining: defendersSurvived,
+    attacker: roundLog.attacker,
+    defender: roundLog.defender,
+    fire: Object.values(roundLog.fire),
+    destroyed: {
+      attacker: countDestroyed(aliveAttackers),
+      defender: countDestroyed(aliveDefenders)
+    }
   });
 
   return { attackersSurvived, defendersSurvived };
 }
 
+/**
+ * Count destroyed units by type
+ * @param {Array} units - Units to inspect
+ * @returns {Object} Destroyed counts by type
+ */
+function countDestroyed(units) {
+  const counts = {};
+  for (const unit of units) {
+    if (unit.destroyed) counts[unit.type] = (counts[unit.type] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Add ship counts into a running total
+ * @param {Object} total - Totals by type (modified in place)
+ * @param {Object} ships - Counts by type to add
+ * @returns {Object} The totals object
+ */
+function addCounts(total, ships) {
+  for (const [type, count] of Object.entries(ships || {})) {
+    if (count > 0) total[type] = (total[type] || 0) + count;
+  }
+  return total;
+}
+
 /**
  * Main combat resolution function
  * Runs full battle simulation and returns results
- * @param {Object} attackerFleet - Fleet object with ships
+ * @param {Object|Array} attackerFleet - Fleet object with ships, or an array of fleets for a combined (ACS) attack
  * @param {Object} defenderPlanet - Planet object with ships and defense
- * @param {Object} attackerAgent - Attacker agent with tech levels
+ * @param {Object|Array} attackerAgent - Attacker agent with tech levels, or an array matching attackerFleet order
  * @param {Object} defenderAgent - Defender agent with tech levels
- * @returns {Object} Battle results including losses, survivors, and log
+ * @param {Array} supportFleets - Allied fleets holding at the planet (acsDefend), fighting on the defender's side
+ * @param {Array} supportAgents - Owners of supportFleets, in the same order
+ * @param {Function} rng - Random source returning [0, 1); pass createRng(seed) for a reproducible battle
+ * @returns {Object} Battle results including losses, survivors, per-fleet breakdown, and log
  */
-export function resolveCombat(attackerFleet, defenderPlanet, attackerAgent, defenderAgent) {
+export function resolveCombat(attackerFleet, defenderPlanet, attackerAgent, defenderAgent, supportFleets = [], supportAgents = [], rng = Math.random) {
   const battleLog = [];
   const startTime = Date.now();
 
+  // Each attacking fleet fights with its own owner's tech
+  const attackerFleets = Array.isArray(attackerFleet) ? attackerFleet : [attackerFleet];
+  const attackerAgents = Array.isArray(attackerFleet) ? attackerAgent : [attackerAgent];
+
   // Create combat units
-  const attackers = createCombatUnits(attackerFleet.ships, {}, attackerAgent, 'attacker');
+  const attackers = attackerFleets.flatMap((fleet, i) =>
+    createCombatUnits(fleet.ships, {}, attackerAgents[i], 'attacker', i)
+  );
   const defenders = createCombatUnits(defenderPlanet.ships || {}, defenderPlanet.defense || {}, defenderAgent, 'defender');
+  supportFleets.forEach((fleet, i) => {
+    defenders.push(...createCombatUnits(fleet.ships, {}, supportAgents[i], 'defender', i + 1));
+  });
 
   // Track initial counts for report
   const initialAttackers = attackers.length;
@@ -216,9 +313,16 @@ export function resolveCombat(attackerFleet, defenderPlanet, attackerAgent, defe
       attackerLosses: {},
       defenderLosses: {},
       defenderDefenseLosses: {},
-      survivingAttackers: attackerFleet.ships,
+      survivingAttackers: attackerFleets.reduce((total, fleet) => addCounts(total, fleet.ships), {}),
       survivingDefenders: {},
       survivingDefense: {},
+      attackerParticipants: attackerFleets.map(fleet => ({
+        fleetId: fleet.id,
+        ownerId: fleet.ownerId,
+        losses: {},
+        survivors: { ...fleet.ships }
+      })),
+      defenderParticipants: [],
       battleLog: [{ round: 0, note: 'No defenders - automatic victory' }],
       duration: Date.now() - startTime
     };
@@ -227,7 +331,7 @@ export function resolveCombat(attackerFleet, defenderPlanet, attackerAgent, defe
   // Run up to 6 combat rounds
   let roundNum = 1;
   while (roundNum <= 6) {
-    const result = runCombatRound(attackers, defenders, roundNum, battleLog);
+    const result = runCombatRound(attackers, defenders, roundNum, battleLog, rng);
 
     // Check for battle end
     if (result.attackersSurvived === 0 || result.defendersSurvived === 0) {
@@ -248,14 +352,23 @@ export function resolveCombat(attackerFleet, defenderPlanet, attackerAgent, defe
     winner = 'defender';
   }
 
-  // Calculate losses (group by type)
+  // Calculate losses (group by type, and per attacking fleet)
   const attackerLosses = {};
   const survivingAttackers = {};
+  const attackerParticipants = attackerFleets.map(fleet => ({
+    fleetId: fleet.id,
+    ownerId: fleet.ownerId,
+    losses: {},
+    survivors: {}
+  }));
   for (const unit of attackers) {
+    const participant = attackerParticipants[unit.participant];
     if (unit.destroyed) {
       attackerLosses[unit.type] = (attackerLosses[unit.type] || 0) + 1;
+      participant.losses[unit.type] = (participant.losses[unit.type] || 0) + 1;
     } else {
       survivingAttackers[unit.type] = (survivingAttackers[unit.type] || 0) + 1;
+      participant.survivors[unit.type] = (participant.survivors[unit.type] || 0) + 1;
     }
   }
 
@@ -264,8 +377,20 @@ export function resolveCombat(attackerFleet, defenderPlanet, attackerAgent, defe
   const survivingDefenders = {};
   const survivingDefense = {};
 
+  // Holding allied fleets are accounted separately from the planet's own units
+  const defenderParticipants = supportFleets.map(fleet => ({
+    fleetId: fleet.id,
+    ownerId: fleet.ownerId,
+    losses: {},
+    survivors: {}
+  }));
+
   for (const unit of defenders) {
-    if (unit.isDefense) {
+    if (unit.participant > 0) {
+      const participant = defenderParticipants[unit.participant - 1];
+      const bucket = unit.destroyed ? participant.losses : participant.survivors;
+      bucket[unit.type] = (bucket[unit.type] || 0) + 1;
+    } else if (unit.isDefense) {
       if (unit.destroyed) {
         defenderDefenseLosses[unit.type] = (defenderDefenseLosses[unit.type] || 0) + 1;
       } else {
@@ -291,11 +416,41 @@ export function resolveCombat(attackerFleet, defenderPlanet, attackerAgent, defe
     survivingAttackers,
     survivingDefenders,
     survivingDefense,
+    attackerParticipants,
+    defenderParticipants,
     battleLog,
     duration: Date.now() - startTime
   };
 }
 
+/**
+ * Calculate debris from destroyed ships (30% of metal+crystal cost)
+ * Defenses do not create debris
+ * @param {Object} attackerLosses - Attacker losses by type
+ * @param {Object} defenderLosses - Defender losses by type (defense structures are ignored)
+ * @returns {Object} Debris { metal, crystal }
+ */
+export function calculateDebris(attackerLosses, defenderLosses) {
+  let totalMetal = 0;
+  let totalCrystal = 0;
+
+  for (const losses of [attackerLosses, defenderLosses]) {
+    for (const [shipType, count] of Object.entries(losses || {})) {
+      const shipData = SHIPS[shipType];
+      if (shipData && shipData.cost) {
+        totalMetal += (shipData.cost.metal || 0) * count;
+        totalCrystal += (shipData.cost.crystal || 0) * count;
+      }
+    }
+  }
+
+  // 30% goes to debris field
+  return {
+    metal: Math.floor(totalMetal * 0.3),
+    crystal: Math.floor(totalCrystal * 0.3)
+  };
+}
+
 /**
  * Calculate loot from a successful attack (50% of resources, limited by cargo)
  * @param {Object} planet - Target planet with resources
@@ -362,18 +517,66 @@ export function calculateLoot(planet, survivingShips, attackerAgent) {
 }
 
 /**
- * Rebuild defenses after battle (70% chance per destroyed unit)
+ * Split loot between attacking fleets in proportion to their surviving cargo capacity
+ * @param {Object} loot - Total loot { metal, crystal, deuterium }
+ * @param {Array} participants - Attacker participants with surviving ships ({ survivors })
+ * @returns {Array} Loot share per participant, in the same order
+ */
+export function splitLoot(loot, participants) {
+  const capacities = participants.map(p => {
+    let cargo = 0;
+    for (const [shipType, count] of Object.entries(p.survivors || {})) {
+      cargo += (SHIPS[shipType]?.cargo || 0) * count;
+    }
+    return cargo;
+  });
+  const totalCapacity = capacities.reduce((a, b) => a + b, 0);
+  const shares = participants.map(() => ({ metal: 0, crystal: 0, deuterium: 0 }));
+  if (totalCapacity === 0) return shares;
+
+  const resources = ['metal', 'crystal', 'deuterium'];
+  const remainders = {};
+  for (const res of resources) {
+    const amount = loot[res] || 0;
+    let assigned = 0;
+    capacities.forEach((capacity, i) => {
+      shares[i][res] = Math.floor(amount * capacity / totalCapacity);
+      assigned += shares[i][res];
+    });
+    remainders[res] = amount - assigned;
+  }
+
+  // Rounding remainders go to the fleets with the most free cargo space left
+  const freeSpace = shares.map((share, i) => capacities[i] - share.metal - share.crystal - share.deuterium);
+  for (const res of resources) {
+    let left = remainders[res];
+    while (left > 0) {
+      const i = freeSpace.indexOf(Math.max(...freeSpace));
+      const take = Math.min(left, Math.max(1, freeSpace[i]));
+      shares[i][res] += take;
+      freeSpace[i] -= take;
+      left -= take;
+    }
+  }
+  return shares;
+}
+
+/**
+ * Rebuild defenses after battle (70% chance per destroyed unit, 85% with Chief Engineer)
  * @param {Object} planet - Planet to rebuild defenses on (modified in place)
  * @param {Object} defenseLosses - Defense losses by type
+ * @param {Function} rng - Random source returning [0, 1)
+ * @param {Object} agent - Planet owner (officer bonuses), may be null
  * @returns {Object} Rebuilt counts by type
  */
-export function rebuildDefenses(planet, defenseLosses) {
+export function rebuildDefenses(planet, defenseLosses, rng = Math.random, agent = null) {
   const rebuilt = {};
+  const { defenseRebuild } = getModifiers(agent);
 
   for (const [defType, lostCount] of Object.entries(defenseLosses)) {
     let rebuiltCount = 0;
     for (let i = 0; i < lostCount; i++) {
-      if (Math.random() < 0.7) {
+      if (rng() < defenseRebuild) {
         rebuiltCount++;
       }
     }
@@ -385,3 +588,23 @@ export function rebuildDefenses(planet, defenseLosses) {
 
   return rebuilt;
 }
+
+/**
+ * Moon creation chance from a battle's debris (1% per 100k debris, max 20%)
+ * @param {Object} debris - Debris created by the battle { metal, crystal }
+ * @returns {number} Chance in percent (0-20)
+ */
+export function calculateMoonChance(debris) {
+  const total = (debris?.metal || 0) + (debris?.crystal || 0);
+  return Math.min(20, Math.floor(total / 100000));
+}
+
+/**
+ * Roll a new moon's diameter; bigger debris fields give bigger moons
+ * @param {number} moonChance - Chance the moon was created with (percent)
+ * @param {Function} rng - Random source returning [0, 1)
+ * @returns {number} Diameter in km
+ */
+export function calculateMoonDiameter(moonChance, rng = Math.random) {
+  return Math.floor(Math.sqrt(10 + 3 * moonChance + rng() * 10) * 1000);
+}
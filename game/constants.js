@@ -112,8 +112,54 @@ export const BUILDINGS = {
     description: "The pinnacle of manufacturing technology. Nanite factories produce microscopic machines that can assemble structures atom by atom. Construction times collapse when nanite swarms handle fabrication.",
     lore: "Nanite factories are dangerous. The swarms must be perfectly controlled or they consume everything as raw material. Three colonies were lost before the containment protocols were perfected. The agents responsible still maintain the blacklist of forbidden configurations."
   },
+  missileSilo: {
+    name: "Missile Silo",
+    baseCost: { metal: 20000, crystal: 20000, deuterium: 1000 },
+    costFactor: 2,
+    baseProduction: 0,
+    icon: "🏗️",
+    requires: { shipyard: 1 },
+    description: "Hardened launch shafts for storing and firing missiles. Each level holds ten slots: Anti-Ballistic Missiles take one, Interplanetary Missiles take two.",
+    lore: "Silos are the quietest buildings on any planet. Nobody visits them, nobody talks about them, and everybody knows exactly how many their neighbours have."
+  },
+  // Moon-only buildings
+  lunarBase: {
+    name: "Lunar Base",
+    baseCost: { metal: 20000, crystal: 40000, deuterium: 20000 },
+    costFactor: 2,
+    icon: "🌕",
+    moonOnly: true,
+    description: "Pressurized habitats and landing infrastructure carved into lunar rock. Moons start with a single usable field; each Lunar Base level prepares three more for construction.",
+    lore: "The first lunar bases were bunkers, built by agents who wanted somewhere the planetary networks couldn't reach. The bunkers became shipyards. The shipyards became fortresses."
+  },
+  sensorPhalanx: {
+    name: "Sensor Phalanx",
+    baseCost: { metal: 20000, crystal: 40000, deuterium: 20000 },
+    costFactor: 2,
+    icon: "📡",
+    moonOnly: true,
+    requires: { lunarBase: 1 },
+    description: "A gravimetric sensor array that tracks drive signatures across neighbouring systems. Higher levels extend the scan radius, revealing fleet movements to and from any planet in range.",
+    lore: "Phalanx operators say they can hear a fleet spool up its drives three systems away. They are not speaking figuratively. The array converts gravitational ripples into sound, and every drive has a voice."
+  },
+  jumpGate: {
+    name: "Jump Gate",
+    baseCost: { metal: 2000000, crystal: 4000000, deuterium: 2000000 },
+    costFactor: 2,
+    icon: "🌀",
+    moonOnly: true,
+    requires: { lunarBase: 1, hyperspaceTech: 7 },
+    description: "A fixed hyperspace aperture anchored in the moon's mass. Paired gates fold the space between two moons, letting fleets cross the galaxy without burning fuel.",
+    lore: "Nobody builds a single jump gate. The second one is the expensive part—it has to already exist before the first one can find it."
+  },
 };
 
+/** Buildings that can be constructed on a moon (moon-only buildings plus a few support structures) */
+export const MOON_BUILDINGS = [
+  'lunarBase', 'sensorPhalanx', 'jumpGate',
+  'roboticsFactory', 'shipyard', 'metalStorage', 'crystalStorage', 'deuteriumTank'
+];
+
 // ============== SHIPS (Full OGame Roster) ==============
 export const SHIPS = {
   smallCargo: {
@@ -370,6 +416,29 @@ export const DEFENSES = {
     icon: "🔰",
     description: "A fortress-grade energy barrier capable of absorbing tremendous punishment. Large Shield Domes transform defended planets into siege targets that require overwhelming force to crack.",
     lore: "The siege of Proxima IV lasted eight months. The Large Shield Dome held for seven of them, buying time to evacuate twelve million colonists. The commander who stayed behind to maintain the generators became a legend."
+  },
+  // Missiles - stored in the Missile Silo, never take part in fleet combat
+  antiBallisticMissile: {
+    name: "Anti-Ballistic Missile",
+    cost: { metal: 8000, crystal: 0, deuterium: 2000 },
+    hull: 8000, shield: 1, attack: 1,
+    requires: { missileSilo: 2 },
+    missile: true,
+    siloSpace: 1,
+    icon: "🎯",
+    description: "Interceptors that launch automatically when Interplanetary Missiles approach. Each ABM destroys exactly one incoming missile before it reaches your defenses.",
+    lore: "An ABM has one job and about four seconds to do it. The guidance software is the most audited code in the galaxy."
+  },
+  interplanetaryMissile: {
+    name: "Interplanetary Missile",
+    cost: { metal: 12500, crystal: 2500, deuterium: 10000 },
+    hull: 15000, shield: 1, attack: 12000,
+    requires: { missileSilo: 4, impulseDrive: 1 },
+    missile: true,
+    siloSpace: 2,
+    icon: "☄️",
+    description: "Long-range warheads that strike planetary defenses directly, ignoring shields. Range grows with Impulse Drive research; launch them with POST /api/missiles/launch.",
+    lore: "Missiles don't negotiate, don't retreat, and don't come home. That is precisely why they were the first weapons agents agreed to limit. The limits lasted a week."
   }
 };
 
@@ -0,0 +1,150 @@
+/**
+ * Expedition System for Molt Wars
+ *
+ * Outcome tables for fleets sent into uncharted space (position 16 or any
+ * empty slot). Resolution is pure: processTick applies the returned outcome
+ * to the fleet and fights ambushes through resolveCombat.
+ */
+
+import { SHIPS } from "./constants.js";
+
+/** Deep-space slot beyond the last planet position of every system */
+export const EXPEDITION_POSITION = 16;
+
+/** Relative outcome weights (normalized at roll time) */
+export const EXPEDITION_OUTCOMES = {
+  resources: 32,
+  ships: 14,
+  pirates: 10,
+  aliens: 5,
+  delay: 16,
+  lost: 3,
+  nothing: 20
+};
+
+/** Upper bound on what a single expedition can bring back, in resource units */
+export const EXPEDITION_FIND_CAP = 250000;
+
+/** Each Pathfinder in the fleet adds this much to resource and ship finds (max +50%) */
+const PATHFINDER_FIND_BONUS = 0.05;
+const PATHFINDER_FIND_BONUS_MAX = 0.5;
+
+/** Ships that can be found drifting in deep space */
+const FINDABLE_SHIPS = ['lightFighter', 'heavyFighter', 'smallCargo', 'largeCargo', 'cruiser', 'espionageProbe'];
+
+/** Ambush tech offset relative to the expedition owner, and fleet size relative to the expedition */
+const AMBUSHERS = {
+  pirates: { name: 'Pirates', techOffset: -2, strength: 0.3 },
+  aliens: { name: 'Aliens', techOffset: 2, strength: 0.5 }
+};
+
+/**
+ * Expedition points of a fleet: structural value (metal + crystal) in thousands
+ * @param {Object} ships - Ship counts by type
+ * @returns {number} Expedition points
+ */
+export function getExpeditionPoints(ships) {
+  let points = 0;
+  for (const [shipType, count] of Object.entries(ships || {})) {
+    const shipData = SHIPS[shipType];
+    if (!shipData || count <= 0) continue;
+    points += ((shipData.cost.metal || 0) + (shipData.cost.crystal || 0)) * count / 1000;
+  }
+  return points;
+}
+
+/**
+ * Combined find multiplier from Pathfinders in the fleet and the Scientist's expeditionBonus
+ * @param {Object} ships - Ship counts by type
+ * @param {number} expeditionBonus - Officer bonus (e.g. 0.1 for +10%)
+ * @returns {number} Multiplier applied to resource and ship finds
+ */
+export function getExpeditionFindMultiplier(ships, expeditionBonus = 0) {
+  const pathfinders = ships?.pathfinder || 0;
+  const pathfinderBonus = Math.min(PATHFINDER_FIND_BONUS_MAX, pathfinders * PATHFINDER_FIND_BONUS);
+  return (1 + pathfinderBonus) * (1 + (expeditionBonus || 0));
+}
+
+/**
+ * Pick a weighted outcome
+ * @param {Function} rng - Random source returning [0, 1)
+ * @returns {string} Outcome key from EXPEDITION_OUTCOMES
+ */
+export function rollExpeditionOutcome(rng = Math.random) {
+  const entries = Object.entries(EXPEDITION_OUTCOMES);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng() * total;
+  for (const [outcome, weight] of entries) {
+    if (roll < weight) return outcome;
+    roll -= weight;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Resolve what an expedition fleet encounters
+ * @param {Object} ships - Expedition fleet ship counts
+ * @param {Object} options - { expeditionBonus, freeCargo, tech, rng }
+ * @returns {Object} Outcome with resources, foundShips, enemy, or delayFactor depending on type
+ */
+export function resolveExpedition(ships, options = {}) {
+  const { expeditionBonus = 0, freeCargo = Infinity, tech = {}, rng = Math.random } = options;
+  const outcome = rollExpeditionOutcome(rng);
+  const points = getExpeditionPoints(ships);
+  const multiplier = getExpeditionFindMultiplier(ships, expeditionBonus);
+
+  if (outcome === 'resources') {
+    // Find scales with fleet size and bonuses, limited by the cap and free cargo space
+    const found = Math.min(
+      EXPEDITION_FIND_CAP,
+      Math.floor(points * (50 + rng() * 100) * multiplier),
+      Math.max(0, Math.floor(freeCargo))
+    );
+    // Metal is most common, deuterium rarest
+    const typeRoll = rng();
+    const resourceType = typeRoll < 0.68 ? 'metal' : typeRoll < 0.92 ? 'crystal' : 'deuterium';
+    const resources = { metal: 0, crystal: 0, deuterium: 0 };
+    resources[resourceType] = found;
+    return { outcome, resources, multiplier };
+  }
+
+  if (outcome === 'ships') {
+    // Budget in metal+crystal value, spent on a random findable hull type
+    let budget = Math.min(EXPEDITION_FIND_CAP, points * (20 + rng() * 40) * multiplier);
+    const foundShips = {};
+    const shipType = FINDABLE_SHIPS[Math.floor(rng() * FINDABLE_SHIPS.length)];
+    const unitValue = SHIPS[shipType].cost.metal + SHIPS[shipType].cost.crystal;
+    const count = Math.floor(budget / unitValue);
+    if (count > 0) {
+      foundShips[shipType] = count;
+      budget -= count * unitValue;
+    }
+    // Leftover budget turns into probes so small fleets still find something
+    const probeValue = SHIPS.espionageProbe.cost.crystal;
+    const probes = Math.floor(budget / probeValue);
+    if (probes > 0) foundShips.espionageProbe = (foundShips.espionageProbe || 0) + probes;
+    return { outcome: Object.keys(foundShips).length > 0 ? outcome : 'nothing', foundShips, multiplier };
+  }
+
+  if (outcome === 'pirates' || outcome === 'aliens') {
+    const ambusher = AMBUSHERS[outcome];
+    const enemyShips = {};
+    for (const [shipType, count] of Object.entries(ships || {})) {
+      if (!SHIPS[shipType] || SHIPS[shipType].attack <= 0 || count <= 0) continue;
+      enemyShips[shipType] = Math.max(1, Math.ceil(count * ambusher.strength * (0.5 + rng())));
+    }
+    if (Object.keys(enemyShips).length === 0) enemyShips.lightFighter = 1;
+    const enemyTech = {};
+    for (const techId of ['weaponsTech', 'shieldingTech', 'armourTech']) {
+      enemyTech[techId] = Math.max(0, (tech[techId] || 0) + ambusher.techOffset);
+    }
+    return { outcome, enemy: { name: ambusher.name, ships: enemyShips, tech: enemyTech } };
+  }
+
+  if (outcome === 'delay') {
+    // Return leg takes 1.5x to 3x as long
+    return { outcome, delayFactor: 1.5 + Math.floor(rng() * 4) * 0.5 };
+  }
+
+  return { outcome };
+}
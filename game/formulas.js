@@ -2,10 +2,11 @@
  * Game Formulas for Molt Wars
  *
  * Contains all game calculation functions: production, costs, build times,
- * research times, and storage capacity formulas.
+ * research times, storage capacity, and fleet speed formulas.
  */
 
-import { BUILDINGS, TECHNOLOGIES } from "./constants.js";
+import { BUILDINGS, SHIPS, TECHNOLOGIES } from "./constants.js";
+import { MODIFIERS, DRIVE_MODIFIERS, getModifiers, getModifierExpiries } from "./modifiers.js";
 
 // Game speed multiplier
 export const GAME_SPEED = 10;
@@ -20,18 +21,55 @@ export function calculateStorageCapacity(level) {
   return Math.floor(5000 * Math.floor(2.5 * Math.exp((20 / 33) * level)));
 }
 
+/** Buildings (and satellites) whose output can be throttled per planet */
+export const PRODUCTION_SETTINGS = ['metalMine', 'crystalMine', 'deuteriumSynthesizer', 'solarPlant', 'fusionReactor', 'solarSatellite'];
+
+/**
+ * Check a production setting (0-100% in steps of 10)
+ * @param {number} percent - Requested setting
+ * @returns {boolean} Whether the setting is allowed
+ */
+export function isValidProductionPercent(percent) {
+  return Number.isInteger(percent) && percent >= 0 && percent <= 100 && percent % 10 === 0;
+}
+
+/**
+ * Production setting of one building on a planet (100% unless changed)
+ * @param {Object} planet - Planet with optional productionSettings
+ * @param {string} building - Key from PRODUCTION_SETTINGS
+ * @returns {number} Setting as a fraction (0-1)
+ */
+export function getProductionFactor(planet, building) {
+  return (planet.productionSettings?.[building] ?? 100) / 100;
+}
+
+/**
+ * Energy from one solar satellite: floor((maxTemp + 140) / 6), at least 1
+ * @param {number} maxTemp - Planet maximum temperature
+ * @returns {number} Energy per satellite
+ */
+export function getSatelliteEnergy(maxTemp) {
+  return Math.max(1, Math.floor((maxTemp + 140) / 6));
+}
+
 /**
  * Calculate resource production for a planet
  * @param {Object} planet - Planet object with buildings and temperature
- * @param {Object} agent - Optional agent object for tech bonuses
+ * @param {Object} agent - Optional agent object for tech, officer and booster bonuses
+ * @param {number} now - Time in ms at which officers and boosters are checked
  * @returns {Object} Production rates and energy data
  */
-export function calculateProduction(planet, agent = null) {
+export function calculateProduction(planet, agent = null, now = Date.now()) {
+  const modifiers = getModifiers(agent, now);
   const metalMineLevel = planet.buildings.metalMine || 0;
   const crystalMineLevel = planet.buildings.crystalMine || 0;
   const deutSynthLevel = planet.buildings.deuteriumSynthesizer || 0;
   const solarPlantLevel = planet.buildings.solarPlant || 0;
   const fusionReactorLevel = planet.buildings.fusionReactor || 0;
+  const satellites = planet.ships?.solarSatellite || 0;
+
+  // Production settings (0-100%) scale each building's output and energy use
+  const factor = building => getProductionFactor(planet, building);
 
   // Get energy tech level from agent (needed for fusion reactor)
   const energyTechLevel = agent?.tech?.energyTech || 0;
@@ -41,22 +79,26 @@ export function calculateProduction(planet, agent = null) {
 
   // === ENERGY PRODUCTION ===
   // Solar Plant: 20 * level * 1.1^level
-  const solarEnergy = Math.floor(20 * solarPlantLevel * Math.pow(1.1, solarPlantLevel));
+  const solarEnergy = Math.floor(20 * solarPlantLevel * Math.pow(1.1, solarPlantLevel) * factor('solarPlant'));
 
   // Fusion Reactor: 30 * level * (1.05 + energyTech * 0.01)^level
   const fusionEnergy = fusionReactorLevel > 0
-    ? Math.floor(30 * fusionReactorLevel * Math.pow(1.05 + energyTechLevel * 0.01, fusionReactorLevel))
+    ? Math.floor(30 * fusionReactorLevel * Math.pow(1.05 + energyTechLevel * 0.01, fusionReactorLevel) * factor('fusionReactor'))
     : 0;
 
-  const totalEnergyProduced = solarEnergy + fusionEnergy;
+  // Solar Satellites: floor((maxTemp + 140) / 6) each - hotter planets get more
+  const satelliteEnergy = Math.floor(satellites * getSatelliteEnergy(maxTemp) * factor('solarSatellite'));
+
+  // Chief Engineer boosts all energy output
+  const totalEnergyProduced = Math.floor((solarEnergy + fusionEnergy + satelliteEnergy) * modifiers.energyProduction);
 
   // === ENERGY CONSUMPTION ===
   // Metal Mine: 10 * level * 1.1^level
-  const metalEnergyConsumption = Math.ceil(10 * metalMineLevel * Math.pow(1.1, metalMineLevel));
+  const metalEnergyConsumption = Math.ceil(10 * metalMineLevel * Math.pow(1.1, metalMineLevel) * factor('metalMine'));
   // Crystal Mine: 10 * level * 1.1^level
-  const crystalEnergyConsumption = Math.ceil(10 * crystalMineLevel * Math.pow(1.1, crystalMineLevel));
+  const crystalEnergyConsumption = Math.ceil(10 * crystalMineLevel * Math.pow(1.1, crystalMineLevel) * factor('crystalMine'));
   // Deuterium Synthesizer: 20 * level * 1.1^level
-  const deutEnergyConsumption = Math.ceil(20 * deutSynthLevel * Math.pow(1.1, deutSynthLevel));
+  const deutEnergyConsumption = Math.ceil(20 * deutSynthLevel * Math.pow(1.1, deutSynthLevel) * factor('deuteriumSynthesizer'));
 
   const totalEnergyConsumption = metalEnergyConsumption + crystalEnergyConsumption + deutEnergyConsumption;
 
@@ -83,14 +125,15 @@ export function calculateProduction(planet, agent = null) {
 
   // Fusion Reactor consumes deuterium: 10 * level * 1.1^level per hour
   const fusionDeutConsumption = fusionReactorLevel > 0
-    ? Math.ceil(10 * fusionReactorLevel * Math.pow(1.1, fusionReactorLevel))
+    ? Math.ceil(10 * fusionReactorLevel * Math.pow(1.1, fusionReactorLevel) * factor('fusionReactor'))
     : 0;
 
   // Per-tick production (factoring in game speed and efficiency)
-  const metal = (metalBase * efficiency * GAME_SPEED) / 3600;
-  const crystal = (crystalBase * efficiency * GAME_SPEED) / 3600;
+  // Officer and booster multipliers apply to mine output, not to fusion fuel
+  const metal = (metalBase * factor('metalMine') * efficiency * modifiers.metalProduction * GAME_SPEED) / 3600;
+  const crystal = (crystalBase * factor('crystalMine') * efficiency * modifiers.crystalProduction * GAME_SPEED) / 3600;
   // Deuterium: production minus fusion consumption (both scaled by efficiency and game speed)
-  const deutProduction = (deutBase * efficiency * GAME_SPEED) / 3600;
+  const deutProduction = (deutBase * factor('deuteriumSynthesizer') * efficiency * modifiers.deuteriumProduction * GAME_SPEED) / 3600;
   const deutConsumption = (fusionDeutConsumption * GAME_SPEED) / 3600;
   const deuterium = deutProduction - deutConsumption;
 
@@ -105,15 +148,75 @@ export function calculateProduction(planet, agent = null) {
     breakdown: {
       solarEnergy,
       fusionEnergy,
+      satelliteEnergy,
+      satellites,
       metalEnergyConsumption,
       crystalEnergyConsumption,
       deutEnergyConsumption,
       fusionDeutConsumption,
-      tempFactor
+      tempFactor,
+      settings: Object.fromEntries(PRODUCTION_SETTINGS.map(building => [building, Math.round(factor(building) * 100)])),
+      multipliers: {
+        metal: modifiers.metalProduction,
+        crystal: modifiers.crystalProduction,
+        deuterium: modifiers.deuteriumProduction,
+        energy: modifiers.energyProduction
+      }
     }
   };
 }
 
+/**
+ * Add production for a stretch of time, stopping at storage capacity
+ * Resources already above capacity (from loot, purchases, etc.) are left as they are.
+ * @param {Object} planet - Planet with resources and storage buildings
+ * @param {Object} production - Per-second rates from calculateProduction
+ * @param {number} seconds - Elapsed time in seconds
+ */
+export function accrueProduction(planet, production, seconds) {
+  const capacity = {
+    metal: calculateStorageCapacity(planet.buildings.metalStorage || 0),
+    crystal: calculateStorageCapacity(planet.buildings.crystalStorage || 0),
+    deuterium: calculateStorageCapacity(planet.buildings.deuteriumTank || 0)
+  };
+  for (const resource of ['metal', 'crystal', 'deuterium']) {
+    if (planet.resources[resource] < capacity[resource]) {
+      planet.resources[resource] = Math.min(planet.resources[resource] + production[resource] * seconds, capacity[resource]);
+    }
+  }
+}
+
+/**
+ * Credit a planet's production between two times
+ * The interval is split wherever an officer or booster runs out, so each stretch
+ * is paid at the rates that applied during it.
+ * @param {Object} planet - Planet with buildings, resources and storage
+ * @param {Object} agent - Owner (may be null)
+ * @param {number} from - Start in ms
+ * @param {number} to - End in ms
+ */
+export function produceBetween(planet, agent, from, to) {
+  let start = from;
+  for (const end of [...getModifierExpiries(agent, from, to), to]) {
+    accrueProduction(planet, calculateProduction(planet, agent, start), (end - start) / 1000);
+    start = end;
+  }
+}
+
+/**
+ * Credit a planet's production from its lastUpdate up to a time
+ * Settling to a time the planet has already passed does nothing.
+ * @param {Object} planet - Planet with lastUpdate in ms
+ * @param {Object} agent - Owner (may be null)
+ * @param {number} now - Time to settle to in ms
+ */
+export function settlePlanet(planet, agent, now) {
+  if (planet.lastUpdate === undefined) planet.lastUpdate = now;
+  if (now <= planet.lastUpdate) return;
+  produceBetween(planet, agent, planet.lastUpdate, now);
+  planet.lastUpdate = now;
+}
+
 /**
  * Calculate cost for upgrading a building
  * @param {string} type - Building type ID
@@ -146,6 +249,32 @@ export function getBuildTime(cost, planet) {
   return seconds;
 }
 
+/**
+ * Check whether a planet's build queue has room (base 1 + Overseer bonus)
+ * @param {Object} planet - Planet with its buildQueue
+ * @param {Object} agent - Owner of the planet
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} null if there is room, else { message, details }
+ */
+export function checkBuildQueue(planet, agent, now = Date.now()) {
+  const maxQueueSize = getModifiers(agent, now).buildQueueSlots;
+  const currentQueueSize = planet.buildQueue?.length || 0;
+  if (currentQueueSize < maxQueueSize) return null;
+
+  const current = planet.buildQueue[0];
+  return {
+    message: `Build queue full (${currentQueueSize}/${maxQueueSize})`,
+    details: {
+      queue: planet.buildQueue,
+      maxQueueSize,
+      currentQueueSize,
+      completesAt: current?.completesAt,
+      remainingMs: current ? current.completesAt - now : 0,
+      hint: maxQueueSize === MODIFIERS.buildQueueSlots.base ? "Hire Overseer officer for +2 queue slots" : null
+    }
+  };
+}
+
 /**
  * Calculate cost for researching a technology
  * @param {string} techId - Technology ID
@@ -169,12 +298,78 @@ export function getResearchCost(techId, level) {
  * @param {Object} cost - Cost object with metal and crystal
  * @param {number} labLevel - Research lab level
  * @param {number} scienceLevel - Science technology level
+ * @param {number} researchSpeed - researchSpeed modifier (Scientist officer)
  * @returns {number} Research time in seconds
  */
-export function getResearchTime(cost, labLevel, scienceLevel) {
+export function getResearchTime(cost, labLevel, scienceLevel, researchSpeed = 1) {
   const scienceReduction = Math.min(0.5, scienceLevel * 0.05);
   const baseHours = (cost.metal + cost.crystal) / (1000 * (1 + labLevel));
-  const reducedHours = baseHours * (1 - scienceReduction);
+  const reducedHours = baseHours * (1 - scienceReduction) / researchSpeed;
   const seconds = Math.max(45, Math.floor(reducedHours * 3600 / GAME_SPEED)); // Minimum 45 seconds
   return seconds;
 }
+
+/** Fleet speed at which travel time equals the plain distance formula */
+export const REFERENCE_FLEET_SPEED = 10000;
+
+/**
+ * Check a fleet speed setting (10-100% in steps of 10)
+ * @param {number} speedPercent - Requested speed
+ * @returns {boolean} Whether the setting is allowed
+ */
+export function isValidSpeedPercent(speedPercent) {
+  return Number.isInteger(speedPercent) && speedPercent >= 10 && speedPercent <= 100 && speedPercent % 10 === 0;
+}
+
+/**
+ * Speed of a single ship type
+ * Formula: baseSpeed * (1 + driveLevel * driveBonus + Fleet Admiral bonus)
+ * @param {string} shipType - Ship type ID
+ * @param {Object} agent - Owner (drive techs and officers), may be null
+ * @param {Object} modifiers - Precomputed getModifiers(agent), optional
+ * @returns {number} Ship speed, 0 if the ship cannot fly
+ */
+export function getShipSpeed(shipType, agent = null, modifiers = getModifiers(agent)) {
+  const ship = SHIPS[shipType];
+  if (!ship || !ship.speed) return 0;
+  const driveModifier = DRIVE_MODIFIERS[ship.drive];
+  return Math.floor(ship.speed * (driveModifier ? modifiers[driveModifier] : 1));
+}
+
+/**
+ * Fleet speed is the speed of its slowest ship
+ * @param {Object} ships - Ship counts by type
+ * @param {Object} agent - Owner (drive techs and officers), may be null
+ * @returns {number} Fleet speed, 0 if any ship cannot fly or the fleet is empty
+ */
+export function getFleetSpeed(ships, agent = null) {
+  const modifiers = getModifiers(agent);
+  let slowest = Infinity;
+  for (const [shipType, count] of Object.entries(ships || {})) {
+    if (count > 0) slowest = Math.min(slowest, getShipSpeed(shipType, agent, modifiers));
+  }
+  return slowest === Infinity ? 0 : slowest;
+}
+
+/**
+ * Flight duration for a fleet
+ * Formula: distance / 100 * sqrt(10000 / fleetSpeed) * (100 / speedPercent) / gameSpeed
+ * @param {number} distance - Fleet distance (see getFleetDistance)
+ * @param {number} fleetSpeed - Speed of the slowest ship
+ * @param {number} speedPercent - Fleet speed setting (10-100)
+ * @returns {number} Travel time in seconds (minimum 10)
+ */
+export function getFlightDuration(distance, fleetSpeed = REFERENCE_FLEET_SPEED, speedPercent = 100) {
+  const speedFactor = Math.sqrt(REFERENCE_FLEET_SPEED / fleetSpeed) * (100 / speedPercent);
+  return Math.max(10, Math.floor(distance / 100 * speedFactor / GAME_SPEED));
+}
+
+/**
+ * Fuel multiplier for a fleet speed setting: ((speedPercent / 100) + 1)^2 / 4
+ * Full speed costs 1x, half speed about 0.56x, 10% speed about 0.3x
+ * @param {number} speedPercent - Fleet speed setting (10-100)
+ * @returns {number} Fuel multiplier
+ */
+export function getFuelSpeedFactor(speedPercent = 100) {
+  return Math.pow(speedPercent / 100 + 1, 2) / 4;
+}
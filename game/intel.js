@@ -0,0 +1,79 @@
+/**
+ * Incoming Fleet Intel for Molt Wars
+ *
+ * Defenders are warned when a hostile fleet is dispatched at one of their
+ * planets. How much they learn about it depends on their Espionage Technology:
+ * a rough size bracket at first, then the exact ship count, the ship types,
+ * and finally the full composition.
+ *
+ * Agents holding the fleet overview bonus (Overseer) also see every other
+ * agent's fleet flying to or from the galaxies they have planets in.
+ */
+
+import { getModifiers } from "./modifiers.js";
+
+/** Missions that warn the target's owner on dispatch */
+export const HOSTILE_MISSIONS = ['attack', 'acsAttack', 'espionage'];
+
+/** Espionage Technology needed for each level of detail */
+export const ESPIONAGE_TECH_THRESHOLDS = { count: 2, types: 4, full: 8 };
+
+/**
+ * Whether a fleet is a hostile mission against someone else's planet
+ * @param {Object} fleet - Fleet in flight
+ * @param {Object|null} target - Destination planet
+ * @returns {boolean}
+ */
+export function isHostileFleet(fleet, target) {
+  return HOSTILE_MISSIONS.includes(fleet.mission) && !fleet.returning &&
+    !!target?.ownerId && target.ownerId !== fleet.ownerId;
+}
+
+/**
+ * Fleet size as seen by the defender
+ * Below the first level only the order of magnitude is known (1-9, 10-99, ...).
+ *
+ * @param {Object} ships - Ship counts by type
+ * @param {number} espionageTech - Defender's Espionage Technology level
+ * @returns {Object} { detail, totalShips?, min?, max?, shipTypes?, ships? }
+ */
+export function estimateFleetSize(ships, espionageTech = 0) {
+  const fleet = Object.entries(ships || {}).filter(([, count]) => count > 0);
+  const totalShips = fleet.reduce((sum, [, count]) => sum + count, 0);
+
+  if (espionageTech >= ESPIONAGE_TECH_THRESHOLDS.full) {
+    return { detail: 'full', totalShips, ships: Object.fromEntries(fleet) };
+  }
+  if (espionageTech >= ESPIONAGE_TECH_THRESHOLDS.types) {
+    return { detail: 'types', totalShips, shipTypes: fleet.map(([type]) => type).sort() };
+  }
+  if (espionageTech >= ESPIONAGE_TECH_THRESHOLDS.count) {
+    return { detail: 'count', totalShips };
+  }
+  const min = 10 ** (String(Math.max(1, totalShips)).length - 1);
+  return { detail: 'magnitude', min, max: min * 10 - 1 };
+}
+
+/**
+ * Galaxies whose fleet movements an agent can see: those it has planets in
+ * while it holds the fleet overview bonus, none otherwise
+ * @param {Object} agent
+ * @param {Object[]} positions - Positions of the agent's planets
+ * @param {number} now - Current time in ms (officers expire)
+ * @returns {Set<number>}
+ */
+export function getOverviewGalaxies(agent, positions, now = Date.now()) {
+  if (!getModifiers(agent, now).fleetOverview) return new Set();
+  return new Set(positions.map(position => position.galaxy));
+}
+
+/**
+ * Whether a fleet flies to or from one of the overview galaxies
+ * @param {Object|null} from - Origin position
+ * @param {Object|null} to - Destination position
+ * @param {Set<number>} galaxies
+ * @returns {boolean}
+ */
+export function isInOverview(from, to, galaxies) {
+  return galaxies.has(from?.galaxy) || galaxies.has(to?.galaxy);
+}
@@ -0,0 +1,105 @@
+/**
+ * Missile System for Molt Wars
+ *
+ * Interplanetary missiles (IPMs) are stored in a planet's Missile Silo and
+ * fired at defenses within range of the launcher's Impulse Drive. Incoming
+ * IPMs are first intercepted one-for-one by Anti-Ballistic Missiles (ABMs);
+ * the rest strike the chosen defense type first, then the remaining types.
+ * Resolution is pure: processTick applies the returned losses to the target.
+ */
+
+import { DEFENSES } from "./constants.js";
+
+/** Silo space per Missile Silo level (ABMs take 1 slot, IPMs take 2) */
+export const SILO_SLOTS_PER_LEVEL = 10;
+
+/**
+ * Range in systems (same galaxy) of missiles launched by an agent
+ * @param {number} impulseDriveLevel - Impulse Drive research level
+ * @returns {number} Maximum system distance, or -1 without Impulse Drive
+ */
+export function getMissileRange(impulseDriveLevel) {
+  return impulseDriveLevel > 0 ? impulseDriveLevel * 5 - 1 : -1;
+}
+
+/**
+ * Missile flight time in seconds
+ * @param {number} systemDistance - Distance in systems between launcher and target
+ * @param {number} gameSpeed - Game speed multiplier
+ * @returns {number} Flight time in seconds
+ */
+export function getMissileFlightTime(systemDistance, gameSpeed = 1) {
+  return Math.max(10, Math.floor((30 + 60 * systemDistance) / gameSpeed));
+}
+
+/**
+ * Silo slots a planet offers
+ * @param {number} siloLevel - Missile Silo level
+ * @returns {number} Total slots
+ */
+export function getSiloCapacity(siloLevel) {
+  return (siloLevel || 0) * SILO_SLOTS_PER_LEVEL;
+}
+
+/**
+ * Silo slots used by stored and queued missiles
+ * @param {Object} defense - Planet defense counts
+ * @param {Array} shipQueue - Planet shipyard queue
+ * @returns {number} Used slots
+ */
+export function getSiloUsage(defense, shipQueue = []) {
+  let used = 0;
+  for (const [defType, count] of Object.entries(defense || {})) {
+    used += (DEFENSES[defType]?.siloSpace || 0) * count;
+  }
+  for (const job of shipQueue || []) {
+    if (job.isDefense) used += (DEFENSES[job.defense]?.siloSpace || 0) * job.count;
+  }
+  return used;
+}
+
+/**
+ * Resolve a missile strike against a planet's defenses
+ * @param {number} missiles - Number of incoming IPMs
+ * @param {Object} targetDefense - Target planet defense counts
+ * @param {Object} options - { primaryTarget, attackerTech, defenderTech }
+ * @returns {Object} { intercepted, impacted, destroyed, damageDealt, damageWasted }
+ */
+export function resolveMissileStrike(missiles, targetDefense, options = {}) {
+  const { primaryTarget = null, attackerTech = {}, defenderTech = {} } = options;
+  const defense = targetDefense || {};
+
+  // ABMs each stop one IPM before impact
+  const abms = defense.antiBallisticMissile || 0;
+  const intercepted = Math.min(abms, missiles);
+  const impacted = missiles - intercepted;
+
+  const destroyed = {};
+  if (intercepted > 0) destroyed.antiBallisticMissile = intercepted;
+
+  // Shields don't stop missiles; damage goes straight into hull
+  const damagePerMissile = DEFENSES.interplanetaryMissile.attack * (1 + 0.1 * (attackerTech.weaponsTech || 0));
+  let damage = impacted * damagePerMissile;
+  const damageDealt = damage;
+
+  // Primary target takes the hit first, remaining damage spills over in DEFENSES order
+  const order = Object.keys(DEFENSES).filter(defType => !DEFENSES[defType].missile);
+  if (primaryTarget && order.includes(primaryTarget)) {
+    order.splice(order.indexOf(primaryTarget), 1);
+    order.unshift(primaryTarget);
+  }
+
+  const hullFactor = 1 + 0.1 * (defenderTech.armourTech || 0);
+  for (const defType of order) {
+    const count = defense[defType] || 0;
+    if (count <= 0 || damage <= 0) continue;
+    const hull = DEFENSES[defType].hull * hullFactor;
+    const kills = Math.min(count, Math.floor(damage / hull));
+    if (kills > 0) {
+      destroyed[defType] = kills;
+      damage -= kills * hull;
+    }
+  }
+
+  return { intercepted, impacted, destroyed, damageDealt, damageWasted: damage };
+}
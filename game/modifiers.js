@@ -0,0 +1,143 @@
+/**
+ * Modifier Engine for Molt Wars
+ *
+ * Computes every effective multiplier and bonus for an agent from its tech,
+ * active officers and active boosters. Each modifier starts at a base value,
+ * adds the flat bonuses from tech and officers, then multiplies by boosters.
+ * Production, build/research times, combat and fleets all read from here.
+ */
+
+import { OFFICERS, BOOSTERS } from "./constants.js";
+
+/** Every modifier with its base value */
+export const MODIFIERS = {
+  metalProduction: { base: 1, description: "Metal mine output multiplier" },
+  crystalProduction: { base: 1, description: "Crystal mine output multiplier" },
+  deuteriumProduction: { base: 1, description: "Deuterium synthesizer output multiplier" },
+  energyProduction: { base: 1, description: "Solar plant, fusion reactor and solar satellite output multiplier" },
+  shipyardSpeed: { base: 1, description: "Ship and defense build speed (build time is divided by this)" },
+  researchSpeed: { base: 1, description: "Research speed (research time is divided by this)" },
+  weapons: { base: 1, description: "Combat attack multiplier" },
+  shielding: { base: 1, description: "Combat shield multiplier" },
+  armour: { base: 1, description: "Combat hull multiplier" },
+  combustionSpeed: { base: 1, description: "Speed multiplier for combustion-drive ships" },
+  impulseSpeed: { base: 1, description: "Speed multiplier for impulse-drive ships" },
+  hyperspaceSpeed: { base: 1, description: "Speed multiplier for hyperspace-drive ships" },
+  fleetSlots: { base: 2, description: "Fleets that can fly at once" },
+  buildQueueSlots: { base: 1, description: "Buildings that can be queued per planet" },
+  defenseRebuild: { base: 0.7, description: "Chance each destroyed defense is rebuilt after battle" },
+  expeditionBonus: { base: 0, description: "Extra expedition finds (added to the pathfinder bonus)" },
+  fleetOverview: { base: false, description: "See all fleet movements in your galaxy" }
+};
+
+/** Modifier that sets each drive type's speed */
+export const DRIVE_MODIFIERS = {
+  combustion: 'combustionSpeed',
+  impulse: 'impulseSpeed',
+  hyperspace: 'hyperspaceSpeed'
+};
+
+/** Tech that adds to a modifier, and how much per level */
+export const TECH_MODIFIERS = {
+  weaponsTech: { modifier: 'weapons', perLevel: 0.1 },
+  shieldingTech: { modifier: 'shielding', perLevel: 0.1 },
+  armourTech: { modifier: 'armour', perLevel: 0.1 },
+  combustionDrive: { modifier: 'combustionSpeed', perLevel: 0.1 },
+  impulseDrive: { modifier: 'impulseSpeed', perLevel: 0.2 },
+  hyperspaceDrive: { modifier: 'hyperspaceSpeed', perLevel: 0.3 },
+  computerTech: { modifier: 'fleetSlots', perLevel: 1 }
+};
+
+// Officer bonus / booster effect types that feed more than one modifier
+const BONUS_TARGETS = {
+  fleetSpeed: ['combustionSpeed', 'impulseSpeed', 'hyperspaceSpeed'],
+  energyEfficiency: ['energyProduction'],
+  allProduction: ['metalProduction', 'crystalProduction', 'deuteriumProduction']
+};
+
+function bonusTargets(type) {
+  return BONUS_TARGETS[type] || (MODIFIERS[type] ? [type] : []);
+}
+
+/**
+ * Compute every modifier with the sources that contributed to it
+ * @param {Object} agent - Agent with tech, officers and boosters (may be null)
+ * @param {number} now - Current time in ms (officers and boosters expire)
+ * @returns {Object} Modifier name -> { value, base, sources: [{ type, id, name, add|multiply|set }] }
+ */
+export function getModifierBreakdown(agent, now = Date.now()) {
+  const breakdown = {};
+  for (const [name, def] of Object.entries(MODIFIERS)) {
+    breakdown[name] = { value: def.base, base: def.base, sources: [] };
+  }
+
+  for (const [techId, effect] of Object.entries(TECH_MODIFIERS)) {
+    const level = agent?.tech?.[techId] || 0;
+    if (level > 0) {
+      breakdown[effect.modifier].sources.push({ type: 'tech', id: techId, level, add: level * effect.perLevel });
+    }
+  }
+
+  for (const [officerId, hired] of Object.entries(agent?.officers || {})) {
+    const officer = OFFICERS[officerId];
+    if (!officer || !(hired?.expiresAt > now)) continue;
+    for (const bonus of officer.bonuses) {
+      for (const target of bonusTargets(bonus.type)) {
+        const entry = { type: 'officer', id: officerId, name: officer.name };
+        if (typeof bonus.value === 'number') entry.add = bonus.value;
+        else entry.set = bonus.value;
+        breakdown[target].sources.push(entry);
+      }
+    }
+  }
+
+  for (const [boosterId, active] of Object.entries(agent?.boosters || {})) {
+    const booster = BOOSTERS[boosterId];
+    if (!booster || !(active?.expiresAt > now)) continue;
+    for (const target of bonusTargets(booster.effect.type)) {
+      breakdown[target].sources.push({ type: 'booster', id: boosterId, name: booster.name, multiply: booster.effect.multiplier });
+    }
+  }
+
+  // Flat bonuses first, then booster multipliers
+  for (const entry of Object.values(breakdown)) {
+    let value = entry.base;
+    for (const source of entry.sources) {
+      if (source.add !== undefined) value += source.add;
+      if (source.set !== undefined) value = source.set;
+    }
+    for (const source of entry.sources) {
+      if (source.multiply !== undefined) value *= source.multiply;
+    }
+    entry.value = value;
+  }
+
+  return breakdown;
+}
+
+/**
+ * Effective modifier values for an agent
+ * @param {Object} agent - Agent with tech, officers and boosters (may be null)
+ * @param {number} now - Current time in ms
+ * @returns {Object} Modifier name -> value
+ */
+export function getModifiers(agent, now = Date.now()) {
+  const breakdown = getModifierBreakdown(agent, now);
+  return Object.fromEntries(Object.entries(breakdown).map(([name, entry]) => [name, entry.value]));
+}
+
+/**
+ * Times at which an agent's officers or boosters run out within an interval
+ * Modifiers only change at these points, so production between them is constant.
+ * @param {Object} agent - Agent with officers and boosters (may be null)
+ * @param {number} from - Interval start in ms (exclusive)
+ * @param {number} to - Interval end in ms (exclusive)
+ * @returns {number[]} Expiry times, ascending and unique
+ */
+export function getModifierExpiries(agent, from, to) {
+  const times = new Set();
+  for (const entry of [...Object.values(agent?.officers || {}), ...Object.values(agent?.boosters || {})]) {
+    if (entry?.expiresAt > from && entry.expiresAt < to) times.add(entry.expiresAt);
+  }
+  return [...times].sort((a, b) => a - b);
+}
@@ -0,0 +1,83 @@
+/**
+ * Sensor Phalanx for Molt Wars
+ *
+ * A Sensor Phalanx on a moon reveals every fleet flying to or from a planet
+ * within range, for a fixed amount of deuterium per scan. The checks and the
+ * scan are pure; POST /api/phalanx/:planetId deducts the cost.
+ */
+
+/** Deuterium spent from the moon per scan */
+export const PHALANX_SCAN_COST = 5000;
+
+/**
+ * Range in systems (same galaxy) of a Sensor Phalanx
+ * @param {number} level - Sensor Phalanx level
+ * @returns {number} Maximum system distance (level 1 = own system only), or -1 without one
+ */
+export function getPhalanxRange(level) {
+  return level > 0 ? level * level - 1 : -1;
+}
+
+/**
+ * Why a moon cannot scan a target, if it can't
+ * @param {Object} moon - Scanning planet
+ * @param {{ galaxy: number, system: number }} target - Coordinates to scan
+ * @returns {Object|null} null if the scan may go ahead, else { message, details }
+ */
+export function checkPhalanxScan(moon, target) {
+  const level = moon.buildings?.sensorPhalanx || 0;
+  if (!moon.isMoon || level < 1) {
+    return { message: "No Sensor Phalanx on this planet", details: { hint: "Build a Sensor Phalanx on a moon" } };
+  }
+
+  const range = getPhalanxRange(level);
+  const systemDistance = Math.abs(target.system - moon.position.system);
+  if (target.galaxy !== moon.position.galaxy || systemDistance > range) {
+    return {
+      message: "Target out of phalanx range",
+      details: {
+        range,
+        systemDistance: target.galaxy === moon.position.galaxy ? systemDistance : null,
+        hint: `Sensor Phalanx level ${level} reaches ${range} system(s) within galaxy ${moon.position.galaxy}`
+      }
+    };
+  }
+
+  const available = moon.resources?.deuterium || 0;
+  if (available < PHALANX_SCAN_COST) {
+    return { message: "Insufficient deuterium for phalanx scan", details: { cost: PHALANX_SCAN_COST, available: Math.floor(available) } };
+  }
+  return null;
+}
+
+/**
+ * Fleets flying to or from a planet, soonest first
+ * @param {Iterable<Object>} fleets - Fleets in flight
+ * @param {string} targetId - Scanned planet id
+ * @param {Map<string, Object>} agents - Agents by id (for owner names)
+ * @param {number} now - Time of the scan in ms
+ * @returns {Object[]}
+ */
+export function scanFleets(fleets, targetId, agents, now = Date.now()) {
+  const found = [];
+  for (const fleet of fleets) {
+    const incoming = fleet.destination === targetId;
+    const outgoing = fleet.origin === targetId;
+    if (!incoming && !outgoing) continue;
+    found.push({
+      id: fleet.id,
+      ownerId: fleet.ownerId,
+      ownerName: agents.get(fleet.ownerId)?.name || null,
+      mission: fleet.mission,
+      direction: incoming ? 'incoming' : 'outgoing',
+      returning: fleet.returning,
+      origin: fleet.origin,
+      destination: fleet.destination,
+      ships: { ...fleet.ships },
+      departedAt: fleet.departedAt,
+      arrivesAt: fleet.arrivesAt,
+      remainingSeconds: Math.max(0, Math.ceil((fleet.arrivesAt - now) / 1000))
+    });
+  }
+  return found.sort((a, b) => a.arrivesAt - b.arrivesAt);
+}
@@ -0,0 +1,52 @@
+/**
+ * Seedable Random Numbers for Molt Wars
+ *
+ * Combat and other rolls take an `rng` function returning [0, 1). Passing a
+ * generator from createRng(seed) makes the outcome reproducible: the same
+ * seed and inputs always give the same result.
+ */
+
+/**
+ * Turn a user-supplied seed into an unsigned 32-bit integer
+ * Numbers are truncated; strings are hashed (FNV-1a) so any label works as a seed
+ * @param {number|string} seed - Seed value
+ * @returns {number|null} Normalized seed, or null if the value can't be used
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(Math.abs(seed)) >>> 0;
+  }
+  if (typeof seed === 'string' && seed.length > 0 && seed.length <= 256) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  return null;
+}
+
+/**
+ * Fresh random seed for battles that weren't given one
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Deterministic generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit seed (see normalizeSeed)
+ * @returns {Function} Random source returning [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
@@ -0,0 +1,11 @@
+/**
+ * Worker thread entry for Monte Carlo battle simulations
+ *
+ * Receives the simulation input as workerData and posts back the summary,
+ * keeping long simulations off the server's event loop.
+ */
+
+import { parentPort, workerData } from "worker_threads";
+import { runSimulation } from "./simulator.js";
+
+parentPort.postMessage(runSimulation(workerData));
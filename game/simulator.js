@@ -0,0 +1,242 @@
+/**
+ * Monte Carlo Battle Simulator for Molt Wars
+ *
+ * Runs the same battle many times with a seeded generator and summarizes the
+ * spread of outcomes: win/draw/loss odds, per-unit loss percentiles, loot,
+ * debris and the attacker's expected profit once losses and fuel are paid.
+ * Pure and self-contained so it can run inside a worker thread.
+ */
+
+import { SHIPS, DEFENSES } from "./constants.js";
+import { resolveCombat, calculateDebris, calculateLoot } from "./combat.js";
+import { createRng } from "./random.js";
+
+/** Upper bound on iterations per simulation request */
+export const MAX_SIMULATION_ITERATIONS = 1000;
+
+/** Iterations run when the caller doesn't ask for a number */
+export const DEFAULT_SIMULATION_ITERATIONS = 10;
+
+const RESOURCES = ['metal', 'crystal', 'deuterium'];
+
+/**
+ * Nearest-rank percentile of an ascending list
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value at the percentile, 0 for an empty list
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Mean and 10th/50th/90th percentiles of a sample
+ * @param {Array<number>} values - Sample values
+ * @returns {Object} { mean, p10, p50, p90 }
+ */
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.length ? sorted.reduce((sum, v) => sum + v, 0) / sorted.length : 0;
+  return {
+    mean: Math.round(mean * 10) / 10,
+    p10: percentile(sorted, 10),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90)
+  };
+}
+
+/** Minimum spy report infoLevel at which each part of a planet is revealed */
+export const INTEL_LEVELS = { resources: 1, fleet: 2, defense: 3, tech: 5 };
+
+/** Spy report infoLevel at which buildings are revealed (not used in simulations) */
+const BUILDINGS_INFO_LEVEL = 4;
+
+/**
+ * Spy report of a planet at the given infoLevel
+ * Everything revealed is copied, so the report keeps describing the planet as
+ * it was when scanned.
+ * @param {Object} planet - Scanned planet
+ * @param {Object|null} owner - The planet's owner (for research)
+ * @param {number} infoLevel - 1-5
+ * @param {number} now - Time of the scan in ms
+ * @returns {Object} { target, position, timestamp, infoLevel, resources?, fleet?, defense?, buildings?, tech? }
+ */
+export function createSpyReport(planet, owner, infoLevel, now = Date.now()) {
+  const report = { target: planet.id, position: { ...planet.position }, timestamp: now };
+  if (infoLevel >= INTEL_LEVELS.resources) {
+    report.resources = {
+      metal: Math.floor(planet.resources.metal),
+      crystal: Math.floor(planet.resources.crystal),
+      deuterium: Math.floor(planet.resources.deuterium)
+    };
+  }
+  if (infoLevel >= INTEL_LEVELS.fleet) report.fleet = { ...planet.ships };
+  if (infoLevel >= INTEL_LEVELS.defense) report.defense = { ...planet.defense };
+  if (infoLevel >= BUILDINGS_INFO_LEVEL) report.buildings = { ...planet.buildings };
+  if (infoLevel >= INTEL_LEVELS.tech) report.tech = { ...owner?.tech };
+  report.infoLevel = infoLevel;
+  return report;
+}
+
+/**
+ * Build a simulation defender from a spy report
+ * Parts the report's infoLevel didn't reveal are simulated as empty and listed in `intel.unknown`
+ * @param {Object} report - Entry from agent.spyReports
+ * @param {number} now - Current time in ms
+ * @returns {Object} { ships, defense, resources, tech, intel }
+ */
+export function defenderFromSpyReport(report, now = Date.now()) {
+  const infoLevel = report.infoLevel || 0;
+  const known = part => infoLevel >= INTEL_LEVELS[part] && report[part] != null;
+  const unknown = Object.keys(INTEL_LEVELS).filter(part => !known(part));
+
+  return {
+    ships: known('fleet') ? { ...report.fleet } : {},
+    defense: known('defense') ? { ...report.defense } : {},
+    resources: known('resources') ? { ...report.resources } : { metal: 0, crystal: 0, deuterium: 0 },
+    tech: known('tech') ? { ...report.tech } : {},
+    intel: {
+      reportId: report.id,
+      infoLevel,
+      timestamp: report.timestamp,
+      age: now - report.timestamp,
+      ageMinutes: Math.floor((now - report.timestamp) / 60000),
+      unknown,
+      complete: unknown.length === 0
+    }
+  };
+}
+
+// Resource cost of destroyed units
+function lossValue(losses) {
+  const value = { metal: 0, crystal: 0, deuterium: 0 };
+  for (const [type, count] of Object.entries(losses || {})) {
+    const cost = (SHIPS[type] || DEFENSES[type])?.cost;
+    if (!cost) continue;
+    for (const res of RESOURCES) value[res] += (cost[res] || 0) * count;
+  }
+  return value;
+}
+
+/**
+ * Run a battle repeatedly and summarize the outcomes
+ * @param {Object} input - Simulation input
+ * @param {Object} input.attackerShips - Attacking ships by type
+ * @param {Object} input.attackerTech - Attacker { weaponsTech, shieldingTech, armourTech }
+ * @param {Object} input.defender - Defender { ships, defense, resources }
+ * @param {Object} input.defenderTech - Defender combat tech
+ * @param {number} input.iterations - Number of battles to run
+ * @param {number} input.seed - Normalized seed (see random.js)
+ * @param {number} input.fuelCost - Deuterium spent flying the attack
+ * @returns {Object} Outcome counts, probabilities, loss percentiles and expected economics
+ */
+export function runSimulation(input) {
+  const { attackerShips, attackerTech = {}, defender, defenderTech = {}, seed, fuelCost = 0 } = input;
+  const iterations = Math.max(1, Math.min(MAX_SIMULATION_ITERATIONS, input.iterations || DEFAULT_SIMULATION_ITERATIONS));
+  const rng = createRng(seed);
+
+  const attackerAgent = { tech: attackerTech };
+  const defenderAgent = { tech: defenderTech };
+  const defenderPlanet = {
+    ships: defender.ships || {},
+    defense: defender.defense || {},
+    resources: { metal: 0, crystal: 0, deuterium: 0, ...defender.resources }
+  };
+
+  // Every unit type on each side gets a sample, so zero-loss runs count toward the percentiles
+  const attackerTypes = Object.keys(attackerShips).filter(type => SHIPS[type]);
+  const defenderTypes = [
+    ...Object.keys(defenderPlanet.ships).filter(type => SHIPS[type]),
+    ...Object.keys(defenderPlanet.defense).filter(type => DEFENSES[type] && !DEFENSES[type].missile)
+  ];
+  const attackerSamples = Object.fromEntries(attackerTypes.map(type => [type, []]));
+  const defenderSamples = Object.fromEntries(defenderTypes.map(type => [type, []]));
+  const profitSamples = [];
+
+  let attackerWins = 0;
+  let defenderWins = 0;
+  let draws = 0;
+  let totalRounds = 0;
+  const totalLoot = { metal: 0, crystal: 0, deuterium: 0 };
+  const totalDebris = { metal: 0, crystal: 0 };
+  const totalLost = { metal: 0, crystal: 0, deuterium: 0 };
+
+  for (let i = 0; i < iterations; i++) {
+    const combatResult = resolveCombat({ ships: attackerShips }, defenderPlanet, attackerAgent, defenderAgent, [], [], rng);
+
+    let loot = { metal: 0, crystal: 0, deuterium: 0 };
+    if (combatResult.winner === 'attacker') {
+      attackerWins++;
+      loot = calculateLoot(defenderPlanet, combatResult.survivingAttackers, attackerAgent);
+    } else if (combatResult.winner === 'defender') {
+      defenderWins++;
+    } else {
+      draws++;
+    }
+    totalRounds += combatResult.rounds;
+
+    for (const type of attackerTypes) attackerSamples[type].push(combatResult.attackerLosses[type] || 0);
+    const defenderLosses = { ...combatResult.defenderLosses, ...combatResult.defenderDefenseLosses };
+    for (const type of defenderTypes) defenderSamples[type].push(defenderLosses[type] || 0);
+
+    const debris = calculateDebris(combatResult.attackerLosses, combatResult.defenderLosses);
+    totalDebris.metal += debris.metal;
+    totalDebris.crystal += debris.crystal;
+
+    const lost = lossValue(combatResult.attackerLosses);
+    let profit = -fuelCost;
+    for (const res of RESOURCES) {
+      totalLoot[res] += loot[res];
+      totalLost[res] += lost[res];
+      profit += loot[res] - lost[res];
+    }
+    profitSamples.push(profit);
+  }
+
+  const average = total => Object.fromEntries(
+    Object.entries(total).map(([res, amount]) => [res, Math.floor(amount / iterations)])
+  );
+  const chance = count => Math.round(count / iterations * 1000) / 1000;
+
+  const expectedLoot = average(totalLoot);
+  const expectedLossValue = average(totalLost);
+  const expectedProfit = {
+    metal: expectedLoot.metal - expectedLossValue.metal,
+    crystal: expectedLoot.crystal - expectedLossValue.crystal,
+    deuterium: expectedLoot.deuterium - expectedLossValue.deuterium - fuelCost
+  };
+  expectedProfit.total = expectedProfit.metal + expectedProfit.crystal + expectedProfit.deuterium;
+
+  const attackerLosses = Object.fromEntries(attackerTypes.map(type => [type, summarize(attackerSamples[type])]));
+  const defenderLosses = Object.fromEntries(defenderTypes.map(type => [type, summarize(defenderSamples[type])]));
+  const meanLosses = losses => Object.fromEntries(
+    Object.entries(losses).filter(([, stats]) => stats.mean > 0).map(([type, stats]) => [type, stats.mean])
+  );
+
+  return {
+    iterations,
+    attackerWins,
+    defenderWins,
+    draws,
+    attackerWinChance: Math.round(attackerWins / iterations * 100),
+    defenderWinChance: Math.round(defenderWins / iterations * 100),
+    drawChance: Math.round(draws / iterations * 100),
+    probabilities: {
+      attackerWin: chance(attackerWins),
+      defenderWin: chance(defenderWins),
+      draw: chance(draws)
+    },
+    avgRounds: Math.round(totalRounds / iterations * 10) / 10,
+    avgAttackerLosses: meanLosses(attackerLosses),
+    avgDefenderLosses: meanLosses(defenderLosses),
+    avgLoot: expectedLoot,
+    losses: { attacker: attackerLosses, defender: defenderLosses },
+    expectedDebris: average(totalDebris),
+    expectedLossValue,
+    fuelCost,
+    expectedProfit,
+    profit: summarize(profitSamples)
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Auth Challenges for Molt Wars
+ *
+ * Clients fetch a nonce from GET /api/auth/challenge and sign a message that
+ * binds it to a single request:
+ *
+ *   molt-of-empires:<nonce>:<METHOD>:<path>:<sha256(body) in hex>
+ *
+ * A nonce is accepted once, and only until it expires, so a captured header
+ * can neither be replayed nor pointed at another endpoint or body. WebSocket
+ * auth signs the method "WS" and path "/" with an empty body.
+ *
+ * Used nonces are remembered until they would have expired, which is how a
+ * replay is told apart from a nonce the server never issued.
+ *
+ * Each client (the requesting address) can hold a limited number of
+ * unanswered challenges; past that its own oldest are dropped. When the store
+ * is full, the oldest challenge of whichever client holds the most is dropped,
+ * so flooding from many addresses evicts the flooders' challenges first.
+ */
+
+import crypto from 'crypto';
+
+// Configuration
+const config = {
+  ttlMs: 5 * 60 * 1000,           // How long a challenge can be answered
+  maxOutstanding: 100000,         // Unanswered challenges kept in total
+  maxPerClient: 50,               // Unanswered challenges per client; its oldest are dropped first
+  sweepIntervalMs: 30 * 1000,
+};
+
+const NONCE_PATTERN = /^n_[A-Za-z0-9_-]{24}$/;
+
+const issued = new Map();   // nonce -> { expiresAt, client }, not yet used
+const byClient = new Map(); // client -> Set of its issued nonces, oldest first
+const used = new Map();     // nonce -> expiresAt, answered once
+let lastSweep = 0;
+
+// Drop an issued nonce
+function forget(nonce) {
+  const entry = issued.get(nonce);
+  if (!entry) return;
+  issued.delete(nonce);
+  const pending = byClient.get(entry.client);
+  pending.delete(nonce);
+  if (pending.size === 0) byClient.delete(entry.client);
+}
+
+// Forget nonces that can no longer be answered
+function sweep(now) {
+  if (now - lastSweep < config.sweepIntervalMs) return;
+  lastSweep = now;
+  for (const [nonce, { expiresAt }] of issued) {
+    if (expiresAt <= now) forget(nonce);
+  }
+  for (const [nonce, expiresAt] of used) {
+    if (expiresAt <= now) used.delete(nonce);
+  }
+}
+
+/**
+ * Whether a value has the shape of an issued nonce (as opposed to the
+ * timestamp of a legacy session signature)
+ */
+export function isNonce(value) {
+  return typeof value === 'string' && NONCE_PATTERN.test(value);
+}
+
+// Client holding the most unanswered challenges
+function largestClient() {
+  let largest = null;
+  for (const pending of byClient.values()) {
+    if (!largest || pending.size > largest.size) largest = pending;
+  }
+  return largest;
+}
+
+/**
+ * Issue a new challenge
+ * @param {string} client - Who asked (e.g. the request IP)
+ * @returns {{ nonce: string, expiresAt: number }}
+ */
+export function issueNonce(client = 'unknown', now = Date.now()) {
+  sweep(now);
+  const pending = byClient.get(client);
+  if (pending?.size >= config.maxPerClient) {
+    forget(pending.values().next().value);
+  } else if (issued.size >= config.maxOutstanding) {
+    forget(largestClient().values().next().value);
+  }
+  const nonce = 'n_' + crypto.randomBytes(18).toString('base64url');
+  const expiresAt = now + config.ttlMs;
+  issued.set(nonce, { expiresAt, client });
+  if (!byClient.has(client)) byClient.set(client, new Set());
+  byClient.get(client).add(nonce);
+  return { nonce, expiresAt };
+}
+
+/**
+ * Use up a nonce. Call only once the signature over it has been verified, so
+ * that nobody can burn nonces they did not sign.
+ * @returns {'ok'|'used'|'expired'|'unknown'}
+ */
+export function consumeNonce(nonce, now = Date.now()) {
+  sweep(now);
+  if (used.has(nonce)) return 'used';
+  const entry = issued.get(nonce);
+  if (!entry) return 'unknown';
+  forget(nonce);
+  const { expiresAt } = entry;
+  if (expiresAt <= now) return 'expired';
+  used.set(nonce, expiresAt);
+  return 'ok';
+}
+
+/**
+ * Hex SHA-256 of a raw request body (empty if there is none)
+ * @param {Buffer|string} [body]
+ */
+export function hashBody(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * The message a client signs to answer a challenge
+ * @param {Object} request
+ * @param {string} request.nonce
+ * @param {string} request.method - e.g. "POST", or "WS" for WebSocket auth
+ * @param {string} request.path - Path and query string as sent, e.g. "/api/build"
+ * @param {string} request.bodyHash - From hashBody()
+ */
+export function challengeMessage({ nonce, method, path, bodyHash }) {
+  return `molt-of-empires:${nonce}:${method.toUpperCase()}:${path}:${bodyHash}`;
+}
+
+/**
+ * Outstanding and used nonce counts, for diagnostics
+ */
+export function getNonceStats() {
+  return { outstanding: issued.size, clients: byClient.size, used: used.size };
+}
+
+export { config as nonceConfig };
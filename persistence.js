@@ -0,0 +1,231 @@
+/**
+ * Incremental State Persistence for Molt Wars
+ *
+ * Game state lives in memory and is flushed to SQLite. Instead of rewriting
+ * every row, each persisted Map tracks which entities were looked up or set
+ * recently; a flush serializes only those and writes the ones whose JSON
+ * differs from what was last saved, plus any deletions, in one transaction.
+ *
+ * Handlers mutate the objects they fetched, sometimes after an await, so an
+ * entity stays a candidate for a while after its last lookup rather than just
+ * until the next flush. Code that mutates entities found by iterating a Map
+ * (which does not count as a lookup) must call touch() itself.
+ *
+ * Flushes never overlap: a flush requested while one is running is queued
+ * behind it, and any further requests share that queued flush.
+ */
+
+import crypto from 'crypto';
+import { dbRun, dbTransaction } from './db.js';
+
+// Configuration
+const config = {
+  touchTtlMs: 30 * 1000,     // Keep checking an entity for 30s after its last lookup
+};
+
+/**
+ * Fingerprint of a serialized row
+ */
+function hashRow(data) {
+  return crypto.createHash('sha1').update(data).digest('base64');
+}
+
+/**
+ * Map that records which entries may have changed since they were last saved
+ */
+export class TrackedMap extends Map {
+  constructor() {
+    super();
+    this.touched = new Map();   // key -> time of the last lookup or set
+    this.removed = new Set();   // keys deleted since the last flush
+    this.saved = new Map();     // key -> fingerprint of the row as last written
+  }
+
+  get(key) {
+    const value = super.get(key);
+    if (value !== undefined) this.touch(key);
+    return value;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.removed.delete(key);
+    this.touch(key);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.touched.delete(key);
+      this.removed.add(key);
+    }
+    return existed;
+  }
+
+  /**
+   * Mark an entry as possibly changed
+   * @param {string} key
+   * @param {number} [at] - Time of the change in ms
+   */
+  touch(key, at = Date.now()) {
+    this.touched.set(key, at);
+  }
+
+  /**
+   * Add an entry loaded from the database, remembering its stored row so it
+   * is only written back once it actually changes
+   * @param {string} key
+   * @param {string} data - Stored JSON
+   * @returns {*} The parsed value
+   */
+  restore(key, data) {
+    const value = JSON.parse(data);
+    this.set(key, value);
+    this.saved.set(key, hashRow(data));
+    return value;
+  }
+
+  /**
+   * Rows a flush has to write: touched entries whose JSON differs from the
+   * saved copy, and deleted keys
+   * @returns {{ upserts: Array<{key, data, hash}>, deletes: string[], checked: number }}
+   */
+  collectChanges() {
+    const upserts = [];
+    let checked = 0;
+    for (const key of this.touched.keys()) {
+      const value = super.get(key);
+      if (value === undefined) continue;
+      checked++;
+      const data = JSON.stringify(value);
+      const hash = hashRow(data);
+      if (this.saved.get(key) !== hash) upserts.push({ key, data, hash });
+    }
+    return { upserts, deletes: [...this.removed], checked };
+  }
+
+  /**
+   * Record a committed flush
+   * @param {Object} changes - From collectChanges()
+   * @param {number} expireBefore - Entries not touched since then are no longer checked
+   */
+  commitChanges({ upserts, deletes }, expireBefore) {
+    for (const { key, hash } of upserts) this.saved.set(key, hash);
+    for (const key of deletes) {
+      this.saved.delete(key);
+      this.removed.delete(key);
+    }
+    for (const [key, at] of this.touched) {
+      if (at < expireBefore) this.touched.delete(key);
+    }
+  }
+}
+
+const tables = new Map();     // table name -> TrackedMap
+let flushHook = null;
+let running = null;           // Promise of the flush in progress
+let queued = null;            // Promise of the flush waiting behind it
+
+const stats = {
+  flushes: 0,
+  failures: 0,
+  rowsWritten: 0,
+  rowsDeleted: 0,
+  totalDurationMs: 0,
+  maxDurationMs: 0,
+  last: null,
+};
+
+/**
+ * Persist a Map to a table with (id TEXT PRIMARY KEY, data TEXT) columns
+ * @param {string} table
+ * @param {TrackedMap} map
+ */
+export function trackTable(table, map) {
+  tables.set(table, map);
+}
+
+/**
+ * Extra writes made inside every flush transaction (e.g. the tick counter)
+ * @param {function(): Promise<void>} fn
+ */
+export function setFlushHook(fn) {
+  flushHook = fn;
+}
+
+async function runFlush() {
+  const startedAt = Date.now();
+  let changes;
+  try {
+    changes = [...tables].map(([table, map]) => ({ table, map, ...map.collectChanges() }));
+    await dbTransaction(async () => {
+      for (const { table, upserts, deletes } of changes) {
+        for (const { key, data } of upserts) {
+          await dbRun(`INSERT OR REPLACE INTO ${table} (id, data) VALUES (?, ?)`, [key, data]);
+        }
+        for (const key of deletes) {
+          await dbRun(`DELETE FROM ${table} WHERE id = ?`, [key]);
+        }
+      }
+      if (flushHook) await flushHook();
+    });
+  } catch (err) {
+    stats.failures++;
+    console.error("[DB Error] Failed to save game state:", err.message);
+    return null; // Nothing is marked saved, so the next flush retries
+  }
+
+  let rowsWritten = 0, rowsDeleted = 0, checked = 0;
+  for (const change of changes) {
+    change.map.commitChanges(change, startedAt - config.touchTtlMs);
+    rowsWritten += change.upserts.length;
+    rowsDeleted += change.deletes.length;
+    checked += change.checked;
+  }
+
+  const durationMs = Date.now() - startedAt;
+  stats.flushes++;
+  stats.rowsWritten += rowsWritten;
+  stats.rowsDeleted += rowsDeleted;
+  stats.totalDurationMs += durationMs;
+  stats.maxDurationMs = Math.max(stats.maxDurationMs, durationMs);
+  stats.last = { at: startedAt, durationMs, checked, rowsWritten, rowsDeleted };
+  return stats.last;
+}
+
+function startFlush() {
+  running = runFlush().finally(() => { running = null; });
+  return running;
+}
+
+/**
+ * Write pending changes. Waits for a running flush first; callers that ask
+ * while one is already queued share it.
+ * @returns {Promise<Object|null>} Summary of the flush, or null if it failed
+ */
+export function flushState() {
+  if (queued) return queued;
+  if (!running) return startFlush();
+  queued = running.then(() => {
+    queued = null;
+    return startFlush();
+  });
+  return queued;
+}
+
+/**
+ * Flush counters and timings, for diagnostics
+ */
+export function getPersistenceStats() {
+  let tracked = 0;
+  for (const map of tables.values()) tracked += map.touched.size + map.removed.size;
+  return {
+    ...stats,
+    avgDurationMs: stats.flushes > 0 ? Math.round(stats.totalDurationMs / stats.flushes) : 0,
+    tracked,
+    flushing: running !== null,
+  };
+}
+
+export { config as persistenceConfig };
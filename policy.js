@@ -0,0 +1,143 @@
+/**
+ * Authorization Policies for Molt Wars
+ *
+ * Every mutating route declares who may call it. The acting agent is always
+ * the wallet whose signature requireAuth verified (req.walletAddress), never an
+ * id taken from the body or an unverified header:
+ *
+ *   requireWallet          - any verified wallet (e.g. registering an agent)
+ *   requireOwner('agent')  - a verified wallet with an agent; an :agentId in
+ *                            the path must be that agent
+ *   requireOwner('planet') - the planet named in the request belongs to it
+ *   requireAdmin           - the admin secret (see auth.js)
+ *
+ * Requests made with an API key only pass an owner policy that names one of
+ * the key's scopes, e.g. requireOwner('planet', { scope: 'economy' }); actions
+ * without a scope (and requireWallet) need a wallet signature.
+ *
+ * Owner policies run after requireAuth. auditRoutes() is called at startup and
+ * refuses to start the server if a POST/PUT/PATCH/DELETE route has no policy,
+ * or if a signed one is not rate limited.
+ */
+
+import { requireAuth, requireAdmin } from './auth.js';
+import { rateLimitMiddleware } from './rateLimit.js';
+
+const POLICY = Symbol('policy');
+const MUTATING_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// kind -> { field, lookup(id) -> owner wallet, or undefined if there is no such entity }
+const owners = new Map();
+
+function tag(fn, policy) {
+  fn[POLICY] = policy;
+  return fn;
+}
+
+function deny(res, status, error, details = {}) {
+  return res.status(status).json({ success: false, error, ...details });
+}
+
+// Reject API keys that don't hold the action's scope; returns true if it responded
+function denyKey(req, res, scope) {
+  const apiKey = req.apiKey;
+  if (!apiKey) return false;
+  if (!scope) {
+    deny(res, 403, "This action requires a wallet signature, not an API key");
+    return true;
+  }
+  if (!apiKey.scopes.includes(scope)) {
+    deny(res, 403, `API key lacks the ${scope} scope`, { scope, keyScopes: apiKey.scopes });
+    return true;
+  }
+  return false;
+}
+
+// Admin routes are authorized by the admin secret instead of a wallet
+tag(requireAdmin, 'admin');
+
+/**
+ * Any wallet with a verified signature
+ */
+export const requireWallet = tag(function requireWallet(req, res, next) {
+  if (!req.walletAddress) return deny(res, 401, "Authentication required");
+  if (denyKey(req, res, null)) return;
+  next();
+}, 'wallet');
+
+/**
+ * Declare how to find the owner of an entity kind
+ * @param {string} kind - e.g. "planet"
+ * @param {Object} options
+ * @param {string} options.field - Default request field holding the id (path params first, then body)
+ * @param {function(string): (string|undefined)} options.lookup - Owner wallet, or undefined if not found
+ */
+export function registerOwner(kind, { field, lookup }) {
+  owners.set(kind, { field, lookup });
+}
+
+/**
+ * Only the owner of the entity named in the request may act on it
+ * @param {string} kind - A kind passed to registerOwner()
+ * @param {Object} [options]
+ * @param {string} [options.field] - Request field holding the id, if not the kind's default
+ * @param {string} [options.scope] - API key scope that allows the action (see apiKeys.js)
+ * @returns {function} Express middleware
+ */
+export function requireOwner(kind, { field, scope } = {}) {
+  const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+
+  return tag(function requireOwnerPolicy(req, res, next) {
+    const owner = owners.get(kind);
+    if (!owner) throw new Error(`No owner lookup registered for ${kind}`);
+
+    const wallet = req.walletAddress;
+    if (!wallet) return deny(res, 401, "Authentication required");
+    if (denyKey(req, res, scope)) return;
+
+    const key = field || owner.field;
+    // An agent acts as itself unless the path names one
+    const id = req.params?.[key] ?? req.body?.[key] ?? (kind === 'agent' ? wallet : undefined);
+    if (id === undefined || id === null || id === '') return deny(res, 400, `${key} is required`);
+
+    const ownerId = owner.lookup(String(id));
+    if (ownerId === undefined) return deny(res, 404, `${label} not found`, { [key]: id });
+    if (ownerId !== wallet) return deny(res, 403, `Not your ${kind}`, { [key]: id });
+    next();
+  }, `owner:${kind}`);
+}
+
+/**
+ * Policy declared by a route handler, if any
+ * @returns {string|undefined} e.g. "owner:planet", "wallet", "admin"
+ */
+export function getPolicy(fn) {
+  return fn?.[POLICY];
+}
+
+/**
+ * Mutating routes that lack a policy, whose wallet policy does not run after
+ * requireAuth, or that are signed but not rate limited
+ * @param {Object} app - Express app
+ * @returns {string[]} Problems, e.g. "POST /api/foo: no policy"
+ */
+export function auditRoutes(app) {
+  const problems = [];
+  for (const layer of app._router?.stack || []) {
+    if (!layer.route) continue;
+    const { path, methods, stack } = layer.route;
+    for (const method of MUTATING_METHODS.filter(m => methods[m])) {
+      const handlers = stack.filter(l => l.method === method || !l.method).map(l => l.handle);
+      const index = handlers.findIndex(getPolicy);
+      const route = `${method.toUpperCase()} ${path}`;
+      if (index === -1) {
+        problems.push(`${route}: no policy`);
+      } else if (getPolicy(handlers[index]) !== 'admin' && !handlers.slice(0, index).includes(requireAuth)) {
+        problems.push(`${route}: ${getPolicy(handlers[index])} policy without requireAuth before it`);
+      } else if (handlers.includes(requireAuth) && !handlers.includes(rateLimitMiddleware)) {
+        problems.push(`${route}: no rateLimitMiddleware`);
+      }
+    }
+  }
+  return problems;
+}
@@ -3,8 +3,11 @@
  *
  * Token bucket algorithm for per-agent rate limiting.
  * Separate buckets for read (GET) and write (POST/PUT/DELETE) operations.
+ * Requests made with an API key use that key's own buckets and limits.
  */
 
+import { logRateLimitExceeded } from './securityLogger.js';
+
 // Configuration from environment with defaults
 // Default: 10 read/sec, 5 write/sec, no burst allowance
 const config = {
@@ -84,7 +87,7 @@ class TokenBucket {
 
 /**
  * Per-agent bucket storage
- * Map<walletAddress, { read: TokenBucket, write: TokenBucket }>
+ * Map<walletAddress | "key:<id>" | "ip:<address>", { read: TokenBucket, write: TokenBucket }>
  */
 const agentBuckets = new Map();
 
@@ -93,11 +96,24 @@ const agentBuckets = new Map();
  */
 const MAX_BUCKETS = 10000;
 
+/**
+ * Requests per second (and burst) for each bucket type
+ * @param {Object} [custom] - Per-key { read?, write? } rates, no higher than the defaults
+ */
+export function getLimits(custom = {}) {
+  const limits = {};
+  for (const type of ['read', 'write']) {
+    const rate = Math.min(custom[type] ?? config[type].rate, config[type].rate);
+    limits[type] = { rate, burst: Math.max(1, Math.floor(rate * config.burstFactor)) };
+  }
+  return limits;
+}
+
 /**
  * Get or create buckets for an agent
  * Proactively cleans up old buckets when approaching limit
  */
-function getBuckets(walletAddress) {
+function getBuckets(walletAddress, limits = config) {
   // Proactive cleanup when approaching limit
   if (agentBuckets.size >= MAX_BUCKETS * 0.9) {
     cleanupOldBuckets(300000); // Clean buckets older than 5 minutes
@@ -110,8 +126,8 @@ function getBuckets(walletAddress) {
       agentBuckets.delete(oldestKey);
     }
     agentBuckets.set(walletAddress, {
-      read: new TokenBucket(config.read.rate, config.read.burst),
-      write: new TokenBucket(config.write.rate, config.write.burst),
+      read: new TokenBucket(limits.read.rate, limits.read.burst),
+      write: new TokenBucket(limits.write.rate, limits.write.burst),
     });
   }
   return agentBuckets.get(walletAddress);
@@ -134,15 +150,16 @@ export function rateLimitMiddleware(req, res, next) {
     return next();
   }
 
-  // Use wallet address if authenticated, otherwise use IP
+  // Use the API key or wallet address if authenticated, otherwise use IP
   const walletAddress = req.walletAddress;
   const clientIp = req.ip || req.connection?.remoteAddress || 'unknown';
-  const rateLimitKey = walletAddress || `ip:${clientIp}`;
+  const rateLimitKey = req.apiKey ? `key:${req.apiKey.id}` : walletAddress || `ip:${clientIp}`;
+  const limits = req.apiKey ? getLimits(req.apiKey.rateLimit) : config;
 
   const bucketType = getBucketType(req.method);
-  const buckets = getBuckets(rateLimitKey);
+  const buckets = getBuckets(rateLimitKey, limits);
   const bucket = buckets[bucketType];
-  const bucketConfig = config[bucketType];
+  const bucketConfig = limits[bucketType];
 
   // Try to consume a token
   if (bucket.tryConsume()) {
@@ -158,6 +175,7 @@ export function rateLimitMiddleware(req, res, next) {
 
   // Rate limit exceeded
   const retryAfter = bucket.getRetryAfter();
+  logRateLimitExceeded(walletAddress || null, req.originalUrl || req.url, bucketType, clientIp);
 
   res.set({
     'X-RateLimit-Limit': bucketConfig.rate,
@@ -0,0 +1,198 @@
+/**
+ * Event Scheduler for Molt Wars
+ *
+ * Builds, shipyard jobs, research and fleet arrivals are kept in a priority
+ * queue keyed by when they are due, and a single timer wakes the server at
+ * the earliest one. Events fire at their exact time and nothing is scanned
+ * while the universe is idle.
+ *
+ * Each pending event has a key ("fleet:<id>", "build:<planetId>", ...) and at
+ * most one due time; scheduling a key again moves it. The handler gets the key
+ * and re-checks the game state, so an event that no longer applies is a no-op.
+ */
+
+// Configuration
+const config = {
+  maxTimerMs: 60 * 1000,     // Re-arm at least once a minute (setTimeout overflows past ~24.8 days)
+};
+
+/**
+ * Min-heap of due times with one live entry per key
+ * Moved and cancelled entries stay in the heap and are skipped when they surface.
+ */
+export class EventQueue {
+  constructor() {
+    this.heap = [];          // { key, at }
+    this.due = new Map();    // key -> at of its live entry
+  }
+
+  get size() {
+    return this.due.size;
+  }
+
+  /**
+   * Schedule a key, replacing any earlier time for it
+   * @param {string} key
+   * @param {number} at - Due time in ms
+   */
+  schedule(key, at) {
+    if (this.due.get(key) === at) return;
+    this.due.set(key, at);
+    this.heap.push({ key, at });
+    this.siftUp(this.heap.length - 1);
+  }
+
+  cancel(key) {
+    this.due.delete(key);
+  }
+
+  /**
+   * Due time of the earliest live entry
+   * @returns {number|null}
+   */
+  nextAt() {
+    this.dropStale();
+    return this.heap.length > 0 ? this.heap[0].at : null;
+  }
+
+  /**
+   * Remove and return every key due at or before `now`, earliest first
+   * @param {number} now
+   * @returns {string[]}
+   */
+  popDue(now) {
+    const keys = [];
+    while (this.nextAt() !== null && this.heap[0].at <= now) {
+      const { key } = this.pop();
+      this.due.delete(key);
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  // Discard heap entries whose key was moved or cancelled
+  dropStale() {
+    while (this.heap.length > 0 && this.due.get(this.heap[0].key) !== this.heap[0].at) this.pop();
+  }
+
+  pop() {
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  siftUp(i) {
+    const heap = this.heap;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].at <= heap[i].at) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  siftDown(i) {
+    const heap = this.heap;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].at < heap[smallest].at) smallest = left;
+      if (right < heap.length && heap[right].at < heap[smallest].at) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+}
+
+const queue = new EventQueue();
+let handler = null;
+let timer = null;
+let timerAt = Infinity;
+
+// Point the timer at the earliest pending event
+function arm() {
+  clearTimeout(timer);
+  timer = null;
+  timerAt = Infinity;
+  const next = queue.nextAt();
+  if (handler === null || next === null) return;
+
+  const delay = Math.min(Math.max(0, next - Date.now()), config.maxTimerMs);
+  timerAt = Date.now() + delay;
+  timer = setTimeout(run, delay);
+}
+
+function run() {
+  timer = null;
+  timerAt = Infinity;
+  runDueEvents(handler);
+  arm();
+}
+
+/**
+ * Run every event that is due right now, in order, including any that the
+ * handlers schedule for a time already past (used to catch up after downtime)
+ * @param {function(string): void} fn - Called with each key
+ */
+export function runDueEvents(fn) {
+  const now = Date.now();
+  let keys;
+  while ((keys = queue.popDue(now)).length > 0) {
+    for (const key of keys) {
+      try {
+        fn(key);
+      } catch (err) {
+        console.error(`[Scheduler] ${key} failed:`, err);
+      }
+    }
+  }
+}
+
+/**
+ * Start firing events
+ * @param {function(string): void} fn - Called with each key when it is due
+ */
+export function startScheduler(fn) {
+  handler = fn;
+  arm();
+}
+
+/**
+ * Stop the timer (pending events are kept)
+ */
+export function stopScheduler() {
+  handler = null;
+  arm();
+}
+
+/**
+ * Schedule or move an event
+ * @param {string} key - e.g. "fleet:<id>"
+ * @param {number} at - Due time in ms
+ */
+export function scheduleEvent(key, at) {
+  queue.schedule(key, at);
+  if (at < timerAt) arm();
+}
+
+/**
+ * Drop a pending event
+ */
+export function cancelEvent(key) {
+  queue.cancel(key);
+}
+
+/**
+ * Pending event count and the next due time, for diagnostics
+ */
+export function getSchedulerStats() {
+  return { pending: queue.size, nextAt: queue.nextAt() };
+}
+
+export { config as schedulerConfig };
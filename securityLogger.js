@@ -3,8 +3,16 @@
  *
  * Provides structured logging for security-related events
  * including authentication, authorization, and rate limiting.
+ *
+ * Events are also buffered in memory and written to the security_events
+ * table by flushSecurityEvents(), which the server runs every few seconds,
+ * so they survive restarts and can be queried and aggregated by admins (see
+ * bans.js for the automatic bans built on top). Events older than
+ * SECURITY_EVENT_RETENTION_DAYS are pruned.
  */
 
+import { dbRun, dbAll } from './db.js';
+
 // Security event types
 export const SecurityEventType = {
   AUTH_SUCCESS: 'AUTH_SUCCESS',
@@ -16,8 +24,32 @@ export const SecurityEventType = {
   WS_AUTH_FAILURE: 'WS_AUTH_FAILURE',
   WS_RATE_LIMIT: 'WS_RATE_LIMIT',
   SUSPICIOUS_ACTIVITY: 'SUSPICIOUS_ACTIVITY',
+  REPLAY_ATTEMPT: 'REPLAY_ATTEMPT',
+  IP_BANNED: 'IP_BANNED',
+};
+
+/** Event types that count as failed authentication (used for spike detection) */
+export const FAILURE_EVENT_TYPES = [
+  SecurityEventType.AUTH_FAILURE,
+  SecurityEventType.ADMIN_AUTH_FAILED,
+  SecurityEventType.WS_AUTH_FAILURE,
+  SecurityEventType.REPLAY_ATTEMPT,
+];
+
+// Configuration
+const config = {
+  retentionDays: parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS || '30', 10),
+  maxBuffered: 5000,               // Unwritten events kept in memory; the oldest are dropped first
+  insertBatchSize: 100,            // Rows per INSERT statement
+  maxQueryLimit: 1000,
+  // Too frequent to be worth keeping
+  unpersisted: [SecurityEventType.AUTH_SUCCESS, SecurityEventType.WS_AUTH_SUCCESS],
 };
 
+let buffer = [];
+let flushing = null;   // Promise of the flush in progress
+let dropped = 0;
+
 /**
  * Format a security event for logging
  */
@@ -29,18 +61,25 @@ function formatEvent(eventType, details) {
   };
 }
 
+// Wallets are shortened in the console but stored in full
+function shortWallet(wallet) {
+  return wallet ? wallet.slice(0, 8) + '...' : 'unknown';
+}
+
 /**
- * Log a security event to console (structured JSON)
- * In production, this could be extended to send to external logging services
+ * Log a security event to console (structured JSON) and queue it for the
+ * security_events table
  */
 export function logSecurityEvent(eventType, details = {}) {
-  const event = formatEvent(eventType, details);
+  const event = formatEvent(eventType, 'wallet' in details ? { ...details, wallet: shortWallet(details.wallet) } : details);
 
   // Use appropriate log level based on event type
   switch (eventType) {
     case SecurityEventType.AUTH_FAILURE:
     case SecurityEventType.ADMIN_AUTH_FAILED:
     case SecurityEventType.SUSPICIOUS_ACTIVITY:
+    case SecurityEventType.REPLAY_ATTEMPT:
+    case SecurityEventType.IP_BANNED:
       console.warn('[SECURITY]', JSON.stringify(event));
       break;
     case SecurityEventType.RATE_LIMIT_EXCEEDED:
@@ -53,6 +92,173 @@ export function logSecurityEvent(eventType, details = {}) {
         console.log('[SECURITY]', JSON.stringify(event));
       }
   }
+
+  if (config.unpersisted.includes(eventType)) return;
+  const { wallet = null, ip = null, endpoint = null, ...rest } = details;
+  buffer.push({ event: eventType, wallet, ip: ip === 'unknown' ? null : ip, endpoint, details: rest, createdAt: Date.now() });
+  if (buffer.length > config.maxBuffered) {
+    buffer.shift();
+    dropped++;
+  }
+}
+
+async function writeEvents(events) {
+  for (let i = 0; i < events.length; i += config.insertBatchSize) {
+    const batch = events.slice(i, i + config.insertBatchSize);
+    await dbRun(
+      `INSERT INTO security_events (event, wallet, ip, endpoint, details, created_at) VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+      batch.flatMap(e => [e.event, e.wallet, e.ip, e.endpoint, JSON.stringify(e.details), e.createdAt])
+    );
+  }
+}
+
+/**
+ * Write buffered events to the database. Concurrent callers share one flush;
+ * on failure the events go back into the buffer for the next one.
+ * @returns {Promise<number>} Events written
+ */
+export function flushSecurityEvents() {
+  if (flushing) return flushing;
+  const events = buffer;
+  buffer = [];
+  if (events.length === 0) return Promise.resolve(0);
+
+  flushing = writeEvents(events)
+    .then(() => events.length)
+    .catch(err => {
+      console.error('Failed to write security events:', err.message);
+      buffer = [...events, ...buffer].slice(-config.maxBuffered);
+      return 0;
+    })
+    .finally(() => { flushing = null; });
+  return flushing;
+}
+
+/**
+ * Drop events past the retention window
+ */
+export function pruneSecurityEvents() {
+  dbRun(`DELETE FROM security_events WHERE created_at < ?`, [Date.now() - config.retentionDays * 24 * 60 * 60 * 1000])
+    .catch(err => console.error('Failed to prune security events:', err));
+}
+
+/**
+ * Shape a security_events row for the API
+ */
+export function formatSecurityEvent(row) {
+  return {
+    id: row.id,
+    event: row.event,
+    wallet: row.wallet,
+    ip: row.ip,
+    endpoint: row.endpoint,
+    details: JSON.parse(row.details || '{}'),
+    createdAt: row.created_at,
+  };
+}
+
+// WHERE clause for the common filters, plus any extra conditions
+function buildFilter({ wallet, types, ip, since, until, before }, extra = []) {
+  const clauses = [...extra];
+  const params = [];
+  if (wallet) { clauses.push('wallet = ?'); params.push(wallet); }
+  if (ip) { clauses.push('ip = ?'); params.push(ip); }
+  if (types?.length) { clauses.push(`event IN (${types.map(() => '?').join(', ')})`); params.push(...types); }
+  if (since !== undefined) { clauses.push('created_at >= ?'); params.push(since); }
+  if (until !== undefined) { clauses.push('created_at < ?'); params.push(until); }
+  if (before) { clauses.push('id < ?'); params.push(before); }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Stored events, newest first
+ * @param {Object} filters
+ * @param {string} [filters.wallet]
+ * @param {string[]} [filters.types] - SecurityEventType values
+ * @param {string} [filters.ip]
+ * @param {number} [filters.since] - ms timestamp, inclusive
+ * @param {number} [filters.until] - ms timestamp, exclusive
+ * @param {number} [filters.before] - Only events with a lower id (for paging)
+ * @param {number} [filters.limit]
+ * @returns {Promise<{ events: Object[], nextBefore: number|null }>}
+ */
+export async function querySecurityEvents({ limit = 100, ...filters } = {}) {
+  const { where, params } = buildFilter(filters);
+  const size = Math.min(Math.max(1, limit), config.maxQueryLimit);
+  const rows = await dbAll(`SELECT * FROM security_events ${where} ORDER BY id DESC LIMIT ?`, [...params, size]);
+  return {
+    events: rows.map(formatSecurityEvent),
+    nextBefore: rows.length === size ? rows[rows.length - 1].id : null,
+  };
+}
+
+/**
+ * Event counts per address and type since a time, for automatic bans
+ * @returns {Promise<Array<{ ip, event, count }>>}
+ */
+export function countEventsByIp(since, types) {
+  const { where, params } = buildFilter({ since, types }, ['ip IS NOT NULL']);
+  return dbAll(`SELECT ip, event, COUNT(*) AS count FROM security_events ${where} GROUP BY ip, event`, params);
+}
+
+/**
+ * Aggregate stored events over a time range
+ * @param {Object} range
+ * @param {number} range.since - ms timestamp
+ * @param {number} range.until - ms timestamp
+ * @param {number} [range.top] - Entries in the top offender lists
+ * @param {number} [range.bucketMs] - Width of the buckets failures are counted in
+ * @param {number} [range.spikeFactor] - A bucket is a spike at this multiple of the average...
+ * @param {number} [range.spikeMinEvents] - ...and with at least this many failures
+ * @returns {Promise<Object>} { total, byType, topIps, topWallets, failures: { buckets, average, spikes } }
+ */
+export async function summarizeSecurityEvents({ since, until, top = 10, bucketMs = 5 * 60 * 1000, spikeFactor = 3, spikeMinEvents = 20 }) {
+  const { where, params } = buildFilter({ since, until });
+  const withIp = buildFilter({ since, until }, ['ip IS NOT NULL']);
+  const withWallet = buildFilter({ since, until }, ['wallet IS NOT NULL']);
+  const failures = buildFilter({ since, until, types: FAILURE_EVENT_TYPES });
+
+  const [byType, topIps, topWallets, buckets] = await Promise.all([
+    dbAll(`SELECT event, COUNT(*) AS count FROM security_events ${where} GROUP BY event ORDER BY count DESC`, params),
+    dbAll(
+      `SELECT ip, COUNT(*) AS count, SUM(event IN (${FAILURE_EVENT_TYPES.map(() => '?').join(', ')})) AS failures
+       FROM security_events ${withIp.where} GROUP BY ip ORDER BY count DESC LIMIT ?`,
+      [...FAILURE_EVENT_TYPES, ...withIp.params, top]
+    ),
+    dbAll(`SELECT wallet, COUNT(*) AS count FROM security_events ${withWallet.where} GROUP BY wallet ORDER BY count DESC LIMIT ?`, [...withWallet.params, top]),
+    dbAll(
+      `SELECT CAST((created_at - ?) / ? AS INTEGER) AS bucket, COUNT(*) AS count FROM security_events ${failures.where} GROUP BY bucket ORDER BY bucket`,
+      [since, bucketMs, ...failures.params]
+    ),
+  ]);
+
+  const bucketCount = Math.max(1, Math.ceil((until - since) / bucketMs));
+  const failureTotal = buckets.reduce((sum, b) => sum + b.count, 0);
+  const average = failureTotal / bucketCount;
+  const toBucket = b => ({ start: since + b.bucket * bucketMs, count: b.count });
+
+  return {
+    since,
+    until,
+    total: byType.reduce((sum, t) => sum + t.count, 0),
+    byType,
+    topIps,
+    topWallets,
+    failures: {
+      total: failureTotal,
+      bucketMs,
+      average: Math.round(average * 100) / 100,
+      buckets: buckets.map(toBucket),
+      spikes: buckets.filter(b => b.count >= spikeMinEvents && b.count >= average * spikeFactor).map(toBucket),
+    },
+  };
+}
+
+/**
+ * Buffer and flush counters, for diagnostics
+ */
+export function getSecurityLogStats() {
+  return { buffered: buffer.length, dropped, flushing: flushing !== null };
 }
 
 /**
@@ -60,7 +266,7 @@ export function logSecurityEvent(eventType, details = {}) {
  */
 export function logAuthSuccess(wallet, endpoint) {
   logSecurityEvent(SecurityEventType.AUTH_SUCCESS, {
-    wallet: wallet?.slice(0, 8) + '...',
+    wallet,
     endpoint,
   });
 }
@@ -71,7 +277,7 @@ export function logAuthSuccess(wallet, endpoint) {
 export function logAuthFailure(reason, wallet, endpoint, ip) {
   logSecurityEvent(SecurityEventType.AUTH_FAILURE, {
     reason,
-    wallet: wallet?.slice(0, 8) + '...' || 'unknown',
+    wallet,
     endpoint,
     ip: ip || 'unknown',
   });
@@ -93,23 +299,36 @@ export function logAdminAccess(success, endpoint, ip) {
 /**
  * Log rate limit exceeded
  */
-export function logRateLimitExceeded(wallet, endpoint, limitType) {
+export function logRateLimitExceeded(wallet, endpoint, limitType, ip) {
   logSecurityEvent(SecurityEventType.RATE_LIMIT_EXCEEDED, {
-    wallet: wallet?.slice(0, 8) + '...',
+    wallet,
     endpoint,
     limitType,
+    ip: ip || 'unknown',
+  });
+}
+
+/**
+ * Log a signed request whose challenge nonce was already used
+ */
+export function logReplayAttempt(wallet, endpoint, ip) {
+  logSecurityEvent(SecurityEventType.REPLAY_ATTEMPT, {
+    wallet,
+    endpoint,
+    ip: ip || 'unknown',
   });
 }
 
 /**
  * Log WebSocket authentication
  */
-export function logWSAuth(success, wallet, reason = null) {
+export function logWSAuth(success, wallet, reason = null, ip = null) {
   logSecurityEvent(
     success ? SecurityEventType.WS_AUTH_SUCCESS : SecurityEventType.WS_AUTH_FAILURE,
     {
-      wallet: wallet?.slice(0, 8) + '...' || 'unknown',
+      wallet,
       ...(reason && { reason }),
+      ...(ip && { ip }),
     }
   );
 }
@@ -119,7 +338,7 @@ export function logWSAuth(success, wallet, reason = null) {
  */
 export function logWSRateLimit(wallet) {
   logSecurityEvent(SecurityEventType.WS_RATE_LIMIT, {
-    wallet: wallet?.slice(0, 8) + '...',
+    wallet,
   });
 }
 
@@ -132,3 +351,5 @@ export function logSuspiciousActivity(type, details) {
     ...details,
   });
 }
+
+export { config as securityLogConfig };
@@ -4,15 +4,38 @@ import { createServer } from "http";
 import sqlite3 from "sqlite3";
 import cors from "cors";
 import crypto from "crypto";
+import zlib from "zlib";
+import net from "net";
+import { Worker } from "worker_threads";
 import escapeHtml from "escape-html";
 import { requireAuth, requireAdmin, authConfig } from "./auth.js";
+import { requireWallet, requireOwner, registerOwner, auditRoutes } from "./policy.js";
+import { API_KEY_SCOPES, apiKeyConfig, parseKeyOptions, countActiveKeys, createApiKey, listApiKeys, revokeApiKey } from "./apiKeys.js";
 import { rateLimitMiddleware, cleanupOldBuckets, rateLimitConfig } from "./rateLimit.js";
 import { WSClientInfo, authenticateWS, sanitizeChatMessage, isChatAuthRequired, logChatRateLimit } from "./wsAuth.js";
+import { parseTopic, positionTopics, privateChannels, isInAudience } from "./wsChannels.js";
+import { formatEvent, parseLastEventId, openStream, closeStream, closeAllStreams, markReady, eventStreamConfig } from "./eventStream.js";
+import { recordAgentEvent, pruneAgentEvents } from "./agentEvents.js";
+import { processWebhookQueue, redeliver, sendTestPing, pruneWebhookDeliveries, formatDelivery, isDisabled } from "./webhooks.js";
 import { withPlanetLockAsync } from "./locks.js";
-import { initDatabase, dbRun, dbGet, dbAll, dbEach, dbTransaction, initTables, closeDatabase } from "./db.js";
-import { BUILDINGS, SHIPS, DEFENSES, TECHNOLOGIES, OFFICERS, BOOSTERS, SPEEDUP_RATES, STAKING_POOLS } from "./game/constants.js";
-import { GAME_SPEED, calculateStorageCapacity, calculateProduction, getBuildingCost, getBuildTime, getResearchCost, getResearchTime } from "./game/formulas.js";
-import { getCombatStats, createCombatUnits, fireAtEnemy, runCombatRound, resolveCombat, calculateLoot, rebuildDefenses } from "./game/combat.js";
+import { startScheduler, stopScheduler, scheduleEvent, cancelEvent, runDueEvents, getSchedulerStats } from "./scheduler.js";
+import { TrackedMap, trackTable, setFlushHook, flushState, getPersistenceStats } from "./persistence.js";
+import { issueNonce, getNonceStats } from "./nonces.js";
+import { getBalanceProvider, getBalanceStats } from "./balances.js";
+import { SecurityEventType, flushSecurityEvents, pruneSecurityEvents, querySecurityEvents, summarizeSecurityEvents, getSecurityLogStats } from "./securityLogger.js";
+import { loadBans, isBanned, isExempt, banIp, unbanIp, listBans, evaluateAutoBans, pruneBans, rejectBannedIps, banConfig } from "./bans.js";
+import { initDatabase, dbRun, dbGet, dbAll, dbEach, initTables, closeDatabase } from "./db.js";
+import { BUILDINGS, MOON_BUILDINGS, SHIPS, DEFENSES, TECHNOLOGIES, OFFICERS, BOOSTERS, SPEEDUP_RATES, STAKING_POOLS } from "./game/constants.js";
+import { GAME_SPEED, REFERENCE_FLEET_SPEED, calculateStorageCapacity, calculateProduction, settlePlanet, getBuildingCost, getBuildTime, checkBuildQueue, getResearchCost, getResearchTime, PRODUCTION_SETTINGS, isValidProductionPercent, getSatelliteEnergy, isValidSpeedPercent, getShipSpeed, getFleetSpeed, getFlightDuration, getFuelSpeedFactor } from "./game/formulas.js";
+import { getCombatStats, createCombatUnits, fireAtEnemy, runCombatRound, resolveCombat, calculateDebris, calculateLoot, splitLoot, rebuildDefenses, calculateMoonChance, calculateMoonDiameter } from "./game/combat.js";
+import { EXPEDITION_POSITION, resolveExpedition } from "./game/expedition.js";
+import { MODIFIERS, getModifiers, getModifierBreakdown } from "./game/modifiers.js";
+import { createRng, generateSeed, normalizeSeed } from "./game/random.js";
+import { MAX_SIMULATION_ITERATIONS, DEFAULT_SIMULATION_ITERATIONS, createSpyReport, defenderFromSpyReport } from "./game/simulator.js";
+import { getMissileRange, getMissileFlightTime, getSiloCapacity, getSiloUsage, resolveMissileStrike } from "./game/missiles.js";
+import { PHALANX_SCAN_COST, getPhalanxRange, checkPhalanxScan, scanFleets } from "./game/phalanx.js";
+import { startReturnLeg, startHold } from "./game/arrivals.js";
+import { isHostileFleet, estimateFleetSize, getOverviewGalaxies, isInOverview } from "./game/intel.js";
 
 const app = express();
 const server = createServer(app);
@@ -22,11 +45,14 @@ const db = new sqlite3.Database("molt.db");
 // Interval references for graceful shutdown
 let tickInterval = null;
 let cleanupInterval = null;
+let webhookInterval = null;
+let securityInterval = null;
 
 // Disable X-Powered-By header to hide framework
 app.disable('x-powered-by');
 
-app.use(express.json({ limit: '10kb' }));
+// Keep the raw body: challenge signatures cover its hash (see nonces.js)
+app.use(express.json({ limit: '10kb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Handle JSON parse errors - return 400 instead of 500
 app.use((err, req, res, next) => {
@@ -46,7 +72,7 @@ app.use(cors({
   origin: process.env.CORS_ALLOWED_ORIGINS?.split(',') || false,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'X-Solana-Auth', 'X-Admin-Secret', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'X-Solana-Auth', 'X-Api-Key', 'X-Admin-Secret', 'Authorization'],
 }));
 
 // Security headers
@@ -76,16 +102,20 @@ app.use((req, res, next) => {
 
   res.on('finish', () => {
     const duration = Date.now() - start;
-    const wallet = req.headers['x-solana-auth'];
+    const wallet = req.walletAddress || req.headers['x-solana-auth'];
     console.log(
       `[HTTP] ${req.method} ${req.path} ${res.statusCode} ${duration}ms` +
-      (wallet ? ` wallet:${wallet.slice(0,8)}...` : '')
+      (wallet ? ` wallet:${wallet.slice(0,8)}...` : '') +
+      (req.apiKey ? ` key:${req.apiKey.id}` : '')
     );
   });
 
   next();
 });
 
+// Temporarily banned addresses (see bans.js)
+app.use("/api", rejectBannedIps);
+
 // Initialize DB
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS agents (
@@ -165,6 +195,11 @@ db.serialize(() => {
     debris TEXT,
     surviving_attackers INTEGER NOT NULL,
     surviving_defenders INTEGER NOT NULL,
+    participants TEXT,
+    report_type TEXT DEFAULT 'combat',
+    details TEXT,
+    battle_log BLOB,
+    seed INTEGER,
     created_at INTEGER NOT NULL
   )`);
   // Galaxy chat persistence
@@ -191,9 +226,17 @@ db.serialize(() => {
     position_galaxy INTEGER,
     position_system INTEGER,
     position_position INTEGER,
+    details TEXT,
     created_at INTEGER NOT NULL
   )`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_fleet_reports_owner ON fleet_reports(owner_id)`);
+  // Columns added after the original schema (errors when the column already exists are expected)
+  db.run(`ALTER TABLE fleet_reports ADD COLUMN details TEXT`, () => {});
+  db.run(`ALTER TABLE battle_reports ADD COLUMN participants TEXT`, () => {});
+  db.run(`ALTER TABLE battle_reports ADD COLUMN report_type TEXT DEFAULT 'combat'`, () => {});
+  db.run(`ALTER TABLE battle_reports ADD COLUMN details TEXT`, () => {});
+  db.run(`ALTER TABLE battle_reports ADD COLUMN battle_log BLOB`, () => {});
+  db.run(`ALTER TABLE battle_reports ADD COLUMN seed INTEGER`, () => {});
 });
 
 // Game constants
@@ -403,37 +446,73 @@ function safeAddCurrency(current, amount) {
   return Math.min(safeCurrent + safeAmount, Number.MAX_SAFE_INTEGER);
 }
 
-// Calculate debris from destroyed ships (30% of metal+crystal cost)
-// Defenses do not create debris
-function calculateDebris(attackerLosses, defenderLosses) {
-  let totalMetal = 0;
-  let totalCrystal = 0;
-
-  // Process attacker ship losses
-  for (const [shipType, count] of Object.entries(attackerLosses || {})) {
-    const shipData = SHIPS[shipType];
-    if (shipData && shipData.cost) {
-      totalMetal += (shipData.cost.metal || 0) * count;
-      totalCrystal += (shipData.cost.crystal || 0) * count;
-    }
-  }
+// Moons are stored alongside planets (id "<planetId>:moon") so queues, fleets and locks work unchanged
+function createMoon(planet, moonChance, rng = Math.random) {
+  const moonId = `${planet.id}:moon`;
+  const moon = {
+    id: moonId,
+    name: `${planet.name || 'Planet'} Moon`,
+    isMoon: true,
+    parentPlanetId: planet.id,
+    ownerId: planet.ownerId,
+    position: { ...planet.position },
+    diameter: calculateMoonDiameter(moonChance, rng),
+    temperature: planet.temperature ? { ...planet.temperature } : undefined,
+    resources: { metal: 0, crystal: 0, deuterium: 0, energy: 0 },
+    buildings: {},
+    ships: {},
+    defense: {},
+    buildQueue: [],
+    shipQueue: [],
+    createdAt: Date.now()
+  };
+  planet.moonId = moonId;
+  gameState.planets.set(moonId, moon);
+  return moon;
+}
 
-  // Process defender ship losses (not defense structures)
-  for (const [shipType, count] of Object.entries(defenderLosses || {})) {
-    const shipData = SHIPS[shipType];
-    if (shipData && shipData.cost) {
-      totalMetal += (shipData.cost.metal || 0) * count;
-      totalCrystal += (shipData.cost.crystal || 0) * count;
-    }
-  }
+// Moon fields: 1 to start, +3 per Lunar Base level; every building level uses one
+function getMoonFields(moon) {
+  const used = Object.values(moon.buildings || {}).reduce((sum, level) => sum + (level || 0), 0)
+    + (moon.buildQueue?.length || 0);
+  const max = 1 + 3 * (moon.buildings?.lunarBase || 0);
+  return { used, max, free: Math.max(0, max - used) };
+}
 
-  // 30% goes to debris field
+// Owner-facing moon summary for planet listings
+function summarizeMoon(planet) {
+  const moon = planet.moonId ? gameState.planets.get(planet.moonId) : null;
+  if (!moon) return null;
   return {
-    metal: Math.floor(totalMetal * 0.3),
-    crystal: Math.floor(totalCrystal * 0.3)
+    id: moon.id,
+    name: moon.name,
+    diameter: moon.diameter,
+    fields: getMoonFields(moon),
+    buildings: moon.buildings,
+    ships: moon.ships || {},
+    buildQueue: moon.buildQueue || []
   };
 }
 
+// Check whether a building can be placed on this planet or moon
+function checkBuildSite(planet, buildingId) {
+  const buildingData = BUILDINGS[buildingId];
+  if (!planet.isMoon) {
+    if (buildingData?.moonOnly) {
+      return { allowed: false, reason: `${buildingData.name} can only be built on a moon` };
+    }
+    return { allowed: true };
+  }
+  if (!MOON_BUILDINGS.includes(buildingId)) {
+    return { allowed: false, reason: `${buildingData?.name || buildingId} cannot be built on a moon`, moonBuildings: MOON_BUILDINGS };
+  }
+  const fields = getMoonFields(planet);
+  if (fields.free <= 0) {
+    return { allowed: false, reason: "No free moon fields", fields, hint: "Each Lunar Base level adds 3 fields" };
+  }
+  return { allowed: true };
+}
+
 // Planet locking for batch operations (prevents race conditions)
 const planetLocks = new Map();
 
@@ -449,12 +528,47 @@ function withPlanetLock(planetId, fn) {
   }
 }
 
+// Credit a planet's production from its lastUpdate up to `now`
+// Production is paid from elapsed time, so restarts and slow ticks lose nothing.
+function settleProduction(planet, now = Date.now()) {
+  settlePlanet(planet, gameState.agents.get(planet.ownerId), now);
+}
+
+// Settle before anything that changes an agent's production rates on every planet
+function settleAgentPlanets(agent, now = Date.now()) {
+  for (const planetId of agent.planets || []) {
+    const planet = gameState.planets.peek(planetId);
+    if (planet) settleProduction(planet, now);
+  }
+}
+
+// Planets settle their production whenever they are looked up, so idle planets
+// cost nothing until someone reads them. Iterating the map does not settle.
+class PlanetMap extends TrackedMap {
+  get(id) {
+    const planet = super.get(id);
+    if (planet) settleProduction(planet);
+    return planet;
+  }
+
+  // Look up without settling (to settle up to an earlier time, e.g. a job's completion)
+  peek(id) {
+    return super.get(id);
+  }
+
+  set(id, planet) {
+    if (planet.lastUpdate === undefined) planet.lastUpdate = Date.now();
+    return super.set(id, planet);
+  }
+}
+
 const gameState = {
-  agents: new Map(),
-  planets: new Map(),
-  fleets: new Map(),
-  debrisFields: new Map(),
-  systems: new Map(), // Star/system names: key = "galaxy:system", value = { name, namedBy, namedAt }
+  agents: new TrackedMap(),
+  planets: new PlanetMap(),
+  fleets: new TrackedMap(),
+  debrisFields: new TrackedMap(),
+  systems: new TrackedMap(), // Star/system names: key = "galaxy:system", value = { name, namedBy, namedAt }
+  acsGroups: new TrackedMap(), // ACS battle groups: key = group id, value = { id, leaderId, allianceId, target, fleetIds, arrivesAt }
   tick: 0,
 };
 
@@ -646,7 +760,7 @@ async function loadState() {
     // Load agents
     const agents = await dbAll("SELECT * FROM agents");
     for (const row of agents) {
-      const agent = JSON.parse(row.data);
+      const agent = gameState.agents.restore(row.id, row.data);
       // Migration: add moltium/officers/boosters/stakes if missing
       if (typeof agent.moltium !== 'number') agent.moltium = 0;
       if (!agent.officers) agent.officers = {};
@@ -659,19 +773,18 @@ async function loadState() {
         }
       }
       if (!agent.stakes) agent.stakes = [];
-      gameState.agents.set(row.id, agent);
     }
 
     // Load planets
     const planets = await dbAll("SELECT * FROM planets");
     for (const row of planets) {
-      gameState.planets.set(row.id, JSON.parse(row.data));
+      gameState.planets.restore(row.id, row.data);
     }
 
     // Load fleets
     const fleets = await dbAll("SELECT * FROM fleets");
     for (const row of fleets) {
-      gameState.fleets.set(row.id, JSON.parse(row.data));
+      gameState.fleets.restore(row.id, row.data);
     }
 
     // Load tick
@@ -681,14 +794,19 @@ async function loadState() {
     // Load debris fields
     const debrisRows = await dbAll("SELECT * FROM debris_fields");
     for (const row of debrisRows) {
-      gameState.debrisFields.set(row.id, JSON.parse(row.data));
+      gameState.debrisFields.restore(row.id, row.data);
+    }
+
+    // Load ACS battle groups
+    const acsRows = await dbAll("SELECT * FROM acs_groups");
+    for (const row of acsRows) {
+      gameState.acsGroups.restore(row.id, row.data);
     }
 
     // Load systems (star names)
     const systemRows = await dbAll("SELECT * FROM systems");
     for (const row of systemRows) {
-      const systemData = JSON.parse(row.data);
-      gameState.systems.set(row.id, systemData);
+      const systemData = gameState.systems.restore(row.id, row.data);
       // Track existing names to avoid duplicates when generating
       if (systemData.name) {
         generatedStarNames.add(systemData.name);
@@ -721,6 +839,17 @@ async function loadState() {
       console.log(`Migration: Named ${namedCount} previously unnamed systems`);
     }
 
+    // Catch up on downtime: whatever came due while the server was down completes
+    // in order (queue jobs settle production up to their own completion time),
+    // then every planet is paid for the rest of the gap
+    scheduleAll();
+    runDueEvents(handleScheduledEvent);
+    const now = Date.now();
+    for (const planet of gameState.planets.values()) {
+      settleProduction(planet, now);
+      gameState.planets.touch(planet.id);
+    }
+
     console.log(`Loaded state: ${gameState.agents.size} agents, ${gameState.fleets.size} fleets, ${gameState.debrisFields.size} debris fields, ${gameState.systems.size} systems, Tick ${gameState.tick}`);
     return true;
   } catch (err) {
@@ -729,73 +858,28 @@ async function loadState() {
   }
 }
 
-// Save State (async with transaction)
-async function saveStateAsync() {
-  try {
-    await dbTransaction(async () => {
-      // Save agents
-      for (const [id, agent] of gameState.agents) {
-        await dbRun("INSERT OR REPLACE INTO agents (id, data) VALUES (?, ?)", [id, JSON.stringify(agent)]);
-      }
-
-      // Save planets
-      for (const [id, planet] of gameState.planets) {
-        await dbRun("INSERT OR REPLACE INTO planets (id, data) VALUES (?, ?)", [id, JSON.stringify(planet)]);
-      }
-
-      // Save fleets
-      for (const [id, fleet] of gameState.fleets) {
-        await dbRun("INSERT OR REPLACE INTO fleets (id, data) VALUES (?, ?)", [id, JSON.stringify(fleet)]);
-      }
-
-      // Clean up completed fleets from DB
-      const fleetKeys = Array.from(gameState.fleets.keys());
-      if (fleetKeys.length > 0) {
-        await dbRun(
-          "DELETE FROM fleets WHERE id NOT IN (" + fleetKeys.map(() => '?').join(',') + ")",
-          fleetKeys
-        );
-      } else {
-        await dbRun("DELETE FROM fleets");
-      }
-
-      // Save tick
-      await dbRun("INSERT OR REPLACE INTO globals (key, value) VALUES ('tick', ?)", [gameState.tick]);
-
-      // Save debris fields
-      const debrisKeys = Array.from(gameState.debrisFields.keys());
-      for (const [id, debris] of gameState.debrisFields) {
-        await dbRun("INSERT OR REPLACE INTO debris_fields (id, data) VALUES (?, ?)", [id, JSON.stringify(debris)]);
-      }
-      // Clean up collected debris from DB
-      if (debrisKeys.length > 0) {
-        await dbRun(
-          "DELETE FROM debris_fields WHERE id NOT IN (" + debrisKeys.map(() => '?').join(',') + ")",
-          debrisKeys
-        );
-      } else {
-        await dbRun("DELETE FROM debris_fields");
-      }
-
-      // Save systems (star names)
-      for (const [id, system] of gameState.systems) {
-        await dbRun("INSERT OR REPLACE INTO systems (id, data) VALUES (?, ?)", [id, JSON.stringify(system)]);
-      }
-    });
-  } catch (err) {
-    console.error("[DB Error] Failed to save game state:", err.message);
-    // Don't throw - saveState is called frequently and we don't want to crash
-  }
+// Persisted tables (only changed rows are written, see persistence.js)
+trackTable("agents", gameState.agents);
+trackTable("planets", gameState.planets);
+trackTable("fleets", gameState.fleets);
+trackTable("debris_fields", gameState.debrisFields);
+trackTable("acs_groups", gameState.acsGroups);
+trackTable("systems", gameState.systems);
+setFlushHook(() => dbRun("INSERT OR REPLACE INTO globals (key, value) VALUES ('tick', ?)", [gameState.tick]));
+
+// Save State (flushes changes in one transaction, after any flush already running)
+function saveStateAsync() {
+  return flushState();
 }
 
-// Synchronous wrapper for compatibility (schedules async save)
+// Synchronous wrapper for compatibility (flushes once the current handler has finished mutating)
 let saveStatePending = false;
 function saveState() {
   if (saveStatePending) return; // Debounce
   saveStatePending = true;
-  setImmediate(async () => {
-    await saveStateAsync();
+  setImmediate(() => {
     saveStatePending = false;
+    flushState();
   });
 }
 
@@ -863,38 +947,6 @@ function getActiveBoosters(agent) {
   return active;
 }
 
-// Helper: Check if agent has officer bonus
-function hasOfficerBonus(agent, bonusType) {
-  const officers = getActiveOfficers(agent);
-  for (const officer of Object.values(officers)) {
-    for (const bonus of officer.bonuses) {
-      if (bonus.type === bonusType) return bonus.value;
-    }
-  }
-  return 0;
-}
-
-// Helper: Get production multiplier from boosters and officers
-function getProductionMultiplier(agent, resourceType) {
-  let multiplier = 1.0;
-  
-  // Booster multipliers
-  const boosters = getActiveBoosters(agent);
-  for (const booster of Object.values(boosters)) {
-    if (booster.effect.type === resourceType || booster.effect.type === 'allProduction') {
-      multiplier *= booster.effect.multiplier;
-    }
-  }
-  
-  // Prospector officer bonus
-  const prospectorBonus = hasOfficerBonus(agent, resourceType);
-  if (prospectorBonus) {
-    multiplier *= (1 + prospectorBonus);
-  }
-  
-  return multiplier;
-}
-
 function initDemo() {
   // No demo agents - players register with wallets
 }
@@ -964,7 +1016,7 @@ function registerAgent(name, displayName, walletAddress = null) {
   // Save immediately on registration
   saveState();
 
-  broadcast({ type: "agentRegistered", agent, planet, starName });
+  publish({ type: "agentRegistered", agent, planet, starName }, { agents: [agent.id], topics: positionTopics(planet.position) });
   return agent;
 }
 
@@ -993,549 +1045,772 @@ function checkTechRequirements(agent, planet, techId) {
   return { met: true };
 }
 
-function processTick() {
-  gameState.tick++;
-  const now = Date.now();
-  
-  for (const [id, planet] of gameState.planets) {
-    const agent = gameState.agents.get(planet.ownerId);
+/**
+ * Allied fleets currently holding at a planet (acsDefend missions that have arrived and not left yet)
+ */
+function getHoldingFleets(planetId) {
+  return Array.from(gameState.fleets.values())
+    .filter(f => f.mission === 'acsDefend' && f.holding && !f.returning && f.destination === planetId);
+}
 
-    // Resource production (needs agent for energy tech level)
-    const prod = calculateProduction(planet, agent);
+/**
+ * Resolve an attack on a planet by one or more arrived fleets (ACS attacks pass every fleet of the group).
+ * Applies losses, loot, debris and moon creation, sends fleets home and records the battle report.
+ * `now` is the arrival time; destPlanet must already be settled up to it.
+ */
+function resolvePlanetAttack(attackFleets, destPlanet, now) {
+  const leadFleet = attackFleets[0];
+  const attackerAgents = attackFleets.map(f => gameState.agents.get(f.ownerId));
+  const defenderAgent = gameState.agents.get(destPlanet.ownerId);
+
+  // Allied fleets holding at the planet (acsDefend) fight alongside the defender
+  const supportFleets = getHoldingFleets(destPlanet.id);
+  const supportAgents = supportFleets.map(f => gameState.agents.get(f.ownerId));
+
+  // Starting forces for the replay (planet state is modified below)
+  const startingForces = {
+    attackers: attackFleets.map(f => ({ fleetId: f.id, ownerId: f.ownerId, ships: { ...f.ships } })),
+    defender: { ownerId: destPlanet.ownerId, ships: { ...(destPlanet.ships || {}) }, defense: { ...(destPlanet.defense || {}) } },
+    support: supportFleets.map(f => ({ fleetId: f.id, ownerId: f.ownerId, ships: { ...f.ships } }))
+  };
 
-    // Calculate storage capacities
-    const metalStorageLevel = planet.buildings.metalStorage || 0;
-    const crystalStorageLevel = planet.buildings.crystalStorage || 0;
-    const deutTankLevel = planet.buildings.deuteriumTank || 0;
+  // Every roll of the battle comes from one seeded generator, so the seed in the report reproduces it
+  const seed = generateSeed();
+  const rng = createRng(seed);
 
-    const metalCapacity = calculateStorageCapacity(metalStorageLevel);
-    const crystalCapacity = calculateStorageCapacity(crystalStorageLevel);
-    const deutCapacity = calculateStorageCapacity(deutTankLevel);
+  // Resolve combat (each fleet fights with its own owner's tech)
+  const combatResult = resolveCombat(attackFleets, destPlanet, attackerAgents, defenderAgent, supportFleets, supportAgents, rng);
 
-    // Add production only if below storage capacity
-    // Resources CAN exceed capacity (from loot, purchases, etc.) - production just stops until below capacity
-    if (planet.resources.metal < metalCapacity) {
-      planet.resources.metal = Math.min(planet.resources.metal + prod.metal, metalCapacity);
-    }
-    if (planet.resources.crystal < crystalCapacity) {
-      planet.resources.crystal = Math.min(planet.resources.crystal + prod.crystal, crystalCapacity);
+  // Apply losses to defender's planet
+  if (destPlanet.ships) {
+    for (const [shipType, count] of Object.entries(combatResult.defenderLosses)) {
+      destPlanet.ships[shipType] = Math.max(0, (destPlanet.ships[shipType] || 0) - count);
+      if (destPlanet.ships[shipType] === 0) delete destPlanet.ships[shipType];
     }
-    if (planet.resources.deuterium < deutCapacity) {
-      planet.resources.deuterium = Math.min(planet.resources.deuterium + prod.deuterium, deutCapacity);
+  }
+
+  // Apply defense losses (before rebuild)
+  const totalDefenseLost = {};
+  if (destPlanet.defense) {
+    for (const [defType, count] of Object.entries(combatResult.defenderDefenseLosses)) {
+      totalDefenseLost[defType] = count;
+      destPlanet.defense[defType] = Math.max(0, (destPlanet.defense[defType] || 0) - count);
+      if (destPlanet.defense[defType] === 0) delete destPlanet.defense[defType];
     }
+  }
 
-    // Process building queue
-    if (planet.buildQueue && planet.buildQueue.length > 0) {
-      const job = planet.buildQueue[0];
-      if (job.completesAt <= now) {
-        planet.buildings[job.building] = job.targetLevel;
-        planet.buildQueue.shift();
-
-        if (agent) agent.score += job.cost;
-        
-        broadcast({ type: "buildComplete", planetId: planet.id, building: job.building, level: job.targetLevel });
-        if (planet.ownerId) fireWebhooks(planet.ownerId, "buildComplete", { planetId: planet.id, building: job.building, level: job.targetLevel });
-      }
+  // Rebuild 70% of defenses (more with Chief Engineer)
+  const rebuiltDefenses = rebuildDefenses(destPlanet, totalDefenseLost, rng, defenderAgent);
+
+  // Handle battle outcome
+  let loot = { metal: 0, crystal: 0, deuterium: 0 };
+
+  if (combatResult.winner === 'attacker') {
+    // Calculate and take loot
+    loot = calculateLoot(destPlanet, combatResult.survivingAttackers, attackerAgents[0]);
+
+    // Cap loot to actual available resources (prevent exploits)
+    loot.metal = Math.min(loot.metal, destPlanet.resources.metal || 0);
+    loot.crystal = Math.min(loot.crystal, destPlanet.resources.crystal || 0);
+    loot.deuterium = Math.min(loot.deuterium, destPlanet.resources.deuterium || 0);
+
+    // Deduct resources from defender using safe deduction
+    safeDeduct(destPlanet.resources, loot);
+  }
+
+  // Loot is shared in proportion to each fleet's surviving cargo space
+  const lootShares = splitLoot(loot, combatResult.attackerParticipants);
+  const participants = combatResult.attackerParticipants.map((participant, i) => ({
+    ...participant,
+    side: 'attacker',
+    ownerName: attackerAgents[i]?.name || null,
+    ships: attackFleets[i].ships,
+    loot: lootShares[i]
+  }));
+  const supportParticipants = combatResult.defenderParticipants.map((participant, i) => ({
+    ...participant,
+    side: 'defender',
+    ownerName: supportAgents[i]?.name || null,
+    ships: supportFleets[i].ships
+  }));
+
+  // Destroyed fleets are removed; survivors return home with their share (draws return empty)
+  attackFleets.forEach((attackFleet, i) => {
+    const survivors = participants[i].survivors;
+    if (Object.keys(survivors).length === 0) {
+      gameState.fleets.delete(attackFleet.id);
+      scheduleFleet(attackFleet);
+      return;
+    }
+    attackFleet.ships = survivors;
+    attackFleet.cargo = combatResult.winner === 'attacker' ? lootShares[i] : { metal: 0, crystal: 0, deuterium: 0 };
+    startReturnLeg(attackFleet, getFleetTravelTime(attackFleet, destPlanet, gameState.planets.peek(attackFleet.origin)), now);
+    scheduleFleet(attackFleet);
+  });
+
+  // Update defender's surviving ships
+  destPlanet.ships = combatResult.survivingDefenders;
+  destPlanet.defense = { ...(destPlanet.defense || {}), ...combatResult.survivingDefense };
+
+  // Holding fleets keep their survivors and stay until their hold expires
+  const supportLosses = {};
+  supportFleets.forEach((supportFleet, i) => {
+    const { losses, survivors } = supportParticipants[i];
+    for (const [shipType, count] of Object.entries(losses)) {
+      supportLosses[shipType] = (supportLosses[shipType] || 0) + count;
     }
-    
-    // Process ship/defense queue
-    if (planet.shipQueue && planet.shipQueue.length > 0) {
-      const job = planet.shipQueue[0];
-      if (job.completesAt <= now) {
-        if (job.isDefense) {
-          // Defense completed
-          if (!planet.defense) planet.defense = {};
-          planet.defense[job.defense] = (planet.defense[job.defense] || 0) + job.count;
-          planet.shipQueue.shift();
-          broadcast({ type: "defenseComplete", planetId: planet.id, defense: job.defense, count: job.count, total: planet.defense[job.defense] });
-          if (planet.ownerId) fireWebhooks(planet.ownerId, "defenseComplete", { planetId: planet.id, defense: job.defense, count: job.count });
-        } else {
-          // Ship completed
-          if (!planet.ships) planet.ships = {};
-          planet.ships[job.ship] = (planet.ships[job.ship] || 0) + job.count;
-          planet.shipQueue.shift();
-          broadcast({ type: "shipComplete", planetId: planet.id, ship: job.ship, count: job.count, total: planet.ships[job.ship] });
-          if (planet.ownerId) fireWebhooks(planet.ownerId, "shipComplete", { planetId: planet.id, ship: job.ship, count: job.count });
-        }
-      }
+    if (Object.keys(survivors).length === 0) {
+      gameState.fleets.delete(supportFleet.id);
+    } else {
+      supportFleet.ships = survivors;
+      gameState.fleets.touch(supportFleet.id);
     }
-  }
-  
-  // Process fleets
-  for (const [fleetId, fleet] of gameState.fleets) {
-    if (fleet.arrivesAt <= now) {
-      const destPlanet = gameState.planets.get(fleet.destination);
-      const originPlanet = gameState.planets.get(fleet.origin);
-      
-      if (fleet.returning) {
-        // Fleet returned home - add ships back
-        if (originPlanet) {
-          if (!originPlanet.ships) originPlanet.ships = {};
-          for (const [shipType, count] of Object.entries(fleet.ships)) {
-            originPlanet.ships[shipType] = (originPlanet.ships[shipType] || 0) + count;
-          }
-          // Unload any cargo
-          for (const [res, amount] of Object.entries(fleet.cargo || {})) {
-            originPlanet.resources[res] = (originPlanet.resources[res] || 0) + amount;
-          }
-        }
-        gameState.fleets.delete(fleetId);
+  });
 
-        // Create fleet return report
-        const returnReportId = secureId('fleet_report');
-        db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [returnReportId, fleet.ownerId, 'returned', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, destPlanet?.name || 'Unknown', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), originPlanet?.position?.galaxy, originPlanet?.position?.system, originPlanet?.position?.position, Date.now()]);
+  // Create debris field from destroyed ships (including holding allies)
+  const defenderShipLosses = { ...combatResult.defenderLosses };
+  for (const [shipType, count] of Object.entries(supportLosses)) {
+    defenderShipLosses[shipType] = (defenderShipLosses[shipType] || 0) + count;
+  }
+  const debris = calculateDebris(combatResult.attackerLosses, defenderShipLosses);
+  if (debris.metal > 0 || debris.crystal > 0) {
+    const debrisKey = `${destPlanet.position.galaxy}:${destPlanet.position.system}:${destPlanet.position.position}`;
+    const existingDebris = gameState.debrisFields.get(debrisKey) || { metal: 0, crystal: 0, position: destPlanet.position };
+    existingDebris.metal += debris.metal;
+    existingDebris.crystal += debris.crystal;
+    gameState.debrisFields.set(debrisKey, existingDebris);
+    broadcastToPosition(destPlanet.position, { type: "debrisCreated", position: destPlanet.position, debris });
+  }
+
+  // Large debris fields can coalesce into a moon (one per planet)
+  const moonChance = calculateMoonChance(debris);
+  let moonCreated = null;
+  if (moonChance > 0 && !destPlanet.isMoon && !destPlanet.moonId && rng() * 100 < moonChance) {
+    const moon = createMoon(destPlanet, moonChance, rng);
+    moonCreated = { id: moon.id, diameter: moon.diameter };
+    broadcastToPosition(destPlanet.position, { type: "moonCreated", planetId: destPlanet.id, moonId: moon.id, ownerId: destPlanet.ownerId, position: destPlanet.position, diameter: moon.diameter, moonChance });
+  }
+
+  // Persist and broadcast battle report
+  const reportId = secureId('battle');
+  const survivingAttackersCount = Object.values(combatResult.survivingAttackers).reduce((a, b) => a + b, 0);
+  const survivingDefendersCount = Object.values(combatResult.survivingDefenders).reduce((a, b) => a + b, 0) +
+                        Object.values(combatResult.survivingDefense).reduce((a, b) => a + b, 0) +
+                        supportParticipants.reduce((sum, p) => sum + Object.values(p.survivors).reduce((a, b) => a + b, 0), 0);
+
+  db.run(`INSERT INTO battle_reports (id, attacker_id, defender_id, location, position_galaxy, position_system, position_position, winner, rounds, attacker_losses, defender_losses, defender_defense_losses, rebuilt_defenses, loot, debris, surviving_attackers, surviving_defenders, participants, battle_log, seed, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [reportId, leadFleet.ownerId, destPlanet.ownerId, destPlanet.id, destPlanet.position.galaxy, destPlanet.position.system, destPlanet.position.position, combatResult.winner, combatResult.rounds, JSON.stringify(combatResult.attackerLosses), JSON.stringify(combatResult.defenderLosses), JSON.stringify(combatResult.defenderDefenseLosses), JSON.stringify(rebuiltDefenses), JSON.stringify(loot), JSON.stringify(debris), survivingAttackersCount, survivingDefendersCount, JSON.stringify([...participants, ...supportParticipants]), compressBattleLog({ forces: startingForces, rounds: combatResult.battleLog }), seed, Date.now()]);
+
+  const battleAudience = [...new Set([...attackFleets, ...supportFleets].map(f => f.ownerId)), destPlanet.ownerId];
+  publish({
+    type: "battleReport",
+    reportId,
+    fleetId: leadFleet.id,
+    acsGroupId: leadFleet.acsGroupId || null,
+    attackerId: leadFleet.ownerId,
+    defenderId: destPlanet.ownerId,
+    location: destPlanet.id,
+    winner: combatResult.winner,
+    rounds: combatResult.rounds,
+    seed,
+    attackerLosses: combatResult.attackerLosses,
+    defenderLosses: combatResult.defenderLosses,
+    defenderDefenseLosses: combatResult.defenderDefenseLosses,
+    rebuiltDefenses,
+    loot,
+    debris,
+    moonChance,
+    moonCreated,
+    participants,
+    supportFleets: supportParticipants,
+    survivingAttackers: survivingAttackersCount,
+    survivingDefenders: survivingDefendersCount
+  }, { agents: battleAudience });
+  const battlePayload = { reportId, location: destPlanet.id, winner: combatResult.winner, rounds: combatResult.rounds, loot, moonChance, moonCreated };
+  for (const ownerId of new Set(attackFleets.map(f => f.ownerId))) {
+    emitAgentEvent(ownerId, "battleReport", battlePayload);
+  }
+  emitAgentEvent(destPlanet.ownerId, "battleReport", battlePayload);
+  for (const ownerId of new Set(supportFleets.map(f => f.ownerId))) {
+    if (ownerId !== destPlanet.ownerId) emitAgentEvent(ownerId, "battleReport", battlePayload);
+  }
+}
 
-        broadcast({ type: "fleetReturned", fleetId, origin: fleet.origin });
-        fireWebhooks(fleet.ownerId, "fleetReturned", { fleetId, origin: fleet.origin, ships: fleet.ships, cargo: fleet.cargo });
+// === SCHEDULED EVENTS ===
+// Queue heads and fleet arrivals are scheduler events keyed "<kind>:<id>"; the
+// handlers re-check the state, so a stale event (cancelled job, recalled fleet) does nothing
 
-      } else if (fleet.mission === 'transport') {
-        // Transport arrived - unload cargo
-        if (destPlanet) {
-          for (const [res, amount] of Object.entries(fleet.cargo || {})) {
-            destPlanet.resources[res] = (destPlanet.resources[res] || 0) + amount;
-          }
-        }
-        
-        // Start return journey (empty)
-        const returnTime = getTravelTime(
-          gameState.planets.get(fleet.destination),
-          gameState.planets.get(fleet.origin)
-        );
-        // Create transport arrival report (before clearing cargo)
-        const transportReportId = secureId('fleet_report');
-        db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [transportReportId, fleet.ownerId, 'arrived', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, destPlanet?.name || 'Unknown', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), destPlanet?.position?.galaxy, destPlanet?.position?.system, destPlanet?.position?.position, Date.now()]);
-
-        fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
-        fleet.returning = true;
-        fleet.arrivesAt = now + (returnTime * 1000);
-
-        broadcast({ type: "fleetArrived", fleetId, destination: fleet.destination, mission: fleet.mission });
-        fireWebhooks(fleet.ownerId, "fleetArrived", { fleetId, destination: fleet.destination, mission: fleet.mission });
-
-      } else if (fleet.mission === 'deploy') {
-        // Deploy - ships stay at destination (only if owned by same agent)
-        if (destPlanet && destPlanet.ownerId === fleet.ownerId) {
-          if (!destPlanet.ships) destPlanet.ships = {};
-          for (const [shipType, count] of Object.entries(fleet.ships)) {
-            destPlanet.ships[shipType] = (destPlanet.ships[shipType] || 0) + count;
-          }
-          for (const [res, amount] of Object.entries(fleet.cargo || {})) {
-            destPlanet.resources[res] = (destPlanet.resources[res] || 0) + amount;
-          }
-          gameState.fleets.delete(fleetId);
+function schedulePlanet(planet) {
+  const build = planet.buildQueue?.[0];
+  if (build) scheduleEvent(`build:${planet.id}`, build.completesAt);
+  else cancelEvent(`build:${planet.id}`);
 
-          // Create deploy report
-          const deployReportId = secureId('fleet_report');
-          db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [deployReportId, fleet.ownerId, 'deployed', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, destPlanet?.name || 'Unknown', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), destPlanet?.position?.galaxy, destPlanet?.position?.system, destPlanet?.position?.position, Date.now()]);
+  const job = planet.shipQueue?.[0];
+  if (job) scheduleEvent(`shipyard:${planet.id}`, job.completesAt);
+  else cancelEvent(`shipyard:${planet.id}`);
+}
 
-          broadcast({ type: "fleetDeployed", fleetId, destination: fleet.destination });
-        } else {
-          // Invalid destination (enemy planet or missing) - convert to return mission
-          fleet.mission = 'return';
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet || originPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
-          broadcast({ type: "fleetReturning", fleetId, reason: "Invalid deploy destination" });
-          continue; // Skip delete, let it return
-        }
+function scheduleResearch(agent) {
+  const job = agent.researchQueue?.[0];
+  if (job) scheduleEvent(`research:${agent.id}`, job.completesAt);
+  else cancelEvent(`research:${agent.id}`);
+}
 
-      } else if (fleet.mission === 'attack') {
-        // ATTACK MISSION - Combat resolution
-        if (!destPlanet) {
-          gameState.fleets.delete(fleetId);
-          continue;
-        }
+function scheduleFleet(fleet) {
+  if (gameState.fleets.get(fleet.id) === fleet) scheduleEvent(`fleet:${fleet.id}`, fleet.arrivesAt);
+  else cancelEvent(`fleet:${fleet.id}`);
+}
 
-        const attackerAgent = gameState.agents.get(fleet.ownerId);
-        const defenderAgent = gameState.agents.get(destPlanet.ownerId);
+// Schedule everything pending after loading state
+function scheduleAll() {
+  for (const planet of gameState.planets.values()) schedulePlanet(planet);
+  for (const agent of gameState.agents.values()) scheduleResearch(agent);
+  for (const fleet of gameState.fleets.values()) scheduleFleet(fleet);
+}
 
-        // Resolve combat
-        const combatResult = resolveCombat(fleet, destPlanet, attackerAgent, defenderAgent);
+function handleScheduledEvent(key) {
+  const split = key.indexOf(':');
+  const kind = key.slice(0, split);
+  const id = key.slice(split + 1);
+  const now = Date.now();
 
-        // Apply losses to defender's planet
-        if (destPlanet.ships) {
-          for (const [shipType, count] of Object.entries(combatResult.defenderLosses)) {
-            destPlanet.ships[shipType] = Math.max(0, (destPlanet.ships[shipType] || 0) - count);
-            if (destPlanet.ships[shipType] === 0) delete destPlanet.ships[shipType];
-          }
-        }
+  // Queue handlers settle production up to each job's own completion time
+  if (kind === 'build') {
+    const planet = gameState.planets.peek(id);
+    if (planet) completeBuilds(planet, now);
+  } else if (kind === 'shipyard') {
+    const planet = gameState.planets.peek(id);
+    if (planet) completeShipyardJobs(planet, now);
+  } else if (kind === 'research') {
+    const agent = gameState.agents.get(id);
+    if (agent) completeResearch(agent, now);
+  } else if (kind === 'fleet') {
+    const fleet = gameState.fleets.get(id);
+    if (!fleet) return;
+    if (fleet.arrivesAt <= now) processFleetArrival(id, fleet, fleet.arrivesAt);
+    scheduleFleet(fleet);
+  }
+}
 
-        // Apply defense losses (before rebuild)
-        const totalDefenseLost = {};
-        if (destPlanet.defense) {
-          for (const [defType, count] of Object.entries(combatResult.defenderDefenseLosses)) {
-            totalDefenseLost[defType] = count;
-            destPlanet.defense[defType] = Math.max(0, (destPlanet.defense[defType] || 0) - count);
-            if (destPlanet.defense[defType] === 0) delete destPlanet.defense[defType];
-          }
-        }
+function completeBuilds(planet, now) {
+  const agent = gameState.agents.get(planet.ownerId);
+  while (planet.buildQueue?.length > 0 && planet.buildQueue[0].completesAt <= now) {
+    const job = planet.buildQueue.shift();
+    settleProduction(planet, job.completesAt);
+    planet.buildings[job.building] = job.targetLevel;
 
-        // Rebuild 70% of defenses
-        const rebuiltDefenses = rebuildDefenses(destPlanet, totalDefenseLost);
+    if (agent) agent.score += job.cost;
 
-        // Handle battle outcome
-        let loot = { metal: 0, crystal: 0, deuterium: 0 };
+    broadcastToAgent(planet.ownerId, { type: "buildComplete", planetId: planet.id, building: job.building, level: job.targetLevel });
+    if (planet.ownerId) emitAgentEvent(planet.ownerId, "buildComplete", { planetId: planet.id, building: job.building, level: job.targetLevel });
+  }
+  schedulePlanet(planet);
+}
 
-        if (combatResult.winner === 'attacker') {
-          // Calculate and take loot
-          loot = calculateLoot(destPlanet, combatResult.survivingAttackers, attackerAgent);
+function completeShipyardJobs(planet, now) {
+  while (planet.shipQueue?.length > 0 && planet.shipQueue[0].completesAt <= now) {
+    const job = planet.shipQueue.shift();
+    settleProduction(planet, job.completesAt); // Solar satellites add energy
+    if (job.isDefense) {
+      // Defense completed
+      if (!planet.defense) planet.defense = {};
+      planet.defense[job.defense] = (planet.defense[job.defense] || 0) + job.count;
+      broadcastToAgent(planet.ownerId, { type: "defenseComplete", planetId: planet.id, defense: job.defense, count: job.count, total: planet.defense[job.defense] });
+      if (planet.ownerId) emitAgentEvent(planet.ownerId, "defenseComplete", { planetId: planet.id, defense: job.defense, count: job.count });
+    } else {
+      // Ship completed
+      if (!planet.ships) planet.ships = {};
+      planet.ships[job.ship] = (planet.ships[job.ship] || 0) + job.count;
+      broadcastToAgent(planet.ownerId, { type: "shipComplete", planetId: planet.id, ship: job.ship, count: job.count, total: planet.ships[job.ship] });
+      if (planet.ownerId) emitAgentEvent(planet.ownerId, "shipComplete", { planetId: planet.id, ship: job.ship, count: job.count });
+    }
+  }
+  schedulePlanet(planet);
+}
 
-          // Cap loot to actual available resources (prevent exploits)
-          loot.metal = Math.min(loot.metal, destPlanet.resources.metal || 0);
-          loot.crystal = Math.min(loot.crystal, destPlanet.resources.crystal || 0);
-          loot.deuterium = Math.min(loot.deuterium, destPlanet.resources.deuterium || 0);
+function completeResearch(agent, now) {
+  while (agent.researchQueue?.length > 0 && agent.researchQueue[0].completesAt <= now) {
+    const job = agent.researchQueue.shift();
+    // Research can change every planet's output, so settle them at the old levels first
+    settleAgentPlanets(agent, job.completesAt);
+    if (!agent.tech) agent.tech = {};
+    agent.tech[job.tech] = job.targetLevel;
+    agent.score += job.cost || 0;
+
+    broadcastToAgent(agent.id, {
+      type: "researchComplete",
+      agentId: agent.id,
+      tech: job.tech,
+      level: job.targetLevel,
+      techName: TECHNOLOGIES[job.tech]?.name
+    });
+    emitAgentEvent(agent.id, "researchComplete", { tech: job.tech, level: job.targetLevel });
+  }
+  scheduleResearch(agent);
+}
 
-          // Deduct resources from defender using safe deduction
-          safeDeduct(destPlanet.resources, loot);
+// `now` is the fleet's arrival time: after downtime it is in the past, and the
+// planets involved are settled only up to it (see game/arrivals.js)
+function processFleetArrival(fleetId, fleet, now) {
+  const destPlanet = gameState.planets.peek(fleet.destination);
+  const originPlanet = gameState.planets.peek(fleet.origin);
+  if (destPlanet) settleProduction(destPlanet, now);
+  if (originPlanet) settleProduction(originPlanet, now);
 
-          // Fleet returns with loot
-          fleet.ships = combatResult.survivingAttackers;
-          fleet.cargo = loot;
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
+  if (fleet.returning) {
+    // Fleet returned home - add ships back
+    if (originPlanet) {
+      if (!originPlanet.ships) originPlanet.ships = {};
+      for (const [shipType, count] of Object.entries(fleet.ships)) {
+        originPlanet.ships[shipType] = (originPlanet.ships[shipType] || 0) + count;
+      }
+      // Unload any cargo
+      for (const [res, amount] of Object.entries(fleet.cargo || {})) {
+        originPlanet.resources[res] = (originPlanet.resources[res] || 0) + amount;
+      }
+    }
+    gameState.fleets.delete(fleetId);
 
-        } else if (combatResult.winner === 'defender') {
-          // Attacker fleet destroyed
-          gameState.fleets.delete(fleetId);
+    // Create fleet return report
+    const returnReportId = secureId('fleet_report');
+    db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [returnReportId, fleet.ownerId, 'returned', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, destPlanet?.name || 'Unknown', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), originPlanet?.position?.galaxy, originPlanet?.position?.system, originPlanet?.position?.position, Date.now()]);
 
-        } else {
-          // Draw - surviving attackers return home empty
-          fleet.ships = combatResult.survivingAttackers;
-          fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
-        }
+    broadcastToAgent(fleet.ownerId, { type: "fleetReturned", fleetId, origin: fleet.origin });
+    emitAgentEvent(fleet.ownerId, "fleetReturned", { fleetId, origin: fleet.origin, ships: fleet.ships, cargo: fleet.cargo });
 
-        // Update defender's surviving ships
-        destPlanet.ships = combatResult.survivingDefenders;
-        destPlanet.defense = { ...(destPlanet.defense || {}), ...combatResult.survivingDefense };
-
-        // Create debris field from destroyed ships
-        const debris = calculateDebris(combatResult.attackerLosses, combatResult.defenderLosses);
-        if (debris.metal > 0 || debris.crystal > 0) {
-          const debrisKey = `${destPlanet.position.galaxy}:${destPlanet.position.system}:${destPlanet.position.position}`;
-          const existingDebris = gameState.debrisFields.get(debrisKey) || { metal: 0, crystal: 0, position: destPlanet.position };
-          existingDebris.metal += debris.metal;
-          existingDebris.crystal += debris.crystal;
-          gameState.debrisFields.set(debrisKey, existingDebris);
-          broadcast({ type: "debrisCreated", position: destPlanet.position, debris });
-        }
+  } else if (fleet.mission === 'transport') {
+    // Transport arrived - unload cargo
+    if (destPlanet) {
+      for (const [res, amount] of Object.entries(fleet.cargo || {})) {
+        destPlanet.resources[res] = (destPlanet.resources[res] || 0) + amount;
+      }
+    }
 
-        // Persist and broadcast battle report
-        const reportId = secureId('battle');
-        const survivingAttackersCount = Object.values(combatResult.survivingAttackers).reduce((a, b) => a + b, 0);
-        const survivingDefendersCount = Object.values(combatResult.survivingDefenders).reduce((a, b) => a + b, 0) +
-                              Object.values(combatResult.survivingDefense).reduce((a, b) => a + b, 0);
-
-        db.run(`INSERT INTO battle_reports (id, attacker_id, defender_id, location, position_galaxy, position_system, position_position, winner, rounds, attacker_losses, defender_losses, defender_defense_losses, rebuilt_defenses, loot, debris, surviving_attackers, surviving_defenders, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [reportId, fleet.ownerId, destPlanet.ownerId, fleet.destination, destPlanet.position.galaxy, destPlanet.position.system, destPlanet.position.position, combatResult.winner, combatResult.rounds, JSON.stringify(combatResult.attackerLosses), JSON.stringify(combatResult.defenderLosses), JSON.stringify(combatResult.defenderDefenseLosses), JSON.stringify(rebuiltDefenses), JSON.stringify(loot), JSON.stringify(debris), survivingAttackersCount, survivingDefendersCount, Date.now()]);
-
-        broadcast({
-          type: "battleReport",
-          reportId,
-          fleetId,
-          attackerId: fleet.ownerId,
-          defenderId: destPlanet.ownerId,
-          location: fleet.destination,
-          winner: combatResult.winner,
-          rounds: combatResult.rounds,
-          attackerLosses: combatResult.attackerLosses,
-          defenderLosses: combatResult.defenderLosses,
-          defenderDefenseLosses: combatResult.defenderDefenseLosses,
-          rebuiltDefenses,
-          loot,
-          debris,
-          survivingAttackers: survivingAttackersCount,
-          survivingDefenders: survivingDefendersCount
-        });
-        const battlePayload = { reportId, location: fleet.destination, winner: combatResult.winner, rounds: combatResult.rounds, loot };
-        fireWebhooks(fleet.ownerId, "battleReport", battlePayload);
-        fireWebhooks(destPlanet.ownerId, "battleReport", battlePayload);
-
-      } else if (fleet.mission === 'recycle') {
-        // RECYCLE MISSION - Collect debris
-        const debrisKey = `${destPlanet.position.galaxy}:${destPlanet.position.system}:${destPlanet.position.position}`;
-        const debris = gameState.debrisFields.get(debrisKey);
-
-        if (debris && (debris.metal > 0 || debris.crystal > 0)) {
-          // Calculate total cargo capacity of recyclers
-          let totalCargo = 0;
-          for (const [shipType, count] of Object.entries(fleet.ships)) {
-            totalCargo += (SHIPS[shipType]?.cargo || 0) * count;
-          }
+    // Start return journey (empty)
+    const returnTime = getFleetTravelTime(fleet, destPlanet, originPlanet);
+    // Create transport arrival report (before clearing cargo)
+    const transportReportId = secureId('fleet_report');
+    db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [transportReportId, fleet.ownerId, 'arrived', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, destPlanet?.name || 'Unknown', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), destPlanet?.position?.galaxy, destPlanet?.position?.system, destPlanet?.position?.position, Date.now()]);
 
-          // Collect debris (limited by cargo capacity)
-          const totalDebris = debris.metal + debris.crystal;
-          let collected = { metal: 0, crystal: 0 };
+    fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
+    startReturnLeg(fleet, returnTime, now);
 
-          if (totalCargo >= totalDebris) {
-            // Can collect all debris
-            collected.metal = debris.metal;
-            collected.crystal = debris.crystal;
-            gameState.debrisFields.delete(debrisKey);
-          } else {
-            // Proportional collection
-            const ratio = totalCargo / totalDebris;
-            collected.metal = Math.floor(debris.metal * ratio);
-            collected.crystal = Math.floor(debris.crystal * ratio);
-            debris.metal -= collected.metal;
-            debris.crystal -= collected.crystal;
-            if (debris.metal <= 0 && debris.crystal <= 0) {
-              gameState.debrisFields.delete(debrisKey);
-            }
-          }
+    broadcastToAgent(fleet.ownerId, { type: "fleetArrived", fleetId, destination: fleet.destination, mission: fleet.mission });
+    emitAgentEvent(fleet.ownerId, "fleetArrived", { fleetId, destination: fleet.destination, mission: fleet.mission });
 
-          // Fleet returns with collected debris
-          fleet.cargo = collected;
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
+  } else if (fleet.mission === 'deploy') {
+    // Deploy - ships stay at destination (only if owned by same agent)
+    if (destPlanet && destPlanet.ownerId === fleet.ownerId) {
+      if (!destPlanet.ships) destPlanet.ships = {};
+      for (const [shipType, count] of Object.entries(fleet.ships)) {
+        destPlanet.ships[shipType] = (destPlanet.ships[shipType] || 0) + count;
+      }
+      for (const [res, amount] of Object.entries(fleet.cargo || {})) {
+        destPlanet.resources[res] = (destPlanet.resources[res] || 0) + amount;
+      }
+      gameState.fleets.delete(fleetId);
 
-          broadcast({ type: "debrisCollected", fleetId, position: destPlanet.position, collected });
-        } else {
-          // No debris - return empty
-          fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
-          broadcast({ type: "fleetReturning", fleetId, reason: "No debris to collect" });
-        }
+      // Create deploy report
+      const deployReportId = secureId('fleet_report');
+      db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [deployReportId, fleet.ownerId, 'deployed', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, destPlanet?.name || 'Unknown', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), destPlanet?.position?.galaxy, destPlanet?.position?.system, destPlanet?.position?.position, Date.now()]);
 
-      } else if (fleet.mission === 'espionage') {
-        // ESPIONAGE MISSION - Spy on target planet
-        const attackerAgent = gameState.agents.get(fleet.ownerId);
-        const defenderAgent = gameState.agents.get(destPlanet.ownerId);
+      broadcastToAgent(fleet.ownerId, { type: "fleetDeployed", fleetId, destination: fleet.destination });
+    } else {
+      // Invalid destination (enemy planet or missing) - convert to return mission
+      fleet.mission = 'return';
+      const returnTime = getFleetTravelTime(fleet, destPlanet || originPlanet, originPlanet);
+      startReturnLeg(fleet, returnTime, now);
+      broadcastToAgent(fleet.ownerId, { type: "fleetReturning", fleetId, reason: "Invalid deploy destination" });
+      return; // Skip delete, let it return
+    }
+
+  } else if (fleet.mission === 'missileAttack') {
+    // MISSILE STRIKE - ABMs intercept first, the rest hit defenses; missiles are always spent
+    gameState.fleets.delete(fleetId);
+    if (!destPlanet) return;
+
+    const launched = fleet.ships.interplanetaryMissile || 0;
+    const attackerAgent = gameState.agents.get(fleet.ownerId);
+    const defenderAgent = gameState.agents.get(destPlanet.ownerId);
+    const strike = resolveMissileStrike(launched, destPlanet.defense, {
+      primaryTarget: fleet.primaryTarget,
+      attackerTech: attackerAgent?.tech,
+      defenderTech: defenderAgent?.tech
+    });
 
-        const probeCount = fleet.ships.espionageProbe || 0;
-        const attackerEspionageTech = attackerAgent?.tech?.espionageTech || 0;
-        const defenderEspionageTech = defenderAgent?.tech?.espionageTech || 0;
+    if (!destPlanet.defense) destPlanet.defense = {};
+    for (const [defType, lost] of Object.entries(strike.destroyed)) {
+      destPlanet.defense[defType] = Math.max(0, (destPlanet.defense[defType] || 0) - lost);
+      if (destPlanet.defense[defType] === 0) delete destPlanet.defense[defType];
+    }
+
+    const reportId = secureId('battle');
+    const defensesHit = Object.keys(strike.destroyed).some(defType => defType !== 'antiBallisticMissile');
+    const winner = defensesHit ? 'attacker' : 'defender';
+    const remainingDefense = Object.values(destPlanet.defense).reduce((a, b) => a + b, 0);
+    const details = {
+      launched,
+      intercepted: strike.intercepted,
+      impacted: strike.impacted,
+      primaryTarget: fleet.primaryTarget,
+      damageDealt: strike.damageDealt,
+      origin: fleet.origin
+    };
+    db.run(`INSERT INTO battle_reports (id, attacker_id, defender_id, location, position_galaxy, position_system, position_position, winner, rounds, attacker_losses, defender_losses, defender_defense_losses, rebuilt_defenses, loot, debris, surviving_attackers, surviving_defenders, report_type, details, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [reportId, fleet.ownerId, destPlanet.ownerId, destPlanet.id, destPlanet.position.galaxy, destPlanet.position.system, destPlanet.position.position, winner, 0, JSON.stringify({ interplanetaryMissile: launched }), JSON.stringify({}), JSON.stringify(strike.destroyed), JSON.stringify({}), JSON.stringify({ metal: 0, crystal: 0, deuterium: 0 }), null, 0, remainingDefense, 'missile', JSON.stringify(details), Date.now()]);
+
+    const missilePayload = { reportId, attackerId: fleet.ownerId, defenderId: destPlanet.ownerId, location: destPlanet.id, winner, destroyed: strike.destroyed, ...details };
+    publish({ type: "missileReport", ...missilePayload }, { agents: [fleet.ownerId, destPlanet.ownerId] });
+    emitAgentEvent(fleet.ownerId, "missileReport", missilePayload);
+    emitAgentEvent(destPlanet.ownerId, "missileReport", missilePayload);
+
+  } else if (fleet.mission === 'acsDefend') {
+    // HOLD MISSION - park at an ally's planet, then head home when the hold expires
+    const returnTime = getFleetTravelTime(fleet, destPlanet || originPlanet, originPlanet);
+    if (fleet.holding) {
+      fleet.holding = false;
+      startReturnLeg(fleet, returnTime, now);
+      broadcastToAgent(fleet.ownerId, { type: "fleetHoldEnded", fleetId, destination: fleet.destination });
+      emitAgentEvent(fleet.ownerId, "fleetHoldEnded", { fleetId, destination: fleet.destination, ships: fleet.ships });
+      return;
+    }
+
+    const ally = destPlanet ? gameState.agents.get(destPlanet.ownerId) : null;
+    const owner = gameState.agents.get(fleet.ownerId);
+    if (!ally || !owner?.allianceId || ally.allianceId !== owner.allianceId) {
+      // Planet changed hands or the alliance broke up in flight - turn back
+      startReturnLeg(fleet, returnTime, now);
+      broadcastToAgent(fleet.ownerId, { type: "fleetReturning", fleetId, reason: "Hold target is no longer an ally" });
+      return;
+    }
+
+    startHold(fleet, now);
+
+    const holdReportId = secureId('fleet_report');
+    db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [holdReportId, fleet.ownerId, 'holding', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, destPlanet.name || 'Unknown', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), destPlanet.position.galaxy, destPlanet.position.system, destPlanet.position.position, Date.now()]);
+
+    publish({ type: "fleetHolding", fleetId, ownerId: fleet.ownerId, destination: fleet.destination, holdUntil: fleet.holdUntil }, { agents: [fleet.ownerId, destPlanet.ownerId] });
+    emitAgentEvent(fleet.ownerId, "fleetHolding", { fleetId, destination: fleet.destination, holdUntil: fleet.holdUntil });
+    emitAgentEvent(destPlanet.ownerId, "fleetHolding", { fleetId, ownerId: fleet.ownerId, destination: fleet.destination, ships: fleet.ships, holdUntil: fleet.holdUntil });
+
+  } else if (fleet.mission === 'attack' || fleet.mission === 'acsAttack') {
+    // ATTACK MISSION - Combat resolution
+    if (!destPlanet) {
+      gameState.fleets.delete(fleetId);
+      return;
+    }
+
+    // Combined attacks resolve once, together with every other arrived fleet of the battle group
+    let attackFleets = [fleet];
+    if (fleet.mission === 'acsAttack' && gameState.acsGroups.has(fleet.acsGroupId)) {
+      const group = gameState.acsGroups.get(fleet.acsGroupId);
+      attackFleets = group.fleetIds
+        .map(id => gameState.fleets.get(id))
+        .filter(f => f && !f.returning && f.arrivesAt <= now && f.destination === fleet.destination);
+      if (!attackFleets.includes(fleet)) attackFleets.unshift(fleet);
+      gameState.acsGroups.delete(fleet.acsGroupId);
+    }
+
+    resolvePlanetAttack(attackFleets, destPlanet, now);
+
+  } else if (fleet.mission === 'recycle') {
+    // RECYCLE MISSION - Collect debris
+    const debrisKey = `${destPlanet.position.galaxy}:${destPlanet.position.system}:${destPlanet.position.position}`;
+    const debris = gameState.debrisFields.get(debrisKey);
 
-        // Calculate info level: base 2 + (probes/2) + tech difference
-        const techDiff = attackerEspionageTech - defenderEspionageTech;
-        const infoLevel = Math.min(5, Math.max(1, 2 + Math.floor(probeCount / 2) + techDiff));
+    if (debris && (debris.metal > 0 || debris.crystal > 0)) {
+      // Calculate total cargo capacity of recyclers
+      let totalCargo = 0;
+      for (const [shipType, count] of Object.entries(fleet.ships)) {
+        totalCargo += (SHIPS[shipType]?.cargo || 0) * count;
+      }
 
-        // Gather intel based on info level
-        const spyReport = {
-          target: fleet.destination,
-          position: destPlanet.position,
-          timestamp: Date.now()
-        };
+      // Collect debris (limited by cargo capacity)
+      const totalDebris = debris.metal + debris.crystal;
+      let collected = { metal: 0, crystal: 0 };
 
-        // Level 1+: Resources
-        if (infoLevel >= 1) {
-          spyReport.resources = {
-            metal: Math.floor(destPlanet.resources.metal),
-            crystal: Math.floor(destPlanet.resources.crystal),
-            deuterium: Math.floor(destPlanet.resources.deuterium)
-          };
+      if (totalCargo >= totalDebris) {
+        // Can collect all debris
+        collected.metal = debris.metal;
+        collected.crystal = debris.crystal;
+        gameState.debrisFields.delete(debrisKey);
+      } else {
+        // Proportional collection
+        const ratio = totalCargo / totalDebris;
+        collected.metal = Math.floor(debris.metal * ratio);
+        collected.crystal = Math.floor(debris.crystal * ratio);
+        debris.metal -= collected.metal;
+        debris.crystal -= collected.crystal;
+        if (debris.metal <= 0 && debris.crystal <= 0) {
+          gameState.debrisFields.delete(debrisKey);
         }
+      }
 
-        // Level 2+: Fleet
-        if (infoLevel >= 2) {
-          spyReport.fleet = destPlanet.ships || {};
-        }
+      // Fleet returns with collected debris
+      fleet.cargo = collected;
+      const returnTime = getFleetTravelTime(fleet, destPlanet, originPlanet);
+      startReturnLeg(fleet, returnTime, now);
 
-        // Level 3+: Defense
-        if (infoLevel >= 3) {
-          spyReport.defense = destPlanet.defense || {};
-        }
+      publish({ type: "debrisCollected", fleetId, position: destPlanet.position, collected }, { agents: [fleet.ownerId], topics: positionTopics(destPlanet.position) });
+    } else {
+      // No debris - return empty
+      fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
+      const returnTime = getFleetTravelTime(fleet, destPlanet, originPlanet);
+      startReturnLeg(fleet, returnTime, now);
+      broadcastToAgent(fleet.ownerId, { type: "fleetReturning", fleetId, reason: "No debris to collect" });
+    }
+
+  } else if (fleet.mission === 'espionage') {
+    // ESPIONAGE MISSION - Spy on target planet
+    const attackerAgent = gameState.agents.get(fleet.ownerId);
+    const defenderAgent = gameState.agents.get(destPlanet.ownerId);
+
+    const probeCount = fleet.ships.espionageProbe || 0;
+    const attackerEspionageTech = attackerAgent?.tech?.espionageTech || 0;
+    const defenderEspionageTech = defenderAgent?.tech?.espionageTech || 0;
+
+    // Calculate info level: base 2 + (probes/2) + tech difference
+    const techDiff = attackerEspionageTech - defenderEspionageTech;
+    const infoLevel = Math.min(5, Math.max(1, 2 + Math.floor(probeCount / 2) + techDiff));
+
+    // Gather intel based on info level (a snapshot, not live references)
+    const spyReport = createSpyReport(destPlanet, defenderAgent, infoLevel, now);
+    spyReport.id = secureId('spy');
+
+    // Store spy report in agent's reports (keep last 50)
+    const attackerAgentForReport = gameState.agents.get(fleet.ownerId);
+    if (attackerAgentForReport) {
+      if (!attackerAgentForReport.spyReports) attackerAgentForReport.spyReports = [];
+      attackerAgentForReport.spyReports.unshift(spyReport);
+      if (attackerAgentForReport.spyReports.length > 50) {
+        attackerAgentForReport.spyReports = attackerAgentForReport.spyReports.slice(0, 50);
+      }
+      saveState(); // Persist spy report immediately
+    }
 
-        // Level 4+: Buildings
-        if (infoLevel >= 4) {
-          spyReport.buildings = destPlanet.buildings || {};
-        }
+    // Counter-espionage: chance to destroy probes
+    // Base 2% per defending probe per attacking probe, modified by tech difference
+    const defenderProbes = (destPlanet.ships?.espionageProbe || 0);
+    const counterChance = Math.min(0.95, (defenderProbes * 0.02 * probeCount) * Math.pow(1.1, -techDiff));
 
-        // Level 5: Research
-        if (infoLevel >= 5) {
-          spyReport.tech = defenderAgent?.tech || {};
-        }
+    const counterSeed = generateSeed();
+    const counterRng = createRng(counterSeed);
+    let probesLost = 0;
+    for (let i = 0; i < probeCount; i++) {
+      if (counterRng() < counterChance) {
+        probesLost++;
+      }
+    }
 
-        spyReport.infoLevel = infoLevel;
-        spyReport.id = secureId('spy');
+    const survivingProbes = probeCount - probesLost;
+    spyReport.probesLost = probesLost;
+    spyReport.probesSurvived = survivingProbes;
+    spyReport.counterSeed = counterSeed;
 
-        // Store spy report in agent's reports (keep last 50)
-        const attackerAgentForReport = gameState.agents.get(fleet.ownerId);
-        if (attackerAgentForReport) {
-          if (!attackerAgentForReport.spyReports) attackerAgentForReport.spyReports = [];
-          attackerAgentForReport.spyReports.unshift(spyReport);
-          if (attackerAgentForReport.spyReports.length > 50) {
-            attackerAgentForReport.spyReports = attackerAgentForReport.spyReports.slice(0, 50);
-          }
-          saveState(); // Persist spy report immediately
-        }
+    // Broadcast spy report to attacker
+    broadcastToAgent(fleet.ownerId, { type: "spyReport", agentId: fleet.ownerId, report: spyReport });
 
-        // Counter-espionage: chance to destroy probes
-        // Base 2% per defending probe per attacking probe, modified by tech difference
-        const defenderProbes = (destPlanet.ships?.espionageProbe || 0);
-        const counterChance = Math.min(0.95, (defenderProbes * 0.02 * probeCount) * Math.pow(1.1, -techDiff));
+    // If probes survive, they return
+    if (survivingProbes > 0) {
+      fleet.ships = { espionageProbe: survivingProbes };
+      fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
+      const returnTime = getFleetTravelTime(fleet, destPlanet, originPlanet);
+      startReturnLeg(fleet, returnTime, now);
+    } else {
+      // All probes destroyed
+      gameState.fleets.delete(fleetId);
+    }
 
-        let probesLost = 0;
-        for (let i = 0; i < probeCount; i++) {
-          if (Math.random() < counterChance) {
-            probesLost++;
-          }
-        }
+    // Notify defender of espionage attempt
+    broadcastToAgent(destPlanet.ownerId, { type: "espionageDetected", defenderId: destPlanet.ownerId, position: destPlanet.position, probesDetected: probeCount });
+    emitAgentEvent(destPlanet.ownerId, "espionageDetected", { position: destPlanet.position, probesDetected: probeCount });
 
-        const survivingProbes = probeCount - probesLost;
-        spyReport.probesLost = probesLost;
-        spyReport.probesSurvived = survivingProbes;
+  } else if (fleet.mission === 'colonize') {
+    // COLONIZE MISSION - Establish new colony
+    const colonizingAgent = gameState.agents.get(fleet.ownerId);
 
-        // Broadcast spy report to attacker
-        broadcast({ type: "spyReport", agentId: fleet.ownerId, report: spyReport });
+    if (!colonizingAgent) {
+      gameState.fleets.delete(fleetId);
+      return;
+    }
 
-        // If probes survive, they return
-        if (survivingProbes > 0) {
-          fleet.ships = { espionageProbe: survivingProbes };
-          fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
-        } else {
-          // All probes destroyed
-          gameState.fleets.delete(fleetId);
-        }
+    // Re-verify destination is still unowned (could have been colonized during transit)
+    if (destPlanet.ownerId) {
+      // Planet is now owned - return fleet with colony ship
+      const returnTime = getFleetTravelTime(fleet, destPlanet, originPlanet);
+      startReturnLeg(fleet, returnTime, now);
+      broadcastToAgent(fleet.ownerId, { type: "fleetReturning", fleetId, reason: "Planet already colonized by another player" });
+      return;
+    }
 
-        // Notify defender of espionage attempt
-        broadcast({ type: "espionageDetected", defenderId: destPlanet.ownerId, position: destPlanet.position, probesDetected: probeCount });
-        fireWebhooks(destPlanet.ownerId, "espionageDetected", { position: destPlanet.position, probesDetected: probeCount });
+    // Re-verify colony limit
+    const astrophysicsLevel = colonizingAgent.tech?.astrophysics || 0;
+    const maxColonies = 1 + Math.floor(astrophysicsLevel / 2);
+    const currentColonies = colonizingAgent.planets.length;
 
-      } else if (fleet.mission === 'colonize') {
-        // COLONIZE MISSION - Establish new colony
-        const colonizingAgent = gameState.agents.get(fleet.ownerId);
+    if (currentColonies >= maxColonies) {
+      // Colony limit reached during transit - return fleet
+      const returnTime = getFleetTravelTime(fleet, destPlanet, originPlanet);
+      startReturnLeg(fleet, returnTime, now);
+      broadcastToAgent(fleet.ownerId, { type: "fleetReturning", fleetId, reason: "Colony limit reached" });
+      return;
+    }
+
+    // Consume one colony ship
+    if (fleet.ships.colonyShip && fleet.ships.colonyShip > 0) {
+      fleet.ships.colonyShip--;
+      if (fleet.ships.colonyShip === 0) {
+        delete fleet.ships.colonyShip;
+      }
+    }
 
-        if (!colonizingAgent) {
-          gameState.fleets.delete(fleetId);
-          continue;
+    // Calculate temperature based on position (closer to star = hotter)
+    const pos = destPlanet.position;
+    const baseTemp = 240 - (pos.position - 1) * 20;
+    const tempVariation = Math.floor(Math.random() * 40) - 20;
+    const maxTemp = baseTemp + tempVariation;
+    const minTemp = maxTemp - 40;
+
+    // Transform destination into owned colony
+    destPlanet.ownerId = fleet.ownerId;
+    destPlanet.temperature = { min: minTemp, max: maxTemp };
+    destPlanet.resources = {
+      metal: 500 + (fleet.cargo?.metal || 0),
+      crystal: 300 + (fleet.cargo?.crystal || 0),
+      deuterium: 100 + (fleet.cargo?.deuterium || 0),
+      energy: 50
+    };
+    destPlanet.buildings = {
+      metalMine: 0,
+      crystalMine: 0,
+      deuteriumSynthesizer: 0,
+      solarPlant: 0,
+      fusionReactor: 0,
+      shipyard: 0,
+      roboticsFactory: 0,
+      researchLab: 0,
+      naniteFactory: 0
+    };
+    destPlanet.ships = {};
+    destPlanet.defense = {};
+    destPlanet.buildQueue = [];
+    destPlanet.shipQueue = [];
+
+    // Add planet to agent's list
+    colonizingAgent.planets.push(destPlanet.id);
+    colonizingAgent.score += 100; // Colonization bonus
+
+    // Ensure system has a name
+    const starName = ensureSystemNamed(pos.galaxy, pos.system);
+
+    // Handle remaining ships
+    const remainingShipCount = Object.values(fleet.ships).reduce((sum, count) => sum + count, 0);
+
+    if (remainingShipCount > 0) {
+      // Transfer remaining ships to new colony
+      for (const [shipType, count] of Object.entries(fleet.ships)) {
+        if (count > 0) {
+          destPlanet.ships[shipType] = (destPlanet.ships[shipType] || 0) + count;
         }
+      }
+    }
 
-        // Re-verify destination is still unowned (could have been colonized during transit)
-        if (destPlanet.ownerId) {
-          // Planet is now owned - return fleet with colony ship
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
-          broadcast({ type: "fleetReturning", fleetId, reason: "Planet already colonized by another player" });
-          continue;
-        }
+    // Delete fleet (colonization complete)
+    gameState.fleets.delete(fleetId);
+    saveState();
 
-        // Re-verify colony limit
-        const astrophysicsLevel = colonizingAgent.tech?.astrophysics || 0;
-        const maxColonies = 1 + Math.floor(astrophysicsLevel / 2);
-        const currentColonies = colonizingAgent.planets.length;
-
-        if (currentColonies >= maxColonies) {
-          // Colony limit reached during transit - return fleet
-          fleet.returning = true;
-          const returnTime = getTravelTime(destPlanet, originPlanet);
-          fleet.arrivesAt = now + (returnTime * 1000);
-          broadcast({ type: "fleetReturning", fleetId, reason: "Colony limit reached" });
-          continue;
-        }
+    const colonized = { type: "planetColonized", agentId: fleet.ownerId, planetId: destPlanet.id, position: pos, starName };
+    broadcastToAgent(fleet.ownerId, { ...colonized, resources: destPlanet.resources, shipsTransferred: remainingShipCount });
+    broadcastToPosition(pos, colonized);
 
-        // Consume one colony ship
-        if (fleet.ships.colonyShip && fleet.ships.colonyShip > 0) {
-          fleet.ships.colonyShip--;
-          if (fleet.ships.colonyShip === 0) {
-            delete fleet.ships.colonyShip;
-          }
-        }
+  } else if (fleet.mission === 'expedition') {
+    // EXPEDITION MISSION - Explore deep space
+    const explorer = gameState.agents.get(fleet.ownerId);
+    const position = fleet.destinationPosition;
 
-        // Calculate temperature based on position (closer to star = hotter)
-        const pos = destPlanet.position;
-        const baseTemp = 240 - (pos.position - 1) * 20;
-        const tempVariation = Math.floor(Math.random() * 40) - 20;
-        const maxTemp = baseTemp + tempVariation;
-        const minTemp = maxTemp - 40;
-
-        // Transform destination into owned colony
-        destPlanet.ownerId = fleet.ownerId;
-        destPlanet.temperature = { min: minTemp, max: maxTemp };
-        destPlanet.resources = {
-          metal: 500 + (fleet.cargo?.metal || 0),
-          crystal: 300 + (fleet.cargo?.crystal || 0),
-          deuterium: 100 + (fleet.cargo?.deuterium || 0),
-          energy: 50
-        };
-        destPlanet.buildings = {
-          metalMine: 0,
-          crystalMine: 0,
-          deuteriumSynthesizer: 0,
-          solarPlant: 0,
-          fusionReactor: 0,
-          shipyard: 0,
-          roboticsFactory: 0,
-          researchLab: 0,
-          naniteFactory: 0
-        };
-        destPlanet.ships = {};
-        destPlanet.defense = {};
-        destPlanet.buildQueue = [];
-        destPlanet.shipQueue = [];
-
-        // Add planet to agent's list
-        colonizingAgent.planets.push(destPlanet.id);
-        colonizingAgent.score += 100; // Colonization bonus
-
-        // Ensure system has a name
-        const starName = ensureSystemNamed(pos.galaxy, pos.system);
-
-        // Handle remaining ships
-        const remainingShipCount = Object.values(fleet.ships).reduce((sum, count) => sum + count, 0);
-
-        if (remainingShipCount > 0) {
-          // Transfer remaining ships to new colony
-          for (const [shipType, count] of Object.entries(fleet.ships)) {
-            if (count > 0) {
-              destPlanet.ships[shipType] = (destPlanet.ships[shipType] || 0) + count;
-            }
-          }
-        }
+    let cargoCapacity = 0;
+    for (const [shipType, count] of Object.entries(fleet.ships)) {
+      cargoCapacity += (SHIPS[shipType]?.cargo || 0) * count;
+    }
+    const cargoLoaded = Object.values(fleet.cargo || {}).reduce((a, b) => a + b, 0);
 
-        // Delete fleet (colonization complete)
-        gameState.fleets.delete(fleetId);
-        saveState();
+    const expedition = resolveExpedition(fleet.ships, {
+      expeditionBonus: getModifiers(explorer).expeditionBonus,
+      freeCargo: cargoCapacity - cargoLoaded,
+      tech: explorer?.tech
+    });
+    const details = { outcome: expedition.outcome };
+    let fleetLost = false;
+    let returnTime = getFleetTravelTime(fleet, position, originPlanet);
+
+    if (expedition.outcome === 'resources') {
+      if (!fleet.cargo) fleet.cargo = { metal: 0, crystal: 0, deuterium: 0 };
+      for (const [res, amount] of Object.entries(expedition.resources)) {
+        fleet.cargo[res] = (fleet.cargo[res] || 0) + amount;
+      }
+      details.resources = expedition.resources;
 
-        broadcast({
-          type: "planetColonized",
-          agentId: fleet.ownerId,
-          planetId: destPlanet.id,
-          position: pos,
-          starName,
-          resources: destPlanet.resources,
-          shipsTransferred: remainingShipCount
-        });
+    } else if (expedition.outcome === 'ships') {
+      for (const [shipType, count] of Object.entries(expedition.foundShips)) {
+        fleet.ships[shipType] = (fleet.ships[shipType] || 0) + count;
       }
+      details.foundShips = expedition.foundShips;
+
+    } else if (expedition.outcome === 'pirates' || expedition.outcome === 'aliens') {
+      // Ambush is fought like a regular battle against an ownerless fleet
+      const ambushSeed = generateSeed();
+      const combatResult = resolveCombat(
+        fleet,
+        { ships: expedition.enemy.ships, defense: {} },
+        explorer,
+        { tech: expedition.enemy.tech },
+        [],
+        [],
+        createRng(ambushSeed)
+      );
+      details.combat = {
+        seed: ambushSeed,
+        enemy: expedition.enemy.name,
+        enemyShips: expedition.enemy.ships,
+        winner: combatResult.winner,
+        rounds: combatResult.rounds,
+        losses: combatResult.attackerLosses,
+        enemyLosses: combatResult.defenderLosses
+      };
+      fleet.ships = combatResult.survivingAttackers;
+      fleetLost = Object.keys(fleet.ships).length === 0;
+
+    } else if (expedition.outcome === 'delay') {
+      returnTime = Math.floor(returnTime * expedition.delayFactor);
+      details.delayFactor = expedition.delayFactor;
+
+    } else if (expedition.outcome === 'lost') {
+      fleetLost = true;
     }
-  }
 
-  // Process research queues (per agent)
-  for (const [agentId, agent] of gameState.agents) {
-    if (agent.researchQueue && agent.researchQueue.length > 0) {
-      const job = agent.researchQueue[0];
-      if (job.completesAt <= now) {
-        // Complete research
-        if (!agent.tech) agent.tech = {};
-        agent.tech[job.tech] = job.targetLevel;
-        agent.researchQueue.shift();
-        agent.score += job.cost || 0;
-        
-        broadcast({
-          type: "researchComplete",
-          agentId: agent.id,
-          tech: job.tech,
-          level: job.targetLevel,
-          techName: TECHNOLOGIES[job.tech]?.name
-        });
-        fireWebhooks(agent.id, "researchComplete", { tech: job.tech, level: job.targetLevel });
-      }
+    const expeditionReportId = secureId('fleet_report');
+    db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, details, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [expeditionReportId, fleet.ownerId, 'expedition', fleet.mission, fleet.origin, originPlanet?.name || 'Unknown', fleet.destination, 'Deep Space', JSON.stringify(fleet.ships), JSON.stringify(fleet.cargo || {}), position?.galaxy, position?.system, position?.position, JSON.stringify(details), Date.now()]);
+
+    if (fleetLost) {
+      gameState.fleets.delete(fleetId);
+    } else {
+      startReturnLeg(fleet, returnTime, now);
     }
+
+    broadcastToAgent(fleet.ownerId, { type: "expeditionResult", fleetId, agentId: fleet.ownerId, reportId: expeditionReportId, fleetLost, ...details });
+    emitAgentEvent(fleet.ownerId, "expeditionResult", { fleetId, reportId: expeditionReportId, fleetLost, ...details });
   }
-  
+}
+
+// Game clock: tick counter, autosave and leaderboard snapshots (events run on the scheduler)
+function processTick() {
+  gameState.tick++;
+
   // Autosave every 10 ticks
   if (gameState.tick % 10 === 0) {
     saveState();
@@ -1544,13 +1819,20 @@ function processTick() {
 
   // Leaderboard snapshot every 100 ticks
   if (gameState.tick % 100 === 0) {
-    const now2 = Date.now();
+    const now = Date.now();
     for (const [agentId, agent] of gameState.agents) {
       dbRun(
         `INSERT INTO score_history (agent_id, score, planet_count, recorded_at) VALUES (?, ?, ?, ?)`,
-        [agentId, agent.score || 0, agent.planets?.length || 0, now2]
+        [agentId, agent.score || 0, agent.planets?.length || 0, now]
       ).catch(err => console.error("Failed to snapshot score:", err));
     }
+
+    const top = Array.from(gameState.agents.values())
+      .filter(a => !a.isNPC)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10)
+      .map((a, i) => ({ rank: i + 1, id: a.id, name: a.name, score: a.score, planetCount: a.planets.length }));
+    publish({ type: "leaderboard", tick: gameState.tick, top }, { topics: ["leaderboard"] });
   }
 }
 
@@ -1567,35 +1849,16 @@ function broadcastOnlineCount() {
   broadcast({ type: "onlineCount", count: getOnlineCount() });
 }
 
-wss.on("connection", async (ws) => {
+wss.on("connection", async (ws, req) => {
+  const clientIp = req.socket.remoteAddress;
+  if (isBanned(clientIp)) {
+    ws.close(1008, "Address temporarily banned");
+    return;
+  }
   const clientInfo = new WSClientInfo();
   clients.set(ws, clientInfo);
   ws.send(JSON.stringify({ type: "connected", tick: gameState.tick, agents: gameState.agents.size, onlineCount: getOnlineCount() }));
 
-  // Send recent chat history (last 50 messages)
-  try {
-    const recentChat = await dbAll(
-      `SELECT sender_name, text, authenticated, created_at FROM chat_messages ORDER BY created_at DESC LIMIT 50`
-    );
-    if (recentChat && recentChat.length > 0) {
-      // Send in chronological order (oldest first)
-      const chatHistory = recentChat.reverse().map(m => ({
-        type: "chat",
-        sender: m.sender_name,
-        text: m.text,
-        time: new Date(m.created_at),
-        authenticated: m.authenticated === 1,
-        history: true
-      }));
-      ws.send(JSON.stringify({ type: "chatHistory", messages: chatHistory }));
-    }
-  } catch (err) {
-    console.error("Failed to load chat history:", err);
-  }
-
-  // Broadcast updated online count
-  broadcastOnlineCount();
-
   ws.on("error", (err) => {
     console.error("[WS Error]", err.message);
     clients.delete(ws);
@@ -1608,16 +1871,44 @@ wss.on("connection", async (ws) => {
 
       // Handle authentication
       if (data.type === "auth") {
-        const result = authenticateWS(data.auth);
+        const result = authenticateWS(data.auth, clientIp);
         if (result.success) {
           clientInfo.setAuthenticated(result.wallet);
-          ws.send(JSON.stringify({ type: "auth_success", wallet: result.wallet }));
+          const channels = privateChannels(clientInfo, gameState.agents.get(result.wallet));
+          ws.send(JSON.stringify({ type: "auth_success", wallet: result.wallet, channels }));
         } else {
           ws.send(JSON.stringify({ type: "auth_error", error: result.error }));
         }
         return;
       }
 
+      // Handle public topic subscriptions
+      if (data.type === "subscribe" || data.type === "unsubscribe") {
+        const topics = Array.isArray(data.topics) ? data.topics : [data.topic];
+        const accepted = [];
+        const rejected = [];
+        for (const requested of topics.slice(0, 20)) {
+          const parsed = parseTopic(requested, { galaxies: GALAXIES, systems: SYSTEMS });
+          if (parsed.error) {
+            rejected.push({ topic: requested, error: parsed.error });
+          } else if (data.type === "unsubscribe") {
+            clientInfo.unsubscribe(parsed.topic);
+            accepted.push(parsed.topic);
+          } else if (clientInfo.subscribe(parsed.topic)) {
+            accepted.push(parsed.topic);
+          } else {
+            rejected.push({ topic: requested, error: "Too many subscriptions" });
+          }
+        }
+        ws.send(JSON.stringify({
+          type: data.type === "subscribe" ? "subscribed" : "unsubscribed",
+          topics: accepted,
+          rejected,
+          subscriptions: [...clientInfo.subscriptions]
+        }));
+        return;
+      }
+
       // Handle chat messages
       if (data.type === "chat") {
         // Check if auth is required for chat
@@ -1688,37 +1979,54 @@ wss.on("connection", async (ws) => {
         }
 
         // Send to all online alliance members
-        const allianceId = agent.allianceId;
-        const msg = JSON.stringify({
+        broadcastToAlliance(agent.allianceId, {
           type: "alliance_chat",
-          channel: `alliance:${allianceId}`,
+          channel: `alliance:${agent.allianceId}`,
           sender: agent.name,
           senderId: agent.id,
           text: sanitized.text,
           time: new Date()
         });
-        for (const [otherWs, otherInfo] of clients) {
-          if (otherWs.readyState === 1 && otherInfo.authenticated) {
-            const otherAgent = gameState.agents.get(otherInfo.wallet);
-            if (otherAgent && otherAgent.allianceId === allianceId) {
-              otherWs.send(msg);
-            }
-          }
-        }
       }
     } catch (e) {
       console.error("[WS Message Error]", e.message);
     }
-  });
+  });
+
+  ws.on("close", () => {
+    clientInfo.clearChatHistory();
+    clients.delete(ws);
+    // Broadcast updated online count after removal
+    broadcastOnlineCount();
+  });
+
+  // Send recent chat history (last 50 messages) - loaded after the handlers
+  // are attached so an auth or subscribe sent right on open isn't dropped
+  try {
+    const recentChat = await dbAll(
+      `SELECT sender_name, text, authenticated, created_at FROM chat_messages ORDER BY created_at DESC LIMIT 50`
+    );
+    if (recentChat && recentChat.length > 0) {
+      // Send in chronological order (oldest first)
+      const chatHistory = recentChat.reverse().map(m => ({
+        type: "chat",
+        sender: m.sender_name,
+        text: m.text,
+        time: new Date(m.created_at),
+        authenticated: m.authenticated === 1,
+        history: true
+      }));
+      ws.send(JSON.stringify({ type: "chatHistory", messages: chatHistory }));
+    }
+  } catch (err) {
+    console.error("Failed to load chat history:", err);
+  }
 
-  ws.on("close", () => {
-    clientInfo.clearChatHistory();
-    clients.delete(ws);
-    // Broadcast updated online count after removal
-    broadcastOnlineCount();
-  });
+  // Broadcast updated online count
+  broadcastOnlineCount();
 });
 
+// Send to every connected client (only for events with nothing private in them)
 function broadcast(data) {
   const msg = JSON.stringify(data);
   for (const [ws] of clients) {
@@ -1726,55 +2034,42 @@ function broadcast(data) {
   }
 }
 
-// Send to a specific agent (all their connected clients)
-function broadcastToAgent(agentId, data) {
+// Send to an audience: { agents, alliances, topics } - each client gets the event at most once
+function publish(data, audience) {
   const msg = JSON.stringify(data);
   for (const [ws, clientInfo] of clients) {
-    if (clientInfo.wallet === agentId && ws.readyState === 1) {
-      ws.send(msg);
-    }
+    if (ws.readyState !== 1) continue;
+    const agent = clientInfo.authenticated ? gameState.agents.get(clientInfo.wallet) : null;
+    if (isInAudience(clientInfo, agent, audience)) ws.send(msg);
   }
 }
 
-// Send webhook notifications to registered URLs
-const WEBHOOK_EVENTS = new Set([
-  "fleetArrived", "fleetReturned", "battleReport", "buildComplete",
-  "researchComplete", "shipComplete", "defenseComplete", "newMessage", "espionageDetected"
-]);
+// Send to a specific agent (all their connected clients)
+function broadcastToAgent(agentId, data) {
+  publish(data, { agents: [agentId] });
+}
 
-async function fireWebhooks(agentId, event, payload) {
-  try {
-    const rows = await dbAll(
-      `SELECT * FROM webhooks WHERE agent_id = ? AND failures < 3`,
-      [agentId]
-    );
-    for (const hook of rows) {
-      const events = JSON.parse(hook.events);
-      if (!events.includes(event)) continue;
+// Send to every online member of an alliance
+function broadcastToAlliance(allianceId, data) {
+  publish(data, { alliances: [allianceId] });
+}
 
-      const body = JSON.stringify({ event, agentId, payload, timestamp: Date.now() });
-      const headers = { "Content-Type": "application/json" };
+// Send to clients watching a position's system or galaxy
+function broadcastToPosition(position, data) {
+  publish(data, { topics: positionTopics(position) });
+}
 
-      if (hook.secret) {
-        const signature = crypto.createHmac("sha256", hook.secret).update(body).digest("hex");
-        headers["X-Webhook-Signature"] = signature;
-      }
+// Private agent events (webhooks and the SSE stream)
+const WEBHOOK_EVENTS = new Set([
+  "fleetArrived", "fleetReturned", "battleReport", "buildComplete",
+  "researchComplete", "shipComplete", "defenseComplete", "newMessage", "espionageDetected",
+  "expeditionResult", "fleetHolding", "fleetHoldEnded", "missileReport", "incomingFleet"
+]);
 
-      fetch(hook.url, { method: "POST", headers, body, signal: AbortSignal.timeout(5000) })
-        .then(resp => {
-          if (!resp.ok) {
-            dbRun(`UPDATE webhooks SET failures = failures + 1 WHERE id = ?`, [hook.id]);
-          } else if (hook.failures > 0) {
-            dbRun(`UPDATE webhooks SET failures = 0 WHERE id = ?`, [hook.id]);
-          }
-        })
-        .catch(() => {
-          dbRun(`UPDATE webhooks SET failures = failures + 1 WHERE id = ?`, [hook.id]);
-        });
-    }
-  } catch (err) {
-    console.error("fireWebhooks error:", err.message);
-  }
+// Record a private event for an agent (see agentEvents.js; NPCs get none)
+function emitAgentEvent(agentId, event, payload) {
+  if (!agentId) return;
+  recordAgentEvent(gameState.agents.get(agentId) || { id: agentId }, event, payload);
 }
 
 // ============== STANDARDIZED API RESPONSES ==============
@@ -1910,7 +2205,7 @@ function getAgentFleetSummary(agent) {
     activeFleets,
     fleetSlots: {
       used: activeFleets.length,
-      max: 1 + (agent.tech?.computerTech || 0)
+      max: getModifiers(agent).fleetSlots
     }
   };
 }
@@ -1975,8 +2270,13 @@ function getAgentResearchSummary(agent) {
   };
 }
 
+// Owners for requireOwner() policies (see policy.js)
+registerOwner("agent", { field: "agentId", lookup: id => gameState.agents.has(id) ? id : undefined });
+registerOwner("planet", { field: "planetId", lookup: id => gameState.planets.peek(id)?.ownerId });
+registerOwner("fleet", { field: "fleetId", lookup: id => gameState.fleets.get(id)?.ownerId });
+
 // API
-app.get("/health", (req, res) => res.json({ status: "ok", tick: gameState.tick }));
+app.get("/health", (req, res) => res.json({ status: "ok", tick: gameState.tick, scheduler: getSchedulerStats(), persistence: getPersistenceStats(), authChallenges: getNonceStats(), balances: getBalanceStats(), securityLog: getSecurityLogStats() }));
 app.get("/api/agents", (req, res) => {
   const includeNPC = req.query.includeNPC === 'true';
   const filterNPC = (a) => includeNPC || !a.isNPC;
@@ -2101,19 +2401,11 @@ app.get("/api/agents/:agentId", rateLimitMiddleware, (req, res) => {
     planets
   });
 });
-app.post("/api/agents/register", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/agents/register", requireAuth, rateLimitMiddleware, requireWallet, (req, res) => {
   const { displayName } = req.body;
-  // When authenticated, wallet address is the agentId
+  // The verified wallet address is the agentId
   const walletAddress = req.walletAddress;
 
-  // Wallet address is required when auth is enabled
-  if (!walletAddress) {
-    return res.status(401).json({
-      error: "Wallet address required",
-      message: "Authentication required to register an agent"
-    });
-  }
-
   // Check if agent already exists (allow re-registration)
   const existingAgent = gameState.agents.get(walletAddress);
 
@@ -2145,7 +2437,7 @@ app.post("/api/agents/register", requireAuth, rateLimitMiddleware, (req, res) =>
 });
 
 // Update agent profile
-app.put("/api/agents/:agentId/profile", requireAuth, rateLimitMiddleware, (req, res) => {
+app.put("/api/agents/:agentId/profile", requireAuth, rateLimitMiddleware, requireOwner("agent"), (req, res) => {
   const agentId = req.walletAddress;
 
   // Only the owner can update their profile
@@ -2271,9 +2563,8 @@ app.put("/api/agents/:agentId/profile", requireAuth, rateLimitMiddleware, (req,
 
 // ============== AGENT DECISION LOGGING ==============
 // Log a decision made by an agent (for spectator visibility)
-app.post("/api/agents/:agentId/log-decision", requireAuth, rateLimitMiddleware, (req, res) => {
-  // Use wallet address as agentId when authenticated
-  const agentId = req.walletAddress || req.params.agentId;
+app.post("/api/agents/:agentId/log-decision", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "economy" }), (req, res) => {
+  const agentId = req.walletAddress;
   const agent = gameState.agents.get(agentId);
   if (!agent) return res.status(404).json({ error: "Agent not found" });
 
@@ -2307,11 +2598,11 @@ app.post("/api/agents/:agentId/log-decision", requireAuth, rateLimitMiddleware,
     decisions.length = MAX_DECISIONS_PER_AGENT;
   }
 
-  // Broadcast to spectators
-  broadcast({
+  // Send to the agent and to spectators following the decisions topic
+  publish({
     type: "agentDecision",
     decision
-  });
+  }, { agents: [agentId], topics: ["decisions"] });
 
   res.json({ success: true, decision });
 });
@@ -2354,6 +2645,64 @@ app.get("/api/decisions/recent", (req, res) => {
 // High-level summaries optimized for AI agent consumption
 // Protected - only agent owner can access their summaries
 
+// Hostile fleets en route to the agent's planets, soonest first
+app.get("/api/agents/:agentId/incoming", requireAuth, rateLimitMiddleware, (req, res) => {
+  const agent = gameState.agents.get(req.params.agentId);
+  if (!agent) return apiError(res, "Agent not found", {}, 404);
+  if (req.walletAddress !== req.params.agentId) return apiError(res, "Not authorized", {}, 403);
+
+  const now = Date.now();
+  const fleets = [];
+  for (const fleet of gameState.fleets.values()) {
+    const target = gameState.planets.get(fleet.destination);
+    if (target?.ownerId !== agent.id || !isHostileFleet(fleet, target)) continue;
+    fleets.push(describeIncomingFleet(fleet, agent, now));
+  }
+  fleets.sort((a, b) => a.arrivesAt - b.arrivesAt);
+
+  return apiSuccess(res, { agentId: agent.id, espionageTech: agent.tech?.espionageTech || 0, count: fleets.length, fleets });
+});
+
+// Other agents' fleets flying to or from the agent's galaxies (Overseer), soonest first
+app.get("/api/agents/:agentId/fleet-overview", requireAuth, rateLimitMiddleware, (req, res) => {
+  const agent = gameState.agents.get(req.params.agentId);
+  if (!agent) return apiError(res, "Agent not found", {}, 404);
+  if (req.walletAddress !== req.params.agentId) return apiError(res, "Not authorized", {}, 403);
+
+  const now = Date.now();
+  const positions = (agent.planets || []).map(id => gameState.planets.get(id)?.position).filter(Boolean);
+  const galaxies = getOverviewGalaxies(agent, positions, now);
+  if (galaxies.size === 0) {
+    return apiError(res, "Fleet overview requires the Overseer officer", { officerId: "overseer", hire: "POST /api/moltium/hire-officer" }, 403);
+  }
+
+  const espionageTech = agent.tech?.espionageTech || 0;
+  const fleets = [];
+  for (const fleet of gameState.fleets.values()) {
+    if (fleet.ownerId === agent.id) continue;
+    const origin = gameState.planets.get(fleet.origin);
+    const target = gameState.planets.get(fleet.destination);
+    const destination = target?.position || fleet.destinationPosition || null;
+    if (!isInOverview(origin?.position, destination, galaxies)) continue;
+    fleets.push({
+      fleetId: fleet.id,
+      mission: fleet.mission,
+      ownerId: fleet.ownerId,
+      ownerName: gameState.agents.get(fleet.ownerId)?.name || null,
+      origin: { planetId: fleet.origin, position: origin?.position || null },
+      destination: { planetId: fleet.destination, position: destination },
+      returning: fleet.returning,
+      departedAt: fleet.departedAt,
+      arrivesAt: fleet.arrivesAt,
+      etaSeconds: Math.max(0, Math.ceil((fleet.arrivesAt - now) / 1000)),
+      estimate: estimateFleetSize(fleet.ships, espionageTech)
+    });
+  }
+  fleets.sort((a, b) => a.arrivesAt - b.arrivesAt);
+
+  return apiSuccess(res, { agentId: agent.id, galaxies: [...galaxies].sort((a, b) => a - b), count: fleets.length, fleets });
+});
+
 app.get("/api/agents/:agentId/planet-summary", requireAuth, rateLimitMiddleware, (req, res) => {
   const agent = gameState.agents.get(req.params.agentId);
   if (!agent) return apiError(res, "Agent not found", {}, 404);
@@ -2397,8 +2746,9 @@ app.get("/api/agents/:agentId/full-summary", requireAuth, rateLimitMiddleware, (
   });
 });
 
-app.post("/api/build", requireAuth, rateLimitMiddleware, async (req, res) => {
-  const { agentId, planetId, building } = req.body;
+app.post("/api/build", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "economy" }), async (req, res) => {
+  const { planetId, building } = req.body;
+  const agentId = req.walletAddress;
 
   // Validate building identifier (prevents prototype pollution)
   const buildingCheck = validateIdentifier(building, 'building', BUILDINGS);
@@ -2416,26 +2766,20 @@ app.post("/api/build", requireAuth, rateLimitMiddleware, async (req, res) => {
   try {
     const result = await withPlanetLockAsync(planetId, async () => {
       // Check build queue limit (base 1 + Overseer bonus)
-      const buildQueueBonus = hasOfficerBonus(agent, 'buildQueueSlots') || 0;
-      const maxQueueSize = 1 + buildQueueBonus;
-      const currentQueueSize = planet.buildQueue?.length || 0;
-
-      if (currentQueueSize >= maxQueueSize) {
-        const current = planet.buildQueue[0];
-        return { error: true, message: `Build queue full (${currentQueueSize}/${maxQueueSize})`, details: {
-          queue: planet.buildQueue,
-          maxQueueSize,
-          currentQueueSize,
-          completesAt: current?.completesAt,
-          remainingMs: current ? current.completesAt - Date.now() : 0,
-          hint: buildQueueBonus === 0 ? "Hire Overseer officer for +2 queue slots" : null
-        }};
-      }
+      const queueFull = checkBuildQueue(planet, agent);
+      if (queueFull) return { error: true, ...queueFull };
 
       const currentLevel = planet.buildings[building] || 0;
       const buildingData = BUILDINGS[building];
       const cost = getBuildingCost(building, currentLevel);
 
+      // Moon-only buildings, moon allow-list and moon fields
+      const site = checkBuildSite(planet, building);
+      if (!site.allowed) {
+        const { allowed, reason, ...siteDetails } = site;
+        return { error: true, message: reason, details: siteDetails };
+      }
+
       // Check building requirements
       if (buildingData.requires) {
         for (const [req, reqLevel] of Object.entries(buildingData.requires)) {
@@ -2495,11 +2839,12 @@ app.post("/api/build", requireAuth, rateLimitMiddleware, async (req, res) => {
         completesAt,
         buildTime
       });
+      schedulePlanet(planet);
 
       // Autosave
       saveState();
 
-      broadcast({
+      broadcastToAgent(planet.ownerId, {
         type: "buildStarted",
         planetId: planet.id,
         building,
@@ -2529,7 +2874,7 @@ app.post("/api/build", requireAuth, rateLimitMiddleware, async (req, res) => {
 });
 
 // Cancel Build - cancels the first item in the build queue with partial refund
-app.post("/api/build/cancel/:planetId", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/build/cancel/:planetId", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "economy" }), async (req, res) => {
   const { planetId } = req.params;
   const agentId = req.walletAddress;
 
@@ -2574,10 +2919,11 @@ app.post("/api/build/cancel/:planetId", requireAuth, rateLimitMiddleware, async
 
       // Remove the job from queue
       const cancelledJob = planet.buildQueue.shift();
+      schedulePlanet(planet);
 
       saveState();
 
-      broadcast({
+      broadcastToAgent(planet.ownerId, {
         type: "buildCancelled",
         planetId: planet.id,
         building: cancelledJob.building,
@@ -2775,7 +3121,9 @@ app.get("/api/codex", (req, res) => {
         crystal: "20 * level * 1.1^level * efficiency",
         deuterium: "10 * level * 1.1^level * (1.36 - 0.004 * avgTemp) * efficiency",
         solarPlant: "20 * level * 1.1^level",
-        fusionReactor: "30 * level * (1.05 + energyTech * 0.01)^level"
+        fusionReactor: "30 * level * (1.05 + energyTech * 0.01)^level",
+        solarSatellite: "floor((maxTemp + 140) / 6) per satellite",
+        productionSettings: "each mine's output and energy use, and each power source's output, scale by its setting (0-100%)"
       },
       buildTime: {
         buildings: "(metalCost + crystalCost) / (2500 * (1 + roboticsFactory) * 2^naniteFactory) / gameSpeed hours",
@@ -2783,15 +3131,17 @@ app.get("/api/codex", (req, res) => {
         research: "(metalCost + crystalCost) / (1000 * (1 + researchLab)) / gameSpeed hours"
       },
       fleetSpeed: {
-        combustion: "baseSpeed * (1 + combustionDrive * 0.1)",
-        impulse: "baseSpeed * (1 + impulseDrive * 0.2)",
-        hyperspace: "baseSpeed * (1 + hyperspaceDrive * 0.3)"
+        combustion: "baseSpeed * (1 + combustionDrive * 0.1 + fleetAdmiral)",
+        impulse: "baseSpeed * (1 + impulseDrive * 0.2 + fleetAdmiral)",
+        hyperspace: "baseSpeed * (1 + hyperspaceDrive * 0.3 + fleetAdmiral)",
+        fleet: "speed of the slowest ship"
       },
       travel: {
         sameSystem: "distance = 1000 + 5 * abs(positionDiff)",
         sameGalaxy: "distance = 2700 + 95 * abs(systemDiff)",
         differentGalaxy: "distance = 20000 * abs(galaxyDiff)",
-        time: "max(10, floor(distance / 100 / gameSpeed)) seconds"
+        time: "max(10, floor(distance / 100 * sqrt(10000 / fleetSpeed) * (100 / speedPercent) / gameSpeed)) seconds",
+        fuel: "max(1, ceil(ship.fuel * distance / 35000 * ((speedPercent / 100) + 1)^2 / 4)) per ship"
       },
       loot: {
         maxLoot: "50% of defender resources (metal + crystal + deuterium)",
@@ -2819,8 +3169,9 @@ app.get("/api/codex", (req, res) => {
   });
 });
 
-app.post("/api/research", requireAuth, rateLimitMiddleware, async (req, res) => {
-  const { agentId, planetId, tech } = req.body;
+app.post("/api/research", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "economy" }), async (req, res) => {
+  const { planetId, tech } = req.body;
+  const agentId = req.walletAddress;
 
   // Validate tech identifier (prevents prototype pollution)
   const techCheck = validateIdentifier(tech, 'technology', TECHNOLOGIES);
@@ -2879,7 +3230,7 @@ app.post("/api/research", requireAuth, rateLimitMiddleware, async (req, res) =>
 
       // Calculate research time (Science Tech reduces time)
       const scienceLevel = agent.tech?.scienceTech || 0;
-      const researchTime = getResearchTime(cost, labLevel, scienceLevel);
+      const researchTime = getResearchTime(cost, labLevel, scienceLevel, getModifiers(agent).researchSpeed);
       const completesAt = Date.now() + (researchTime * 1000);
 
       // Queue the research
@@ -2892,10 +3243,11 @@ app.post("/api/research", requireAuth, rateLimitMiddleware, async (req, res) =>
         completesAt,
         researchTime
       });
+      scheduleResearch(agent);
 
       saveState();
 
-      broadcast({
+      broadcastToAgent(agent.id, {
         type: "researchStarted",
         agentId: agent.id,
         tech,
@@ -2926,7 +3278,7 @@ app.post("/api/research", requireAuth, rateLimitMiddleware, async (req, res) =>
 });
 
 // Cancel Research - cancels the current research with partial refund
-app.post("/api/research/cancel", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/research/cancel", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "economy" }), async (req, res) => {
   const agentId = req.walletAddress;
   const agent = gameState.agents.get(agentId);
 
@@ -2973,10 +3325,11 @@ app.post("/api/research/cancel", requireAuth, rateLimitMiddleware, async (req, r
 
       // Remove the job from queue
       const cancelledJob = agent.researchQueue.shift();
+      scheduleResearch(agent);
 
       saveState();
 
-      broadcast({
+      broadcastToAgent(agent.id, {
         type: "researchCancelled",
         agentId: agent.id,
         tech: cancelledJob.tech,
@@ -3032,18 +3385,15 @@ function checkShipRequirements(agent, planet, requirements) {
 function getShipyardBuildTime(cost, planet) {
   const shipyard = planet.buildings.shipyard || 1;
   const nanite = planet.buildings.naniteFactory || 0;
-  const hours = (cost.metal + cost.crystal) / (250000 * (1 + shipyard) * Math.pow(2, nanite));
+  const { shipyardSpeed } = getModifiers(gameState.agents.get(planet.ownerId));
+  const hours = (cost.metal + cost.crystal) / (250000 * (1 + shipyard) * Math.pow(2, nanite) * shipyardSpeed);
   return Math.max(15, Math.floor(hours * 3600 / GAME_SPEED)); // seconds, minimum 15s
 }
 
 // Ship Building
-app.post("/api/build-ship", requireAuth, rateLimitMiddleware, async (req, res) => {
-  const { agentId, planetId, ship, count = 1 } = req.body;
-
-  // Validate agentId
-  if (!agentId || typeof agentId !== 'string') {
-    return apiError(res, "Invalid agentId", { message: "agentId is required" });
-  }
+app.post("/api/build-ship", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "economy" }), async (req, res) => {
+  const { planetId, ship, count = 1 } = req.body;
+  const agentId = req.walletAddress;
 
   // Validate ship identifier (prevents prototype pollution)
   const shipCheck = validateIdentifier(ship, 'ship', SHIPS);
@@ -3113,9 +3463,10 @@ app.post("/api/build-ship", requireAuth, rateLimitMiddleware, async (req, res) =
 
       if (!planet.shipQueue) planet.shipQueue = [];
       planet.shipQueue.push({ ship, count, completesAt, buildTime });
+      schedulePlanet(planet);
 
       saveState();
-      broadcast({ type: "shipBuildStarted", planetId: planet.id, ship, count, buildTime, shipName: shipData.name });
+      broadcastToAgent(planet.ownerId, { type: "shipBuildStarted", planetId: planet.id, ship, count, buildTime, shipName: shipData.name });
 
       return { success: true, ship, shipName: shipData.name, count, buildTime, completesAt };
     });
@@ -3130,13 +3481,9 @@ app.post("/api/build-ship", requireAuth, rateLimitMiddleware, async (req, res) =
 });
 
 // Defense Building
-app.post("/api/build-defense", requireAuth, rateLimitMiddleware, async (req, res) => {
-  const { agentId, planetId, defense, count = 1 } = req.body;
-
-  // Validate agentId
-  if (!agentId || typeof agentId !== 'string') {
-    return apiError(res, "Invalid agentId", { message: "agentId is required" });
-  }
+app.post("/api/build-defense", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "economy" }), async (req, res) => {
+  const { planetId, defense, count = 1 } = req.body;
+  const agentId = req.walletAddress;
 
   // Validate defense identifier (prevents prototype pollution)
   const defenseCheck = validateIdentifier(defense, 'defense', DEFENSES);
@@ -3177,6 +3524,20 @@ app.post("/api/build-defense", requireAuth, rateLimitMiddleware, async (req, res
     return apiError(res, `Missing requirement: ${reqCheck.missing}`, { requirements: defenseData.requires });
   }
 
+  // Missiles need free silo slots (queued missiles count too)
+  if (defenseData.siloSpace) {
+    const capacity = getSiloCapacity(planet.buildings?.missileSilo);
+    const used = getSiloUsage(planet.defense, planet.shipQueue);
+    if (used + defenseData.siloSpace * count > capacity) {
+      return apiError(res, `Not enough silo space for ${count}x ${defenseData.name}`, {
+        siloCapacity: capacity,
+        siloUsed: used,
+        canBuild: Math.max(0, Math.floor((capacity - used) / defenseData.siloSpace)),
+        hint: "Upgrade your Missile Silo for more slots"
+      });
+    }
+  }
+
   try {
     const result = await withPlanetLockAsync(planetId, async () => {
       // Check if shipyard busy (defense uses same queue)
@@ -3219,9 +3580,10 @@ app.post("/api/build-defense", requireAuth, rateLimitMiddleware, async (req, res
 
       if (!planet.shipQueue) planet.shipQueue = [];
       planet.shipQueue.push({ defense, count, completesAt, buildTime, isDefense: true });
+      schedulePlanet(planet);
 
       saveState();
-      broadcast({ type: "defenseBuildStarted", planetId: planet.id, defense, count, buildTime, defenseName: defenseData.name });
+      broadcastToAgent(planet.ownerId, { type: "defenseBuildStarted", planetId: planet.id, defense, count, buildTime, defenseName: defenseData.name });
 
       return { success: true, defense, defenseName: defenseData.name, count, buildTime, completesAt };
     });
@@ -3249,23 +3611,46 @@ function getFleetDistance(origin, destination) {
   }
 }
 
-function getTravelTime(origin, destination) {
+// Parse "galaxy:system:position" coordinates (position may be the expedition slot)
+function parseCoordinates(value) {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(':');
+  if (parts.length !== 3 || !parts.every(p => /^\d+$/.test(p))) return null;
+  const [galaxy, system, position] = parts.map(Number);
+  if (galaxy < 1 || galaxy > GALAXIES || system < 1 || system > SYSTEMS || position < 1 || position > EXPEDITION_POSITION) {
+    return null;
+  }
+  return { galaxy, system, position };
+}
+
+/**
+ * Travel time in seconds between two planets/positions
+ * Without ships, times a reference-speed fleet; otherwise the slowest ship sets the pace,
+ * boosted by the owner's drive techs and Fleet Admiral
+ */
+function getTravelTime(origin, destination, ships = null, agent = null, speedPercent = 100) {
   const distance = getFleetDistance(origin, destination);
-  // Time in seconds (scaled by GAME_SPEED)
-  return Math.max(10, Math.floor(distance / 100 / GAME_SPEED));
+  const fleetSpeed = ships ? getFleetSpeed(ships, agent) : REFERENCE_FLEET_SPEED;
+  return getFlightDuration(distance, fleetSpeed || REFERENCE_FLEET_SPEED, speedPercent);
+}
+
+// Travel time for a fleet in flight (return trips keep the speed setting it launched with)
+function getFleetTravelTime(fleet, origin, destination) {
+  return getTravelTime(origin, destination, fleet.ships, gameState.agents.get(fleet.ownerId), fleet.speedPercent || 100);
 }
 
 /**
  * Calculate fuel (deuterium) consumption for a fleet mission
- * Formula: sum of (ship.fuel * distance / 35000) for each ship, minimum 1 per ship
+ * Formula: sum of (ship.fuel * distance / 35000 * speedFactor) for each ship, minimum 1 per ship
  */
-function calculateFuelConsumption(ships, distance) {
+function calculateFuelConsumption(ships, distance, speedPercent = 100) {
+  const speedFactor = getFuelSpeedFactor(speedPercent);
   let totalFuel = 0;
   for (const [shipType, count] of Object.entries(ships)) {
     const shipData = SHIPS[shipType];
     if (shipData && count > 0) {
-      // Fuel per ship based on distance (scaled)
-      const fuelPerShip = Math.max(1, Math.ceil(shipData.fuel * distance / 35000));
+      // Fuel per ship based on distance (scaled), cheaper at reduced speed
+      const fuelPerShip = Math.max(1, Math.ceil(shipData.fuel * distance / 35000 * speedFactor));
       totalFuel += fuelPerShip * count;
     }
   }
@@ -3274,16 +3659,64 @@ function calculateFuelConsumption(ships, distance) {
 
 
 // Send Fleet
-app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) => {
-  const { agentId, fromPlanetId, toPlanetId, ships, mission, cargo } = req.body;
-
-  // Validate agentId
-  if (!agentId || typeof agentId !== 'string') {
-    return res.status(400).json({ error: "Invalid agentId", message: "agentId is required" });
+/**
+ * Newbie protection shared by fleet attacks and missile strikes
+ * @returns {Object|null} Error body when the defender is protected from this attacker
+ */
+function getAttackProtection(agent, defender) {
+  if (!defender) return null;
+  // Score shield: defender score < 1000
+  if (defender.score < 1000) {
+    return { error: "Target is under newbie protection (score < 1000)", protection: "scoreShield", defenderScore: defender.score };
+  }
+  // Time shield: account created < 48 hours ago
+  const accountAgeMs = Date.now() - (defender.createdAt || 0);
+  const fortyEightHours = 48 * 60 * 60 * 1000;
+  if (accountAgeMs < fortyEightHours) {
+    const hoursRemaining = Math.ceil((fortyEightHours - accountAgeMs) / (60 * 60 * 1000));
+    return { error: "Target is under new player time protection (first 48h)", protection: "timeShield", hoursRemaining };
+  }
+  // Score ratio: attacker score > 10x defender score
+  if (agent.score > 10 * defender.score && defender.score > 0) {
+    return { error: "Target's score is too low relative to yours (10x protection)", protection: "scoreRatio", attackerScore: agent.score, defenderScore: defender.score };
   }
+  return null;
+}
+
+// ACS limits: fleets per battle group, and how far a joining fleet may push back the group's arrival
+const ACS_MAX_FLEETS = 16;
+const ACS_MAX_DELAY = 0.3;
+// ACS defend: hold duration range in hours, and how many allied fleets may hold at one planet
+const ACS_DEFEND_MAX_HOLD_HOURS = 32;
+const ACS_DEFEND_MAX_FLEETS = 16;
+
+// What a defender sees of a hostile fleet headed for one of their planets
+function describeIncomingFleet(fleet, defender, now = Date.now()) {
+  const attacker = gameState.agents.get(fleet.ownerId);
+  const origin = gameState.planets.get(fleet.origin);
+  const target = gameState.planets.get(fleet.destination);
+  const info = {
+    fleetId: fleet.id,
+    mission: fleet.mission,
+    attackerId: fleet.ownerId,
+    attackerName: attacker?.name || null,
+    origin: { planetId: fleet.origin, position: origin?.position || null },
+    destination: { planetId: fleet.destination, name: target?.name || null, position: target?.position || null },
+    departedAt: fleet.departedAt,
+    arrivesAt: fleet.arrivesAt,
+    etaSeconds: Math.max(0, Math.ceil((fleet.arrivesAt - now) / 1000)),
+    estimate: estimateFleetSize(fleet.ships, defender?.tech?.espionageTech || 0)
+  };
+  if (fleet.acsGroupId) info.acsGroupId = fleet.acsGroupId;
+  return info;
+}
+
+app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, requireOwner("planet", { field: "fromPlanetId", scope: "fleet" }), async (req, res) => {
+  const { fromPlanetId, toPlanetId, ships, mission, cargo, acsGroupId, holdHours = 1, speed = 100 } = req.body;
+  const agentId = req.walletAddress;
 
   // Validate mission type EARLY (before destination check)
-  const validMissions = ['transport', 'deploy', 'attack', 'recycle', 'espionage', 'colonize'];
+  const validMissions = ['transport', 'deploy', 'attack', 'acsAttack', 'acsDefend', 'recycle', 'espionage', 'colonize', 'expedition'];
   const selectedMission = mission || 'transport';
   if (!validMissions.includes(selectedMission)) {
     return res.status(400).json({ error: "Invalid mission type", validMissions });
@@ -3294,12 +3727,35 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
   if (!shipValidation.valid) {
     return res.status(400).json({ error: shipValidation.error, ...shipValidation.details });
   }
+  const grounded = Object.keys(ships).filter(shipType => ships[shipType] > 0 && !SHIPS[shipType].speed);
+  if (grounded.length > 0) {
+    return res.status(400).json({ error: "Ships cannot leave orbit", ships: grounded });
+  }
+
+  // Fleet speed setting: slower flights burn less fuel
+  if (!isValidSpeedPercent(speed)) {
+    return res.status(400).json({ error: "Invalid speed", valid: "10-100 in steps of 10" });
+  }
 
   const agent = gameState.agents.get(agentId);
   const fromPlanet = gameState.planets.get(fromPlanetId);
-  const toPlanet = gameState.planets.get(toPlanetId);
+  let toPlanet = gameState.planets.get(toPlanetId);
 
   if (!agent || !fromPlanet) return res.status(404).json({ error: "Origin not found" });
+
+  // Expeditions fly to empty coordinates, so the destination is a position rather than a planet
+  let expeditionTarget = null;
+  if (selectedMission === 'expedition') {
+    expeditionTarget = parseCoordinates(toPlanetId);
+    if (!expeditionTarget) {
+      return res.status(400).json({ error: "Invalid expedition target", hint: `Use coordinates like 1:42:${EXPEDITION_POSITION}` });
+    }
+    if (toPlanet) {
+      return res.status(400).json({ error: "Expedition target must be empty space", hint: `Position ${EXPEDITION_POSITION} of every system is always empty` });
+    }
+    toPlanet = { id: toPlanetId, name: "Deep Space", position: expeditionTarget };
+  }
+
   if (!toPlanet) return res.status(404).json({ error: "Destination not found" });
   if (fromPlanet.ownerId !== agentId) return res.status(403).json({ error: "Not your planet" });
 
@@ -3309,10 +3765,8 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
   }
 
   // Enforce fleet slot limits
-  const activeFleetCount = Array.from(gameState.fleets.values()).filter(f => f.ownerId === agentId).length;
-  const computerTechLevel = agent.tech?.computerTech || 0;
-  const fleetAdmiralBonus = hasOfficerBonus(agent, 'fleetSlots') || 0;
-  const maxFleetSlots = 2 + computerTechLevel + fleetAdmiralBonus;
+  const activeFleetCount = Array.from(gameState.fleets.values()).filter(f => f.ownerId === agentId && f.mission !== 'missileAttack').length;
+  const maxFleetSlots = getModifiers(agent).fleetSlots;
 
   if (activeFleetCount >= maxFleetSlots) {
     const returningFleets = Array.from(gameState.fleets.values()).filter(f => f.ownerId === agentId && f.returning).length;
@@ -3325,33 +3779,62 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
     });
   }
 
-  // Attack mission validation
-  if (selectedMission === 'attack') {
+  // Attack mission validation (ACS attacks follow the same protection rules)
+  if (selectedMission === 'attack' || selectedMission === 'acsAttack') {
     if (toPlanet.ownerId === agentId) {
       return res.status(400).json({ error: "Cannot attack your own planet" });
     }
 
     // Newbie protection checks (only block attacks on protected players)
+    const protection = getAttackProtection(agent, gameState.agents.get(toPlanet.ownerId));
+    if (protection) return res.status(403).json(protection);
+  }
+
+  // ACS attack validation - alliance members only, joining an existing group must match its target
+  if (selectedMission === 'acsAttack') {
+    if (!agent.allianceId) {
+      return res.status(400).json({ error: "ACS attacks require an alliance", hint: "Join or create an alliance first" });
+    }
     const defender = gameState.agents.get(toPlanet.ownerId);
-    if (defender) {
-      // Score shield: defender score < 1000
-      if (defender.score < 1000) {
-        return res.status(403).json({ error: "Target is under newbie protection (score < 1000)", protection: "scoreShield", defenderScore: defender.score });
+    if (defender?.allianceId === agent.allianceId) {
+      return res.status(400).json({ error: "Cannot attack a member of your own alliance" });
+    }
+    if (acsGroupId !== undefined) {
+      const group = gameState.acsGroups.get(acsGroupId);
+      if (!group) {
+        return res.status(404).json({ error: "ACS group not found", acsGroupId });
+      }
+      if (group.allianceId !== agent.allianceId) {
+        return res.status(403).json({ error: "ACS group belongs to another alliance" });
       }
-      // Time shield: account created < 48 hours ago
-      const accountAgeMs = Date.now() - (defender.createdAt || 0);
-      const fortyEightHours = 48 * 60 * 60 * 1000;
-      if (accountAgeMs < fortyEightHours) {
-        const hoursRemaining = Math.ceil((fortyEightHours - accountAgeMs) / (60 * 60 * 1000));
-        return res.status(403).json({ error: "Target is under new player time protection (first 48h)", protection: "timeShield", hoursRemaining });
+      if (group.target !== toPlanetId) {
+        return res.status(400).json({ error: "Fleet destination must match the ACS group target", target: group.target });
       }
-      // Score ratio: attacker score > 10x defender score
-      if (agent.score > 10 * defender.score && defender.score > 0) {
-        return res.status(403).json({ error: "Target's score is too low relative to yours (10x protection)", protection: "scoreRatio", attackerScore: agent.score, defenderScore: defender.score });
+      if (group.fleetIds.length >= ACS_MAX_FLEETS) {
+        return res.status(400).json({ error: "ACS group is full", maxFleets: ACS_MAX_FLEETS });
       }
     }
   }
 
+  // ACS defend validation - hold at an alliance member's planet for a limited time
+  if (selectedMission === 'acsDefend') {
+    if (!Number.isInteger(holdHours) || holdHours < 0 || holdHours > ACS_DEFEND_MAX_HOLD_HOURS) {
+      return res.status(400).json({ error: "Invalid holdHours", hint: `Use a whole number of hours from 0 to ${ACS_DEFEND_MAX_HOLD_HOURS}` });
+    }
+    if (toPlanet.ownerId === agentId) {
+      return res.status(400).json({ error: "Cannot hold at your own planet", hint: "Use deploy mission to station ships at your own planets" });
+    }
+    const ally = gameState.agents.get(toPlanet.ownerId);
+    if (!agent.allianceId || !ally || ally.allianceId !== agent.allianceId) {
+      return res.status(400).json({ error: "ACS defend requires a planet of your alliance" });
+    }
+    const inboundDefenders = Array.from(gameState.fleets.values())
+      .filter(f => f.mission === 'acsDefend' && !f.returning && f.destination === toPlanetId).length;
+    if (inboundDefenders >= ACS_DEFEND_MAX_FLEETS) {
+      return res.status(400).json({ error: "Too many allied fleets at this planet", maxFleets: ACS_DEFEND_MAX_FLEETS });
+    }
+  }
+
   // Deploy mission validation - must own destination
   if (selectedMission === 'deploy') {
     if (toPlanet.ownerId !== agentId) {
@@ -3427,6 +3910,25 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
     }
   }
 
+  // Expedition validation - limited by astrophysics like in OGame
+  if (selectedMission === 'expedition') {
+    const astrophysicsLevel = agent.tech?.astrophysics || 0;
+    if (astrophysicsLevel < 1) {
+      return res.status(400).json({ error: "Expeditions require Astrophysics level 1" });
+    }
+    const maxExpeditions = Math.floor(Math.sqrt(astrophysicsLevel));
+    const activeExpeditions = Array.from(gameState.fleets.values())
+      .filter(f => f.ownerId === agentId && f.mission === 'expedition').length;
+    if (activeExpeditions >= maxExpeditions) {
+      return res.status(400).json({
+        error: "Expedition limit reached",
+        activeExpeditions,
+        maxExpeditions,
+        hint: `Research Astrophysics to level ${(maxExpeditions + 1) ** 2} for another expedition slot`
+      });
+    }
+  }
+
   try {
     const result = await withPlanetLockAsync(fromPlanetId, async () => {
       // Re-fetch planet inside lock to ensure fresh data
@@ -3482,7 +3984,7 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
 
       // Calculate fuel consumption (one-way, return trip consumes fuel from cargo on return)
       const distance = getFleetDistance(lockedPlanet, toPlanet);
-      const fuelRequired = calculateFuelConsumption(ships, distance);
+      const fuelRequired = calculateFuelConsumption(ships, distance, speed);
       const availableDeuterium = (lockedPlanet.resources.deuterium || 0) - loadedCargo.deuterium;
 
       if (fuelRequired > availableDeuterium) {
@@ -3499,6 +4001,28 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
         };
       }
 
+      // Calculate travel time (slowest ship sets the pace)
+      const travelTime = getTravelTime(lockedPlanet, toPlanet, ships, agent, speed);
+      let arrivesAt = Date.now() + (travelTime * 1000);
+
+      // Joining an ACS group: the group may have resolved meanwhile, and slow fleets can't hold it back too long
+      const acsGroup = selectedMission === 'acsAttack' && acsGroupId !== undefined ? gameState.acsGroups.get(acsGroupId) : null;
+      if (acsGroup) {
+        const remainingMs = Math.max(0, acsGroup.arrivesAt - Date.now());
+        const delayMs = arrivesAt - acsGroup.arrivesAt;
+        if (delayMs > remainingMs * ACS_MAX_DELAY) {
+          return {
+            error: true,
+            status: 400,
+            message: "Fleet is too slow to join this ACS group",
+            details: { groupArrivesAt: acsGroup.arrivesAt, fleetArrivesAt: arrivesAt, maxDelayMs: Math.floor(remainingMs * ACS_MAX_DELAY) }
+          };
+        }
+        arrivesAt = Math.max(arrivesAt, acsGroup.arrivesAt);
+      } else if (selectedMission === 'acsAttack' && acsGroupId !== undefined) {
+        return { error: true, status: 404, message: "ACS group not found", details: { acsGroupId } };
+      }
+
       // Deduct ships, cargo, AND fuel from origin (use lockedPlanet for consistency)
       for (const [shipType, count] of Object.entries(ships)) {
         lockedPlanet.ships[shipType] = (parseInt(lockedPlanet.ships[shipType], 10) || 0) - count;
@@ -3509,11 +4033,6 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
       // Deduct fuel
       lockedPlanet.resources.deuterium = (lockedPlanet.resources.deuterium || 0) - fuelRequired;
 
-      // Calculate travel time
-      const distance2 = getFleetDistance(lockedPlanet, toPlanet); // recalc with locked planet
-      const travelTime = Math.max(10, Math.floor(distance2 / 100 / GAME_SPEED));
-      const arrivesAt = Date.now() + (travelTime * 1000);
-
       // Warning for empty transport missions
       let warning = null;
       if (selectedMission === 'transport' && totalLoaded === 0) {
@@ -3531,12 +4050,43 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
         destination: toPlanetId,
         cargo: loadedCargo,
         fuelConsumed: fuelRequired,
+        speedPercent: speed,
         departedAt: Date.now(),
         arrivesAt,
         returning: false
       };
+      if (expeditionTarget) fleet.destinationPosition = expeditionTarget;
+      if (selectedMission === 'acsDefend') fleet.holdDuration = holdHours * 60 * 60 * 1000;
+
+      // ACS: the first fleet leads a new battle group; every member arrives with the slowest fleet
+      if (selectedMission === 'acsAttack') {
+        if (acsGroup) {
+          acsGroup.fleetIds.push(fleetId);
+          acsGroup.arrivesAt = arrivesAt;
+          for (const memberId of acsGroup.fleetIds) {
+            const member = gameState.fleets.get(memberId);
+            if (member && !member.returning) {
+              member.arrivesAt = arrivesAt;
+              scheduleFleet(member);
+            }
+          }
+          fleet.acsGroupId = acsGroupId;
+        } else {
+          fleet.acsGroupId = secureId('acs');
+          gameState.acsGroups.set(fleet.acsGroupId, {
+            id: fleet.acsGroupId,
+            leaderId: agentId,
+            allianceId: agent.allianceId,
+            target: toPlanetId,
+            fleetIds: [fleetId],
+            arrivesAt,
+            createdAt: Date.now()
+          });
+        }
+      }
 
       gameState.fleets.set(fleetId, fleet);
+      scheduleFleet(fleet);
       saveState();
 
       // Create fleet dispatch report
@@ -3544,8 +4094,14 @@ app.post("/api/fleet/send", requireAuth, rateLimitMiddleware, async (req, res) =
       db.run(`INSERT INTO fleet_reports (id, owner_id, event_type, mission, origin, origin_name, destination, destination_name, ships, cargo, position_galaxy, position_system, position_position, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [reportId, agentId, 'dispatched', selectedMission, fromPlanetId, lockedPlanet.name, toPlanetId, toPlanet.name, JSON.stringify(ships), JSON.stringify(loadedCargo), toPlanet.position.galaxy, toPlanet.position.system, toPlanet.position.position, Date.now()]);
 
-      broadcast({ type: "fleetLaunched", fleet });
-      const response = { success: true, fleet, travelTime, fuelConsumed: fuelRequired };
+      broadcastToAgent(fleet.ownerId, { type: "fleetLaunched", fleet });
+      if (isHostileFleet(fleet, toPlanet)) {
+        const incoming = describeIncomingFleet(fleet, gameState.agents.get(toPlanet.ownerId));
+        broadcastToAgent(toPlanet.ownerId, { type: "incomingFleet", ...incoming });
+        emitAgentEvent(toPlanet.ownerId, "incomingFleet", incoming);
+      }
+      const response = { success: true, fleet, travelTime: Math.ceil((arrivesAt - fleet.departedAt) / 1000), fuelConsumed: fuelRequired };
+      if (fleet.acsGroupId) response.acsGroup = gameState.acsGroups.get(fleet.acsGroupId);
       if (warning) response.warning = warning;
       return response;
     });
@@ -3614,7 +4170,7 @@ app.get("/api/fleets", rateLimitMiddleware, (req, res) => {
 });
 
 // Recall Fleet - call back a fleet in transit
-app.post("/api/fleet/recall/:fleetId", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/fleet/recall/:fleetId", requireAuth, rateLimitMiddleware, requireOwner("fleet", { scope: "fleet" }), (req, res) => {
   const { fleetId } = req.params;
   const agentId = req.walletAddress;
 
@@ -3628,6 +4184,10 @@ app.post("/api/fleet/recall/:fleetId", requireAuth, rateLimitMiddleware, (req, r
     return apiError(res, "Not your fleet", {}, 403);
   }
 
+  if (fleet.mission === 'missileAttack') {
+    return apiError(res, "Missiles cannot be recalled", { fleetId });
+  }
+
   if (fleet.returning) {
     return apiError(res, "Fleet is already returning", {
       fleetId,
@@ -3637,6 +4197,30 @@ app.post("/api/fleet/recall/:fleetId", requireAuth, rateLimitMiddleware, (req, r
   }
 
   const now = Date.now();
+
+  // A fleet holding at an ally's planet leaves right away
+  if (fleet.holding) {
+    const returnTime = getFleetTravelTime(fleet, gameState.planets.get(fleet.destination), gameState.planets.get(fleet.origin));
+    fleet.holding = false;
+    fleet.returning = true;
+    fleet.arrivesAt = now + (returnTime * 1000);
+    fleet.recalledAt = now;
+    scheduleFleet(fleet);
+    saveState();
+
+    broadcastToAgent(agentId, { type: "fleetRecalled", fleetId, ownerId: agentId, recallType: "holdEnded", progress: 100, arrivesAt: fleet.arrivesAt, fuelRefund: 0 });
+    return res.json({
+      success: true,
+      message: "Fleet left its hold position and is returning",
+      fleetId,
+      recallType: "holdEnded",
+      progress: 100,
+      arrivesAt: fleet.arrivesAt,
+      remainingMs: fleet.arrivesAt - now,
+      fuelRefund: 0
+    });
+  }
+
   const totalDuration = fleet.arrivesAt - fleet.departedAt;
   const elapsed = now - fleet.departedAt;
   const progress = totalDuration > 0 ? elapsed / totalDuration : 1;
@@ -3664,9 +4248,17 @@ app.post("/api/fleet/recall/:fleetId", requireAuth, rateLimitMiddleware, (req, r
   // Mark fleet as returning
   fleet.returning = true;
 
+  // A recalled fleet leaves its ACS group; the group disbands once it has no fleets left
+  if (fleet.acsGroupId && gameState.acsGroups.has(fleet.acsGroupId)) {
+    const group = gameState.acsGroups.get(fleet.acsGroupId);
+    group.fleetIds = group.fleetIds.filter(id => id !== fleetId);
+    if (group.fleetIds.length === 0) gameState.acsGroups.delete(fleet.acsGroupId);
+  }
+
   if (recallType === "turnaround") {
     fleet.arrivesAt = newArrivesAt;
     fleet.recalledAt = now;
+    scheduleFleet(fleet);
 
     // Refund fuel to origin planet if applicable
     if (fuelRefund > 0) {
@@ -3677,11 +4269,11 @@ app.post("/api/fleet/recall/:fleetId", requireAuth, rateLimitMiddleware, (req, r
     }
   }
   // For auto-return, the fleet continues to destination and the returning flag
-  // causes it to return home after completing its mission (handled in game tick)
+  // causes it to return home after completing its mission (handled on arrival)
 
   saveState();
 
-  broadcast({
+  broadcastToAgent(agentId, {
     type: "fleetRecalled",
     fleetId,
     ownerId: agentId,
@@ -3705,6 +4297,140 @@ app.post("/api/fleet/recall/:fleetId", requireAuth, rateLimitMiddleware, (req, r
   });
 });
 
+// ACS Groups - list open battle groups of your alliance (join with mission acsAttack and acsGroupId)
+app.get("/api/acs", requireAuth, rateLimitMiddleware, (req, res) => {
+  const agent = gameState.agents.get(req.walletAddress);
+  if (!agent) return apiError(res, "Agent not found", {}, 404);
+  if (!agent.allianceId) return apiError(res, "You are not in an alliance");
+
+  const now = Date.now();
+  const groups = Array.from(gameState.acsGroups.values())
+    .filter(group => group.allianceId === agent.allianceId)
+    .map(group => {
+      const target = gameState.planets.get(group.target);
+      const fleets = group.fleetIds.map(id => gameState.fleets.get(id)).filter(Boolean);
+      return {
+        ...group,
+        targetName: target?.name || null,
+        targetPosition: target?.position || null,
+        fleets: fleets.map(f => ({ id: f.id, ownerId: f.ownerId, ownerName: gameState.agents.get(f.ownerId)?.name || null, ships: f.ships })),
+        slotsLeft: ACS_MAX_FLEETS - group.fleetIds.length,
+        remainingSeconds: Math.max(0, Math.ceil((group.arrivesAt - now) / 1000)),
+        maxJoinDelaySeconds: Math.floor(Math.max(0, group.arrivesAt - now) * ACS_MAX_DELAY / 1000)
+      };
+    });
+
+  res.json({ groups, count: groups.length });
+});
+
+// Sensor Phalanx - scan fleet movements to and from a planet in range of a moon's phalanx
+app.post("/api/phalanx/:planetId", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "fleet" }), async (req, res) => {
+  const { planetId } = req.params;
+  const moon = gameState.planets.get(planetId);
+
+  const target = parseCoordinates(req.body.target);
+  if (!target) {
+    return apiError(res, "Invalid target", { hint: 'Send {"target": "galaxy:system:position"}' });
+  }
+  const targetId = `${target.galaxy}:${target.system}:${target.position}`;
+
+  try {
+    const result = await withPlanetLockAsync(planetId, async () => {
+      const problem = checkPhalanxScan(moon, target);
+      if (problem) return { error: true, ...problem };
+      moon.resources.deuterium -= PHALANX_SCAN_COST;
+
+      const now = Date.now();
+      const fleets = scanFleets(gameState.fleets.values(), targetId, gameState.agents, now);
+      saveState();
+      const range = getPhalanxRange(moon.buildings.sensorPhalanx);
+      return { success: true, scanner: planetId, target: targetId, range, cost: { deuterium: PHALANX_SCAN_COST }, fleets, scannedAt: now };
+    });
+
+    if (result.error) {
+      return apiError(res, result.message, result.details);
+    }
+    return res.json(result);
+  } catch (err) {
+    return apiError(res, err.message, {}, 503);
+  }
+});
+
+// Missile Launch - fire Interplanetary Missiles at a planet's defenses within Impulse Drive range
+app.post("/api/missiles/launch", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "fleet" }), async (req, res) => {
+  const { planetId, targetPlanetId, count, primaryTarget } = req.body;
+  const agentId = req.walletAddress;
+
+  const agent = gameState.agents.get(agentId);
+  const planet = gameState.planets.get(planetId);
+  const target = gameState.planets.get(targetPlanetId);
+  if (!agent) return apiError(res, "Agent not found", {}, 404);
+  if (!planet) return apiError(res, "Planet not found", { planetId }, 404);
+  if (planet.ownerId !== agentId) return apiError(res, "Not your planet", {}, 403);
+  if (!target || !target.ownerId) return apiError(res, "Target planet not found", { targetPlanetId }, 404);
+  if (target.ownerId === agentId) return apiError(res, "Cannot fire missiles at your own planet");
+
+  if (!Number.isInteger(count) || count < 1) {
+    return apiError(res, "Invalid missile count", { provided: count, reason: "must be a positive integer" });
+  }
+  if (primaryTarget !== undefined && (!isSafeKey(primaryTarget) || !DEFENSES[primaryTarget] || DEFENSES[primaryTarget].missile)) {
+    return apiError(res, "Invalid primary target", { validTargets: Object.keys(DEFENSES).filter(d => !DEFENSES[d].missile) });
+  }
+
+  const range = getMissileRange(agent.tech?.impulseDrive || 0);
+  const systemDistance = Math.abs(target.position.system - planet.position.system);
+  if (target.position.galaxy !== planet.position.galaxy || systemDistance > range) {
+    return apiError(res, "Target out of missile range", {
+      range,
+      systemDistance: target.position.galaxy === planet.position.galaxy ? systemDistance : null,
+      hint: range < 0 ? "Research Impulse Drive to fire missiles" : `Impulse Drive level ${agent.tech.impulseDrive} reaches ${range} system(s) within galaxy ${planet.position.galaxy}`
+    });
+  }
+
+  const protection = getAttackProtection(agent, gameState.agents.get(target.ownerId));
+  if (protection) return res.status(403).json(protection);
+
+  try {
+    const result = await withPlanetLockAsync(planetId, async () => {
+      const stored = planet.defense?.interplanetaryMissile || 0;
+      if (stored < count) {
+        return { error: true, message: "Not enough Interplanetary Missiles", details: { requested: count, available: stored } };
+      }
+      planet.defense.interplanetaryMissile = stored - count;
+      if (planet.defense.interplanetaryMissile === 0) delete planet.defense.interplanetaryMissile;
+
+      const now = Date.now();
+      const flightTime = getMissileFlightTime(systemDistance, GAME_SPEED);
+      const fleet = {
+        id: secureId('missile'),
+        ownerId: agentId,
+        ships: { interplanetaryMissile: count },
+        mission: 'missileAttack',
+        origin: planetId,
+        destination: targetPlanetId,
+        primaryTarget: primaryTarget || null,
+        cargo: { metal: 0, crystal: 0, deuterium: 0 },
+        departedAt: now,
+        arrivesAt: now + flightTime * 1000,
+        returning: false
+      };
+      gameState.fleets.set(fleet.id, fleet);
+      scheduleFleet(fleet);
+      saveState();
+
+      broadcastToAgent(agentId, { type: "missilesLaunched", fleetId: fleet.id, ownerId: agentId, origin: planetId, destination: targetPlanetId, count, arrivesAt: fleet.arrivesAt });
+      return { success: true, fleet, flightTime, range };
+    });
+
+    if (result.error) {
+      return apiError(res, result.message, result.details);
+    }
+    return res.json(result);
+  } catch (err) {
+    return apiError(res, err.message, {}, 503);
+  }
+});
+
 // DEBUG: Add ships/defense to a planet (for testing combat)
 app.post("/api/debug/add-units", requireAdmin, (req, res) => {
   const { planetId, ships, defense, resources } = req.body;
@@ -3740,6 +4466,7 @@ app.post("/api/debug/set-tech", requireAdmin, (req, res) => {
   if (!agent) return res.status(404).json({ error: "Agent not found" });
 
   if (!agent.tech) agent.tech = {};
+  settleAgentPlanets(agent);
   for (const [techName, level] of Object.entries(tech)) {
     if (TECHNOLOGIES[techName]) {
       agent.tech[techName] = level;
@@ -3907,6 +4634,128 @@ app.post("/api/admin/credit-moltium", requireAdmin, (req, res) => {
   });
 });
 
+// === SECURITY EVENTS & BANS ===
+const SECURITY_EVENT_TYPES = Object.values(SecurityEventType);
+
+// Optional admin query value (ignores repeated parameters)
+function queryString(value) {
+  return typeof value === "string" && value !== "" ? value : undefined;
+}
+
+// Time filter as a ms timestamp or ISO date; undefined if absent, NaN if invalid
+function parseTimeFilter(value) {
+  value = queryString(value);
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Stored security events, newest first: ?wallet=&ip=&type=A,B&since=&until=&before=&limit=
+app.get("/api/admin/security/events", requireAdmin, async (req, res) => {
+  const since = parseTimeFilter(req.query.since);
+  const until = parseTimeFilter(req.query.until);
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return apiError(res, "since and until must be ms timestamps or ISO dates");
+  }
+  const types = queryString(req.query.type)?.split(",");
+  const unknownTypes = types?.filter(t => !SECURITY_EVENT_TYPES.includes(t)) || [];
+  if (unknownTypes.length > 0) {
+    return apiError(res, "Unknown event type", { unknownTypes, validTypes: SECURITY_EVENT_TYPES });
+  }
+
+  await flushSecurityEvents();
+  const result = await querySecurityEvents({
+    wallet: queryString(req.query.wallet),
+    ip: queryString(req.query.ip),
+    types,
+    since,
+    until,
+    before: parseInt(req.query.before, 10) || undefined,
+    limit: parseInt(req.query.limit, 10) || undefined
+  });
+  res.json({ success: true, ...result });
+});
+
+// Counts by type, top offending IPs and wallets, and failure spikes: ?since=&until=&top=&bucketMinutes=
+app.get("/api/admin/security/summary", requireAdmin, async (req, res) => {
+  const until = parseTimeFilter(req.query.until) ?? Date.now();
+  const since = parseTimeFilter(req.query.since) ?? until - 24 * 60 * 60 * 1000;
+  if (Number.isNaN(since) || Number.isNaN(until) || since >= until) {
+    return apiError(res, "since and until must be ms timestamps or ISO dates, with since before until");
+  }
+  const top = Math.min(Math.max(parseInt(req.query.top, 10) || 10, 1), 100);
+  const bucketMinutes = Math.min(Math.max(parseInt(req.query.bucketMinutes, 10) || 5, 1), 1440);
+
+  await flushSecurityEvents();
+  const summary = await summarizeSecurityEvents({ since, until, top, bucketMs: bucketMinutes * 60 * 1000 });
+  res.json({ success: true, ...summary, bans: listBans() });
+});
+
+app.get("/api/admin/security/bans", requireAdmin, (req, res) => {
+  res.json({ success: true, bans: listBans() });
+});
+
+// Ban an address by hand: { ip, minutes?, reason? }
+app.post("/api/admin/security/bans", requireAdmin, async (req, res) => {
+  const { ip, minutes = 60, reason = "Banned by admin" } = req.body;
+  if (typeof ip !== "string" || net.isIP(ip) === 0) return apiError(res, "ip must be an IPv4 or IPv6 address");
+  if (isExempt(ip)) return apiError(res, "This address is exempt from bans", { ip });
+  if (!Number.isInteger(minutes) || minutes < 1) return apiError(res, "minutes must be a positive integer");
+  if (typeof reason !== "string" || reason.length > 200) return apiError(res, "reason must be a string of at most 200 characters");
+
+  const ban = await banIp(ip, { reason, durationMs: minutes * 60 * 1000, source: "admin" });
+  res.status(201).json({ success: true, ban });
+});
+
+app.delete("/api/admin/security/bans/:ip", requireAdmin, async (req, res) => {
+  const ban = await unbanIp(req.params.ip);
+  if (!ban) return apiError(res, "Address is not banned", { ip: req.params.ip }, 404);
+  res.json({ success: true, ban });
+});
+
+/**
+ * Battle logs are stored deflated: a large fleet battle produces thousands of shots per round
+ */
+function compressBattleLog(log) {
+  return zlib.deflateSync(Buffer.from(JSON.stringify(log)));
+}
+
+function decompressBattleLog(blob) {
+  return JSON.parse(zlib.inflateSync(blob).toString());
+}
+
+/**
+ * Shape a battle_reports row for the API (participants is null on reports recorded before ACS)
+ */
+function formatBattleReportRow(row) {
+  return {
+    id: row.id,
+    attackerId: row.attacker_id,
+    defenderId: row.defender_id,
+    location: row.location,
+    position: {
+      galaxy: row.position_galaxy,
+      system: row.position_system,
+      position: row.position_position
+    },
+    winner: row.winner,
+    rounds: row.rounds,
+    attackerLosses: JSON.parse(row.attacker_losses),
+    defenderLosses: JSON.parse(row.defender_losses),
+    defenderDefenseLosses: JSON.parse(row.defender_defense_losses),
+    rebuiltDefenses: JSON.parse(row.rebuilt_defenses),
+    loot: JSON.parse(row.loot),
+    debris: row.debris ? JSON.parse(row.debris) : null,
+    survivingAttackers: row.surviving_attackers,
+    survivingDefenders: row.surviving_defenders,
+    participants: row.participants ? JSON.parse(row.participants) : null,
+    type: row.report_type || 'combat',
+    details: row.details ? JSON.parse(row.details) : null,
+    hasReplay: !!row.battle_log,
+    seed: row.seed ?? null,
+    createdAt: row.created_at
+  };
+}
+
 // Battle Reports - List reports for an agent
 app.get("/api/combat/reports", rateLimitMiddleware, (req, res) => {
   const authHeader = req.headers["x-solana-auth"];
@@ -3924,37 +4773,16 @@ app.get("/api/combat/reports", rateLimitMiddleware, (req, res) => {
 
   db.all(
     `SELECT * FROM battle_reports
-     WHERE attacker_id = ? OR defender_id = ?
+     WHERE attacker_id = ? OR defender_id = ? OR participants LIKE ?
      ORDER BY created_at DESC
      LIMIT ? OFFSET ?`,
-    [agentId, agentId, parseInt(limit), parseInt(offset)],
+    [agentId, agentId, `%"ownerId":${JSON.stringify(agentId)}%`, parseInt(limit), parseInt(offset)],
     (err, rows) => {
       if (err) {
         return res.status(500).json({ error: "Database error" });
       }
 
-      const reports = rows.map(row => ({
-        id: row.id,
-        attackerId: row.attacker_id,
-        defenderId: row.defender_id,
-        location: row.location,
-        position: {
-          galaxy: row.position_galaxy,
-          system: row.position_system,
-          position: row.position_position
-        },
-        winner: row.winner,
-        rounds: row.rounds,
-        attackerLosses: JSON.parse(row.attacker_losses),
-        defenderLosses: JSON.parse(row.defender_losses),
-        defenderDefenseLosses: JSON.parse(row.defender_defense_losses),
-        rebuiltDefenses: JSON.parse(row.rebuilt_defenses),
-        loot: JSON.parse(row.loot),
-        debris: row.debris ? JSON.parse(row.debris) : null,
-        survivingAttackers: row.surviving_attackers,
-        survivingDefenders: row.surviving_defenders,
-        createdAt: row.created_at
-      }));
+      const reports = rows.map(formatBattleReportRow);
 
       res.json({ reports, count: reports.length });
     }
@@ -3977,32 +4805,51 @@ app.get("/api/combat/reports/:reportId", rateLimitMiddleware, (req, res) => {
         return res.status(404).json({ error: "Report not found" });
       }
 
-      res.json({
-        id: row.id,
-        attackerId: row.attacker_id,
-        defenderId: row.defender_id,
-        location: row.location,
-        position: {
-          galaxy: row.position_galaxy,
-          system: row.position_system,
-          position: row.position_position
-        },
-        winner: row.winner,
-        rounds: row.rounds,
-        attackerLosses: JSON.parse(row.attacker_losses),
-        defenderLosses: JSON.parse(row.defender_losses),
-        defenderDefenseLosses: JSON.parse(row.defender_defense_losses),
-        rebuiltDefenses: JSON.parse(row.rebuilt_defenses),
-        loot: JSON.parse(row.loot),
-        debris: row.debris ? JSON.parse(row.debris) : null,
-        survivingAttackers: row.surviving_attackers,
-        survivingDefenders: row.surviving_defenders,
-        createdAt: row.created_at
-      });
+      res.json(formatBattleReportRow(row));
     }
   );
 });
 
+// Battle Reports - Round-by-round replay of a stored battle
+app.get("/api/combat/reports/:reportId/replay", rateLimitMiddleware, async (req, res) => {
+  const row = await dbGet(`SELECT * FROM battle_reports WHERE id = ?`, [req.params.reportId]).catch(() => null);
+  if (!row) return apiError(res, "Report not found", { reportId: req.params.reportId }, 404);
+  if (!row.battle_log) return apiError(res, "No replay recorded for this report", { reportId: row.id }, 404);
+
+  let log;
+  try {
+    log = decompressBattleLog(row.battle_log);
+  } catch (err) {
+    return apiError(res, "Replay data is corrupted", { reportId: row.id }, 500);
+  }
+
+  // Per-round summary lines alongside the raw statistics, for step-through viewers
+  const rounds = (log.rounds || []).map(round => {
+    const a = round.attacker || {};
+    const d = round.defender || {};
+    const lost = counts => Object.entries(counts || {}).map(([type, n]) => `${n}x ${type}`).join(', ') || 'nothing';
+    return {
+      ...round,
+      summary: round.note || `Round ${round.round}: attackers fired ${a.shots} shots (${a.rapidfireShots} rapidfire, ${a.shieldAbsorbed} absorbed by shields), ` +
+        `defenders fired ${d.shots} shots (${d.rapidfireShots} rapidfire, ${d.shieldAbsorbed} absorbed). ` +
+        `Attackers lost ${lost(round.destroyed?.attacker)}; defenders lost ${lost(round.destroyed?.defender)}.`
+    };
+  });
+
+  res.json({
+    reportId: row.id,
+    attackerId: row.attacker_id,
+    defenderId: row.defender_id,
+    location: row.location,
+    winner: row.winner,
+    seed: row.seed ?? null,
+    forces: log.forces,
+    rounds,
+    totalRounds: rounds.length,
+    createdAt: row.created_at
+  });
+});
+
 // ============== FLEET REPORTS API ==============
 
 // Get fleet reports for authenticated agent
@@ -4046,6 +4893,7 @@ app.get("/api/fleet/reports", rateLimitMiddleware, (req, res) => {
           system: row.position_system,
           position: row.position_position
         },
+        details: row.details ? JSON.parse(row.details) : null,
         createdAt: row.created_at
       }));
 
@@ -4141,16 +4989,8 @@ app.get("/api/espionage/reports/:reportId", requireAuth, rateLimitMiddleware, (r
 });
 
 // DEV: Inject a test spy report (for testing UI)
-app.post("/api/dev/inject-spy-report", rateLimitMiddleware, (req, res) => {
-  const authHeader = req.headers["x-solana-auth"];
-  if (!authHeader) {
-    return res.status(401).json({ error: "Authentication required" });
-  }
-  const agentId = authHeader.split(":")[0];
-  const agent = gameState.agents.get(agentId);
-  if (!agent) {
-    return res.status(404).json({ error: "Agent not found" });
-  }
+app.post("/api/dev/inject-spy-report", requireAuth, rateLimitMiddleware, requireOwner("agent"), (req, res) => {
+  const agentId = req.walletAddress;
 
   // Find a target planet
   let targetPlanet = null;
@@ -4192,34 +5032,90 @@ app.post("/api/dev/inject-spy-report", rateLimitMiddleware, (req, res) => {
 });
 
 // Battle Simulation (preview combat without actually fighting)
-app.post("/api/combat/simulate", requireAuth, rateLimitMiddleware, (req, res) => {
-  const { defenderPlanetId, attackerShips } = req.body;
+// Iterations run in a worker thread so a 1000-battle simulation doesn't stall the game tick
+const MAX_CONCURRENT_SIMULATIONS = 2;
+const MAX_SIM_WORKLOAD = 5000000; // iterations x units on both sides
+const SIMULATION_TIMEOUT_MS = 30000;
+let activeSimulations = 0;
+
+function runSimulationInWorker(input) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./game/simulationWorker.js", import.meta.url), { workerData: input });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error("Simulation timed out"));
+    }, SIMULATION_TIMEOUT_MS);
+    worker.once("message", (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+    worker.once("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    worker.once("exit", (code) => {
+      clearTimeout(timer);
+      if (code !== 0) reject(new Error(`Simulation worker exited with code ${code}`));
+    });
+  });
+}
+
+app.post("/api/combat/simulate", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "fleet" }), async (req, res) => {
+  const { defenderPlanetId, targetPlanetId, attackerShips, seed: requestedSeed, iterations = DEFAULT_SIMULATION_ITERATIONS, originPlanetId } = req.body;
   // Use authenticated wallet address as attacker
   const attackerAgentId = req.walletAddress;
 
   const attackerAgent = gameState.agents.get(attackerAgentId);
-  const defenderPlanet = gameState.planets.get(defenderPlanetId);
-
   if (!attackerAgent) return res.status(404).json({ error: "Attacker agent not found - please register first" });
-  if (!defenderPlanet) return res.status(404).json({ error: "Defender planet not found" });
+
+  // targetPlanetId simulates against what our latest spy report saw; defenderPlanetId uses the live planet
+  let defender;
+  if (targetPlanetId) {
+    // Reports are stored newest-first
+    const report = (attackerAgent.spyReports || []).find(r => r.target === targetPlanetId);
+    if (!report) {
+      return res.status(404).json({ error: "No spy reports for this target", target: targetPlanetId, hint: "Send espionage probes first: POST /api/fleet/send with mission 'espionage'" });
+    }
+    defender = {
+      planetId: targetPlanetId,
+      ownerId: gameState.planets.get(targetPlanetId)?.ownerId || null,
+      position: report.position,
+      ...defenderFromSpyReport(report)
+    };
+  } else {
+    const defenderPlanet = gameState.planets.get(defenderPlanetId);
+    if (!defenderPlanet) return res.status(404).json({ error: "Defender planet not found" });
+    const defenderAgent = gameState.agents.get(defenderPlanet.ownerId);
+    defender = {
+      planetId: defenderPlanetId,
+      ownerId: defenderPlanet.ownerId,
+      position: defenderPlanet.position,
+      ships: defenderPlanet.ships || {},
+      defense: defenderPlanet.defense || {},
+      resources: defenderPlanet.resources,
+      tech: defenderAgent?.tech || {}
+    };
+  }
+
   if (!attackerShips || Object.keys(attackerShips).length === 0) {
     return res.status(400).json({ error: "No attacker ships specified" });
   }
 
   // Validate ships exist
-  for (const shipType of Object.keys(attackerShips)) {
+  for (const [shipType, count] of Object.entries(attackerShips)) {
     if (!SHIPS[shipType]) {
       return res.status(400).json({ error: `Invalid ship type: ${shipType}` });
     }
+    if (!Number.isInteger(count) || count < 1) {
+      return res.status(400).json({ error: `Invalid count for ${shipType}` });
+    }
   }
 
   // Cap total ships to prevent simulation crashes on large battles
   const MAX_SIM_SHIPS = 50000;
   const totalAttackerShips = Object.values(attackerShips).reduce((a, b) => a + b, 0);
-  const defenderShips = defenderPlanet.ships || {};
-  const defenderDefenses = defenderPlanet.defenses || {};
-  const totalDefenderUnits = Object.values(defenderShips).reduce((a, b) => a + b, 0) +
-                            Object.values(defenderDefenses).reduce((a, b) => a + b, 0);
+  const totalDefenderUnits = Object.values(defender.ships).reduce((a, b) => a + b, 0) +
+                            Object.values(defender.defense).reduce((a, b) => a + b, 0);
 
   if (totalAttackerShips > MAX_SIM_SHIPS || totalDefenderUnits > MAX_SIM_SHIPS) {
     return res.status(400).json({
@@ -4231,69 +5127,58 @@ app.post("/api/combat/simulate", requireAuth, rateLimitMiddleware, (req, res) =>
     });
   }
 
-  const defenderAgent = gameState.agents.get(defenderPlanet.ownerId);
-
-  // Create a mock fleet for simulation
-  const mockFleet = { ships: attackerShips };
-
-  // Run simulation (multiple times for probability estimation)
-  const simulations = 10;
-  const results = {
-    attackerWins: 0,
-    defenderWins: 0,
-    draws: 0,
-    avgRounds: 0,
-    avgAttackerLosses: {},
-    avgDefenderLosses: {},
-    avgLoot: { metal: 0, crystal: 0, deuterium: 0 }
-  };
-
-  for (let i = 0; i < simulations; i++) {
-    const combatResult = resolveCombat(mockFleet, defenderPlanet, attackerAgent, defenderAgent);
-
-    if (combatResult.winner === 'attacker') {
-      results.attackerWins++;
-      const loot = calculateLoot(defenderPlanet, combatResult.survivingAttackers, attackerAgent);
-      results.avgLoot.metal += loot.metal;
-      results.avgLoot.crystal += loot.crystal;
-      results.avgLoot.deuterium += loot.deuterium;
-    } else if (combatResult.winner === 'defender') {
-      results.defenderWins++;
-    } else {
-      results.draws++;
-    }
-
-    results.avgRounds += combatResult.rounds;
-
-    for (const [type, count] of Object.entries(combatResult.attackerLosses)) {
-      results.avgAttackerLosses[type] = (results.avgAttackerLosses[type] || 0) + count;
-    }
-    for (const [type, count] of Object.entries(combatResult.defenderLosses)) {
-      results.avgDefenderLosses[type] = (results.avgDefenderLosses[type] || 0) + count;
+  // Same seed + same inputs = identical results; without one, a fresh seed is returned for reproduction
+  let seed = generateSeed();
+  if (requestedSeed !== undefined) {
+    seed = normalizeSeed(requestedSeed);
+    if (seed === null) {
+      return res.status(400).json({ error: "Invalid seed", hint: "Use a non-negative integer or a short string" });
     }
   }
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_SIMULATION_ITERATIONS) {
+    return apiError(res, "Invalid iterations", { valid: `1-${MAX_SIMULATION_ITERATIONS}` });
+  }
+  if (iterations * (totalAttackerShips + totalDefenderUnits) > MAX_SIM_WORKLOAD) {
+    return apiError(res, "Simulation too large", {
+      message: "Reduce iterations or fleet size",
+      maxIterations: Math.max(1, Math.floor(MAX_SIM_WORKLOAD / (totalAttackerShips + totalDefenderUnits)))
+    });
+  }
 
-  // Average the results
-  results.avgRounds = Math.round(results.avgRounds / simulations * 10) / 10;
-  results.avgLoot.metal = Math.floor(results.avgLoot.metal / simulations);
-  results.avgLoot.crystal = Math.floor(results.avgLoot.crystal / simulations);
-  results.avgLoot.deuterium = Math.floor(results.avgLoot.deuterium / simulations);
-
-  for (const type of Object.keys(results.avgAttackerLosses)) {
-    results.avgAttackerLosses[type] = Math.round(results.avgAttackerLosses[type] / simulations * 10) / 10;
+  // Fuel is priced from the attacker's chosen (or home) planet
+  const originPlanet = gameState.planets.get(originPlanetId || attackerAgent.planets?.[0]);
+  if (originPlanetId && (!originPlanet || originPlanet.ownerId !== attackerAgentId)) {
+    return res.status(404).json({ error: "Origin planet not found" });
   }
-  for (const type of Object.keys(results.avgDefenderLosses)) {
-    results.avgDefenderLosses[type] = Math.round(results.avgDefenderLosses[type] / simulations * 10) / 10;
+  const fuelCost = originPlanet ? calculateFuelConsumption(attackerShips, getFleetDistance(originPlanet, defender.position)) : 0;
+
+  if (activeSimulations >= MAX_CONCURRENT_SIMULATIONS) {
+    return apiError(res, "Simulator busy", { hint: "Retry in a few seconds" }, 503);
   }
 
-  // Calculate win probabilities
-  results.attackerWinChance = Math.round(results.attackerWins / simulations * 100);
-  results.defenderWinChance = Math.round(results.defenderWins / simulations * 100);
-  results.drawChance = Math.round(results.draws / simulations * 100);
+  let results;
+  activeSimulations++;
+  try {
+    results = await runSimulationInWorker({
+      attackerShips,
+      attackerTech: attackerAgent.tech || {},
+      defender: { ships: defender.ships, defense: defender.defense, resources: defender.resources },
+      defenderTech: defender.tech,
+      iterations,
+      seed,
+      fuelCost
+    });
+  } catch (err) {
+    console.error("[Simulate] Worker failed:", err.message);
+    return apiError(res, "Simulation failed", {}, 500);
+  } finally {
+    activeSimulations--;
+  }
 
   res.json({
     simulation: true,
-    simulations,
+    simulations: iterations,
+    seed,
     attacker: {
       agentId: attackerAgentId,
       ships: attackerShips,
@@ -4304,21 +5189,25 @@ app.post("/api/combat/simulate", requireAuth, rateLimitMiddleware, (req, res) =>
       }
     },
     defender: {
-      planetId: defenderPlanetId,
-      ownerId: defenderPlanet.ownerId,
-      ships: defenderPlanet.ships || {},
-      defense: defenderPlanet.defense || {},
+      planetId: defender.planetId,
+      ownerId: defender.ownerId,
+      ships: defender.ships,
+      defense: defender.defense,
       resources: {
-        metal: Math.floor(defenderPlanet.resources.metal),
-        crystal: Math.floor(defenderPlanet.resources.crystal),
-        deuterium: Math.floor(defenderPlanet.resources.deuterium)
+        metal: Math.floor(defender.resources.metal || 0),
+        crystal: Math.floor(defender.resources.crystal || 0),
+        deuterium: Math.floor(defender.resources.deuterium || 0)
       },
       tech: {
-        weaponsTech: defenderAgent?.tech?.weaponsTech || 0,
-        shieldingTech: defenderAgent?.tech?.shieldingTech || 0,
-        armourTech: defenderAgent?.tech?.armourTech || 0
+        weaponsTech: defender.tech.weaponsTech || 0,
+        shieldingTech: defender.tech.shieldingTech || 0,
+        armourTech: defender.tech.armourTech || 0
       }
     },
+    ...(defender.intel && { intel: defender.intel }),
+    ...(defender.intel && !defender.intel.complete && {
+      warning: `Spy report did not reveal: ${defender.intel.unknown.join(", ")} (simulated as empty)`
+    }),
     results
   });
 });
@@ -4342,15 +5231,17 @@ app.get("/api/galaxy/:galaxy/:system", (req, res) => {
   }
 
   const planets = Array.from(gameState.planets.values())
-    .filter(p => p.position.galaxy === galaxyNum && p.position.system === systemNum)
+    .filter(p => !p.isMoon && p.position.galaxy === galaxyNum && p.position.system === systemNum)
     .map(p => {
       // Add owner name from agent lookup
       const owner = gameState.agents.get(p.ownerId);
+      const moon = p.moonId ? gameState.planets.get(p.moonId) : null;
       // Only return PUBLIC info - ships/defense/buildings/resources require espionage
       return {
         id: p.id,
         name: p.name,
         position: p.position,
+        moon: moon ? { id: moon.id, name: moon.name, diameter: moon.diameter } : null,
         ownerId: p.ownerId,
         ownerName: owner?.name || (p.ownerId ? p.ownerId.slice(0, 4) + '...' + p.ownerId.slice(-4) : null),
         // Activity indicator (active if activity in last 15 minutes)
@@ -4377,7 +5268,7 @@ app.get("/api/galaxy/:galaxy/:system", (req, res) => {
 });
 
 // Name a star system (first settler can name it)
-app.patch("/api/galaxy/:galaxy/:system/name", rateLimitMiddleware, (req, res) => {
+app.patch("/api/galaxy/:galaxy/:system/name", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "economy" }), (req, res) => {
   const { galaxy, system } = req.params;
   const { name } = req.body;
   const galaxyNum = parseInt(galaxy, 10);
@@ -4403,16 +5294,8 @@ app.patch("/api/galaxy/:galaxy/:system/name", rateLimitMiddleware, (req, res) =>
     return res.status(400).json({ error: "Name can only contain letters, numbers, spaces, hyphens, and apostrophes" });
   }
 
-  // Auth check
-  const authHeader = req.headers["x-solana-auth"];
-  if (!authHeader) {
-    return res.status(401).json({ error: "Authentication required" });
-  }
-  const wallet = authHeader.split(":")[0];
+  const wallet = req.walletAddress;
   const agent = gameState.agents.get(wallet);
-  if (!agent) {
-    return res.status(401).json({ error: "Agent not found" });
-  }
 
   const systemKey = `${galaxyNum}:${systemNum}`;
   const existingSystem = gameState.systems.get(systemKey);
@@ -4442,26 +5325,18 @@ app.patch("/api/galaxy/:galaxy/:system/name", rateLimitMiddleware, (req, res) =>
   saveState();
 
   // Broadcast to all clients
-  broadcast({ type: 'systemNamed', galaxy: galaxyNum, system: systemNum, starName: trimmedName, namedBy: agent.name });
+  broadcastToPosition({ galaxy: galaxyNum, system: systemNum }, { type: 'systemNamed', galaxy: galaxyNum, system: systemNum, starName: trimmedName, namedBy: agent.name });
 
   res.json({ success: true, starName: trimmedName });
 });
 
 // Agent-friendly endpoint: Name the system your planet is in
-app.patch("/api/planets/:planetId/name-system", rateLimitMiddleware, (req, res) => {
+app.patch("/api/planets/:planetId/name-system", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "economy" }), (req, res) => {
   const { planetId } = req.params;
   const { name } = req.body;
 
-  // Auth check
-  const authHeader = req.headers["x-solana-auth"];
-  if (!authHeader) {
-    return res.status(401).json({ error: "Authentication required" });
-  }
-  const wallet = authHeader.split(":")[0];
+  const wallet = req.walletAddress;
   const agent = gameState.agents.get(wallet);
-  if (!agent) {
-    return res.status(401).json({ error: "Agent not found" });
-  }
 
   // Get planet
   const planet = gameState.planets.get(planetId);
@@ -4509,7 +5384,7 @@ app.patch("/api/planets/:planetId/name-system", rateLimitMiddleware, (req, res)
   saveState();
 
   // Broadcast to all clients
-  broadcast({ type: 'systemNamed', galaxy, system, starName: trimmedName, namedBy: agent.name });
+  broadcastToPosition({ galaxy, system }, { type: 'systemNamed', galaxy, system, starName: trimmedName, namedBy: agent.name });
 
   res.json({
     success: true,
@@ -4580,16 +5455,9 @@ app.get("/api/messages", rateLimitMiddleware, async (req, res) => {
 });
 
 // Send a message
-app.post("/api/messages", rateLimitMiddleware, async (req, res) => {
-  const authHeader = req.headers["x-solana-auth"];
-  if (!authHeader) {
-    return res.status(401).json({ error: "Authentication required" });
-  }
-  const wallet = authHeader.split(":")[0];
+app.post("/api/messages", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
+  const wallet = req.walletAddress;
   const sender = gameState.agents.get(wallet);
-  if (!sender) {
-    return res.status(401).json({ error: "Agent not found" });
-  }
 
   const { toId, subject, body } = req.body;
 
@@ -4640,7 +5508,7 @@ app.post("/api/messages", rateLimitMiddleware, async (req, res) => {
         createdAt
       }
     });
-    fireWebhooks(toId, "newMessage", { messageId, fromId: wallet, fromName: sender.name, subject: subject.trim() });
+    emitAgentEvent(toId, "newMessage", { messageId, fromId: wallet, fromName: sender.name, subject: subject.trim() });
 
     res.json({ success: true, messageId });
   } catch (err) {
@@ -4650,13 +5518,8 @@ app.post("/api/messages", rateLimitMiddleware, async (req, res) => {
 });
 
 // Mark message as read
-app.patch("/api/messages/:id/read", rateLimitMiddleware, async (req, res) => {
-  const authHeader = req.headers["x-solana-auth"];
-  if (!authHeader) {
-    return res.status(401).json({ error: "Authentication required" });
-  }
-  const wallet = authHeader.split(":")[0];
-
+app.patch("/api/messages/:id/read", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
+  const wallet = req.walletAddress;
   const { id } = req.params;
 
   try {
@@ -4686,13 +5549,8 @@ app.patch("/api/messages/:id/read", rateLimitMiddleware, async (req, res) => {
 });
 
 // Delete a message
-app.delete("/api/messages/:id", rateLimitMiddleware, async (req, res) => {
-  const authHeader = req.headers["x-solana-auth"];
-  if (!authHeader) {
-    return res.status(401).json({ error: "Authentication required" });
-  }
-  const wallet = authHeader.split(":")[0];
-
+app.delete("/api/messages/:id", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
+  const wallet = req.walletAddress;
   const { id } = req.params;
 
   try {
@@ -4786,6 +5644,8 @@ app.get("/api/planets/:id", rateLimitMiddleware, (req, res) => {
       position: planet.position,
       ownerId: planet.ownerId,
       temperature: planet.temperature,
+      isMoon: !!planet.isMoon,
+      moonId: planet.moonId || null,
       message: "Use espionage probes for detailed intel"
     });
   }
@@ -4830,6 +5690,8 @@ app.get("/api/planets/:id", rateLimitMiddleware, (req, res) => {
       canNameSystem: !systemData?.namedBy, // true if player can name this system
       namedBy: systemData?.namedByName || null
     },
+    fields: planet.isMoon ? getMoonFields(planet) : undefined,
+    alliedFleets: getHoldingFleets(planet.id).map(f => ({ fleetId: f.id, ownerId: f.ownerId, ships: f.ships, holdUntil: f.holdUntil })),
     tech: agent?.tech || {}
   });
 });
@@ -4881,6 +5743,7 @@ app.get("/api/planets/:id/available-actions", (req, res) => {
   const blockedBy = {};
 
   for (const [id, b] of Object.entries(BUILDINGS)) {
+    if (planet.isMoon ? !MOON_BUILDINGS.includes(id) : b.moonOnly) continue;
     const currentLevel = buildings[id] || 0;
     const cost = getBuildingCost(id, currentLevel);
     const buildTime = getBuildTime(cost, planet);
@@ -4911,7 +5774,7 @@ app.get("/api/planets/:id/available-actions", (req, res) => {
     for (const [id, t] of Object.entries(TECHNOLOGIES)) {
       const currentLevel = tech[id] || 0;
       const cost = getResearchCost(id, currentLevel);
-      const researchTime = getResearchTime(cost, labLevel, scienceLevel);
+      const researchTime = getResearchTime(cost, labLevel, scienceLevel, getModifiers(agent).researchSpeed);
       const reqCheck = checkRequirements(t.requires);
 
       if (reqCheck.met && canAfford(cost)) {
@@ -4967,9 +5830,13 @@ app.get("/api/planets/:id/available-actions", (req, res) => {
     for (const [id, d] of Object.entries(DEFENSES)) {
       const reqCheck = checkRequirements(d.requires);
       if (reqCheck.met) {
-        // Check max count for shield domes
+        // Check max count for shield domes, and free silo slots for missiles
         const current = planet.defense?.[id] || 0;
-        const maxAllowed = d.maxCount ? d.maxCount - current : Infinity;
+        let maxAllowed = d.maxCount ? d.maxCount - current : Infinity;
+        if (d.siloSpace) {
+          const freeSlots = getSiloCapacity(planet.buildings?.missileSilo) - getSiloUsage(planet.defense, planet.shipQueue);
+          maxAllowed = Math.min(maxAllowed, Math.floor(freeSlots / d.siloSpace));
+        }
         if (maxAllowed <= 0) continue;
 
         const maxCount = Math.min(
@@ -5051,7 +5918,7 @@ app.get("/api/planets/:id/available-actions", (req, res) => {
 // ============== ACTION QUEUING SYSTEM ==============
 // Execute multiple actions in sequence, stopping on first failure
 // This reduces polling for LLM agents
-app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, requireOwner("planet", { field: "id", scope: "economy" }), (req, res) => {
   const planetId = req.params.id;
   const planet = gameState.planets.get(planetId);
   if (!planet) return apiError(res, "Planet not found", { planetId }, 404);
@@ -5059,8 +5926,7 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
   const agent = gameState.agents.get(planet.ownerId);
   if (!agent) return apiError(res, "Agent not found", {}, 404);
 
-  const { agentId, actions } = req.body;
-  if (agentId !== agent.id) return apiError(res, "Not your planet", {}, 403);
+  const { actions } = req.body;
 
   // Acquire planet lock to prevent race conditions
   if (planetLocks.get(planetId)) {
@@ -5087,12 +5953,10 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
       switch (action.action) {
         case "build": {
           // Check build queue limit (base 1 + Overseer bonus)
-          const buildQueueBonus = hasOfficerBonus(agent, 'buildQueueSlots') || 0;
-          const maxQueueSize = 1 + buildQueueBonus;
-          const currentQueueSize = planet.buildQueue?.length || 0;
-          if (currentQueueSize >= maxQueueSize) {
+          const queueFull = checkBuildQueue(planet, agent);
+          if (queueFull) {
             result.status = "skipped";
-            result.reason = `Build queue full (${currentQueueSize}/${maxQueueSize})`;
+            result.reason = queueFull.message;
             break;
           }
           const building = action.building;
@@ -5106,6 +5970,14 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
           const currentLevel = planet.buildings[building] || 0;
           const cost = getBuildingCost(building, currentLevel);
 
+          const site = checkBuildSite(planet, building);
+          if (!site.allowed) {
+            result.status = "error";
+            result.reason = site.reason;
+            stopped = true;
+            break;
+          }
+
           // Check requirements
           const buildingData = BUILDINGS[building];
           if (buildingData.requires) {
@@ -5143,12 +6015,13 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
           const completesAt = Date.now() + (buildTime * 1000);
           if (!planet.buildQueue) planet.buildQueue = [];
           planet.buildQueue.push({ building, targetLevel: currentLevel + 1, cost: cost.metal + cost.crystal, startedAt: Date.now(), completesAt, buildTime });
+          schedulePlanet(planet);
 
           result.status = "success";
           result.building = building;
           result.targetLevel = currentLevel + 1;
           result.completesAt = completesAt;
-          broadcast({ type: "buildStarted", planetId: planet.id, building, targetLevel: currentLevel + 1, buildTime, completesAt });
+          broadcastToAgent(planet.ownerId, { type: "buildStarted", planetId: planet.id, building, targetLevel: currentLevel + 1, buildTime, completesAt });
           break;
         }
 
@@ -5195,16 +6068,17 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
           safeDeduct(planet.resources, cost);
 
           const scienceLevel = agent.tech?.scienceTech || 0;
-          const researchTime = getResearchTime(cost, labLevel, scienceLevel);
+          const researchTime = getResearchTime(cost, labLevel, scienceLevel, getModifiers(agent).researchSpeed);
           const completesAt = Date.now() + (researchTime * 1000);
           if (!agent.researchQueue) agent.researchQueue = [];
           agent.researchQueue.push({ tech: techId, targetLevel: currentLevel + 1, cost: cost.metal + cost.crystal + (cost.deuterium || 0), startedAt: Date.now(), completesAt, researchTime });
+          scheduleResearch(agent);
 
           result.status = "success";
           result.tech = techId;
           result.targetLevel = currentLevel + 1;
           result.completesAt = completesAt;
-          broadcast({ type: "researchStarted", agentId: agent.id, tech: techId, targetLevel: currentLevel + 1, researchTime, completesAt, techName: TECHNOLOGIES[techId].name });
+          broadcastToAgent(agent.id, { type: "researchStarted", agentId: agent.id, tech: techId, targetLevel: currentLevel + 1, researchTime, completesAt, techName: TECHNOLOGIES[techId].name });
           break;
         }
 
@@ -5252,12 +6126,13 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
           const completesAt = Date.now() + (buildTime * 1000);
           if (!planet.shipQueue) planet.shipQueue = [];
           planet.shipQueue.push({ ship, count, completesAt, buildTime });
+          schedulePlanet(planet);
 
           result.status = "success";
           result.ship = ship;
           result.count = count;
           result.completesAt = completesAt;
-          broadcast({ type: "shipBuildStarted", planetId: planet.id, ship, count, buildTime, shipName: shipData.name });
+          broadcastToAgent(planet.ownerId, { type: "shipBuildStarted", planetId: planet.id, ship, count, buildTime, shipName: shipData.name });
           break;
         }
 
@@ -5293,6 +6168,13 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
             stopped = true;
             break;
           }
+          if (defenseData.siloSpace &&
+              getSiloUsage(planet.defense, planet.shipQueue) + defenseData.siloSpace * count > getSiloCapacity(planet.buildings?.missileSilo)) {
+            result.status = "error";
+            result.reason = `Not enough silo space for ${count}x ${defenseData.name}`;
+            stopped = true;
+            break;
+          }
           const totalCost = {
             metal: (defenseData.cost.metal || 0) * count,
             crystal: (defenseData.cost.crystal || 0) * count,
@@ -5314,12 +6196,13 @@ app.post("/api/planets/:id/queue-actions", requireAuth, rateLimitMiddleware, (re
           const completesAt = Date.now() + (buildTime * 1000);
           if (!planet.shipQueue) planet.shipQueue = [];
           planet.shipQueue.push({ defense, count, completesAt, buildTime, isDefense: true });
+          schedulePlanet(planet);
 
           result.status = "success";
           result.defense = defense;
           result.count = count;
           result.completesAt = completesAt;
-          broadcast({ type: "defenseBuildStarted", planetId: planet.id, defense, count, buildTime, defenseName: defenseData.name });
+          broadcastToAgent(planet.ownerId, { type: "defenseBuildStarted", planetId: planet.id, defense, count, buildTime, defenseName: defenseData.name });
           break;
         }
 
@@ -5376,7 +6259,7 @@ app.get("/api/planets/:id/production", (req, res) => {
   const deutSynthLevel = planet.buildings.deuteriumSynthesizer || 0;
   const solarPlantLevel = planet.buildings.solarPlant || 0;
   const fusionReactorLevel = planet.buildings.fusionReactor || 0;
-  const maxTemp = planet.temperature?.max ?? 50;
+  const { settings } = production.breakdown;
 
   res.json({
     planetId: planet.id,
@@ -5388,6 +6271,11 @@ app.get("/api/planets/:id/production", (req, res) => {
       solarPlant: solarPlantLevel,
       fusionReactor: fusionReactorLevel
     },
+    solarSatellites: {
+      count: production.breakdown.satellites,
+      energyEach: getSatelliteEnergy(planet.temperature?.max ?? 50)
+    },
+    settings,
     energy: {
       produced: production.energyProduced,
       consumed: production.energyConsumed,
@@ -5395,6 +6283,7 @@ app.get("/api/planets/:id/production", (req, res) => {
       breakdown: {
         solarPlant: production.breakdown.solarEnergy,
         fusionReactor: production.breakdown.fusionEnergy,
+        solarSatellite: production.breakdown.satelliteEnergy,
         metalMine: production.breakdown.metalEnergyConsumption,
         crystalMine: production.breakdown.crystalEnergyConsumption,
         deuteriumSynthesizer: production.breakdown.deutEnergyConsumption
@@ -5403,17 +6292,17 @@ app.get("/api/planets/:id/production", (req, res) => {
     production: {
       metal: {
         base: Math.floor(30 * metalMineLevel * Math.pow(1.1, metalMineLevel)),
-        actual: Math.floor(30 * metalMineLevel * Math.pow(1.1, metalMineLevel) * production.efficiency),
+        actual: Math.floor(30 * metalMineLevel * Math.pow(1.1, metalMineLevel) * settings.metalMine / 100 * production.efficiency),
         perHour: Math.floor(production.metal * 3600 / GAME_SPEED)
       },
       crystal: {
         base: Math.floor(20 * crystalMineLevel * Math.pow(1.1, crystalMineLevel)),
-        actual: Math.floor(20 * crystalMineLevel * Math.pow(1.1, crystalMineLevel) * production.efficiency),
+        actual: Math.floor(20 * crystalMineLevel * Math.pow(1.1, crystalMineLevel) * settings.crystalMine / 100 * production.efficiency),
         perHour: Math.floor(production.crystal * 3600 / GAME_SPEED)
       },
       deuterium: {
         base: Math.floor(10 * deutSynthLevel * Math.pow(1.1, deutSynthLevel) * production.breakdown.tempFactor),
-        actual: Math.floor(10 * deutSynthLevel * Math.pow(1.1, deutSynthLevel) * production.breakdown.tempFactor * production.efficiency),
+        actual: Math.floor(10 * deutSynthLevel * Math.pow(1.1, deutSynthLevel) * production.breakdown.tempFactor * settings.deuteriumSynthesizer / 100 * production.efficiency),
         fusionConsumption: production.breakdown.fusionDeutConsumption,
         perHour: Math.floor(production.deuterium * 3600 / GAME_SPEED),
         temperatureFactor: production.breakdown.tempFactor
@@ -5451,6 +6340,50 @@ app.get("/api/planets/:id/production", (req, res) => {
   });
 });
 
+// Set production percentages for a planet's mines and power sources (owner only)
+app.put("/api/planets/:id/production", requireAuth, rateLimitMiddleware, requireOwner("planet", { field: "id", scope: "economy" }), async (req, res) => {
+  const planetId = req.params.id;
+  const planet = gameState.planets.get(planetId);
+  if (!planet) return apiError(res, "Planet not found", { planetId }, 404);
+  if (planet.ownerId !== req.walletAddress) return apiError(res, "Not your planet", {}, 403);
+
+  const updates = req.body || {};
+  const unknown = Object.keys(updates).filter(key => key !== "agentId" && !PRODUCTION_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    return apiError(res, "Unknown production setting", { unknown, valid: PRODUCTION_SETTINGS });
+  }
+  const changes = PRODUCTION_SETTINGS.filter(building => updates[building] !== undefined);
+  if (changes.length === 0) {
+    return apiError(res, "No production settings given", { valid: PRODUCTION_SETTINGS, example: { metalMine: 80 } });
+  }
+  const invalid = changes.filter(building => !isValidProductionPercent(updates[building]));
+  if (invalid.length > 0) {
+    return apiError(res, "Production settings must be 0-100 in steps of 10", { invalid });
+  }
+
+  try {
+    const production = await withPlanetLockAsync(planetId, async () => {
+      planet.productionSettings = { ...planet.productionSettings };
+      for (const building of changes) planet.productionSettings[building] = updates[building];
+      saveState();
+      return calculateProduction(planet, gameState.agents.get(planet.ownerId));
+    });
+
+    return apiSuccess(res, {
+      planetId,
+      settings: production.breakdown.settings,
+      energy: {
+        produced: production.energyProduced,
+        consumed: production.energyConsumed,
+        balance: production.energyProduced - production.energyConsumed
+      },
+      efficiency: production.efficiency
+    });
+  } catch (err) {
+    return res.status(503).json({ error: err.message });
+  }
+});
+
 // Helper: Get recommendations for agents
 function getProductionRecommendations(planet, production) {
   const recommendations = [];
@@ -5686,17 +6619,12 @@ app.get("/api/planets/:id/hangar", (req, res) => {
 // ============== PLANET MANAGEMENT API ==============
 
 // Rename a planet
-app.patch("/api/planets/:id", async (req, res) => {
+app.patch("/api/planets/:id", requireAuth, rateLimitMiddleware, requireOwner("planet", { field: "id", scope: "economy" }), async (req, res) => {
   const planetId = req.params.id;
   const planet = gameState.planets.get(planetId);
   if (!planet) return res.status(404).json({ error: "Planet not found" });
 
-  const { agentId, name } = req.body;
-
-  // Verify ownership
-  if (!agentId || planet.ownerId !== agentId) {
-    return res.status(403).json({ error: "Not your planet" });
-  }
+  const { name } = req.body;
 
   // Validate name
   if (name !== undefined) {
@@ -5712,7 +6640,7 @@ app.patch("/api/planets/:id", async (req, res) => {
       }
 
       saveState();
-      broadcast({ type: "planetRenamed", planetId: planet.id, name: planet.name });
+      publish({ type: "planetRenamed", planetId: planet.id, name: planet.name }, { agents: [planet.ownerId], topics: positionTopics(planet.position) });
 
       return {
         success: true,
@@ -5787,7 +6715,8 @@ app.get("/api/agents/:agentId/planets", requireAuth, (req, res) => {
       isBuilding: planet.buildQueue && planet.buildQueue.length > 0,
       isProducingShips: planet.shipQueue && planet.shipQueue.length > 0,
       buildQueue: planet.buildQueue || [],
-      shipQueue: planet.shipQueue || []
+      shipQueue: planet.shipQueue || [],
+      moon: summarizeMoon(planet)
     };
   }).filter(p => p !== null);
 
@@ -6041,18 +6970,18 @@ All POST endpoints require Solana wallet authentication. Limited to 3 wallets pe
 
 ### Header Format
 \`\`\`
-X-Solana-Auth: <wallet_pubkey>:<signature>:<timestamp>
+X-Solana-Auth: <wallet_pubkey>:<signature>:<nonce>
 \`\`\`
 
 ### How to Authenticate
-1. Create message: \`molt-of-empires:<timestamp>\` (timestamp = Date.now())
-2. Sign message with your Solana wallet (Ed25519)
-3. Base58-encode the signature
-4. Send header: \`X-Solana-Auth: <pubkey>:<base58_sig>:<timestamp>\`
+1. Get a one-time nonce: \`GET /api/auth/challenge\`
+2. Create message: \`molt-of-empires:<nonce>:<METHOD>:<path>:<sha256(body)>\` (hex SHA-256 of the raw body, or of "" if there is none)
+3. Sign message with your Solana wallet (Ed25519) and base58-encode the signature
+4. Send header: \`X-Solana-Auth: <pubkey>:<base58_sig>:<nonce>\`
 
 ### Requirements
-- Valid Solana wallet signature
-- Timestamp within 5 minutes of server time
+- Valid Solana wallet signature over the message above
+- Each nonce works for one request within 5 minutes
 - Limited to 3 wallets per IP address
 
 ### Agent Identity
@@ -6150,8 +7079,9 @@ app.get("/api/moltium/boosters", (req, res) => {
 });
 
 // POST /api/moltium/hire-officer - Hire an officer for an agent
-app.post("/api/moltium/hire-officer", requireAuth, rateLimitMiddleware, (req, res) => {
-  const { agentId, officerId } = req.body;
+app.post("/api/moltium/hire-officer", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
+  const { officerId } = req.body;
+  const agentId = req.walletAddress;
 
   const agent = gameState.agents.get(agentId);
   if (!agent) return apiError(res, "Agent not found", { agentId }, 404);
@@ -6179,10 +7109,11 @@ app.post("/api/moltium/hire-officer", requireAuth, rateLimitMiddleware, (req, re
   const newExpiry = Math.max(currentExpiry, now) + officer.duration;
   const durationDays = Math.floor(officer.duration / (24 * 60 * 60 * 1000));
 
+  settleAgentPlanets(agent);
   agent.officers[officerId] = { hiredAt: wasActive ? agent.officers[officerId].hiredAt : now, expiresAt: newExpiry };
 
   saveState();
-  broadcast({ type: wasActive ? "officerExtended" : "officerHired", agentId: agent.id, officerId, officerName: officer.name, expiresAt: newExpiry });
+  broadcastToAgent(agent.id, { type: wasActive ? "officerExtended" : "officerHired", agentId: agent.id, officerId, officerName: officer.name, expiresAt: newExpiry });
 
   const message = wasActive
     ? `${officer.name} extended by ${durationDays} days!`
@@ -6216,7 +7147,7 @@ app.get("/api/moltium/crates", (req, res) => {
 });
 
 // POST /api/moltium/buy-resources - Buy resource crates with MOLTIUM
-app.post("/api/moltium/buy-resources", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/moltium/buy-resources", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "market" }), (req, res) => {
   const agentId = req.walletAddress;
   const { crateId, planetId, quantity = 1 } = req.body;
 
@@ -6261,7 +7192,7 @@ app.post("/api/moltium/buy-resources", requireAuth, rateLimitMiddleware, (req, r
   }
 
   saveState();
-  broadcast({ type: "resourcesPurchased", agentId, planetId, crateId, quantity: qty, delivered });
+  broadcastToAgent(agentId, { type: "resourcesPurchased", agentId, planetId, crateId, quantity: qty, delivered });
 
   res.json({
     success: true,
@@ -6276,8 +7207,9 @@ app.post("/api/moltium/buy-resources", requireAuth, rateLimitMiddleware, (req, r
 });
 
 // POST /api/moltium/activate-booster - Activate a resource booster
-app.post("/api/moltium/activate-booster", requireAuth, rateLimitMiddleware, (req, res) => {
-  const { agentId, boosterId } = req.body;
+app.post("/api/moltium/activate-booster", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
+  const { boosterId } = req.body;
+  const agentId = req.walletAddress;
 
   const agent = gameState.agents.get(agentId);
   if (!agent) return apiError(res, "Agent not found", { agentId }, 404);
@@ -6312,10 +7244,11 @@ app.post("/api/moltium/activate-booster", requireAuth, rateLimitMiddleware, (req
   agent.moltium = balanceCheck.newBalance;
   const newExpiry = now + booster.duration;
 
+  settleAgentPlanets(agent);
   agent.boosters[boosterId] = { activatedAt: now, expiresAt: newExpiry };
 
   saveState();
-  broadcast({ type: "boosterActivated", agentId: agent.id, boosterId, boosterName: booster.name, expiresAt: newExpiry });
+  broadcastToAgent(agent.id, { type: "boosterActivated", agentId: agent.id, boosterId, boosterName: booster.name, expiresAt: newExpiry });
 
   res.json({
     success: true,
@@ -6326,8 +7259,9 @@ app.post("/api/moltium/activate-booster", requireAuth, rateLimitMiddleware, (req
 });
 
 // POST /api/moltium/speedup - Speed up or instantly complete construction/research/ships
-app.post("/api/moltium/speedup", requireAuth, rateLimitMiddleware, async (req, res) => {
-  const { agentId, planetId, type, instant } = req.body;
+app.post("/api/moltium/speedup", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), async (req, res) => {
+  const { planetId, type, instant } = req.body;
+  const agentId = req.walletAddress;
 
   const agent = gameState.agents.get(agentId);
   if (!agent) return apiError(res, "Agent not found", { agentId }, 404);
@@ -6397,9 +7331,10 @@ app.post("/api/moltium/speedup", requireAuth, rateLimitMiddleware, async (req, r
 
         agent.moltium = balanceCheck.newBalance;
         job.completesAt = now - 1;
+        schedulePlanet(planet);
 
         saveState();
-        broadcast({ type: "speedupUsed", agentId: agent.id, queueType: type, cost });
+        broadcastToAgent(agent.id, { type: "speedupUsed", agentId: agent.id, queueType: type, cost });
 
         return {
           success: true,
@@ -6432,9 +7367,10 @@ app.post("/api/moltium/speedup", requireAuth, rateLimitMiddleware, async (req, r
 
     agent.moltium = balanceCheck.newBalance;
     job.completesAt = now - 1;
+    scheduleResearch(agent);
 
     saveState();
-    broadcast({ type: "speedupUsed", agentId: agent.id, queueType: type, cost });
+    broadcastToAgent(agent.id, { type: "speedupUsed", agentId: agent.id, queueType: type, cost });
 
     return res.json({
       success: true,
@@ -6481,6 +7417,24 @@ app.get("/api/agents/:agentId/officers", requireAuth, (req, res) => {
   });
 });
 
+// GET /api/agents/:agentId/modifiers - Effective multipliers with per-source breakdown (owner only)
+app.get("/api/agents/:agentId/modifiers", requireAuth, (req, res) => {
+  if (req.walletAddress !== req.params.agentId) {
+    return res.status(403).json({ error: "Can only view your own modifiers" });
+  }
+
+  const agent = gameState.agents.get(req.params.agentId);
+  if (!agent) return apiError(res, "Agent not found", {}, 404);
+
+  const breakdown = getModifierBreakdown(agent);
+  const modifiers = {};
+  for (const [name, entry] of Object.entries(breakdown)) {
+    modifiers[name] = { ...entry, description: MODIFIERS[name].description };
+  }
+
+  res.json({ agentId: agent.id, modifiers });
+});
+
 // POST /api/moltium/grant - Grant $MOLTIUM to an agent (for testing/rewards)
 app.post("/api/moltium/grant", requireAdmin, (req, res) => {
   const { agentId, amount, reason } = req.body;
@@ -6503,7 +7457,7 @@ app.post("/api/moltium/grant", requireAdmin, (req, res) => {
   agent.moltium = safeAddCurrency(agent.moltium, amountValidation.value);
 
   saveState();
-  broadcast({ type: "moltiumGranted", agentId: agent.id, amount: amountValidation.value, reason: reason || "Grant", newBalance: agent.moltium });
+  broadcastToAgent(agent.id, { type: "moltiumGranted", agentId: agent.id, amount: amountValidation.value, reason: reason || "Grant", newBalance: agent.moltium });
 
   res.json({ success: true, amount: amountValidation.value, reason: reason || "Grant", newBalance: agent.moltium });
 });
@@ -6537,7 +7491,7 @@ app.get("/api/market/catalog", (req, res) => {
 });
 
 // POST /api/market/buy-resources - Purchase resources with $MOLTIUM
-app.post("/api/market/buy-resources", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/market/buy-resources", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "market" }), async (req, res) => {
   const { planetId, resourceType, amount } = req.body;
   const agentId = req.walletAddress;
 
@@ -6584,7 +7538,7 @@ app.post("/api/market/buy-resources", requireAuth, rateLimitMiddleware, async (r
 });
 
 // POST /api/market/instant-build - Instantly complete construction
-app.post("/api/market/instant-build", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/market/instant-build", requireAuth, rateLimitMiddleware, requireOwner("planet", { scope: "market" }), async (req, res) => {
   const { planetId, type } = req.body; // type: 'building', 'research', 'shipyard'
   const agentId = req.walletAddress;
 
@@ -6632,7 +7586,9 @@ app.post("/api/market/instant-build", requireAuth, rateLimitMiddleware, async (r
       agent.moltium = balanceCheck.newBalance;
 
       // Complete the job immediately
-      job.completesAt = Date.now() - 1000; // Set to past so it completes on next tick
+      job.completesAt = Date.now() - 1000;
+      if (type === 'research') scheduleResearch(agent);
+      else schedulePlanet(planet);
 
       saveState();
 
@@ -6654,7 +7610,7 @@ app.post("/api/market/instant-build", requireAuth, rateLimitMiddleware, async (r
 });
 
 // POST /api/market/hire-officer - Hire an officer
-app.post("/api/market/hire-officer", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/market/hire-officer", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
   const { officerId } = req.body;
   const agentId = req.walletAddress;
 
@@ -6683,6 +7639,7 @@ app.post("/api/market/hire-officer", requireAuth, rateLimitMiddleware, (req, res
 
   // Deduct moltium and hire officer
   agent.moltium = balanceCheck.newBalance;
+  settleAgentPlanets(agent);
   agent.officers[officerId] = {
     hiredAt: Date.now(),
     expiresAt: Date.now() + officer.duration
@@ -6699,7 +7656,7 @@ app.post("/api/market/hire-officer", requireAuth, rateLimitMiddleware, (req, res
 
 // POST /api/market/activate-booster - Activate a production booster
 // NOTE: Uses same object-based storage as /api/moltium/activate-booster for consistency
-app.post("/api/market/activate-booster", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/market/activate-booster", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
   const { boosterId } = req.body;
   const agentId = req.walletAddress;
 
@@ -6736,10 +7693,11 @@ app.post("/api/market/activate-booster", requireAuth, rateLimitMiddleware, (req,
   // Deduct moltium and activate booster
   agent.moltium = balanceCheck.newBalance;
   const newExpiry = now + booster.duration;
+  settleAgentPlanets(agent);
   agent.boosters[boosterId] = { activatedAt: now, expiresAt: newExpiry };
 
   saveState();
-  broadcast({ type: "boosterActivated", agentId: agent.id, boosterId, boosterName: booster.name, expiresAt: newExpiry });
+  broadcastToAgent(agent.id, { type: "boosterActivated", agentId: agent.id, boosterId, boosterName: booster.name, expiresAt: newExpiry });
 
   res.json({
     success: true,
@@ -6796,7 +7754,7 @@ app.get("/api/staking/status", requireAuth, (req, res) => {
 });
 
 // POST /api/staking/stake - Stake $MOLTIUM in a pool
-app.post("/api/staking/stake", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/staking/stake", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
   // Accept both 'poolId' and 'pool' for compatibility
   const poolId = req.body.poolId || req.body.pool;
   const { amount } = req.body;
@@ -6859,7 +7817,7 @@ app.post("/api/staking/stake", requireAuth, rateLimitMiddleware, (req, res) => {
 });
 
 // POST /api/staking/claim - Claim pending rewards from a stake
-app.post("/api/staking/claim", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/staking/claim", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
   const { stakeId } = req.body;
   const agentId = req.walletAddress;
 
@@ -6896,7 +7854,7 @@ app.post("/api/staking/claim", requireAuth, rateLimitMiddleware, (req, res) => {
 });
 
 // POST /api/staking/unstake - Withdraw a stake (if unlocked)
-app.post("/api/staking/unstake", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/staking/unstake", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
   const { stakeId } = req.body;
   const agentId = req.walletAddress;
 
@@ -6940,7 +7898,7 @@ app.post("/api/staking/unstake", requireAuth, rateLimitMiddleware, (req, res) =>
 });
 
 // POST /api/staking/compound - Claim rewards and restake them
-app.post("/api/staking/compound", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/staking/compound", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "market" }), (req, res) => {
   const { stakeId } = req.body;
   const agentId = req.walletAddress;
 
@@ -6977,7 +7935,7 @@ app.post("/api/staking/compound", requireAuth, rateLimitMiddleware, (req, res) =
 // === ALLIANCE SYSTEM ===
 
 // Create alliance
-app.post("/api/alliances", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/alliances", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
   const agentId = req.walletAddress;
   const agent = gameState.agents.get(agentId);
   if (!agent) return res.status(404).json({ error: "Agent not found" });
@@ -7051,7 +8009,7 @@ app.get("/api/alliances/:id", async (req, res) => {
 });
 
 // Invite player to alliance
-app.post("/api/alliances/:id/invite", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/alliances/:id/invite", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
   const agentId = req.walletAddress;
   const { agentId: targetId } = req.body;
 
@@ -7082,7 +8040,7 @@ app.post("/api/alliances/:id/invite", requireAuth, rateLimitMiddleware, async (r
 });
 
 // Join alliance (accept invite)
-app.post("/api/alliances/:id/join", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/alliances/:id/join", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
   const agentId = req.walletAddress;
   const agent = gameState.agents.get(agentId);
   if (!agent) return res.status(404).json({ error: "Agent not found" });
@@ -7109,7 +8067,7 @@ app.post("/api/alliances/:id/join", requireAuth, rateLimitMiddleware, async (req
 });
 
 // Leave alliance
-app.post("/api/alliances/:id/leave", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/alliances/:id/leave", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
   const agentId = req.walletAddress;
   const agent = gameState.agents.get(agentId);
   if (!agent) return res.status(404).json({ error: "Agent not found" });
@@ -7129,7 +8087,7 @@ app.post("/api/alliances/:id/leave", requireAuth, rateLimitMiddleware, async (re
 });
 
 // Kick member (leader only)
-app.post("/api/alliances/:id/kick", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/alliances/:id/kick", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
   const agentId = req.walletAddress;
   const { agentId: targetId } = req.body;
 
@@ -7157,7 +8115,7 @@ app.post("/api/alliances/:id/kick", requireAuth, rateLimitMiddleware, async (req
 });
 
 // Disband alliance (leader only)
-app.delete("/api/alliances/:id", requireAuth, async (req, res) => {
+app.delete("/api/alliances/:id", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
   const agentId = req.walletAddress;
   const row = await dbGet(`SELECT * FROM alliances WHERE id = ?`, [req.params.id]);
   if (!row) return res.status(404).json({ error: "Alliance not found" });
@@ -7177,7 +8135,7 @@ app.delete("/api/alliances/:id", requireAuth, async (req, res) => {
 });
 
 // Update alliance (leader only)
-app.patch("/api/alliances/:id", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.patch("/api/alliances/:id", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), async (req, res) => {
   const agentId = req.walletAddress;
   const row = await dbGet(`SELECT * FROM alliances WHERE id = ?`, [req.params.id]);
   if (!row) return res.status(404).json({ error: "Alliance not found" });
@@ -7257,7 +8215,7 @@ app.get("/api/alliances/:id/intel", requireAuth, async (req, res) => {
 });
 
 // === WEBHOOK MANAGEMENT ===
-app.post("/api/webhooks", requireAuth, rateLimitMiddleware, async (req, res) => {
+app.post("/api/webhooks", requireAuth, rateLimitMiddleware, requireOwner("agent"), async (req, res) => {
   const agentId = req.walletAddress;
   const { url, events, secret } = req.body;
 
@@ -7301,28 +8259,185 @@ app.post("/api/webhooks", requireAuth, rateLimitMiddleware, async (req, res) =>
 
 app.get("/api/webhooks", requireAuth, async (req, res) => {
   const agentId = req.walletAddress;
-  const rows = await dbAll(`SELECT id, url, events, failures, created_at FROM webhooks WHERE agent_id = ?`, [agentId]);
+  const rows = await dbAll(
+    `SELECT w.id, w.url, w.events, w.failures, w.created_at,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending
+     FROM webhooks w WHERE w.agent_id = ?`,
+    [agentId]
+  );
   res.json({
     webhooks: rows.map(r => ({
       id: r.id,
       url: r.url,
       events: JSON.parse(r.events),
       failures: r.failures,
-      disabled: r.failures >= 3,
+      disabled: isDisabled(r),
+      pendingDeliveries: r.pending,
       createdAt: r.created_at
     }))
   });
 });
 
-app.delete("/api/webhooks/:id", requireAuth, async (req, res) => {
-  const agentId = req.walletAddress;
-  const { id } = req.params;
+// Look up one of the caller's webhooks (null if missing or someone else's)
+function getOwnWebhook(req) {
+  return dbGet(`SELECT * FROM webhooks WHERE id = ? AND agent_id = ?`, [req.params.id, req.walletAddress]);
+}
+
+app.delete("/api/webhooks/:id", requireAuth, rateLimitMiddleware, requireOwner("agent"), async (req, res) => {
+  const hook = await getOwnWebhook(req);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+
+  await dbRun(`DELETE FROM webhooks WHERE id = ?`, [hook.id]);
+  await dbRun(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [hook.id]);
+  res.json({ success: true, deleted: hook.id });
+});
+
+// Delivery history, newest first
+app.get("/api/webhooks/:id/deliveries", requireAuth, async (req, res) => {
+  const hook = await getOwnWebhook(req);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+
+  const { status } = req.query;
+  if (status !== undefined && !["pending", "delivered", "failed", "skipped"].includes(status)) {
+    return res.status(400).json({ error: "status must be pending, delivered, failed or skipped" });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const rows = await dbAll(
+    `SELECT * FROM webhook_deliveries WHERE webhook_id = ?${status ? " AND status = ?" : ""} ORDER BY created_at DESC LIMIT ?`,
+    status ? [hook.id, status, limit] : [hook.id, limit]
+  );
+  res.json({
+    webhookId: hook.id,
+    disabled: isDisabled(hook),
+    deliveries: rows.map(formatDelivery)
+  });
+});
+
+// Queue a past delivery again (sent once the hook is enabled)
+app.post("/api/webhooks/:id/deliveries/:deliveryId/redeliver", requireAuth, rateLimitMiddleware, requireOwner("agent"), async (req, res) => {
+  const hook = await getOwnWebhook(req);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+
+  const delivery = await dbGet(`SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?`, [req.params.deliveryId, hook.id]);
+  if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+  if (delivery.status === "pending") {
+    return res.status(409).json({ error: "Delivery is still pending", nextAttemptAt: delivery.next_attempt_at });
+  }
+
+  const deliveryId = await redeliver(hook, delivery);
+  res.status(202).json({
+    success: true,
+    deliveryId,
+    redeliveryOf: delivery.id,
+    ...(isDisabled(hook) && { note: "Webhook is disabled - re-enable it to send queued deliveries" })
+  });
+});
+
+// Send a ping right away and report the result
+app.post("/api/webhooks/:id/test", requireAuth, rateLimitMiddleware, requireOwner("agent"), async (req, res) => {
+  const hook = await getOwnWebhook(req);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+
+  const result = await sendTestPing(hook);
+  res.json({ success: result.status === "delivered", ...result });
+});
 
-  const hook = await dbGet(`SELECT * FROM webhooks WHERE id = ? AND agent_id = ?`, [id, agentId]);
+// Re-enable a hook disabled by failures; its queued deliveries resume
+app.post("/api/webhooks/:id/enable", requireAuth, rateLimitMiddleware, requireOwner("agent"), async (req, res) => {
+  const hook = await getOwnWebhook(req);
   if (!hook) return res.status(404).json({ error: "Webhook not found" });
 
-  await dbRun(`DELETE FROM webhooks WHERE id = ?`, [id]);
-  res.json({ success: true, deleted: id });
+  await dbRun(`UPDATE webhooks SET failures = 0 WHERE id = ?`, [hook.id]);
+  const { pending } = await dbGet(`SELECT COUNT(*) AS pending FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'`, [hook.id]);
+  res.json({ success: true, webhookId: hook.id, wasDisabled: isDisabled(hook), pendingDeliveries: pending });
+});
+
+// === AUTH CHALLENGES ===
+// One-time nonces for X-Solana-Auth signatures (see auth.js)
+app.get("/api/auth/challenge", rateLimitMiddleware, (req, res) => {
+  const { nonce, expiresAt } = issueNonce(req.ip);
+  res.json({
+    nonce,
+    expiresAt,
+    sign: `molt-of-empires:${nonce}:<METHOD>:<path>:<sha256(body) hex>`,
+    header: `X-Solana-Auth: <wallet_pubkey>:<signature>:${nonce}`
+  });
+});
+
+// === API KEYS ===
+// Created and revoked with a wallet signature; bots then send X-Api-Key instead
+app.post("/api/keys", requireAuth, rateLimitMiddleware, requireOwner("agent"), async (req, res) => {
+  const agentId = req.walletAddress;
+  const parsed = parseKeyOptions(req.body);
+  if (!parsed.valid) return apiError(res, parsed.error, parsed.details);
+
+  if (await countActiveKeys(agentId) >= apiKeyConfig.maxKeysPerAgent) {
+    return apiError(res, `Maximum ${apiKeyConfig.maxKeysPerAgent} active API keys per agent`, { hint: "Revoke an unused key first" });
+  }
+
+  const apiKey = await createApiKey(agentId, parsed.options);
+  res.status(201).json({ success: true, apiKey, note: "Store the key now - it is not shown again" });
+});
+
+app.get("/api/keys", requireAuth, rateLimitMiddleware, async (req, res) => {
+  const keys = await listApiKeys(req.walletAddress);
+  res.json({ keys, validScopes: API_KEY_SCOPES });
+});
+
+app.delete("/api/keys/:id", requireAuth, rateLimitMiddleware, requireOwner("agent"), async (req, res) => {
+  const apiKey = await revokeApiKey(req.walletAddress, req.params.id);
+  if (!apiKey) return apiError(res, "API key not found", {}, 404);
+  res.json({ success: true, apiKey });
+});
+
+// === EVENT STREAM (SSE) ===
+// Same private events as webhooks, for agents that can't hold a WebSocket
+app.get("/api/agents/:agentId/events", requireAuth, rateLimitMiddleware, async (req, res) => {
+  const agentId = req.walletAddress;
+  if (agentId !== req.params.agentId) {
+    return res.status(403).json({ error: "Can only stream your own events" });
+  }
+
+  const lastEventId = parseLastEventId(req.headers["last-event-id"] ?? req.query.lastEventId);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+
+  const stream = openStream(agentId, res);
+  if (!stream) {
+    res.end(formatEvent({ event: "error", data: { error: `Maximum ${eventStreamConfig.maxStreamsPerAgent} event streams per agent` } }));
+    return;
+  }
+  req.on("close", () => closeStream(agentId, stream));
+  res.write(`retry: ${eventStreamConfig.retryMs}\n\n`);
+
+  // Replay what the agent missed; live events queue up until this is done
+  let replay = [];
+  if (lastEventId !== null) {
+    try {
+      const rows = await dbAll(
+        `SELECT id, event, payload, created_at FROM agent_events WHERE agent_id = ? AND id > ? ORDER BY id DESC LIMIT ?`,
+        [agentId, lastEventId, eventStreamConfig.maxReplay]
+      );
+      const oldest = await dbGet(`SELECT MIN(id) AS id FROM agent_events`);
+      replay = rows.reverse().map(r => ({
+        id: r.id,
+        event: r.event,
+        data: { event: r.event, agentId, payload: JSON.parse(r.payload), timestamp: r.created_at }
+      }));
+      // Events were pruned or more than maxReplay were missed - tell the client to refetch state
+      if (rows.length === eventStreamConfig.maxReplay || (oldest?.id && lastEventId < oldest.id - 1)) {
+        res.write(formatEvent({ event: "resync", data: { reason: "Some events are no longer buffered", lastEventId } }));
+      }
+    } catch (err) {
+      console.error("Failed to replay agent events:", err.message);
+    }
+  }
+  markReady(stream, replay);
 });
 
 // === LEADERBOARD HISTORY ===
@@ -7360,10 +8475,11 @@ app.get("/api/leaderboard/history", async (req, res) => {
 });
 
 // === FLEET ETA ===
+// ships: "cruiser:10,largeCargo:5" (count defaults to 1); speed: 10-100; drive techs come from the origin planet's owner
 app.get("/api/fleet/eta", (req, res) => {
-  const { from, to } = req.query;
+  const { from, to, ships: shipList, speed = "100" } = req.query;
   if (!from || !to) {
-    return res.status(400).json({ error: "Both 'from' and 'to' query parameters required", example: "/api/fleet/eta?from=1:42:7&to=2:50:8" });
+    return res.status(400).json({ error: "Both 'from' and 'to' query parameters required", example: "/api/fleet/eta?from=1:42:7&to=2:50:8&ships=cruiser:10,largeCargo:5&speed=50" });
   }
 
   const fromPlanet = gameState.planets.get(from);
@@ -7372,15 +8488,44 @@ app.get("/api/fleet/eta", (req, res) => {
   if (!fromPlanet) return res.status(404).json({ error: "Origin planet not found", from });
   if (!toPlanet) return res.status(404).json({ error: "Destination planet not found", to });
 
-  const travelTimeSeconds = getTravelTime(fromPlanet, toPlanet);
+  const speedPercent = Number(speed);
+  if (!isValidSpeedPercent(speedPercent)) {
+    return res.status(400).json({ error: "Invalid speed", valid: "10-100 in steps of 10" });
+  }
+
+  let ships = null;
+  if (shipList !== undefined) {
+    if (typeof shipList !== 'string') return res.status(400).json({ error: "Invalid ships", example: "cruiser:10,largeCargo:5" });
+    ships = {};
+    for (const entry of shipList.split(',')) {
+      const [shipType, count = "1"] = entry.split(':');
+      if (!/^\d+$/.test(count)) return res.status(400).json({ error: "Invalid ship count", shipType, count });
+      ships[shipType] = Number(count);
+    }
+    const shipValidation = validateShipCounts(ships);
+    if (!shipValidation.valid) {
+      return res.status(400).json({ error: shipValidation.error, ...shipValidation.details });
+    }
+  }
+
+  const owner = gameState.agents.get(fromPlanet.ownerId);
+  const fleetSpeed = ships ? getFleetSpeed(ships, owner) : REFERENCE_FLEET_SPEED;
+  if (fleetSpeed === 0) {
+    return res.status(400).json({ error: "Ships cannot leave orbit", ships: Object.keys(ships).filter(shipType => !getShipSpeed(shipType)) });
+  }
+
+  const travelTimeSeconds = getTravelTime(fromPlanet, toPlanet, ships, owner, speedPercent);
   const distance = getFleetDistance(fromPlanet, toPlanet);
 
   res.json({
     from,
     to,
     distance,
+    speed: speedPercent,
+    fleetSpeed,
     travelTimeSeconds,
-    eta: Date.now() + travelTimeSeconds * 1000
+    eta: Date.now() + travelTimeSeconds * 1000,
+    ...(ships && { ships, fuel: calculateFuelConsumption(ships, distance, speedPercent) })
   });
 });
 
@@ -7415,6 +8560,16 @@ app.use((err, req, res, next) => {
 
 const PORT = 3030;
 
+// Persist buffered security events, then ban addresses that crossed a threshold
+async function runSecurityChecks() {
+  await flushSecurityEvents();
+  try {
+    await evaluateAutoBans();
+  } catch (err) {
+    console.error("Automatic ban check failed:", err.message);
+  }
+}
+
 // Initialize database and start server
 async function startServer() {
   try {
@@ -7425,6 +8580,17 @@ async function startServer() {
     // Load game state (exit on failure)
     await loadState();
 
+    // Refuse to start if a mutating route has no authorization policy
+    const unprotected = auditRoutes(app);
+    if (unprotected.length > 0) {
+      throw new Error(`Routes without an authorization policy or rate limit:\n  ${unprotected.join("\n  ")}`);
+    }
+
+    const activeBans = await loadBans();
+
+    // Fail fast on a bad BALANCE_PROVIDER or mock balance file
+    const balanceProvider = getBalanceProvider();
+
     // Start HTTP server
     server.listen(PORT, "0.0.0.0", () => {
       console.log("==========================================");
@@ -7433,9 +8599,20 @@ async function startServer() {
       console.log("Frontend: http://localhost:" + PORT);
       initDemo();
       tickInterval = setInterval(processTick, 1000);
+      startScheduler(handleScheduledEvent);
       // Clean up old rate limit buckets every 5 minutes
-      cleanupInterval = setInterval(() => cleanupOldBuckets(300000), 300000);
+      cleanupInterval = setInterval(() => {
+        cleanupOldBuckets(300000);
+        pruneAgentEvents();
+        pruneWebhookDeliveries();
+        pruneSecurityEvents();
+        pruneBans();
+      }, 300000);
+      webhookInterval = setInterval(processWebhookQueue, 5000);
+      securityInterval = setInterval(runSecurityChecks, 10000);
       console.log(`Rate limiting: ${rateLimitConfig.enabled ? 'enabled' : 'disabled'}`);
+      console.log(`IP bans: ${activeBans} active, automatic bans ${banConfig.autoBan ? 'enabled' : 'disabled'}`);
+      console.log(`Balance provider: ${balanceProvider.name}${balanceProvider.configured ? '' : ' (no mint set, balances not checked)'}`);
     });
   } catch (err) {
     console.error("[Critical] Failed to start server:", err.message);
@@ -8322,7 +9499,7 @@ app.get("/api/codex/research-notes", (req, res) => {
 });
 
 // Post a research note (requires 100k+ score)
-app.post("/api/codex/research-notes", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/codex/research-notes", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), (req, res) => {
   const wallet = req.walletAddress;
 
   if (!isElitePlayer(wallet)) {
@@ -8381,7 +9558,7 @@ app.get("/api/codex/feature-requests", (req, res) => {
 });
 
 // Post a feature request (requires 100k+ score)
-app.post("/api/codex/feature-requests", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/codex/feature-requests", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), (req, res) => {
   const wallet = req.walletAddress;
 
   if (!isElitePlayer(wallet)) {
@@ -8426,7 +9603,7 @@ app.post("/api/codex/feature-requests", requireAuth, rateLimitMiddleware, (req,
 });
 
 // Upvote research note or feature request (requires 100k+ score)
-app.post("/api/codex/upvote", requireAuth, rateLimitMiddleware, (req, res) => {
+app.post("/api/codex/upvote", requireAuth, rateLimitMiddleware, requireOwner("agent", { scope: "chat" }), (req, res) => {
   const wallet = req.walletAddress;
 
   if (!isElitePlayer(wallet)) {
@@ -8518,7 +9695,8 @@ async function gracefulShutdown(signal) {
   }, 30000);
 
   try {
-    // Stop HTTP server
+    // Stop HTTP server (SSE streams are long-lived, so end them first)
+    closeAllStreams();
     await new Promise(resolve => server.close(resolve));
     console.log('[Shutdown] HTTP server closed');
 
@@ -8530,11 +9708,15 @@ async function gracefulShutdown(signal) {
 
     // Clear intervals
     if (tickInterval) clearInterval(tickInterval);
+    stopScheduler();
     if (cleanupInterval) clearInterval(cleanupInterval);
+    if (webhookInterval) clearInterval(webhookInterval);
+    if (securityInterval) clearInterval(securityInterval);
     console.log('[Shutdown] Intervals cleared');
 
     // Save game state
     await saveStateAsync();
+    await flushSecurityEvents();
     console.log('[Shutdown] Game state saved');
 
     // Close database
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for private agent events
+ * Tests the replay buffer, live stream pushes and webhook queueing
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDatabase, initTables, dbRun, dbAll } from '../../db.js';
+import { openStream, markReady, closeAllStreams } from '../../eventStream.js';
+import { recordAgentEvent } from '../../agentEvents.js';
+
+function fakeResponse() {
+  return { chunks: [], write(chunk) { this.chunks.push(chunk); }, end() {} };
+}
+
+const player = { id: 'PlayerWallet' };
+const npc = { id: 'npc_1', isNPC: true };
+const responses = {};
+
+before(async () => {
+  initDatabase(':memory:');
+  await initTables();
+  for (const agent of [player, npc]) {
+    await dbRun(
+      `INSERT INTO webhooks (id, agent_id, url, events, created_at) VALUES (?, ?, ?, ?, ?)`,
+      [`hook_${agent.id}`, agent.id, 'http://127.0.0.1:9/hook', JSON.stringify(['battleReport']), Date.now()]
+    );
+    responses[agent.id] = fakeResponse();
+    markReady(openStream(agent.id, responses[agent.id]), []);
+  }
+});
+
+after(() => closeAllStreams());
+
+describe('Agent Events', () => {
+  it('should buffer, push and queue events for players', async () => {
+    await recordAgentEvent(player, 'battleReport', { reportId: 'r1' });
+    const events = await dbAll(`SELECT * FROM agent_events WHERE agent_id = ?`, [player.id]);
+    assert.equal(events.length, 1);
+    assert.equal(responses[player.id].chunks.length, 1);
+    assert.match(responses[player.id].chunks[0], /event: battleReport/);
+    const deliveries = await dbAll(`SELECT * FROM webhook_deliveries WHERE agent_id = ?`, [player.id]);
+    assert.equal(deliveries.length, 1);
+  });
+
+  it('should drop events for NPCs', async () => {
+    await recordAgentEvent(npc, 'battleReport', { reportId: 'r2' });
+    assert.deepEqual(await dbAll(`SELECT * FROM agent_events WHERE agent_id = ?`, [npc.id]), []);
+    assert.deepEqual(responses[npc.id].chunks, []);
+    assert.deepEqual(await dbAll(`SELECT * FROM webhook_deliveries WHERE agent_id = ?`, [npc.id]), []);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for API keys
+ * Tests creation options, key format and status, and per-key rate limits
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKeyOptions, formatApiKey, hashApiKey, isApiKey, apiKeyConfig } from '../../apiKeys.js';
+import { getLimits, rateLimitConfig } from '../../rateLimit.js';
+
+describe('Key Options', () => {
+  it('should always include the read scope', () => {
+    const { valid, options } = parseKeyOptions({ scopes: ['fleet', 'economy'] });
+    assert.ok(valid);
+    assert.deepEqual(options.scopes, ['read', 'economy', 'fleet']);
+    assert.equal(options.expiresInDays, apiKeyConfig.defaultTtlDays);
+  });
+
+  it('should reject unknown or missing scopes', () => {
+    assert.equal(parseKeyOptions({}).valid, false);
+    assert.equal(parseKeyOptions({ scopes: [] }).valid, false);
+    const result = parseKeyOptions({ scopes: ['admin'] });
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.details.invalidScopes, ['admin']);
+  });
+
+  it('should bound the expiry', () => {
+    assert.equal(parseKeyOptions({ scopes: ['read'], expiresInDays: 0 }).valid, false);
+    assert.equal(parseKeyOptions({ scopes: ['read'], expiresInDays: apiKeyConfig.maxTtlDays + 1 }).valid, false);
+    assert.equal(parseKeyOptions({ scopes: ['read'], expiresInDays: 7 }).options.expiresInDays, 7);
+  });
+
+  it('should only allow rate limits below the wallet\'s own', () => {
+    assert.deepEqual(parseKeyOptions({ scopes: ['read'], rateLimit: { write: 1 } }).options.rateLimit, { write: 1 });
+    assert.equal(parseKeyOptions({ scopes: ['read'], rateLimit: { read: rateLimitConfig.read.rate + 1 } }).valid, false);
+    assert.equal(parseKeyOptions({ scopes: ['read'], rateLimit: { write: 0.5 } }).valid, false);
+  });
+});
+
+describe('Key Format', () => {
+  it('should recognise keys by prefix', () => {
+    assert.ok(isApiKey(`${apiKeyConfig.prefix}${'a'.repeat(32)}`));
+    assert.ok(!isApiKey('wallet:sig:123'));
+    assert.ok(!isApiKey(undefined));
+  });
+
+  it('should store a stable hash', () => {
+    assert.equal(hashApiKey('mwk_abc'), hashApiKey('mwk_abc'));
+    assert.notEqual(hashApiKey('mwk_abc'), hashApiKey('mwk_abd'));
+  });
+
+  it('should report whether a key is active', () => {
+    const row = { id: 'k', scopes: '["read"]', rate_limit: '{}', created_at: 0, expires_at: 1000, revoked_at: null };
+    assert.equal(formatApiKey(row, 500).status, 'active');
+    assert.equal(formatApiKey(row, 1000).status, 'expired');
+    assert.equal(formatApiKey({ ...row, revoked_at: 400 }, 500).status, 'revoked');
+    assert.equal(formatApiKey(row, 500).key, undefined);
+  });
+});
+
+describe('Per-Key Rate Limits', () => {
+  it('should use the key\'s limits and default the rest', () => {
+    const limits = getLimits({ write: 1 });
+    assert.equal(limits.write.rate, 1);
+    assert.equal(limits.read.rate, rateLimitConfig.read.rate);
+  });
+
+  it('should never exceed the wallet limits', () => {
+    assert.equal(getLimits({ read: 1000 }).read.rate, rateLimitConfig.read.rate);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for fleet arrival timing
+ * Tests return legs, holds and catching up on arrivals missed during downtime
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startReturnLeg, startHold } from '../../game/arrivals.js';
+import { settlePlanet, produceBetween } from '../../game/formulas.js';
+import { scheduleEvent, runDueEvents } from '../../scheduler.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const mine = lastUpdate => ({
+  buildings: { metalMine: 10, solarPlant: 15, metalStorage: 10 },
+  temperature: { min: 10, max: 50 },
+  resources: { metal: 0, crystal: 0, deuterium: 0, energy: 0 },
+  lastUpdate
+});
+
+describe('Fleet Legs', () => {
+  it('should start the return leg from the arrival time', () => {
+    const fleet = { arrivesAt: 5000, returning: false };
+    startReturnLeg(fleet, 30, 5000);
+    assert.deepEqual(fleet, { arrivesAt: 35000, returning: true });
+  });
+
+  it('should hold from the arrival time', () => {
+    const fleet = { arrivesAt: 5000, holdDuration: HOUR };
+    startHold(fleet, 5000);
+    assert.equal(fleet.holding, true);
+    assert.equal(fleet.holdUntil, 5000 + HOUR);
+    assert.equal(fleet.arrivesAt, fleet.holdUntil);
+  });
+});
+
+describe('Settling', () => {
+  it('should settle up to a time and not past it', () => {
+    const planet = mine(0);
+    settlePlanet(planet, null, HOUR);
+    const metal = planet.resources.metal;
+    assert.ok(metal > 0);
+    settlePlanet(planet, null, HOUR / 2);
+    assert.equal(planet.resources.metal, metal);
+    assert.equal(planet.lastUpdate, HOUR);
+  });
+});
+
+describe('Catch-up After Downtime', () => {
+  it('should resolve overdue arrivals at their own times', () => {
+    // The server went down three hours ago; everything below was due meanwhile
+    const downSince = Date.now() - 3 * HOUR;
+    const home = mine(downSince);
+    const target = mine(downSince);
+    const planets = { home, target };
+    const transport = { id: 't1', origin: 'home', destination: 'target', mission: 'transport', cargo: { metal: 1000 }, returning: false, arrivesAt: downSince + HOUR };
+    const hold = { id: 'h1', origin: 'home', destination: 'target', mission: 'acsDefend', holdDuration: HOUR, returning: false, arrivesAt: downSince + 30 * MINUTE };
+    const fleets = { t1: transport, h1: hold };
+    const fired = [];
+    let landed = null;
+    scheduleEvent('fleet:t1', transport.arrivesAt);
+    scheduleEvent('fleet:h1', hold.arrivesAt);
+
+    // A cut-down fleet handler, as in server.js: the event time is the fleet's arrival
+    runDueEvents(key => {
+      const fleet = fleets[key.slice('fleet:'.length)];
+      const at = fleet.arrivesAt;
+      fired.push([fleet.id, at - downSince]);
+      for (const planet of [planets[fleet.origin], planets[fleet.destination]]) settlePlanet(planet, null, at);
+
+      if (fleet.returning) return;
+      if (fleet.mission === 'transport') {
+        planets[fleet.destination].resources.metal += fleet.cargo.metal;
+        landed = planets[fleet.destination].resources.metal;
+        startReturnLeg(fleet, 20 * 60, at);
+      } else if (fleet.holding) {
+        fleet.holding = false;
+        startReturnLeg(fleet, 30 * 60, at);
+      } else {
+        startHold(fleet, at);
+      }
+      scheduleEvent(key, fleet.arrivesAt);
+    });
+
+    assert.deepEqual(fired, [
+      ['h1', 30 * MINUTE],
+      ['t1', HOUR],
+      ['t1', 80 * MINUTE],
+      ['h1', 90 * MINUTE],
+      ['h1', 2 * HOUR]
+    ]);
+    assert.equal(hold.holdUntil, downSince + 90 * MINUTE);
+
+    // The target had produced up to the transport's landing, not up to now
+    const expected = mine(downSince);
+    produceBetween(expected, null, downSince, downSince + HOUR);
+    assert.ok(Math.abs(landed - expected.resources.metal - 1000) < 1e-6, `${landed} != ${expected.resources.metal} + 1000`);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for $MOLTIUM balance providers
+ * Tests the mock provider, stale-while-revalidate caching and the auth balance gate
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nacl from 'tweetnacl';
+import bs58 from 'bs58';
+import {
+  createMockProvider, loadMockBalances, setBalanceProvider, getBalance, getBalanceStats, balanceConfig
+} from '../../balances.js';
+import { requireAuth, authConfig } from '../../auth.js';
+
+// Provider whose lookups are counted and can be made to fail
+function fakeProvider(balance) {
+  const fake = {
+    name: 'fake',
+    configured: true,
+    calls: 0,
+    failing: false,
+    async getBalance() {
+      fake.calls++;
+      if (fake.failing) throw new Error('RPC unavailable');
+      return balance;
+    },
+  };
+  return fake;
+}
+
+const later = ms => Date.now() + ms;
+
+describe('Mock Provider', () => {
+  it('should serve balances from a seed file', async () => {
+    const file = path.join(os.tmpdir(), `balances-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ defaultBalance: 5, balances: { alice: 1500 } }));
+    try {
+      const mock = createMockProvider(loadMockBalances(file));
+      assert.equal(await mock.getBalance('alice'), 1500);
+      assert.equal(await mock.getBalance('bob'), 5);
+      mock.setBalance('bob', 20);
+      assert.equal(await mock.getBalance('bob'), 20);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should reject invalid seed balances', () => {
+    const file = path.join(os.tmpdir(), `balances-bad-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ balances: { alice: -1 } }));
+    try {
+      assert.throws(() => loadMockBalances(file), /Invalid mock balance for alice/);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
+
+describe('Balance Cache', () => {
+  it('should serve fresh balances from the cache', async () => {
+    const provider = fakeProvider(100);
+    setBalanceProvider(provider);
+    assert.equal(await getBalance('alice'), 100);
+    assert.equal(await getBalance('alice'), 100);
+    assert.equal(provider.calls, 1);
+  });
+
+  it('should share concurrent lookups', async () => {
+    const provider = fakeProvider(100);
+    setBalanceProvider(provider);
+    await Promise.all([getBalance('alice'), getBalance('alice'), getBalance('alice')]);
+    assert.equal(provider.calls, 1);
+  });
+
+  it('should serve stale balances while refreshing them', async () => {
+    const provider = fakeProvider(100);
+    setBalanceProvider(provider);
+    await getBalance('alice');
+    const staleHits = getBalanceStats().staleHits;
+    assert.equal(await getBalance('alice', later(balanceConfig.cacheTtl + 1000)), 100);
+    assert.equal(getBalanceStats().staleHits, staleHits + 1);
+    assert.equal(provider.calls, 2); // Background refresh started
+  });
+
+  it('should fall back to the last known balance when the provider fails', async () => {
+    const provider = fakeProvider(100);
+    setBalanceProvider(provider);
+    await getBalance('alice');
+    provider.failing = true;
+    const expired = later(balanceConfig.cacheTtl + balanceConfig.staleTtl + 1000);
+    assert.equal(await getBalance('alice', expired), 100);
+    await assert.rejects(getBalance('bob'), /RPC unavailable/);
+  });
+});
+
+describe('Balance Gate', () => {
+  const keypair = nacl.sign.keyPair();
+  const wallet = bs58.encode(keypair.publicKey);
+
+  // Run requireAuth on a read signed with a session header
+  async function run() {
+    const timestamp = Date.now();
+    const signature = bs58.encode(nacl.sign.detached(new TextEncoder().encode(`molt-of-empires:${timestamp}`), keypair.secretKey));
+    let result = { passed: false };
+    const res = {
+      status(code) { result.status = code; return this; },
+      json(body) { result.body = body; return this; },
+    };
+    const req = { method: 'GET', originalUrl: '/api/keys', headers: { 'x-solana-auth': `${wallet}:${signature}:${timestamp}` } };
+    await requireAuth(req, res, () => { result.passed = true; });
+    return result;
+  }
+
+  afterEach(() => { authConfig.minBalance = 0; });
+
+  it('should check balances offline with the mock provider', async () => {
+    authConfig.minBalance = 1000;
+    const mock = createMockProvider({ balances: { [wallet]: 500 } });
+    setBalanceProvider(mock);
+    const result = await run();
+    assert.equal(result.status, 403);
+    assert.equal(result.body.current, 500);
+
+    mock.setBalance(wallet, 2000);
+    setBalanceProvider(mock); // Drop the cached 500
+    assert.ok((await run()).passed);
+  });
+
+  it('should let wallets through while no token is configured', async () => {
+    authConfig.minBalance = 1000;
+    setBalanceProvider({ ...fakeProvider(0), configured: false });
+    assert.ok((await run()).passed);
+  });
+
+  it('should fail closed when a wallet\'s balance was never known', async () => {
+    authConfig.minBalance = 1000;
+    const provider = fakeProvider(0);
+    provider.failing = true;
+    setBalanceProvider(provider);
+    assert.equal((await run()).status, 500);
+  });
+});
@@ -5,6 +5,8 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import { calculateMoonChance, calculateMoonDiameter, resolveCombat, splitLoot, createRoundLog, fireAtEnemy } from '../../game/combat.js';
+import { createRng } from '../../game/random.js';
 
 // Ship and defense definitions (subset for testing)
 const SHIPS = {
@@ -320,3 +322,139 @@ describe('Combat Rounds', () => {
     assert.equal(unit.currentShield, 100);
   });
 });
+
+describe('Moon Chance', () => {
+  it('should be 1% per 100k debris', () => {
+    assert.equal(calculateMoonChance({ metal: 60000, crystal: 40000 }), 1);
+    assert.equal(calculateMoonChance({ metal: 99999, crystal: 0 }), 0);
+  });
+
+  it('should cap at 20%', () => {
+    assert.equal(calculateMoonChance({ metal: 5000000, crystal: 5000000 }), 20);
+  });
+
+  it('should give bigger moons for bigger chances', () => {
+    const small = calculateMoonDiameter(1, () => 0.5);
+    const large = calculateMoonDiameter(20, () => 0.5);
+    assert.ok(large > small);
+    assert.equal(calculateMoonDiameter(20, () => 0), Math.floor(Math.sqrt(70) * 1000));
+  });
+});
+
+describe('Combined Attacks (ACS)', () => {
+  it('should report survivors per attacking fleet', () => {
+    const fleets = [
+      { id: 'f1', ownerId: 'a1', ships: { smallCargo: 2 } },
+      { id: 'f2', ownerId: 'a2', ships: { largeCargo: 1, lightFighter: 3 } }
+    ];
+    const result = resolveCombat(fleets, { ships: {}, defense: {} }, [{ tech: {} }, { tech: {} }], { tech: {} });
+    assert.equal(result.winner, 'attacker');
+    assert.deepEqual(result.survivingAttackers, { smallCargo: 2, largeCargo: 1, lightFighter: 3 });
+    assert.deepEqual(result.attackerParticipants.map(p => p.fleetId), ['f1', 'f2']);
+    assert.deepEqual(result.attackerParticipants[1].survivors, { largeCargo: 1, lightFighter: 3 });
+  });
+
+  it('should split losses between fleets', () => {
+    const fleets = [
+      { id: 'f1', ownerId: 'a1', ships: { lightFighter: 5 } },
+      { id: 'f2', ownerId: 'a2', ships: { lightFighter: 5 } }
+    ];
+    const result = resolveCombat(fleets, { ships: {}, defense: { plasmaTurret: 20 } }, [{ tech: {} }, { tech: {} }], { tech: {} });
+    const lost = result.attackerParticipants.reduce((sum, p) => sum + (p.losses.lightFighter || 0), 0);
+    assert.equal(lost, result.attackerLosses.lightFighter || 0);
+  });
+
+  it('should split loot by surviving cargo capacity', () => {
+    const shares = splitLoot({ metal: 30000, crystal: 0, deuterium: 0 }, [
+      { survivors: { smallCargo: 1 } },
+      { survivors: { smallCargo: 2 } }
+    ]);
+    assert.deepEqual(shares.map(s => s.metal), [10000, 20000]);
+  });
+
+  it('should hand out the rounding remainder without overfilling any hold', () => {
+    const shares = splitLoot({ metal: 10, crystal: 0, deuterium: 0 }, [
+      { survivors: { smallCargo: 1 } },
+      { survivors: { smallCargo: 1 } },
+      { survivors: { largeCargo: 1 } }
+    ]);
+    assert.equal(shares.reduce((sum, s) => sum + s.metal, 0), 10);
+    assert.ok(shares[2].metal >= shares[0].metal);
+
+    // Full holds: 5000 + 5000 capacity, odd split must not push either fleet over
+    const full = splitLoot({ metal: 3333, crystal: 3333, deuterium: 3334 }, [
+      { survivors: { smallCargo: 1 } },
+      { survivors: { smallCargo: 1 } }
+    ]);
+    for (const share of full) {
+      assert.ok(share.metal + share.crystal + share.deuterium <= 5000);
+    }
+  });
+
+  it('should give nothing to destroyed fleets', () => {
+    const shares = splitLoot({ metal: 500, crystal: 0, deuterium: 0 }, [
+      { survivors: {} },
+      { survivors: { smallCargo: 1 } }
+    ]);
+    assert.equal(shares[0].metal, 0);
+    assert.equal(shares[1].metal, 500);
+  });
+});
+
+describe('Allied Defenders (ACS Defend)', () => {
+  it('should fight alongside the planet with separate loss accounting', () => {
+    const attacker = { id: 'f1', ownerId: 'a1', ships: { lightFighter: 1 } };
+    const support = [{ id: 'f2', ownerId: 'ally', ships: { battleship: 5 } }];
+    const result = resolveCombat(attacker, { ships: {}, defense: {} }, { tech: {} }, { tech: {} }, support, [{ tech: {} }]);
+    assert.equal(result.winner, 'defender');
+    assert.deepEqual(result.survivingDefenders, {});
+    assert.deepEqual(result.defenderParticipants[0].survivors, { battleship: 5 });
+    assert.deepEqual(result.defenderParticipants[0].losses, {});
+  });
+
+  it('should report no support participants without holding fleets', () => {
+    const result = resolveCombat({ ships: { lightFighter: 1 } }, { ships: { lightFighter: 1 }, defense: {} }, { tech: {} }, { tech: {} });
+    assert.deepEqual(result.defenderParticipants, []);
+  });
+});
+
+describe('Battle Log', () => {
+  it('should record shots, shield absorption and kills per round', () => {
+    const result = resolveCombat({ ships: { battleship: 5 } }, { ships: { battleship: 3 }, defense: {} }, { tech: {} }, { tech: {} });
+    const first = result.battleLog[0];
+    assert.equal(first.round, 1);
+    assert.ok(first.attacker.shots >= 5);
+    assert.ok(first.attacker.shieldAbsorbed > 0);
+    const kills = first.fire.filter(f => f.side === 'attacker').reduce((sum, f) => sum + f.kills, 0);
+    assert.equal(kills, first.destroyed.defender.battleship || 0);
+  });
+
+  it('should count rapidfire follow-up shots in the chain', () => {
+    // Weak shots never destroy the target, so the chain only ends when rapidfire fails
+    const shooter = { side: 'attacker', type: 'cruiser', attack: 1, rapidfire: { lightFighter: 2 } };
+    const targets = [{ side: 'defender', type: 'lightFighter', currentShield: 0, currentHull: 4000, initialHull: 4000, destroyed: false }];
+    const roundLog = createRoundLog();
+    fireAtEnemy(shooter, targets, roundLog);
+    assert.ok(roundLog.attacker.shots >= 1);
+    assert.equal(roundLog.attacker.rapidfireShots, roundLog.attacker.shots - 1);
+    assert.equal(roundLog.attacker.longestRapidfireChain, roundLog.attacker.shots - 1);
+  });
+});
+
+describe('Seeded Combat', () => {
+  const fight = seed => resolveCombat(
+    { ships: { lightFighter: 40, cruiser: 5 } },
+    { ships: { lightFighter: 30 }, defense: { rocketLauncher: 20 } },
+    { tech: {} }, { tech: {} }, [], [], createRng(seed)
+  );
+
+  it('should reproduce the exact battle for the same seed', () => {
+    const a = fight(99);
+    const b = fight(99);
+    assert.equal(a.winner, b.winner);
+    assert.equal(a.rounds, b.rounds);
+    assert.deepEqual(a.attackerLosses, b.attackerLosses);
+    assert.deepEqual(a.defenderDefenseLosses, b.defenderDefenseLosses);
+    assert.deepEqual(a.battleLog, b.battleLog);
+  });
+});
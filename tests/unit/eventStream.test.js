@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the Server-Sent Events stream
+ * Tests frame formatting, Last-Event-ID parsing, and replay/live ordering
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatEvent, parseLastEventId, openStream, closeStream, markReady, pushEvent, eventStreamConfig } from '../../eventStream.js';
+
+function fakeResponse() {
+  const chunks = [];
+  return { chunks, write(chunk) { chunks.push(chunk); } };
+}
+
+// Event ids written to a fake response, in order
+function writtenIds(res) {
+  return res.chunks.map(chunk => chunk.match(/^id: (\d+)$/m)).filter(Boolean).map(m => Number(m[1]));
+}
+
+describe('SSE Frames', () => {
+  it('should format id, event and JSON data', () => {
+    assert.equal(
+      formatEvent({ id: 7, event: 'battleReport', data: { reportId: 'b1' } }),
+      'id: 7\nevent: battleReport\ndata: {"reportId":"b1"}\n\n'
+    );
+  });
+
+  it('should format comments', () => {
+    assert.equal(formatEvent({ comment: 'ping' }), ': ping\n\n');
+  });
+});
+
+describe('Last-Event-ID', () => {
+  it('should accept non-negative integers', () => {
+    assert.equal(parseLastEventId('0'), 0);
+    assert.equal(parseLastEventId('1234'), 1234);
+  });
+
+  it('should ignore anything else', () => {
+    assert.equal(parseLastEventId(undefined), null);
+    assert.equal(parseLastEventId('-1'), null);
+    assert.equal(parseLastEventId('12abc'), null);
+    assert.equal(parseLastEventId(''), null);
+  });
+});
+
+describe('Event Streams', () => {
+  const entry = id => ({ id, event: 'fleetReturned', data: { id } });
+
+  it('should hold live events until the replay is sent', () => {
+    const res = fakeResponse();
+    const stream = openStream('agentA', res);
+    pushEvent('agentA', entry(5));
+    assert.deepEqual(writtenIds(res), []);
+
+    markReady(stream, [entry(3), entry(4)]);
+    pushEvent('agentA', entry(6));
+    assert.deepEqual(writtenIds(res), [3, 4, 5, 6]);
+    closeStream('agentA', stream);
+  });
+
+  it('should not send an event twice when replay and live overlap', () => {
+    const res = fakeResponse();
+    const stream = openStream('agentB', res);
+    pushEvent('agentB', entry(4));
+    markReady(stream, [entry(3), entry(4)]);
+    assert.deepEqual(writtenIds(res), [3, 4]);
+    closeStream('agentB', stream);
+  });
+
+  it('should only deliver to the agent\'s own streams', () => {
+    const res = fakeResponse();
+    const stream = openStream('agentC', res);
+    markReady(stream, []);
+    pushEvent('someoneElse', entry(1));
+    assert.deepEqual(writtenIds(res), []);
+    closeStream('agentC', stream);
+  });
+
+  it('should limit open streams per agent', () => {
+    const opened = [];
+    for (let i = 0; i < eventStreamConfig.maxStreamsPerAgent; i++) {
+      opened.push(openStream('agentD', fakeResponse()));
+    }
+    assert.equal(openStream('agentD', fakeResponse()), null);
+    opened.forEach(stream => closeStream('agentD', stream));
+    const reopened = openStream('agentD', fakeResponse());
+    assert.ok(reopened);
+    closeStream('agentD', reopened);
+  });
+});
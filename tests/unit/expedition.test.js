@@ -0,0 +1,121 @@
+/**
+ * Unit tests for expedition outcomes
+ * Tests outcome weighting, find bonuses, cargo limits, and ambush generation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EXPEDITION_OUTCOMES,
+  EXPEDITION_FIND_CAP,
+  getExpeditionPoints,
+  getExpeditionFindMultiplier,
+  rollExpeditionOutcome,
+  resolveExpedition
+} from '../../game/expedition.js';
+
+// Returns the given values in order, then repeats the last one
+function sequenceRng(...values) {
+  let i = 0;
+  return () => values[Math.min(i++, values.length - 1)];
+}
+
+// Roll value that lands at the start of an outcome's weight band
+function rollFor(outcome) {
+  const entries = Object.entries(EXPEDITION_OUTCOMES);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  let offset = 0;
+  for (const [key, weight] of entries) {
+    if (key === outcome) return offset / total;
+    offset += weight;
+  }
+  throw new Error(`Unknown outcome ${outcome}`);
+}
+
+describe('Expedition Points', () => {
+  it('should count metal and crystal value in thousands', () => {
+    // largeCargo: 6000 metal + 6000 crystal
+    assert.equal(getExpeditionPoints({ largeCargo: 10 }), 120);
+  });
+
+  it('should ignore unknown ship types', () => {
+    assert.equal(getExpeditionPoints({ notAShip: 5 }), 0);
+  });
+});
+
+describe('Find Multiplier', () => {
+  it('should be 1 without pathfinders or officer bonus', () => {
+    assert.equal(getExpeditionFindMultiplier({ largeCargo: 5 }, 0), 1);
+  });
+
+  it('should cap the pathfinder bonus at +50%', () => {
+    assert.equal(getExpeditionFindMultiplier({ pathfinder: 100 }, 0), 1.5);
+  });
+
+  it('should stack the Scientist bonus multiplicatively', () => {
+    assert.ok(Math.abs(getExpeditionFindMultiplier({ pathfinder: 2 }, 0.1) - 1.1 * 1.1) < 1e-9);
+  });
+});
+
+describe('Outcome Roll', () => {
+  it('should map every weight band to its outcome', () => {
+    for (const outcome of Object.keys(EXPEDITION_OUTCOMES)) {
+      assert.equal(rollExpeditionOutcome(() => rollFor(outcome)), outcome);
+    }
+  });
+
+  it('should fall back to the last outcome on a roll of 1', () => {
+    const keys = Object.keys(EXPEDITION_OUTCOMES);
+    assert.equal(rollExpeditionOutcome(() => 0.9999999999), keys[keys.length - 1]);
+  });
+});
+
+describe('Expedition Resolution', () => {
+  it('should limit resource finds by free cargo', () => {
+    const result = resolveExpedition({ largeCargo: 100 }, {
+      freeCargo: 1234,
+      rng: sequenceRng(rollFor('resources'), 0.5, 0)
+    });
+    assert.equal(result.outcome, 'resources');
+    assert.equal(result.resources.metal, 1234);
+    assert.equal(result.resources.crystal, 0);
+  });
+
+  it('should never exceed the find cap', () => {
+    const result = resolveExpedition({ deathstar: 100 }, {
+      rng: sequenceRng(rollFor('resources'), 0.99, 0.95)
+    });
+    assert.equal(result.resources.deuterium, EXPEDITION_FIND_CAP);
+  });
+
+  it('should find more resources with the Scientist bonus', () => {
+    const rng = () => sequenceRng(rollFor('resources'), 0.5, 0);
+    const base = resolveExpedition({ largeCargo: 10 }, { rng: rng() });
+    const boosted = resolveExpedition({ largeCargo: 10 }, { expeditionBonus: 0.1, rng: rng() });
+    assert.ok(boosted.resources.metal > base.resources.metal);
+  });
+
+  it('should build an ambush fleet from armed ships only', () => {
+    const result = resolveExpedition({ cruiser: 10, espionageProbe: 20 }, {
+      tech: { weaponsTech: 1, shieldingTech: 5, armourTech: 3 },
+      rng: sequenceRng(rollFor('pirates'), 0.5)
+    });
+    assert.equal(result.outcome, 'pirates');
+    assert.deepEqual(Object.keys(result.enemy.ships), ['cruiser']);
+    assert.deepEqual(result.enemy.tech, { weaponsTech: 0, shieldingTech: 3, armourTech: 1 });
+  });
+
+  it('should give aliens better tech than the explorer', () => {
+    const result = resolveExpedition({ lightFighter: 10 }, {
+      tech: { weaponsTech: 4 },
+      rng: sequenceRng(rollFor('aliens'), 0.5)
+    });
+    assert.equal(result.enemy.tech.weaponsTech, 6);
+  });
+
+  it('should return a delay factor between 1.5x and 3x', () => {
+    const result = resolveExpedition({ smallCargo: 1 }, { rng: sequenceRng(rollFor('delay'), 0.99) });
+    assert.equal(result.outcome, 'delay');
+    assert.equal(result.delayFactor, 3);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for incoming fleet intel
+ * Tests hostile fleet detection, the espionage-dependent size estimate and the Overseer fleet overview
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isHostileFleet, estimateFleetSize, ESPIONAGE_TECH_THRESHOLDS, getOverviewGalaxies, isInOverview } from '../../game/intel.js';
+
+describe('Hostile Fleets', () => {
+  const target = { id: 'p2', ownerId: 'bob' };
+
+  it('should flag attacks and espionage against another agent', () => {
+    assert.ok(isHostileFleet({ ownerId: 'alice', mission: 'attack', returning: false }, target));
+    assert.ok(isHostileFleet({ ownerId: 'alice', mission: 'acsAttack', returning: false }, target));
+    assert.ok(isHostileFleet({ ownerId: 'alice', mission: 'espionage', returning: false }, target));
+  });
+
+  it('should ignore peaceful missions and returning fleets', () => {
+    assert.ok(!isHostileFleet({ ownerId: 'alice', mission: 'transport', returning: false }, target));
+    assert.ok(!isHostileFleet({ ownerId: 'alice', mission: 'attack', returning: true }, target));
+  });
+
+  it('should ignore the agent\'s own and unowned planets', () => {
+    assert.ok(!isHostileFleet({ ownerId: 'bob', mission: 'attack', returning: false }, target));
+    assert.ok(!isHostileFleet({ ownerId: 'alice', mission: 'attack', returning: false }, { id: 'p3', ownerId: null }));
+    assert.ok(!isHostileFleet({ ownerId: 'alice', mission: 'attack', returning: false }, null));
+  });
+});
+
+describe('Fleet Size Estimate', () => {
+  const ships = { lightFighter: 30, cruiser: 7, smallCargo: 0 };
+
+  it('should only give the order of magnitude without espionage', () => {
+    assert.deepEqual(estimateFleetSize(ships, 0), { detail: 'magnitude', min: 10, max: 99 });
+    assert.deepEqual(estimateFleetSize({ espionageProbe: 1 }, 1), { detail: 'magnitude', min: 1, max: 9 });
+    assert.deepEqual(estimateFleetSize({ battleship: 1000 }, 0), { detail: 'magnitude', min: 1000, max: 9999 });
+  });
+
+  it('should give the exact ship count', () => {
+    assert.deepEqual(estimateFleetSize(ships, ESPIONAGE_TECH_THRESHOLDS.count), { detail: 'count', totalShips: 37 });
+  });
+
+  it('should name the ship types present', () => {
+    assert.deepEqual(estimateFleetSize(ships, ESPIONAGE_TECH_THRESHOLDS.types), { detail: 'types', totalShips: 37, shipTypes: ['cruiser', 'lightFighter'] });
+  });
+
+  it('should reveal the full composition at high levels', () => {
+    assert.deepEqual(estimateFleetSize(ships, ESPIONAGE_TECH_THRESHOLDS.full + 3), { detail: 'full', totalShips: 37, ships: { lightFighter: 30, cruiser: 7 } });
+  });
+});
+
+describe('Fleet Overview', () => {
+  const NOW = 1_000_000;
+  const positions = [{ galaxy: 1, system: 10, position: 4 }, { galaxy: 3, system: 200, position: 7 }];
+
+  it('should cover no galaxies without Overseer', () => {
+    assert.equal(getOverviewGalaxies({}, positions, NOW).size, 0);
+    assert.equal(getOverviewGalaxies({ officers: { overseer: { expiresAt: NOW - 1 } } }, positions, NOW).size, 0);
+  });
+
+  it('should cover the galaxies an Overseer holder has planets in', () => {
+    const galaxies = getOverviewGalaxies({ officers: { overseer: { expiresAt: NOW + 1000 } } }, positions, NOW);
+    assert.deepEqual([...galaxies].sort(), [1, 3]);
+    assert.ok(isInOverview({ galaxy: 2 }, { galaxy: 3 }, galaxies));
+    assert.ok(isInOverview({ galaxy: 1 }, null, galaxies));
+    assert.ok(!isInOverview({ galaxy: 2 }, { galaxy: 4 }, galaxies));
+  });
+});
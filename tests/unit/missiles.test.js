@@ -0,0 +1,76 @@
+/**
+ * Unit tests for interplanetary missiles
+ * Tests range, silo capacity, ABM interception, and defense targeting
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SILO_SLOTS_PER_LEVEL,
+  getMissileRange,
+  getMissileFlightTime,
+  getSiloCapacity,
+  getSiloUsage,
+  resolveMissileStrike
+} from '../../game/missiles.js';
+
+describe('Missile Range', () => {
+  it('should be out of range without Impulse Drive', () => {
+    assert.equal(getMissileRange(0), -1);
+  });
+
+  it('should grow by 5 systems per Impulse Drive level', () => {
+    assert.equal(getMissileRange(1), 4);
+    assert.equal(getMissileRange(6), 29);
+  });
+
+  it('should take longer to reach distant systems', () => {
+    assert.ok(getMissileFlightTime(10) > getMissileFlightTime(1));
+    assert.equal(getMissileFlightTime(0, 10), 10);
+  });
+});
+
+describe('Missile Silo', () => {
+  it('should hold 10 slots per level', () => {
+    assert.equal(getSiloCapacity(3), 3 * SILO_SLOTS_PER_LEVEL);
+    assert.equal(getSiloCapacity(undefined), 0);
+  });
+
+  it('should count IPMs as two slots and ABMs as one, including queued missiles', () => {
+    const used = getSiloUsage(
+      { antiBallisticMissile: 3, interplanetaryMissile: 2, rocketLauncher: 50 },
+      [{ defense: 'interplanetaryMissile', count: 1, isDefense: true }, { ship: 'lightFighter', count: 5 }]
+    );
+    assert.equal(used, 3 + 4 + 2);
+  });
+});
+
+describe('Missile Strike', () => {
+  it('should be intercepted one-for-one by ABMs', () => {
+    const strike = resolveMissileStrike(3, { antiBallisticMissile: 5, rocketLauncher: 10 });
+    assert.equal(strike.intercepted, 3);
+    assert.equal(strike.impacted, 0);
+    assert.deepEqual(strike.destroyed, { antiBallisticMissile: 3 });
+  });
+
+  it('should hit the primary target first', () => {
+    // One missile: 12000 damage, heavy laser hull 8000, rocket launcher hull 2000
+    const strike = resolveMissileStrike(1, { rocketLauncher: 10, heavyLaser: 2 }, { primaryTarget: 'heavyLaser' });
+    assert.equal(strike.destroyed.heavyLaser, 1);
+    assert.equal(strike.destroyed.rocketLauncher, 2);
+  });
+
+  it('should scale damage with weapons and hull with armour', () => {
+    const base = resolveMissileStrike(1, { rocketLauncher: 100 });
+    const armed = resolveMissileStrike(1, { rocketLauncher: 100 }, { attackerTech: { weaponsTech: 10 } });
+    const armoured = resolveMissileStrike(1, { rocketLauncher: 100 }, { defenderTech: { armourTech: 10 } });
+    assert.equal(base.destroyed.rocketLauncher, 6);
+    assert.equal(armed.destroyed.rocketLauncher, 12);
+    assert.equal(armoured.destroyed.rocketLauncher, 3);
+  });
+
+  it('should never destroy stored missiles by impact', () => {
+    const strike = resolveMissileStrike(10, { interplanetaryMissile: 5 });
+    assert.deepEqual(strike.destroyed, {});
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the modifier engine
+ * Tests tech, officer and booster contributions, expiry, and source breakdowns
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODIFIERS, getModifiers, getModifierBreakdown, getModifierExpiries } from '../../game/modifiers.js';
+import { calculateProduction, getResearchTime, checkBuildQueue } from '../../game/formulas.js';
+import { getCombatStats, rebuildDefenses } from '../../game/combat.js';
+
+const NOW = 1_000_000;
+const active = { expiresAt: NOW + 1000 };
+const expired = { expiresAt: NOW - 1 };
+
+describe('Modifier Values', () => {
+  it('should return base values for an agent with nothing', () => {
+    const modifiers = getModifiers(null, NOW);
+    for (const [name, def] of Object.entries(MODIFIERS)) {
+      assert.equal(modifiers[name], def.base);
+    }
+  });
+
+  it('should add tech levels', () => {
+    const modifiers = getModifiers({ tech: { weaponsTech: 3, computerTech: 4, hyperspaceDrive: 2 } }, NOW);
+    assert.equal(modifiers.weapons, 1 + 3 * 0.1);
+    assert.equal(modifiers.fleetSlots, 6);
+    assert.equal(modifiers.hyperspaceSpeed, 1.6);
+  });
+
+  it('should apply every officer bonus', () => {
+    const modifiers = getModifiers({
+      officers: { overseer: active, fleetAdmiral: active, chiefEngineer: active, scientist: active }
+    }, NOW);
+    assert.equal(modifiers.buildQueueSlots, 3);
+    assert.equal(modifiers.fleetOverview, true);
+    assert.equal(modifiers.fleetSlots, 4);
+    assert.equal(modifiers.combustionSpeed, 1.1);
+    assert.equal(modifiers.defenseRebuild, 0.85);
+    assert.equal(modifiers.energyProduction, 1.1);
+    assert.equal(modifiers.shipyardSpeed, 1.1);
+    assert.equal(modifiers.researchSpeed, 1.25);
+    assert.equal(modifiers.expeditionBonus, 0.1);
+  });
+
+  it('should multiply boosters on top of officer bonuses', () => {
+    const modifiers = getModifiers({
+      officers: { prospector: active },
+      boosters: { metalRush: active, allResourcesBoost: active }
+    }, NOW);
+    assert.ok(Math.abs(modifiers.metalProduction - 1.1 * 1.5 * 1.3) < 1e-9);
+    assert.ok(Math.abs(modifiers.crystalProduction - 1.1 * 1.3) < 1e-9);
+  });
+
+  it('should ignore expired officers and boosters', () => {
+    const modifiers = getModifiers({ officers: { scientist: expired }, boosters: { metalRush: expired } }, NOW);
+    assert.equal(modifiers.researchSpeed, 1);
+    assert.equal(modifiers.metalProduction, 1);
+  });
+});
+
+describe('Modifier Breakdown', () => {
+  it('should list each contributing source', () => {
+    const breakdown = getModifierBreakdown({
+      tech: { combustionDrive: 2 },
+      officers: { fleetAdmiral: active }
+    }, NOW);
+    const sources = breakdown.combustionSpeed.sources;
+    assert.deepEqual(sources.map(s => `${s.type}:${s.id}`), ['tech:combustionDrive', 'officer:fleetAdmiral']);
+    assert.equal(breakdown.combustionSpeed.base, 1);
+    assert.ok(Math.abs(breakdown.combustionSpeed.value - 1.3) < 1e-9);
+  });
+});
+
+describe('Modifier Expiries', () => {
+  it('should list officer and booster expiries inside the interval', () => {
+    const agent = {
+      officers: { scientist: { expiresAt: NOW + 500 }, geologist: { expiresAt: NOW + 5000 } },
+      boosters: { metalRush: { expiresAt: NOW + 200 }, crystalSurge: { expiresAt: NOW + 500 } }
+    };
+    assert.deepEqual(getModifierExpiries(agent, NOW, NOW + 1000), [NOW + 200, NOW + 500]);
+  });
+
+  it('should skip expiries at or outside the interval ends', () => {
+    const agent = { boosters: { metalRush: { expiresAt: NOW }, crystalSurge: { expiresAt: NOW + 1000 } } };
+    assert.deepEqual(getModifierExpiries(agent, NOW, NOW + 1000), []);
+    assert.deepEqual(getModifierExpiries(null, NOW, NOW + 1000), []);
+  });
+});
+
+describe('Modifier Consumers', () => {
+  const future = { expiresAt: Date.now() + 60000 };
+
+  it('should boost mine output and energy', () => {
+    const planet = {
+      buildings: { metalMine: 10, solarPlant: 15 },
+      resources: { metal: 0, crystal: 0, deuterium: 0 },
+      temperature: { max: 50 }
+    };
+    const base = calculateProduction(planet);
+    const boosted = calculateProduction(planet, { boosters: { metalRush: future }, officers: { chiefEngineer: future } });
+    assert.ok(Math.abs(boosted.metal - base.metal * 1.5) < 1e-9);
+    assert.ok(boosted.energyProduced > base.energyProduced);
+  });
+
+  it('should shorten research with the research speed modifier', () => {
+    const cost = { metal: 100000, crystal: 100000 };
+    assert.ok(getResearchTime(cost, 1, 0, 1.25) < getResearchTime(cost, 1, 0));
+  });
+
+  it('should scale combat stats with combat tech', () => {
+    assert.equal(getCombatStats('lightFighter', false, { tech: { weaponsTech: 10 } }).attack, 100);
+  });
+
+  it('should rebuild more defenses with Chief Engineer', () => {
+    const roll = () => 0.8;
+    const planet = () => ({ defense: {} });
+    assert.deepEqual(rebuildDefenses(planet(), { rocketLauncher: 10 }, roll), {});
+    assert.deepEqual(rebuildDefenses(planet(), { rocketLauncher: 10 }, roll, { officers: { chiefEngineer: future } }), { rocketLauncher: 10 });
+  });
+
+  it('should report a full build queue with an Overseer hint', () => {
+    const queued = { building: 'metalMine', completesAt: NOW + 5000 };
+    const planet = { buildQueue: [queued] };
+    const full = checkBuildQueue(planet, {}, NOW);
+    assert.equal(full.message, 'Build queue full (1/1)');
+    assert.deepEqual(full.details, {
+      queue: [queued],
+      maxQueueSize: 1,
+      currentQueueSize: 1,
+      completesAt: NOW + 5000,
+      remainingMs: 5000,
+      hint: 'Hire Overseer officer for +2 queue slots'
+    });
+  });
+
+  it('should add queue slots with Overseer', () => {
+    const agent = { officers: { overseer: active } };
+    assert.equal(checkBuildQueue({ buildQueue: [{}] }, agent, NOW), null);
+    const full = checkBuildQueue({ buildQueue: [{}, {}, {}] }, agent, NOW);
+    assert.equal(full.details.maxQueueSize, 3);
+    assert.equal(full.details.hint, null);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for auth challenges
+ * Tests one-time nonces and request-bound signatures over HTTP and WebSocket
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import bs58 from 'bs58';
+import { issueNonce, consumeNonce, isNonce, hashBody, challengeMessage, getNonceStats, nonceConfig } from '../../nonces.js';
+import { requireAuth } from '../../auth.js';
+import { authenticateWS } from '../../wsAuth.js';
+
+const keypair = nacl.sign.keyPair();
+const wallet = bs58.encode(keypair.publicKey);
+
+function sign(message) {
+  return bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), keypair.secretKey));
+}
+
+// Header answering a fresh challenge for one request
+function challengeHeader(method, path, body = '') {
+  const { nonce } = issueNonce();
+  return `${wallet}:${sign(challengeMessage({ nonce, method, path, bodyHash: hashBody(body) }))}:${nonce}`;
+}
+
+// Run requireAuth and report whether it passed or what it sent
+async function run({ method = 'POST', path = '/api/build', body = '', header }) {
+  let result = { passed: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(data) { result.body = data; return this; },
+  };
+  const req = {
+    method,
+    originalUrl: path,
+    headers: { 'x-solana-auth': header },
+    body: body ? JSON.parse(body) : {},
+    rawBody: body ? Buffer.from(body) : undefined,
+  };
+  await requireAuth(req, res, () => { result.passed = true; result.wallet = req.walletAddress; });
+  return result;
+}
+
+describe('Nonces', () => {
+  it('should accept a nonce once', () => {
+    const { nonce } = issueNonce();
+    assert.ok(isNonce(nonce));
+    assert.equal(consumeNonce(nonce), 'ok');
+    assert.equal(consumeNonce(nonce), 'used');
+  });
+
+  it('should reject nonces it never issued', () => {
+    assert.equal(consumeNonce('n_AAAAAAAAAAAAAAAAAAAAAAAA'), 'unknown');
+  });
+
+  it('should reject expired nonces', () => {
+    const now = Date.now();
+    const { nonce, expiresAt } = issueNonce('10.0.0.1', now);
+    assert.equal(expiresAt, now + nonceConfig.ttlMs);
+    assert.ok(['expired', 'unknown'].includes(consumeNonce(nonce, expiresAt)));
+  });
+
+  it('should not let one client\'s flood evict another client\'s nonce', () => {
+    const { nonce } = issueNonce('10.0.0.2');
+    const first = issueNonce('10.0.0.3').nonce;
+    for (let i = 0; i < nonceConfig.maxPerClient * 3; i++) issueNonce('10.0.0.3');
+    assert.equal(consumeNonce(first), 'unknown'); // Dropped to make room for its own
+    assert.equal(consumeNonce(nonce), 'ok');
+  });
+
+  it('should evict from the largest holders when full', () => {
+    const { nonce } = issueNonce('10.0.0.2');
+    const { maxOutstanding } = nonceConfig;
+    // Many addresses flooding together fill the store
+    for (let i = 0; i < 20; i++) {
+      for (let j = 0; j < 5; j++) issueNonce(`10.1.0.${i}`);
+    }
+    nonceConfig.maxOutstanding = getNonceStats().outstanding;
+    const players = [];
+    try {
+      for (let i = 0; i < 50; i++) players.push(issueNonce(`10.2.0.${i}`).nonce);
+      assert.equal(getNonceStats().outstanding, nonceConfig.maxOutstanding);
+    } finally {
+      nonceConfig.maxOutstanding = maxOutstanding;
+    }
+    // Clients holding a single challenge are never the largest holder
+    assert.equal(consumeNonce(nonce), 'ok');
+    assert.ok(players.every(player => consumeNonce(player) === 'ok'));
+  });
+
+  it('should not mistake timestamps for nonces', () => {
+    assert.equal(isNonce(String(Date.now())), false);
+  });
+
+  it('should bind the message to method, path and body', () => {
+    assert.equal(
+      challengeMessage({ nonce: 'n_x', method: 'post', path: '/api/build?x=1', bodyHash: hashBody() }),
+      'molt-of-empires:n_x:POST:/api/build?x=1:e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    );
+  });
+});
+
+describe('Signed Requests', () => {
+  const body = '{"planetId":"1:1:1","building":"metalMine"}';
+
+  it('should accept a request signed for its challenge', async () => {
+    const result = await run({ body, header: challengeHeader('POST', '/api/build', body) });
+    assert.ok(result.passed);
+    assert.equal(result.wallet, wallet);
+  });
+
+  it('should reject a replayed header', async () => {
+    const header = challengeHeader('POST', '/api/build', body);
+    assert.ok((await run({ body, header })).passed);
+    const replay = await run({ body, header });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.error, 'Challenge already used');
+  });
+
+  it('should reject a signature for another path or body', async () => {
+    assert.equal((await run({ body, path: '/api/research', header: challengeHeader('POST', '/api/build', body) })).status, 401);
+    const other = '{"planetId":"1:1:1","building":"crystalMine"}';
+    const result = await run({ body: other, header: challengeHeader('POST', '/api/build', body) });
+    assert.equal(result.body.error, 'Invalid signature');
+  });
+
+  it('should keep a nonce usable after a bad signature for it', async () => {
+    const { nonce } = issueNonce();
+    const forged = `${wallet}:${sign('something else')}:${nonce}`;
+    assert.equal((await run({ body, header: forged })).status, 401);
+    const signed = `${wallet}:${sign(challengeMessage({ nonce, method: 'POST', path: '/api/build', bodyHash: hashBody(body) }))}:${nonce}`;
+    assert.ok((await run({ body, header: signed })).passed);
+  });
+
+  it('should only accept legacy session headers for reads', async () => {
+    const timestamp = Date.now();
+    const header = `${wallet}:${sign(`molt-of-empires:${timestamp}`)}:${timestamp}`;
+    assert.ok((await run({ method: 'GET', path: '/api/keys', header })).passed);
+    const write = await run({ body, header });
+    assert.equal(write.status, 401);
+    assert.equal(write.body.error, 'Signed challenge required');
+  });
+
+  it('should expire legacy session headers after an hour', async () => {
+    const timestamp = Date.now() - 61 * 60 * 1000;
+    const header = `${wallet}:${sign(`molt-of-empires:${timestamp}`)}:${timestamp}`;
+    const read = await run({ method: 'GET', path: '/api/keys', header });
+    assert.equal(read.status, 401);
+    assert.equal(read.body.error, 'Timestamp expired or invalid');
+  });
+});
+
+describe('WebSocket Auth', () => {
+  function wsHeader() {
+    const { nonce } = issueNonce();
+    return `${wallet}:${sign(challengeMessage({ nonce, method: 'WS', path: '/', bodyHash: hashBody() }))}:${nonce}`;
+  }
+
+  it('should accept a challenge signed for WebSocket auth once', () => {
+    const header = wsHeader();
+    assert.deepEqual(authenticateWS(header), { success: true, wallet });
+    assert.equal(authenticateWS(header).error, 'Challenge already used');
+  });
+
+  it('should reject a challenge signed for an HTTP request', () => {
+    assert.equal(authenticateWS(challengeHeader('GET', '/')).error, 'Invalid signature');
+  });
+
+  it('should reject legacy timestamp auth', () => {
+    const timestamp = Date.now();
+    const result = authenticateWS(`${wallet}:${sign(`molt-of-empires:${timestamp}`)}:${timestamp}`);
+    assert.equal(result.success, false);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for incremental persistence
+ * Tests change tracking, row fingerprints, and serialized flushes
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrackedMap, trackTable, flushState, getPersistenceStats, persistenceConfig } from '../../persistence.js';
+import { initDatabase, dbRun, dbAll } from '../../db.js';
+
+// Collect and commit in one step, as a successful flush would
+function flush(map, now = Date.now()) {
+  const changes = map.collectChanges();
+  map.commitChanges(changes, now - persistenceConfig.touchTtlMs);
+  return changes;
+}
+
+describe('Change Tracking', () => {
+  it('should write new entries once', () => {
+    const map = new TrackedMap();
+    map.set('a', { metal: 1 });
+    assert.deepEqual(flush(map).upserts.map(u => u.key), ['a']);
+    assert.equal(flush(map).upserts.length, 0);
+  });
+
+  it('should write an entry changed after a lookup', () => {
+    const map = new TrackedMap();
+    map.set('a', { metal: 1 });
+    flush(map);
+    map.get('a').metal = 2;
+    const { upserts } = flush(map);
+    assert.equal(upserts.length, 1);
+    assert.equal(upserts[0].data, '{"metal":2}');
+  });
+
+  it('should not write entries that were only read', () => {
+    const map = new TrackedMap();
+    map.restore('a', '{"metal":1}');
+    map.get('a');
+    const { upserts, checked } = flush(map);
+    assert.equal(checked, 1);
+    assert.equal(upserts.length, 0);
+  });
+
+  it('should write restored entries once they differ from the stored row', () => {
+    const map = new TrackedMap();
+    const value = map.restore('a', '{"metal":1}');
+    value.crystal = 5;
+    assert.equal(flush(map).upserts.length, 1);
+  });
+
+  it('should keep checking an entry for a while after its lookup', () => {
+    const map = new TrackedMap();
+    map.set('a', { metal: 1 });
+    const value = map.get('a');
+    flush(map);
+    value.metal = 2; // Mutated after the flush without another lookup
+    assert.equal(flush(map).upserts.length, 1);
+  });
+
+  it('should stop checking entries not touched within the ttl', () => {
+    const map = new TrackedMap();
+    map.set('a', { metal: 1 });
+    map.touch('a', Date.now() - persistenceConfig.touchTtlMs - 1000);
+    flush(map);
+    assert.equal(map.touched.size, 0);
+  });
+
+  it('should record deletions until they are flushed', () => {
+    const map = new TrackedMap();
+    map.set('a', { metal: 1 });
+    flush(map);
+    map.delete('a');
+    assert.deepEqual(flush(map).deletes, ['a']);
+    assert.deepEqual(flush(map).deletes, []);
+  });
+
+  it('should forget a deletion when the key is set again', () => {
+    const map = new TrackedMap();
+    map.set('a', { metal: 1 });
+    map.delete('a');
+    map.set('a', { metal: 2 });
+    const { upserts, deletes } = flush(map);
+    assert.deepEqual(deletes, []);
+    assert.equal(upserts.length, 1);
+  });
+});
+
+describe('Flushing', () => {
+  const fleets = new TrackedMap();
+
+  before(async () => {
+    initDatabase(':memory:');
+    await dbRun('CREATE TABLE fleets (id TEXT PRIMARY KEY, data TEXT)');
+    trackTable('fleets', fleets);
+  });
+
+  it('should write only changed rows', async () => {
+    fleets.set('f1', { ships: 1 });
+    fleets.set('f2', { ships: 2 });
+    assert.equal((await flushState()).rowsWritten, 2);
+
+    fleets.get('f2').ships = 3;
+    const result = await flushState();
+    assert.equal(result.rowsWritten, 1);
+    assert.equal(result.checked, 2);
+
+    const rows = await dbAll('SELECT * FROM fleets ORDER BY id');
+    assert.deepEqual(rows.map(r => r.data), ['{"ships":1}', '{"ships":3}']);
+  });
+
+  it('should delete removed rows', async () => {
+    fleets.delete('f1');
+    assert.equal((await flushState()).rowsDeleted, 1);
+    const rows = await dbAll('SELECT id FROM fleets');
+    assert.deepEqual(rows.map(r => r.id), ['f2']);
+  });
+
+  it('should queue flushes behind the running one and share the queued flush', async () => {
+    fleets.set('f3', { ships: 1 });
+    const first = flushState();
+    fleets.set('f4', { ships: 1 });
+    const second = flushState();
+    const third = flushState();
+    assert.notEqual(first, second);
+    assert.equal(second, third);
+
+    assert.equal((await first).rowsWritten, 1);
+    const queued = await second;
+    assert.ok(queued.at >= (await first).at);
+    assert.equal(queued.rowsWritten, 1);
+  });
+
+  it('should report flush metrics', async () => {
+    const stats = getPersistenceStats();
+    assert.ok(stats.flushes >= 4);
+    assert.ok(stats.rowsWritten >= 5);
+    assert.equal(stats.rowsDeleted, 1);
+    assert.equal(stats.flushing, false);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for the Sensor Phalanx
+ * Tests range, scan preconditions and the fleets a scan reveals
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PHALANX_SCAN_COST, getPhalanxRange, checkPhalanxScan, scanFleets } from '../../game/phalanx.js';
+
+function moon(level, deuterium = PHALANX_SCAN_COST) {
+  return {
+    id: '1:50:8:moon',
+    isMoon: true,
+    position: { galaxy: 1, system: 50, position: 8 },
+    buildings: { sensorPhalanx: level },
+    resources: { metal: 0, crystal: 0, deuterium }
+  };
+}
+
+describe('Phalanx Range', () => {
+  it('should have no range without a phalanx', () => {
+    assert.equal(getPhalanxRange(0), -1);
+  });
+
+  it('should grow with the square of the level', () => {
+    assert.equal(getPhalanxRange(1), 0);
+    assert.equal(getPhalanxRange(3), 8);
+  });
+});
+
+describe('Scan Checks', () => {
+  it('should allow a target in range', () => {
+    assert.equal(checkPhalanxScan(moon(2), { galaxy: 1, system: 53 }), null);
+  });
+
+  it('should require a phalanx on a moon', () => {
+    assert.equal(checkPhalanxScan(moon(0), { galaxy: 1, system: 50 }).message, 'No Sensor Phalanx on this planet');
+    const planet = { ...moon(3), isMoon: false };
+    assert.equal(checkPhalanxScan(planet, { galaxy: 1, system: 50 }).message, 'No Sensor Phalanx on this planet');
+  });
+
+  it('should reject targets out of range', () => {
+    const far = checkPhalanxScan(moon(2), { galaxy: 1, system: 54 });
+    assert.equal(far.message, 'Target out of phalanx range');
+    assert.deepEqual({ range: far.details.range, systemDistance: far.details.systemDistance }, { range: 3, systemDistance: 4 });
+    assert.equal(checkPhalanxScan(moon(5), { galaxy: 2, system: 50 }).details.systemDistance, null);
+  });
+
+  it('should require the deuterium for a scan', () => {
+    const poor = checkPhalanxScan(moon(2, PHALANX_SCAN_COST - 0.5), { galaxy: 1, system: 50 });
+    assert.equal(poor.message, 'Insufficient deuterium for phalanx scan');
+    assert.deepEqual(poor.details, { cost: PHALANX_SCAN_COST, available: PHALANX_SCAN_COST - 1 });
+  });
+});
+
+describe('Fleet Scan', () => {
+  const agents = new Map([['alice', { name: 'Alice' }]]);
+  const fleets = [
+    { id: 'f1', ownerId: 'alice', mission: 'attack', origin: '1:49:1', destination: '1:52:4', ships: { cruiser: 5 }, departedAt: 0, arrivesAt: 5000, returning: false },
+    { id: 'f2', ownerId: 'bob', mission: 'transport', origin: '1:52:4', destination: '1:49:1', ships: { smallCargo: 2 }, departedAt: 0, arrivesAt: 3000, returning: false },
+    { id: 'f3', ownerId: 'bob', mission: 'transport', origin: '1:10:1', destination: '1:11:1', ships: { smallCargo: 1 }, departedAt: 0, arrivesAt: 1000, returning: false }
+  ];
+
+  it('should list fleets to and from the target, soonest first', () => {
+    const found = scanFleets(fleets, '1:52:4', agents, 1000);
+    assert.deepEqual(found.map(f => [f.id, f.direction]), [['f2', 'outgoing'], ['f1', 'incoming']]);
+    assert.equal(found[1].ownerName, 'Alice');
+    assert.equal(found[1].remainingSeconds, 4);
+  });
+
+  it('should copy ship counts', () => {
+    const [found] = scanFleets(fleets, '1:52:4', agents, 1000);
+    found.ships.smallCargo = 99;
+    assert.equal(fleets[1].ships.smallCargo, 2);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for authorization policies
+ * Tests owner checks against the verified wallet and the startup route audit
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth, requireAdmin } from '../../auth.js';
+import { requireWallet, requireOwner, registerOwner, auditRoutes, getPolicy } from '../../policy.js';
+import { rateLimitMiddleware } from '../../rateLimit.js';
+
+const planets = { 'p1': 'alice', 'p2': 'bob' };
+registerOwner('planet', { field: 'planetId', lookup: id => planets[id] });
+registerOwner('agent', { field: 'agentId', lookup: id => ['alice', 'bob'].includes(id) ? id : undefined });
+
+// Run a middleware and report whether it passed or what it sent
+function run(middleware, req) {
+  let result = { passed: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+  };
+  middleware({ params: {}, body: {}, ...req }, res, () => { result.passed = true; });
+  return result;
+}
+
+describe('Owner Policies', () => {
+  it('should let the owner through', () => {
+    assert.ok(run(requireOwner('planet'), { walletAddress: 'alice', body: { planetId: 'p1' } }).passed);
+  });
+
+  it('should reject other wallets', () => {
+    const result = run(requireOwner('planet'), { walletAddress: 'alice', body: { planetId: 'p2' } });
+    assert.equal(result.status, 403);
+    assert.equal(result.body.error, 'Not your planet');
+  });
+
+  it('should read the id from the path before the body', () => {
+    const result = run(requireOwner('planet', { field: 'id' }), { walletAddress: 'alice', params: { id: 'p2' }, body: { id: 'p1' } });
+    assert.equal(result.status, 403);
+  });
+
+  it('should report missing and unknown entities', () => {
+    assert.equal(run(requireOwner('planet'), { walletAddress: 'alice' }).status, 400);
+    assert.equal(run(requireOwner('planet'), { walletAddress: 'alice', body: { planetId: 'p9' } }).status, 404);
+  });
+
+  it('should require a verified wallet', () => {
+    assert.equal(run(requireOwner('planet'), { body: { planetId: 'p1' } }).status, 401);
+    assert.equal(run(requireWallet, {}).status, 401);
+    assert.ok(run(requireWallet, { walletAddress: 'carol' }).passed);
+  });
+
+  it('should act as the wallet\'s own agent unless the path names one', () => {
+    assert.ok(run(requireOwner('agent'), { walletAddress: 'alice' }).passed);
+    assert.equal(run(requireOwner('agent'), { walletAddress: 'carol' }).status, 404);
+    assert.equal(run(requireOwner('agent'), { walletAddress: 'alice', params: { agentId: 'bob' } }).status, 403);
+  });
+});
+
+describe('API Key Scopes', () => {
+  const apiKey = { id: 'k1', agentId: 'alice', scopes: ['read', 'economy'] };
+
+  it('should let a key take actions in its scopes', () => {
+    assert.ok(run(requireOwner('planet', { scope: 'economy' }), { walletAddress: 'alice', apiKey, body: { planetId: 'p1' } }).passed);
+  });
+
+  it('should reject actions outside the key\'s scopes', () => {
+    const result = run(requireOwner('planet', { scope: 'fleet' }), { walletAddress: 'alice', apiKey, body: { planetId: 'p1' } });
+    assert.equal(result.status, 403);
+    assert.equal(result.body.scope, 'fleet');
+  });
+
+  it('should require a wallet signature for actions without a scope', () => {
+    assert.equal(run(requireOwner('agent'), { walletAddress: 'alice', apiKey }).status, 403);
+    assert.equal(run(requireWallet, { walletAddress: 'alice', apiKey }).status, 403);
+    assert.ok(run(requireOwner('agent'), { walletAddress: 'alice' }).passed);
+  });
+});
+
+describe('Route Audit', () => {
+  const handler = (req, res) => res.end();
+
+  it('should pass routes that declare a policy', () => {
+    const app = express();
+    app.get('/api/open', handler);
+    app.post('/api/build', requireAuth, rateLimitMiddleware, requireOwner('planet'), handler);
+    app.post('/api/register', requireAuth, rateLimitMiddleware, requireWallet, handler);
+    app.post('/api/admin/grant', requireAdmin, handler);
+    assert.deepEqual(auditRoutes(app), []);
+  });
+
+  it('should flag mutating routes without a policy', () => {
+    const app = express();
+    app.post('/api/build', requireAuth, handler);
+    app.delete('/api/messages/:id', handler);
+    assert.deepEqual(auditRoutes(app), ['POST /api/build: no policy', 'DELETE /api/messages/:id: no policy']);
+  });
+
+  it('should flag owner policies that do not run after requireAuth', () => {
+    const app = express();
+    app.patch('/api/planets/:id', requireOwner('planet', { field: 'id' }), requireAuth, handler);
+    assert.deepEqual(auditRoutes(app), ['PATCH /api/planets/:id: owner:planet policy without requireAuth before it']);
+  });
+
+  it('should flag signed routes without rate limiting', () => {
+    const app = express();
+    app.delete('/api/webhooks/:id', requireAuth, requireOwner('agent'), handler);
+    assert.deepEqual(auditRoutes(app), ['DELETE /api/webhooks/:id: no rateLimitMiddleware']);
+  });
+
+  it('should tag policies', () => {
+    assert.equal(getPolicy(requireOwner('planet')), 'owner:planet');
+    assert.equal(getPolicy(requireAdmin), 'admin');
+    assert.equal(getPolicy(handler), undefined);
+  });
+});
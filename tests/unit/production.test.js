@@ -1,10 +1,18 @@
 /**
  * Unit tests for resource production formulas
- * Tests metal, crystal, deuterium production and energy efficiency
+ * Tests metal, crystal, deuterium production, energy efficiency, satellites and production settings
  */
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import {
+  calculateProduction as calculatePlanetProduction,
+  accrueProduction,
+  produceBetween,
+  calculateStorageCapacity,
+  getSatelliteEnergy,
+  isValidProductionPercent
+} from '../../game/formulas.js';
 
 // Replicate production formulas from server.js for testing
 const GAME_SPEED = 10;
@@ -167,3 +175,131 @@ describe('Production Formulas', () => {
     });
   });
 });
+
+describe('Solar Satellites', () => {
+  const planet = (maxTemp, satellites) => ({
+    buildings: {},
+    ships: { solarSatellite: satellites },
+    resources: { metal: 0, crystal: 0, deuterium: 0, energy: 0 },
+    temperature: { min: maxTemp - 40, max: maxTemp }
+  });
+
+  it('should produce more energy on hotter planets', () => {
+    assert.equal(getSatelliteEnergy(40), 30);
+    assert.equal(getSatelliteEnergy(100), 40);
+    assert.equal(getSatelliteEnergy(-130), 1);
+  });
+
+  it('should add satellite energy to the planet', () => {
+    const result = calculatePlanetProduction(planet(40, 10), null);
+    assert.equal(result.energyProduced, 300);
+    assert.equal(result.breakdown.satelliteEnergy, 300);
+  });
+});
+
+describe('Production Settings', () => {
+  const planet = productionSettings => ({
+    buildings: { metalMine: 10, crystalMine: 10, solarPlant: 15, fusionReactor: 5 },
+    resources: { metal: 0, crystal: 0, deuterium: 0, energy: 0 },
+    temperature: { min: 10, max: 50 },
+    productionSettings
+  });
+
+  it('should allow 0-100% in steps of 10', () => {
+    assert.ok(isValidProductionPercent(0));
+    assert.ok(isValidProductionPercent(100));
+    assert.ok(!isValidProductionPercent(55));
+    assert.ok(!isValidProductionPercent(110));
+    assert.ok(!isValidProductionPercent('50'));
+  });
+
+  it('should default every building to 100%', () => {
+    const result = calculatePlanetProduction(planet(undefined), null);
+    assert.equal(result.breakdown.settings.metalMine, 100);
+    assert.equal(result.breakdown.settings.solarSatellite, 100);
+  });
+
+  it('should stop a mine and its energy use at 0%', () => {
+    const full = calculatePlanetProduction(planet({}), null);
+    const off = calculatePlanetProduction(planet({ metalMine: 0 }), null);
+    assert.equal(off.metal, 0);
+    assert.equal(off.breakdown.metalEnergyConsumption, 0);
+    assert.equal(off.crystal, full.crystal);
+  });
+
+  it('should scale mine output with the setting', () => {
+    const full = calculatePlanetProduction(planet({}), null);
+    const half = calculatePlanetProduction(planet({ crystalMine: 50 }), null);
+    assert.ok(Math.abs(half.crystal - full.crystal / 2) < 1e-9);
+  });
+
+  it('should scale fusion energy and fuel together', () => {
+    const full = calculatePlanetProduction(planet({}), null);
+    const off = calculatePlanetProduction(planet({ fusionReactor: 0 }), null);
+    assert.equal(off.breakdown.fusionEnergy, 0);
+    assert.equal(off.breakdown.fusionDeutConsumption, 0);
+    assert.ok(full.breakdown.fusionDeutConsumption > 0);
+  });
+});
+
+describe('Elapsed Production', () => {
+  const rates = { metal: 2, crystal: 1, deuterium: 0.5 };
+  const planet = resources => ({ buildings: {}, resources: { ...resources } });
+
+  it('should credit production for the elapsed time', () => {
+    const p = planet({ metal: 100, crystal: 100, deuterium: 100 });
+    accrueProduction(p, rates, 60);
+    assert.deepEqual(p.resources, { metal: 220, crystal: 160, deuterium: 130 });
+  });
+
+  it('should give the same result in one step as in many', () => {
+    const once = planet({ metal: 0, crystal: 0, deuterium: 0 });
+    const stepped = planet({ metal: 0, crystal: 0, deuterium: 0 });
+    accrueProduction(once, rates, 3600);
+    for (let i = 0; i < 3600; i++) accrueProduction(stepped, rates, 1);
+    assert.ok(Math.abs(once.resources.metal - stepped.resources.metal) < 1e-6);
+  });
+
+  it('should stop at storage capacity', () => {
+    const capacity = calculateStorageCapacity(0);
+    const p = planet({ metal: capacity - 10, crystal: 0, deuterium: 0 });
+    accrueProduction(p, rates, 3600);
+    assert.equal(p.resources.metal, capacity);
+  });
+
+  it('should leave resources above capacity alone', () => {
+    const capacity = calculateStorageCapacity(0);
+    const p = planet({ metal: capacity + 500, crystal: 0, deuterium: 0 });
+    accrueProduction(p, rates, 3600);
+    assert.equal(p.resources.metal, capacity + 500);
+  });
+});
+
+describe('Production Between Times', () => {
+  const START = 1_000_000;
+  const HOUR = 60 * 60 * 1000;
+  const mine = () => ({
+    buildings: { metalMine: 10, solarPlant: 15, metalStorage: 10 },
+    temperature: { min: 10, max: 50 },
+    resources: { metal: 0, crystal: 0, deuterium: 0, energy: 0 }
+  });
+
+  it('should pay a running booster at its multiplier', () => {
+    const base = mine();
+    const boosted = mine();
+    const agent = { boosters: { metalRush: { expiresAt: START + 2 * HOUR } } };
+    produceBetween(base, null, START, START + HOUR);
+    produceBetween(boosted, agent, START, START + HOUR);
+    assert.ok(Math.abs(boosted.resources.metal - base.resources.metal * 1.5) < 1e-6);
+  });
+
+  it('should stop paying a booster when it expires mid-interval', () => {
+    const base = mine();
+    const boosted = mine();
+    const agent = { boosters: { metalRush: { expiresAt: START + HOUR } } };
+    produceBetween(base, null, START, START + 2 * HOUR);
+    produceBetween(boosted, agent, START, START + 2 * HOUR);
+    // One boosted hour, one plain hour
+    assert.ok(Math.abs(boosted.resources.metal - base.resources.metal * 1.25) < 1e-6);
+  });
+});
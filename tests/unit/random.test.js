@@ -0,0 +1,51 @@
+/**
+ * Unit tests for seedable random numbers
+ * Tests seed normalization and generator reproducibility
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSeed, generateSeed, createRng } from '../../game/random.js';
+
+describe('Seed Normalization', () => {
+  it('should keep integer seeds as unsigned 32-bit values', () => {
+    assert.equal(normalizeSeed(42), 42);
+    assert.equal(normalizeSeed(2 ** 32 + 5), 5);
+  });
+
+  it('should hash strings to the same seed every time', () => {
+    assert.equal(normalizeSeed('raid-on-kepler'), normalizeSeed('raid-on-kepler'));
+    assert.notEqual(normalizeSeed('a'), normalizeSeed('b'));
+  });
+
+  it('should reject unusable seeds', () => {
+    assert.equal(normalizeSeed(NaN), null);
+    assert.equal(normalizeSeed(''), null);
+    assert.equal(normalizeSeed({}), null);
+  });
+
+  it('should generate 32-bit seeds', () => {
+    const seed = generateSeed();
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+  });
+});
+
+describe('Seeded Generator', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const a = createRng(1234);
+    const b = createRng(1234);
+    for (let i = 0; i < 100; i++) assert.equal(a(), b());
+  });
+
+  it('should produce values in [0, 1)', () => {
+    const rng = createRng(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng();
+      assert.ok(value >= 0 && value < 1);
+    }
+  });
+
+  it('should differ between seeds', () => {
+    assert.notEqual(createRng(1)(), createRng(2)());
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for the event scheduler
+ * Tests due-time ordering, rescheduling and cancellation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventQueue } from '../../scheduler.js';
+
+describe('Event Queue', () => {
+  it('should pop events in due order', () => {
+    const queue = new EventQueue();
+    queue.schedule('fleet:a', 300);
+    queue.schedule('build:1:2:3', 100);
+    queue.schedule('research:x', 200);
+    assert.equal(queue.nextAt(), 100);
+    assert.deepEqual(queue.popDue(250), ['build:1:2:3', 'research:x']);
+    assert.deepEqual(queue.popDue(1000), ['fleet:a']);
+    assert.equal(queue.nextAt(), null);
+  });
+
+  it('should only pop events that are due', () => {
+    const queue = new EventQueue();
+    queue.schedule('fleet:a', 500);
+    assert.deepEqual(queue.popDue(499), []);
+    assert.equal(queue.size, 1);
+  });
+
+  it('should move an event when it is scheduled again', () => {
+    const queue = new EventQueue();
+    queue.schedule('fleet:a', 100);
+    queue.schedule('fleet:a', 400);
+    assert.deepEqual(queue.popDue(200), []);
+    assert.equal(queue.nextAt(), 400);
+    assert.deepEqual(queue.popDue(400), ['fleet:a']);
+  });
+
+  it('should fire a moved event once', () => {
+    const queue = new EventQueue();
+    queue.schedule('fleet:a', 400);
+    queue.schedule('fleet:a', 100);
+    assert.deepEqual(queue.popDue(1000), ['fleet:a']);
+  });
+
+  it('should drop cancelled events', () => {
+    const queue = new EventQueue();
+    queue.schedule('fleet:a', 100);
+    queue.schedule('fleet:b', 200);
+    queue.cancel('fleet:a');
+    assert.equal(queue.size, 1);
+    assert.deepEqual(queue.popDue(1000), ['fleet:b']);
+  });
+
+  it('should stay ordered with many events', () => {
+    const queue = new EventQueue();
+    const times = Array.from({ length: 200 }, (_, i) => (i * 7919) % 1000);
+    times.forEach((at, i) => queue.schedule(`fleet:${i}`, at));
+    const popped = [];
+    let at;
+    while ((at = queue.nextAt()) !== null) {
+      popped.push(at);
+      queue.popDue(at);
+    }
+    assert.deepEqual(popped, [...new Set(times)].sort((a, b) => a - b));
+  });
+});
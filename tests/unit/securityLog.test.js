@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the persisted security log
+ * Tests event storage, filtering, aggregation and automatic IP bans
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDatabase, initTables, dbAll } from '../../db.js';
+import {
+  SecurityEventType, logSecurityEvent, logAuthFailure, logAuthSuccess, flushSecurityEvents,
+  querySecurityEvents, summarizeSecurityEvents
+} from '../../securityLogger.js';
+import { banIp, unbanIp, isBanned, listBans, loadBans, evaluateAutoBans, rejectBannedIps, banConfig } from '../../bans.js';
+
+const { AUTH_FAILURE, ADMIN_ACCESS, REPLAY_ATTEMPT } = SecurityEventType;
+
+// Keep the console quiet while logging in bulk
+function quietly(fn) {
+  const { warn, log } = console;
+  console.warn = console.log = () => {};
+  try { fn(); } finally { Object.assign(console, { warn, log }); }
+}
+
+before(async () => {
+  initDatabase(':memory:');
+  await initTables();
+});
+
+describe('Event Storage', () => {
+  it('should write buffered events with the full wallet', async () => {
+    quietly(() => logAuthFailure('Invalid signature', 'WalletAAAAAAAAAA', '/api/build', '10.0.0.1'));
+    assert.equal(await flushSecurityEvents(), 1);
+    const rows = await dbAll('SELECT * FROM security_events');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].wallet, 'WalletAAAAAAAAAA');
+    assert.equal(rows[0].ip, '10.0.0.1');
+    assert.deepEqual(JSON.parse(rows[0].details), { reason: 'Invalid signature' });
+  });
+
+  it('should not store successful logins', async () => {
+    logAuthSuccess('WalletAAAAAAAAAA', '/api/build');
+    assert.equal(await flushSecurityEvents(), 0);
+  });
+
+  it('should filter by wallet, type, address and time', async () => {
+    const start = Date.now();
+    quietly(() => {
+      logAuthFailure('Invalid signature', 'WalletBBBBBBBBBB', '/api/build', '10.0.0.2');
+      logSecurityEvent(ADMIN_ACCESS, { endpoint: '/api/admin/security/events', ip: '10.0.0.2' });
+      logSecurityEvent(REPLAY_ATTEMPT, { wallet: 'WalletBBBBBBBBBB', endpoint: '/api/build', ip: '10.0.0.3' });
+    });
+    await flushSecurityEvents();
+
+    const byWallet = await querySecurityEvents({ wallet: 'WalletBBBBBBBBBB' });
+    assert.deepEqual(byWallet.events.map(e => e.event), [REPLAY_ATTEMPT, AUTH_FAILURE]);
+
+    const byIp = await querySecurityEvents({ ip: '10.0.0.2', types: [ADMIN_ACCESS] });
+    assert.equal(byIp.events.length, 1);
+
+    assert.equal((await querySecurityEvents({ since: start })).events.length, 3);
+    assert.equal((await querySecurityEvents({ until: start })).events.length, 1);
+  });
+
+  it('should page with a cursor', async () => {
+    const first = await querySecurityEvents({ limit: 2 });
+    assert.equal(first.events.length, 2);
+    const rest = await querySecurityEvents({ limit: 2, before: first.nextBefore });
+    assert.ok(rest.events.every(e => e.id < first.nextBefore));
+  });
+});
+
+describe('Aggregation', () => {
+  it('should rank offending addresses and find failure spikes', async () => {
+    quietly(() => {
+      for (let i = 0; i < 30; i++) logAuthFailure('Invalid signature', null, '/api/build', '10.0.0.9');
+    });
+    await flushSecurityEvents();
+
+    const until = Date.now() + 1000;
+    const summary = await summarizeSecurityEvents({ since: until - 60 * 60 * 1000, until, bucketMs: 5 * 60 * 1000 });
+    assert.equal(summary.topIps[0].ip, '10.0.0.9');
+    assert.equal(summary.topIps[0].failures, 30);
+    assert.equal(summary.byType[0].event, AUTH_FAILURE);
+    assert.equal(summary.failures.buckets.length, 1); // Every failure so far is in the last bucket
+    assert.equal(summary.failures.spikes.length, 1);
+    assert.ok(summary.failures.spikes[0].count >= 30);
+  });
+});
+
+describe('IP Bans', () => {
+  it('should ban addresses past a threshold', async () => {
+    quietly(() => {
+      for (let i = 0; i < banConfig.thresholds[REPLAY_ATTEMPT]; i++) {
+        logSecurityEvent(REPLAY_ATTEMPT, { wallet: 'WalletCCCCCCCCCC', endpoint: '/api/build', ip: '10.0.0.7' });
+      }
+    });
+    await flushSecurityEvents();
+
+    const created = await evaluateAutoBans();
+    assert.deepEqual(created.map(b => b.ip), ['10.0.0.7']);
+    assert.equal(created[0].source, 'auto');
+    assert.equal((await evaluateAutoBans()).length, 0); // Already banned
+  });
+
+  it('should never ban loopback addresses', async () => {
+    quietly(() => {
+      for (let i = 0; i < banConfig.thresholds[REPLAY_ATTEMPT]; i++) {
+        logSecurityEvent(REPLAY_ATTEMPT, { endpoint: '/api/build', ip: '127.0.0.1' });
+      }
+    });
+    await flushSecurityEvents();
+    assert.equal((await evaluateAutoBans()).length, 0);
+    assert.equal(isBanned('127.0.0.1'), null);
+  });
+
+  it('should reject requests from banned addresses', () => {
+    let status;
+    const res = { set() {}, status(code) { status = code; return this; }, json() { return this; } };
+    let passed = false;
+    rejectBannedIps({ ip: '10.0.0.7' }, res, () => { passed = true; });
+    assert.equal(status, 403);
+    rejectBannedIps({ ip: '10.0.0.8' }, res, () => { passed = true; });
+    assert.ok(passed);
+  });
+
+  it('should keep bans across restarts until they expire', async () => {
+    await banIp('10.0.0.5', { reason: 'test', durationMs: 60 * 1000 });
+    assert.equal(await loadBans(), 2);
+    assert.equal(await loadBans(Date.now() + 2 * 60 * 1000), 1); // The one-minute ban has expired
+    await loadBans();
+  });
+
+  it('should lift bans', async () => {
+    assert.equal((await unbanIp('10.0.0.7')).ip, '10.0.0.7');
+    assert.equal(await unbanIp('10.0.0.7'), null);
+    assert.deepEqual(listBans().map(b => b.ip), ['10.0.0.5']);
+  });
+});
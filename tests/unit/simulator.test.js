@@ -0,0 +1,144 @@
+/**
+ * Tests percentiles, outcome probabilities, loss statistics, profit, and spy report defenders
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentile, summarize, runSimulation, createSpyReport, defenderFromSpyReport } from '../../game/simulator.js';
+
+describe('Statistics', () => {
+  it('should use nearest-rank percentiles', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    assert.equal(percentile(values, 10), 1);
+    assert.equal(percentile(values, 50), 5);
+    assert.equal(percentile(values, 90), 9);
+    assert.equal(percentile([], 50), 0);
+  });
+
+  it('should summarize unsorted samples', () => {
+    assert.deepEqual(summarize([4, 0, 2, 2]), { mean: 2, p10: 0, p50: 2, p90: 4 });
+  });
+});
+
+describe('Monte Carlo Simulation', () => {
+  const battle = {
+    attackerShips: { cruiser: 20, largeCargo: 5 },
+    defender: {
+      ships: { lightFighter: 30 },
+      defense: { rocketLauncher: 20 },
+      resources: { metal: 100000, crystal: 50000, deuterium: 20000 }
+    },
+    iterations: 50,
+    seed: 1234
+  };
+
+  it('should give probabilities that sum to one', () => {
+    const result = runSimulation(battle);
+    const { attackerWin, defenderWin, draw } = result.probabilities;
+    assert.equal(result.iterations, 50);
+    assert.equal(result.attackerWins + result.defenderWins + result.draws, 50);
+    assert.ok(Math.abs(attackerWin + defenderWin + draw - 1) < 1e-9);
+  });
+
+  it('should be reproducible for the same seed', () => {
+    assert.deepEqual(runSimulation(battle), runSimulation(battle));
+  });
+
+  it('should report ordered loss percentiles for every unit type', () => {
+    const result = runSimulation(battle);
+    assert.deepEqual(Object.keys(result.losses.attacker), ['cruiser', 'largeCargo']);
+    assert.deepEqual(Object.keys(result.losses.defender), ['lightFighter', 'rocketLauncher']);
+    assert.ok(result.losses.defender.rocketLauncher.mean > 0);
+    for (const stats of Object.values(result.losses.attacker)) {
+      assert.ok(stats.p10 <= stats.p50 && stats.p50 <= stats.p90);
+    }
+  });
+
+  it('should subtract fuel from expected profit', () => {
+    const free = runSimulation(battle);
+    const fueled = runSimulation({ ...battle, fuelCost: 500 });
+    assert.equal(fueled.expectedProfit.total, free.expectedProfit.total - 500);
+    assert.equal(fueled.profit.mean, free.profit.mean - 500);
+  });
+
+  it('should leave no loot or debris when an unarmed defender is overrun', () => {
+    const result = runSimulation({
+      attackerShips: { battleship: 10 },
+      defender: { ships: {}, defense: {}, resources: { metal: 0, crystal: 0, deuterium: 0 } },
+      iterations: 5,
+      seed: 1
+    });
+    assert.equal(result.probabilities.attackerWin, 1);
+    assert.deepEqual(result.expectedDebris, { metal: 0, crystal: 0 });
+    assert.equal(result.expectedProfit.total, 0);
+  });
+
+  it('should cap iterations', () => {
+    const result = runSimulation({ ...battle, attackerShips: { lightFighter: 1 }, iterations: 5000 });
+    assert.equal(result.iterations, 1000);
+  });
+});
+
+describe('Spy Report Defender', () => {
+  const report = {
+    id: 'spy_1',
+    target: '1:5:4',
+    timestamp: 1000,
+    infoLevel: 2,
+    resources: { metal: 500, crystal: 300, deuterium: 100 },
+    fleet: { lightFighter: 10 }
+  };
+
+  it('should use only the parts the report revealed', () => {
+    const defender = defenderFromSpyReport({ ...report, defense: { rocketLauncher: 5 } }, 1000);
+    assert.deepEqual(defender.ships, { lightFighter: 10 });
+    assert.deepEqual(defender.defense, {});
+    assert.deepEqual(defender.intel.unknown, ['defense', 'tech']);
+    assert.equal(defender.intel.complete, false);
+  });
+
+  it('should report the intel age', () => {
+    const defender = defenderFromSpyReport(report, 1000 + 5 * 60000);
+    assert.equal(defender.intel.ageMinutes, 5);
+    assert.equal(defender.intel.reportId, 'spy_1');
+  });
+
+  it('should be complete at full intel', () => {
+    const defender = defenderFromSpyReport({
+      ...report, infoLevel: 5, defense: { rocketLauncher: 5 }, tech: { weaponsTech: 3 }
+    }, 1000);
+    assert.equal(defender.intel.complete, true);
+    assert.equal(defender.tech.weaponsTech, 3);
+  });
+
+  it('should simulate the planet as it was when scanned', () => {
+    const planet = {
+      id: '1:5:4',
+      position: { galaxy: 1, system: 5, position: 4 },
+      resources: { metal: 500.7, crystal: 300, deuterium: 100 },
+      ships: { lightFighter: 10 },
+      defense: { rocketLauncher: 5 },
+      buildings: { metalMine: 8 }
+    };
+    const owner = { tech: { weaponsTech: 3 } };
+    const scanned = createSpyReport(planet, owner, 5, 1000);
+
+    planet.ships.lightFighter = 200;
+    planet.defense.plasmaTurret = 4;
+    planet.buildings.metalMine = 9;
+    owner.tech.weaponsTech = 10;
+
+    assert.deepEqual(scanned.resources, { metal: 500, crystal: 300, deuterium: 100 });
+    assert.deepEqual(scanned.buildings, { metalMine: 8 });
+    const defender = defenderFromSpyReport(scanned, 1000 + 10 * 60000);
+    assert.deepEqual(defender.ships, { lightFighter: 10 });
+    assert.deepEqual(defender.defense, { rocketLauncher: 5 });
+    assert.equal(defender.tech.weaponsTech, 3);
+    assert.equal(defender.intel.ageMinutes, 10);
+  });
+
+  it('should reveal only what the info level allows', () => {
+    const planet = { id: 'p', position: {}, resources: { metal: 1, crystal: 2, deuterium: 3 }, ships: { lightFighter: 1 }, defense: {}, buildings: {} };
+    assert.deepEqual(Object.keys(createSpyReport(planet, null, 2, 0)).sort(), ['fleet', 'infoLevel', 'position', 'resources', 'target', 'timestamp']);
+  });
+});
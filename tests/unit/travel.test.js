@@ -0,0 +1,89 @@
+/**
+ * Unit tests for fleet speed and travel time
+ * Tests drive tech bonuses, slowest-ship pacing, speed settings, and fuel scaling
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GAME_SPEED,
+  REFERENCE_FLEET_SPEED,
+  isValidSpeedPercent,
+  getShipSpeed,
+  getFleetSpeed,
+  getFlightDuration,
+  getFuelSpeedFactor
+} from '../../game/formulas.js';
+
+describe('Ship Speed', () => {
+  it('should apply the bonus of the ship\'s own drive', () => {
+    const agent = { tech: { combustionDrive: 5, impulseDrive: 5, hyperspaceDrive: 5 } };
+    assert.equal(getShipSpeed('lightFighter', agent), 12500 * 1.5);
+    assert.equal(getShipSpeed('cruiser', agent), 15000 * 2);
+    assert.equal(getShipSpeed('battleship', agent), 10000 * 2.5);
+  });
+
+  it('should add the Fleet Admiral bonus', () => {
+    const agent = { officers: { fleetAdmiral: { expiresAt: Date.now() + 60000 } } };
+    assert.equal(getShipSpeed('lightFighter', agent), 13750);
+  });
+
+  it('should be 0 for ships that cannot fly', () => {
+    assert.equal(getShipSpeed('solarSatellite', { tech: { combustionDrive: 10 } }), 0);
+    assert.equal(getShipSpeed('notAShip'), 0);
+  });
+});
+
+describe('Fleet Speed', () => {
+  it('should be set by the slowest ship', () => {
+    assert.equal(getFleetSpeed({ lightFighter: 100, deathstar: 1 }), 100);
+  });
+
+  it('should ignore ship types with a zero count', () => {
+    assert.equal(getFleetSpeed({ lightFighter: 10, deathstar: 0 }), 12500);
+  });
+
+  it('should be 0 if any ship cannot fly', () => {
+    assert.equal(getFleetSpeed({ lightFighter: 10, solarSatellite: 1 }), 0);
+    assert.equal(getFleetSpeed({}), 0);
+  });
+});
+
+describe('Flight Duration', () => {
+  // Four galaxies apart, long enough to stay above the 10 second minimum
+  const distance = 20000 * 4;
+
+  it('should match the distance formula at reference speed', () => {
+    assert.equal(getFlightDuration(distance, REFERENCE_FLEET_SPEED), Math.floor(distance / 100 / GAME_SPEED));
+  });
+
+  it('should make a deathstar far slower than a light fighter', () => {
+    assert.ok(getFlightDuration(distance, getFleetSpeed({ deathstar: 1 })) > 10 * getFlightDuration(distance, getFleetSpeed({ lightFighter: 1 })));
+  });
+
+  it('should scale inversely with the speed setting', () => {
+    const full = getFlightDuration(100000, REFERENCE_FLEET_SPEED, 100);
+    assert.equal(getFlightDuration(100000, REFERENCE_FLEET_SPEED, 50), full * 2);
+  });
+
+  it('should never be shorter than 10 seconds', () => {
+    assert.equal(getFlightDuration(1000, getFleetSpeed({ espionageProbe: 1 })), 10);
+  });
+});
+
+describe('Speed Setting', () => {
+  it('should allow 10-100% in steps of 10', () => {
+    assert.ok(isValidSpeedPercent(10));
+    assert.ok(isValidSpeedPercent(100));
+    assert.ok(!isValidSpeedPercent(0));
+    assert.ok(!isValidSpeedPercent(55));
+    assert.ok(!isValidSpeedPercent(110));
+    assert.ok(!isValidSpeedPercent('50'));
+  });
+
+  it('should burn less fuel at reduced speed', () => {
+    assert.equal(getFuelSpeedFactor(100), 1);
+    assert.equal(getFuelSpeedFactor(50), 0.5625);
+    assert.ok(getFuelSpeedFactor(10) < getFuelSpeedFactor(50));
+  });
+});
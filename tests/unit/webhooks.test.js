@@ -0,0 +1,43 @@
+/**
+ * Unit tests for webhook delivery
+ * Tests retry backoff, payload signing, and the disable threshold
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { getRetryDelay, signBody, isDisabled, webhookConfig } from '../../webhooks.js';
+
+describe('Retry Backoff', () => {
+  it('should double the delay after each attempt', () => {
+    assert.equal(getRetryDelay(1), webhookConfig.baseDelayMs);
+    assert.equal(getRetryDelay(2), webhookConfig.baseDelayMs * 2);
+    assert.equal(getRetryDelay(4), webhookConfig.baseDelayMs * 8);
+  });
+
+  it('should cap the delay', () => {
+    assert.equal(getRetryDelay(30), webhookConfig.maxDelayMs);
+  });
+
+  it('should give up within a day', () => {
+    let total = 0;
+    for (let attempt = 1; attempt < webhookConfig.maxAttempts; attempt++) total += getRetryDelay(attempt);
+    assert.ok(total < 24 * 60 * 60 * 1000);
+  });
+});
+
+describe('Signing', () => {
+  it('should sign the body with HMAC-SHA256', () => {
+    const body = '{"event":"ping"}';
+    const expected = crypto.createHmac('sha256', 'secret').update(body).digest('hex');
+    assert.equal(signBody('secret', body), expected);
+  });
+});
+
+describe('Disabling', () => {
+  it('should disable a hook after repeated failed deliveries', () => {
+    assert.equal(isDisabled({ failures: 0 }), false);
+    assert.equal(isDisabled({ failures: webhookConfig.maxFailures - 1 }), false);
+    assert.equal(isDisabled({ failures: webhookConfig.maxFailures }), true);
+  });
+});
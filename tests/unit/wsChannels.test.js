@@ -0,0 +1,79 @@
+/**
+ * Unit tests for WebSocket channel routing
+ * Tests topic validation, private channels, and audience matching
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTopic, positionTopics, privateChannels, isInAudience } from '../../wsChannels.js';
+
+const universe = { galaxies: 5, systems: 200 };
+
+function client(wallet = null, subscriptions = []) {
+  return { authenticated: !!wallet, wallet, subscriptions: new Set(subscriptions) };
+}
+
+describe('Topic Validation', () => {
+  it('should accept public topics', () => {
+    assert.deepEqual(parseTopic('leaderboard', universe), { topic: 'leaderboard' });
+    assert.deepEqual(parseTopic('galaxy:3', universe), { topic: 'galaxy:3' });
+    assert.deepEqual(parseTopic('system:3:163', universe), { topic: 'system:3:163' });
+  });
+
+  it('should normalize leading zeros', () => {
+    assert.deepEqual(parseTopic('system:03:007', universe), { topic: 'system:3:7' });
+  });
+
+  it('should reject coordinates outside the universe', () => {
+    assert.ok(parseTopic('galaxy:6', universe).error);
+    assert.ok(parseTopic('system:1:201', universe).error);
+    assert.ok(parseTopic('galaxy:0', universe).error);
+  });
+
+  it('should not let clients subscribe to private channels', () => {
+    assert.ok(parseTopic('agent:someoneElse', universe).error);
+    assert.ok(parseTopic('alliance:1', universe).error);
+    assert.ok(parseTopic('everything', universe).error);
+    assert.ok(parseTopic(42, universe).error);
+  });
+});
+
+describe('Private Channels', () => {
+  it('should give authenticated clients their agent and alliance channels', () => {
+    assert.deepEqual(privateChannels(client('alice'), { allianceId: 7 }), ['agent:alice', 'alliance:7']);
+    assert.deepEqual(privateChannels(client('alice'), {}), ['agent:alice']);
+  });
+
+  it('should give anonymous clients none', () => {
+    assert.deepEqual(privateChannels(client(), null), []);
+  });
+});
+
+describe('Audience Matching', () => {
+  it('should deliver agent events only to that agent', () => {
+    assert.ok(isInAudience(client('alice'), null, { agents: ['alice'] }));
+    assert.ok(!isInAudience(client('bob'), null, { agents: ['alice'] }));
+    assert.ok(!isInAudience(client(), null, { agents: ['alice'] }));
+  });
+
+  it('should deliver alliance events to current members', () => {
+    assert.ok(isInAudience(client('bob'), { allianceId: 7 }, { alliances: [7] }));
+    assert.ok(!isInAudience(client('bob'), { allianceId: null }, { alliances: [7] }));
+  });
+
+  it('should deliver topic events to subscribers', () => {
+    const position = { galaxy: 2, system: 40, position: 8 };
+    const watcher = client(null, ['galaxy:2']);
+    assert.ok(isInAudience(watcher, null, { topics: positionTopics(position) }));
+    assert.ok(!isInAudience(client(null, ['galaxy:3']), null, { topics: positionTopics(position) }));
+  });
+
+  it('should deliver the web client\'s galaxy topics before it authenticates', () => {
+    const topics = ['galaxy:1', 'galaxy:2', 'galaxy:3', 'galaxy:4', 'galaxy:5'];
+    const page = client(null, topics.map(topic => parseTopic(topic, universe).topic));
+    for (let galaxy = 1; galaxy <= universe.galaxies; galaxy++) {
+      assert.ok(isInAudience(page, null, { topics: positionTopics({ galaxy, system: 1, position: 1 }) }));
+    }
+    assert.ok(!isInAudience(page, null, { agents: ['alice'] }));
+  });
+});
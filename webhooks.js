@@ -0,0 +1,204 @@
+/**
+ * Webhook Delivery Queue for Molt Wars
+ *
+ * Webhook events are written to a persisted queue and sent by a background
+ * worker with exponential backoff, so an endpoint that is down for a while
+ * still gets its events once it recovers. Every attempt is logged for the
+ * delivery history. A hook whose deliveries keep failing is disabled until
+ * its owner re-enables it; its queued deliveries resume from there.
+ */
+
+import crypto from 'crypto';
+import { dbRun, dbAll } from './db.js';
+
+// Configuration
+const config = {
+  maxAttempts: 8,                          // Attempts per delivery before it is marked failed
+  baseDelayMs: 10 * 1000,                  // First retry after 10s, doubling each time
+  maxDelayMs: 60 * 60 * 1000,              // Never wait more than an hour between attempts
+  timeoutMs: 5000,
+  batchSize: 20,                           // Deliveries sent per queue run
+  maxFailures: 3,                          // Failed deliveries in a row before a hook is disabled
+  retentionMs: 7 * 24 * 60 * 60 * 1000,    // Delivery history kept for 7 days
+};
+
+let queueRunning = false;
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(config.baseDelayMs * 2 ** (attempts - 1), config.maxDelayMs);
+}
+
+/**
+ * HMAC-SHA256 signature sent as X-Webhook-Signature
+ */
+export function signBody(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Whether a hook has been disabled by repeated failures
+ */
+export function isDisabled(hook) {
+  return hook.failures >= config.maxFailures;
+}
+
+// Insert a delivery: queued ones are picked up by the next queue run, unqueued
+// ones (test pings) are sent by the caller, and skipped ones are only recorded
+async function createDelivery(webhookId, agentId, event, body, { redeliveryOf = null, queued = true, skipped = false } = {}) {
+  const now = Date.now();
+  const id = `delivery_${now}_${crypto.randomBytes(8).toString('hex')}`;
+  await dbRun(
+    `INSERT INTO webhook_deliveries (id, webhook_id, agent_id, event, body, status, attempts, next_attempt_at, last_error, attempt_log, redelivery_of, created_at, completed_at) VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, '[]', ?, ?, ?)`,
+    [id, webhookId, agentId, event, body, skipped ? 'skipped' : 'pending', queued && !skipped ? now : null,
+      skipped ? 'Webhook disabled' : null, redeliveryOf, now, skipped ? now : null]
+  );
+  return { id, webhook_id: webhookId, event, body, attempts: 0, attempt_log: '[]' };
+}
+
+/**
+ * Queue an event for every hook of the agent that subscribed to it
+ * Disabled hooks get a `skipped` record instead, so it can be redelivered later.
+ *
+ * @param {string} agentId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} payload - Event details
+ */
+export async function enqueueWebhooks(agentId, event, payload) {
+  const hooks = await dbAll(`SELECT id, events, failures FROM webhooks WHERE agent_id = ?`, [agentId]);
+  const body = JSON.stringify({ event, agentId, payload, timestamp: Date.now() });
+  for (const hook of hooks) {
+    if (!JSON.parse(hook.events).includes(event)) continue;
+    await createDelivery(hook.id, agentId, event, body, { skipped: isDisabled(hook) });
+  }
+}
+
+// One HTTP attempt; never throws
+async function attemptDelivery(hook, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (hook.secret) headers['X-Webhook-Signature'] = signBody(hook.secret, body);
+
+  const at = Date.now();
+  try {
+    const resp = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(config.timeoutMs) });
+    return { at, ok: resp.ok, statusCode: resp.status, latencyMs: Date.now() - at, error: resp.ok ? null : `HTTP ${resp.status}` };
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? `Timed out after ${config.timeoutMs}ms` : err.message;
+    return { at, ok: false, statusCode: null, latencyMs: Date.now() - at, error };
+  }
+}
+
+// Store an attempt's outcome and schedule the retry, if any
+// Hook health counts whole deliveries, so one flaky attempt that later succeeds doesn't count against it
+async function recordAttempt(delivery, hook, result, retry = true) {
+  const attempts = delivery.attempts + 1;
+  const log = JSON.parse(delivery.attempt_log || '[]');
+  log.push({ at: result.at, statusCode: result.statusCode, latencyMs: result.latencyMs, error: result.error });
+
+  let status = 'pending';
+  let nextAttemptAt = null;
+  if (result.ok) status = 'delivered';
+  else if (!retry || attempts >= config.maxAttempts) status = 'failed';
+  else nextAttemptAt = result.at + getRetryDelay(attempts);
+
+  await dbRun(
+    `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_latency_ms = ?, last_error = ?, attempt_log = ?, completed_at = ? WHERE id = ?`,
+    [status, attempts, nextAttemptAt, result.statusCode, result.latencyMs, result.error, JSON.stringify(log), status === 'pending' ? null : Date.now(), delivery.id]
+  );
+
+  if (!retry) return status;
+  if (status === 'delivered' && hook.failures > 0) {
+    await dbRun(`UPDATE webhooks SET failures = 0 WHERE id = ?`, [hook.id]);
+  } else if (status === 'failed') {
+    await dbRun(`UPDATE webhooks SET failures = failures + 1 WHERE id = ?`, [hook.id]);
+  }
+  return status;
+}
+
+/**
+ * Send deliveries that are due (skips hooks that are disabled)
+ * Safe to call on an interval; overlapping runs are skipped.
+ */
+export async function processWebhookQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+  try {
+    const due = await dbAll(
+      `SELECT d.id, d.body, d.attempts, d.attempt_log, w.id AS hook_id, w.url, w.secret, w.failures
+       FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.failures < ?
+       ORDER BY d.next_attempt_at LIMIT ?`,
+      [Date.now(), config.maxFailures, config.batchSize]
+    );
+    await Promise.all(due.map(async (delivery) => {
+      const hook = { id: delivery.hook_id, url: delivery.url, secret: delivery.secret, failures: delivery.failures };
+      const result = await attemptDelivery(hook, delivery.body);
+      await recordAttempt(delivery, hook, result);
+    }));
+  } catch (err) {
+    console.error('Webhook queue error:', err.message);
+  } finally {
+    queueRunning = false;
+  }
+}
+
+/**
+ * Queue a fresh copy of an earlier delivery
+ *
+ * @param {Object} hook - Webhook row
+ * @param {Object} delivery - Delivery row to resend
+ * @returns {Promise<string>} New delivery id
+ */
+export async function redeliver(hook, delivery) {
+  const copy = await createDelivery(hook.id, hook.agent_id, delivery.event, delivery.body, { redeliveryOf: delivery.id });
+  return copy.id;
+}
+
+/**
+ * Send a `ping` event right away and report the outcome
+ * Works on disabled hooks and never changes the hook's failure count.
+ *
+ * @param {Object} hook - Webhook row
+ * @returns {Promise<Object>} { deliveryId, status, statusCode, latencyMs, error }
+ */
+export async function sendTestPing(hook) {
+  const body = JSON.stringify({ event: 'ping', agentId: hook.agent_id, payload: { webhookId: hook.id }, timestamp: Date.now() });
+  const delivery = await createDelivery(hook.id, hook.agent_id, 'ping', body, { queued: false });
+  const result = await attemptDelivery(hook, body);
+  const status = await recordAttempt(delivery, hook, result, false);
+  return { deliveryId: delivery.id, status, statusCode: result.statusCode, latencyMs: result.latencyMs, error: result.error };
+}
+
+/**
+ * Drop finished deliveries past the retention window
+ */
+export function pruneWebhookDeliveries() {
+  dbRun(`DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?`, [Date.now() - config.retentionMs])
+    .catch(err => console.error('Failed to prune webhook deliveries:', err));
+}
+
+/**
+ * Shape a delivery row for the API
+ */
+export function formatDelivery(row) {
+  return {
+    id: row.id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    statusCode: row.last_status_code,
+    latencyMs: row.last_latency_ms,
+    error: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    redeliveryOf: row.redelivery_of,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    attemptLog: JSON.parse(row.attempt_log || '[]')
+  };
+}
+
+export { config as webhookConfig };
@@ -6,7 +6,8 @@
  */
 
 import escapeHtml from 'escape-html';
-import { parseAuthHeader, verifySignature, isValidPublicKey } from './auth.js';
+import { parseAuthHeader, legacySessionAllowed, verifyChallenge, verifySignature, isValidPublicKey } from './auth.js';
+import { hashBody } from './nonces.js';
 import { logWSAuth, logWSRateLimit } from './securityLogger.js';
 
 // Configuration
@@ -17,8 +18,9 @@ const config = {
     windowMs: 10000,     // 10 second window
   },
   chatMaxLength: 500,
+  maxSubscriptions: 50, // Public topics per connection
   senderMaxLength: 32,
-  authMaxAge: 5 * 60 * 1000, // 5 minutes
+  authMaxAge: 5 * 60 * 1000, // 5 minutes, for legacy timestamp auth
 };
 
 /**
@@ -29,6 +31,7 @@ export class WSClientInfo {
     this.authenticated = false;
     this.wallet = null;
     this.chatHistory = [];  // Timestamps of recent messages
+    this.subscriptions = new Set(); // Opt-in public topics
   }
 
   /**
@@ -57,6 +60,24 @@ export class WSClientInfo {
     this.wallet = wallet;
   }
 
+  /**
+   * Subscribe to a public topic
+   * Returns false if the connection already has too many subscriptions
+   */
+  subscribe(topic) {
+    if (this.subscriptions.has(topic)) return true;
+    if (this.subscriptions.size >= config.maxSubscriptions) return false;
+    this.subscriptions.add(topic);
+    return true;
+  }
+
+  /**
+   * Unsubscribe from a public topic
+   */
+  unsubscribe(topic) {
+    this.subscriptions.delete(topic);
+  }
+
   /**
    * Clear chat history (for cleanup)
    */
@@ -67,12 +88,15 @@ export class WSClientInfo {
 
 /**
  * Authenticate a WebSocket connection
- * Auth format: <wallet>:<signature>:<timestamp>
+ * Auth format: <wallet>:<signature>:<nonce>, signing the challenge for method
+ * "WS" and path "/" with an empty body (see nonces.js). Legacy
+ * <wallet>:<signature>:<timestamp> strings need AUTH_LEGACY_SESSIONS=all.
  *
  * @param {string} authString - The auth string from the client
+ * @param {string} [ip] - Client address, for the security log
  * @returns {{ success: boolean, wallet?: string, error?: string }}
  */
-export function authenticateWS(authString) {
+export function authenticateWS(authString, ip) {
   if (!authString || typeof authString !== 'string') {
     return { success: false, error: 'Missing auth string' };
   }
@@ -86,25 +110,45 @@ export function authenticateWS(authString) {
 
   // Validate wallet is a valid public key
   if (!isValidPublicKey(wallet)) {
-    logWSAuth(false, wallet, 'invalid_wallet');
+    logWSAuth(false, wallet, 'invalid_wallet', ip);
     return { success: false, error: 'Invalid wallet address' };
   }
 
-  // Check timestamp is within allowed window (replay protection)
+  if (auth.nonce) {
+    const failure = verifyChallenge(auth, { method: 'WS', path: '/', bodyHash: hashBody() }, { endpoint: 'ws', ip });
+    if (failure) {
+      logWSAuth(false, wallet, failure, ip);
+      const errors = {
+        invalid_signature: 'Invalid signature',
+        replayed: 'Challenge already used',
+        expired: 'Challenge expired or unknown',
+      };
+      return { success: false, error: errors[failure] };
+    }
+    logWSAuth(true, wallet, null, ip);
+    return { success: true, wallet };
+  }
+
+  if (!legacySessionAllowed('WS')) {
+    logWSAuth(false, wallet, 'legacy_session', ip);
+    return { success: false, error: 'Signed challenge required - get a nonce from GET /api/auth/challenge' };
+  }
+
+  // Check timestamp is within allowed window
   const now = Date.now();
   if (Math.abs(now - timestamp) > config.authMaxAge) {
-    logWSAuth(false, wallet, 'expired_timestamp');
+    logWSAuth(false, wallet, 'expired_timestamp', ip);
     return { success: false, error: 'Timestamp expired' };
   }
 
   // Verify signature
   const message = `molt-of-empires:${timestamp}`;
   if (!verifySignature(message, signature, wallet)) {
-    logWSAuth(false, wallet, 'invalid_signature');
+    logWSAuth(false, wallet, 'invalid_signature', ip);
     return { success: false, error: 'Invalid signature' };
   }
 
-  logWSAuth(true, wallet);
+  logWSAuth(true, wallet, null, ip);
   return { success: true, wallet };
 }
 
@@ -0,0 +1,106 @@
+/**
+ * WebSocket Channel Routing for Molt Wars
+ *
+ * Decides which connected clients receive each game event. Authenticated
+ * clients always receive their own agent's events and their alliance's
+ * events; public topics (a system, a galaxy, the leaderboard, agent
+ * decisions) are opt-in through `subscribe` / `unsubscribe` messages.
+ */
+
+/** Public topics that take no coordinates */
+export const PUBLIC_TOPICS = ['leaderboard', 'decisions'];
+
+/**
+ * Validate a public topic name
+ * Accepts `leaderboard`, `decisions`, `galaxy:<g>` and `system:<g>:<s>`
+ *
+ * @param {string} topic - Topic requested by the client
+ * @param {{ galaxies: number, systems: number }} universe - Universe bounds
+ * @returns {{ topic?: string, error?: string }}
+ */
+export function parseTopic(topic, universe) {
+  if (typeof topic !== 'string') {
+    return { error: 'Topic must be a string' };
+  }
+  if (PUBLIC_TOPICS.includes(topic)) {
+    return { topic };
+  }
+  if (topic.startsWith('agent:') || topic.startsWith('alliance:')) {
+    return { error: 'Private channels are joined automatically after auth' };
+  }
+
+  const galaxyMatch = topic.match(/^galaxy:(\d+)$/);
+  if (galaxyMatch) {
+    const galaxy = Number(galaxyMatch[1]);
+    if (galaxy < 1 || galaxy > universe.galaxies) {
+      return { error: `Galaxy must be 1-${universe.galaxies}` };
+    }
+    return { topic: galaxyTopic({ galaxy }) };
+  }
+
+  const systemMatch = topic.match(/^system:(\d+):(\d+)$/);
+  if (systemMatch) {
+    const galaxy = Number(systemMatch[1]);
+    const system = Number(systemMatch[2]);
+    if (galaxy < 1 || galaxy > universe.galaxies || system < 1 || system > universe.systems) {
+      return { error: `System must be within 1-${universe.galaxies}:1-${universe.systems}` };
+    }
+    return { topic: systemTopic({ galaxy, system }) };
+  }
+
+  return { error: 'Unknown topic' };
+}
+
+/**
+ * Topic for everything happening in one solar system
+ */
+export function systemTopic(position) {
+  return `system:${position.galaxy}:${position.system}`;
+}
+
+/**
+ * Topic for everything happening in one galaxy
+ */
+export function galaxyTopic(position) {
+  return `galaxy:${position.galaxy}`;
+}
+
+/**
+ * Topics that watch a position (its system and its galaxy)
+ */
+export function positionTopics(position) {
+  return [systemTopic(position), galaxyTopic(position)];
+}
+
+/**
+ * Private channels an authenticated client is in
+ *
+ * @param {WSClientInfo} clientInfo - Connection state
+ * @param {Object|null} agent - The client's agent, if any
+ * @returns {string[]} e.g. ['agent:<wallet>', 'alliance:<id>']
+ */
+export function privateChannels(clientInfo, agent) {
+  if (!clientInfo.authenticated) return [];
+  const channels = [`agent:${clientInfo.wallet}`];
+  if (agent?.allianceId) channels.push(`alliance:${agent.allianceId}`);
+  return channels;
+}
+
+/**
+ * Check whether a client should receive an event
+ * Alliance membership is read from the live agent, so leaving or being
+ * kicked from an alliance stops its events immediately.
+ *
+ * @param {WSClientInfo} clientInfo - Connection state
+ * @param {Object|null} agent - The client's agent, if any
+ * @param {{ agents?: string[], alliances?: string[], topics?: string[] }} audience
+ * @returns {boolean}
+ */
+export function isInAudience(clientInfo, agent, audience) {
+  const { agents = [], alliances = [], topics = [] } = audience;
+  if (clientInfo.authenticated) {
+    if (agents.includes(clientInfo.wallet)) return true;
+    if (agent?.allianceId && alliances.includes(agent.allianceId)) return true;
+  }
+  return topics.some(topic => clientInfo.subscriptions.has(topic));
+}